@@ -0,0 +1,313 @@
+// Eval matrix jobs: the server-side record of a matrix and the status of each of its rows.
+// Pure functions over a job object; server.js loads and saves jobs (logs/evals/<id>.json) and
+// serializes changes to each one. Workers (a browser tab or scripts/headless-run.js) claim
+// rows, run them and report back, so a matrix survives a refresh or crash and several workers
+// can share it. Claims respect the job's per-model concurrency cap and hold back a model whose
+// workers report it is nearly out of rate limit.
+
+const EVAL_JOB_VERSION = 1;
+const EVAL_JOB_ACTIONS = ['pause', 'resume', 'cancel'];
+const MAX_EVAL_JOB_ROWS = 5000;
+// Workers renew the lease on their row while it runs; a row whose worker crashed or went away
+// is handed out again once the lease lapses, up to EVAL_ROW_MAX_ATTEMPTS claims.
+const EVAL_ROW_LEASE_MS = 90_000;
+const EVAL_ROW_MAX_ATTEMPTS = 3;
+const EVAL_JOB_ID_RE = /^[A-Za-z0-9_-]{1,100}$/;
+const MAX_CONCURRENT_PER_MODEL = 32;
+// New rows of a model wait for the reset while any reported limit has less than this share left.
+const EVAL_RATE_LIMIT_RESERVE = 0.1;
+const MAX_RATE_LIMIT_ENTRIES = 8;
+
+// Fields kept from each queue item the worker built (see buildEvalQueue in script.js).
+const EVAL_ROW_FIELDS = [
+  'comboIndex',
+  'repeat',
+  'comboKey',
+  'modelBatchIndex',
+  'modelBatchCount',
+  'promptIndex',
+  'prompt',
+  'model',
+  'taskMode',
+  'maxRunSeconds',
+  'canvasSize',
+  'gridForScreenshots',
+  'allowClearTool'
+];
+
+class EvalJobError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'EvalJobError';
+    this.status = status;
+  }
+}
+
+function isValidEvalJobId(value) {
+  return EVAL_JOB_ID_RE.test(String(value || ''));
+}
+
+function createEvalJob({ config, rows } = {}, now = Date.now()) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    throw new EvalJobError('`config` must be an object.');
+  }
+  if (!isValidEvalJobId(config.matrixId)) {
+    throw new EvalJobError('`config.matrixId` must be 1-100 letters, digits, `-` or `_`.');
+  }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new EvalJobError('`rows` must be a non-empty array.');
+  }
+  if (rows.length > MAX_EVAL_JOB_ROWS) {
+    throw new EvalJobError(`A job can have at most ${MAX_EVAL_JOB_ROWS} rows.`);
+  }
+  const concurrency = config.maxConcurrentPerModel;
+  if (concurrency !== undefined && concurrency !== null
+    && (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENT_PER_MODEL)) {
+    throw new EvalJobError(`\`config.maxConcurrentPerModel\` must be an integer from 1 to ${MAX_CONCURRENT_PER_MODEL}.`);
+  }
+
+  const jobRows = rows.map((item, index) => {
+    if (typeof item?.prompt !== 'string' || typeof item?.model !== 'string' || !item.model.trim()) {
+      throw new EvalJobError(`Row ${index + 1} needs a prompt and a model.`);
+    }
+    if (!Number.isFinite(Number(item.maxRunSeconds)) || Number(item.maxRunSeconds) <= 0) {
+      throw new EvalJobError(`Row ${index + 1} needs a positive maxRunSeconds.`);
+    }
+    const row = { row: index + 1 };
+    for (const field of EVAL_ROW_FIELDS) {
+      row[field] = item[field] ?? null;
+    }
+    row.maxRunSeconds = Number(item.maxRunSeconds);
+    return {
+      ...row,
+      status: 'pending',
+      attempts: 0,
+      workerId: null,
+      claimedAt: null,
+      leaseExpiresAt: null,
+      finishedAt: null,
+      error: null,
+      result: null
+    };
+  });
+
+  const timestamp = new Date(now).toISOString();
+  return {
+    version: EVAL_JOB_VERSION,
+    id: config.matrixId,
+    tag: typeof config.tag === 'string' && config.tag ? config.tag : null,
+    status: 'running',
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    config,
+    // Latest limits reported by workers, by model: { [model]: { [name]: { limit, remaining, resetAt } } }.
+    rateLimits: {},
+    rows: jobRows
+  };
+}
+
+function countRows(job) {
+  const counts = { pending: 0, running: 0, done: 0, failed: 0 };
+  for (const row of job.rows) {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  }
+  return counts;
+}
+
+function touch(job, now) {
+  job.updatedAt = new Date(now).toISOString();
+  const counts = countRows(job);
+  if ((job.status === 'running' || job.status === 'paused') && counts.pending === 0 && counts.running === 0) {
+    job.status = 'completed';
+  }
+}
+
+function releaseExpiredLeases(job, now) {
+  for (const row of job.rows) {
+    if (row.status !== 'running' || !row.leaseExpiresAt || Date.parse(row.leaseExpiresAt) > now) continue;
+    row.status = row.attempts >= EVAL_ROW_MAX_ATTEMPTS ? 'failed' : 'pending';
+    row.error = `Worker ${row.workerId || '?'} did not report back before its lease expired.`;
+    row.workerId = null;
+    row.leaseExpiresAt = null;
+  }
+}
+
+// Jobs created without a cap let every worker run the same model at once.
+function getModelConcurrencyCap(job) {
+  const cap = job.config?.maxConcurrentPerModel;
+  return Number.isInteger(cap) && cap > 0 ? cap : Infinity;
+}
+
+function isModelRateLimited(job, model, now) {
+  const limits = job.rateLimits?.[model];
+  if (!limits) return false;
+  return Object.values(limits).some((entry) => entry.limit > 0
+    && entry.remaining < entry.limit * EVAL_RATE_LIMIT_RESERVE
+    && Date.parse(entry.resetAt) > now);
+}
+
+function recordRateLimits(job, model, rateLimits, now) {
+  if (!rateLimits || typeof rateLimits !== 'object' || Array.isArray(rateLimits)) return;
+  const entries = Object.entries(rateLimits).slice(0, MAX_RATE_LIMIT_ENTRIES);
+  for (const [name, entry] of entries) {
+    const limit = Number(entry?.limit);
+    const remaining = Number(entry?.remaining);
+    const resetAtMs = Date.parse(String(entry?.resetAt || ''));
+    if (!name || !Number.isFinite(limit) || !Number.isFinite(remaining) || !Number.isFinite(resetAtMs)) continue;
+    if (!job.rateLimits) job.rateLimits = {};
+    if (!job.rateLimits[model]) job.rateLimits[model] = {};
+    job.rateLimits[model][String(name).slice(0, 40)] = {
+      limit,
+      remaining,
+      resetAt: new Date(resetAtMs).toISOString(),
+      reportedAt: new Date(now).toISOString()
+    };
+  }
+}
+
+function findRow(job, rowNumber) {
+  const row = job.rows.find((entry) => entry.row === Number(rowNumber));
+  if (!row) {
+    throw new EvalJobError(`Row ${rowNumber} not found in job ${job.id}.`, 404);
+  }
+  return row;
+}
+
+/**
+ * Hands the first pending row whose model is under its concurrency cap and not held back by
+ * rate limits to `workerId`. Returns null when the job is not running or no row can start yet
+ * (other workers may still hold running rows).
+ */
+function claimEvalRow(job, workerId, now = Date.now()) {
+  releaseExpiredLeases(job, now);
+  let claimed = null;
+  if (job.status === 'running') {
+    const cap = getModelConcurrencyCap(job);
+    const runningByModel = new Map();
+    for (const row of job.rows) {
+      if (row.status === 'running') runningByModel.set(row.model, (runningByModel.get(row.model) || 0) + 1);
+    }
+    claimed = job.rows.find((row) => row.status === 'pending'
+      && (runningByModel.get(row.model) || 0) < cap
+      && !isModelRateLimited(job, row.model, now)) || null;
+    if (claimed) {
+      claimed.status = 'running';
+      claimed.attempts += 1;
+      claimed.workerId = workerId;
+      claimed.claimedAt = new Date(now).toISOString();
+      claimed.leaseExpiresAt = new Date(now + EVAL_ROW_LEASE_MS).toISOString();
+      claimed.error = null;
+    }
+  }
+  touch(job, now);
+  return claimed;
+}
+
+// Row updates come from the worker holding the row. A lapsed lease only counts until the next
+// claim call by any worker, even one that gets no row: releaseExpiredLeases then puts the row
+// back to pending, and the stale worker's updates get a 409 from then on.
+function findHeldRow(job, rowNumber, workerId) {
+  if (typeof workerId !== 'string' || !workerId) {
+    throw new EvalJobError('`workerId` is required.');
+  }
+  const row = findRow(job, rowNumber);
+  if (row.status === 'done') {
+    throw new EvalJobError(`Row ${row.row} is already done.`, 409);
+  }
+  if (row.status !== 'running' || row.workerId !== workerId) {
+    throw new EvalJobError(`Row ${row.row} is not held by ${workerId}.`, 409);
+  }
+  return row;
+}
+
+function renewEvalRowLease(job, rowNumber, { workerId = null, rateLimits = null } = {}, now = Date.now()) {
+  const row = findHeldRow(job, rowNumber, workerId);
+  row.leaseExpiresAt = new Date(now + EVAL_ROW_LEASE_MS).toISOString();
+  recordRateLimits(job, row.model, rateLimits, now);
+  touch(job, now);
+  return row;
+}
+
+function completeEvalRow(job, rowNumber, { workerId = null, result = null, rateLimits = null } = {}, now = Date.now()) {
+  const row = findHeldRow(job, rowNumber, workerId);
+  recordRateLimits(job, row.model, rateLimits, now);
+  row.status = 'done';
+  row.leaseExpiresAt = null;
+  row.finishedAt = new Date(now).toISOString();
+  row.error = null;
+  row.result = result && typeof result === 'object' ? result : null;
+  touch(job, now);
+  return row;
+}
+
+// The row goes back to pending for another attempt, or fails for good after the last one.
+function failEvalRow(job, rowNumber, { workerId = null, error = null } = {}, now = Date.now()) {
+  const row = findHeldRow(job, rowNumber, workerId);
+  row.status = row.attempts >= EVAL_ROW_MAX_ATTEMPTS ? 'failed' : 'pending';
+  row.workerId = null;
+  row.leaseExpiresAt = null;
+  row.error = typeof error === 'string' && error ? error.slice(0, 500) : 'Worker reported a failure.';
+  touch(job, now);
+  return row;
+}
+
+// Hands a claimed row back untouched, e.g. when a worker stops before starting it.
+function releaseEvalRow(job, rowNumber, { workerId = null } = {}, now = Date.now()) {
+  const row = findHeldRow(job, rowNumber, workerId);
+  row.status = 'pending';
+  row.attempts = Math.max(0, row.attempts - 1);
+  row.workerId = null;
+  row.claimedAt = null;
+  row.leaseExpiresAt = null;
+  touch(job, now);
+  return row;
+}
+
+function applyEvalJobAction(job, action, now = Date.now()) {
+  if (!EVAL_JOB_ACTIONS.includes(action)) {
+    throw new EvalJobError(`Unknown job action: ${action}`, 404);
+  }
+  if (job.status === 'cancelled' || job.status === 'completed') {
+    throw new EvalJobError(`Job ${job.id} is ${job.status}.`, 409);
+  }
+  if (action === 'pause') job.status = 'paused';
+  if (action === 'resume') job.status = 'running';
+  if (action === 'cancel') job.status = 'cancelled';
+  touch(job, now);
+  return job;
+}
+
+function summarizeEvalJob(job, now = Date.now()) {
+  const models = [];
+  for (const row of job.rows) {
+    if (!models.includes(row.model)) models.push(row.model);
+  }
+  const cap = getModelConcurrencyCap(job);
+  return {
+    id: job.id,
+    tag: job.tag,
+    status: job.status,
+    createdAt: job.createdAt,
+    updatedAt: job.updatedAt,
+    totalRows: job.rows.length,
+    counts: countRows(job),
+    models,
+    maxConcurrentPerModel: Number.isFinite(cap) ? cap : null,
+    rateLimitedModels: models.filter((model) => isModelRateLimited(job, model, now))
+  };
+}
+
+module.exports = {
+  EVAL_JOB_ACTIONS,
+  EVAL_ROW_MAX_ATTEMPTS,
+  EvalJobError,
+  isValidEvalJobId,
+  createEvalJob,
+  claimEvalRow,
+  renewEvalRowLease,
+  completeEvalRow,
+  failEvalRow,
+  releaseEvalRow,
+  applyEvalJobAction,
+  summarizeEvalJob
+};
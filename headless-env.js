@@ -0,0 +1,264 @@
+// Loads paint-engine.js and script.js into a Node VM context, so the browser app's own agent
+// loop, tools, logging and autosave run without a browser (see scripts/headless-run.js).
+// Canvases and images come from @napi-rs/canvas, sockets from `ws`, and fetch/WebSocket URLs
+// point at a running server. Elements are plain objects seeded with index.html's form defaults;
+// nothing is laid out or rendered apart from the canvases.
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const WebSocket = require('ws');
+const { createCanvas, Image, ImageData } = require('@napi-rs/canvas');
+const { registerTextFont } = require('./text-font');
+
+const ROOT_DIR = __dirname;
+const PAGE_SCRIPTS = ['paint-engine.js', 'script.js'];
+
+function readAttribute(tag, name) {
+  const match = new RegExp(`\\s${name}(?:\\s*=\\s*"([^"]*)")?[\\s>/]`, 'i').exec(tag);
+  if (!match) return null;
+  return match[1] === undefined ? '' : match[1];
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&#10;/g, '\n')
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+// Only what script.js reads back: input values and checked state, textarea text and the
+// selected (or first) option of each select.
+function parseFormDefaults(html) {
+  const defaults = new Map();
+
+  for (const match of html.matchAll(/<input\b[^>]*>/gi)) {
+    const id = readAttribute(match[0], 'id');
+    if (!id) continue;
+    defaults.set(id, {
+      tagName: 'INPUT',
+      value: decodeEntities(readAttribute(match[0], 'value') ?? ''),
+      checked: readAttribute(match[0], 'checked') !== null
+    });
+  }
+
+  for (const match of html.matchAll(/<textarea\b([^>]*)>([\s\S]*?)<\/textarea>/gi)) {
+    const id = readAttribute(`<textarea ${match[1]}>`, 'id');
+    if (!id) continue;
+    defaults.set(id, { tagName: 'TEXTAREA', value: decodeEntities(match[2]) });
+  }
+
+  for (const match of html.matchAll(/<select\b([^>]*)>([\s\S]*?)<\/select>/gi)) {
+    const id = readAttribute(`<select ${match[1]}>`, 'id');
+    if (!id) continue;
+    const options = Array.from(match[2].matchAll(/<option\b[^>]*>/gi)).map((option) => ({
+      value: decodeEntities(readAttribute(option[0], 'value') ?? ''),
+      selected: readAttribute(option[0], 'selected') !== null
+    }));
+    const selected = options.find((option) => option.selected) || options[0];
+    defaults.set(id, { tagName: 'SELECT', value: selected ? selected.value : '' });
+  }
+
+  return defaults;
+}
+
+function createClassList() {
+  const classes = new Set();
+  return {
+    add: (...names) => names.forEach((name) => classes.add(name)),
+    remove: (...names) => names.forEach((name) => classes.delete(name)),
+    contains: (name) => classes.has(name),
+    toggle(name, force) {
+      const on = force === undefined ? !classes.has(name) : Boolean(force);
+      if (on) classes.add(name);
+      else classes.delete(name);
+      return on;
+    }
+  };
+}
+
+// Enough of HTMLElement for script.js to read and write UI state. `onText` sees every
+// textContent write, which is how the CLI follows status lines.
+function createElement(tagName, id, onText) {
+  let textContent = '';
+  const element = {
+    tagName: String(tagName).toUpperCase(),
+    id: id || '',
+    value: '',
+    checked: false,
+    disabled: false,
+    hidden: false,
+    src: '',
+    href: '',
+    download: '',
+    title: '',
+    className: '',
+    style: {},
+    dataset: {},
+    attributes: {},
+    children: [],
+    classList: createClassList(),
+    get textContent() {
+      return textContent;
+    },
+    set textContent(value) {
+      textContent = String(value ?? '');
+      if (element.id) onText(element.id, textContent);
+    },
+    get innerHTML() {
+      return '';
+    },
+    set innerHTML(_value) {
+      element.children = [];
+    },
+    appendChild(child) {
+      element.children.push(child);
+      return child;
+    },
+    append(...children) {
+      element.children.push(...children);
+    },
+    replaceChildren(...children) {
+      element.children = children;
+    },
+    remove() {},
+    setAttribute(name, value) {
+      element.attributes[name] = String(value);
+    },
+    getAttribute(name) {
+      return Object.prototype.hasOwnProperty.call(element.attributes, name) ? element.attributes[name] : null;
+    },
+    removeAttribute(name) {
+      delete element.attributes[name];
+    },
+    addEventListener() {},
+    removeEventListener() {},
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    closest: () => null,
+    focus() {},
+    blur() {},
+    click() {},
+    scrollIntoView() {},
+    getBoundingClientRect: () => ({ left: 0, top: 0, right: 0, bottom: 0, width: 0, height: 0 })
+  };
+  return element;
+}
+
+function createCanvasElement(id) {
+  const canvas = createCanvas(1, 1);
+  Object.assign(canvas, {
+    id: id || '',
+    tagName: 'CANVAS',
+    style: {},
+    dataset: {},
+    classList: createClassList(),
+    addEventListener() {},
+    removeEventListener() {},
+    setPointerCapture() {},
+    releasePointerCapture() {},
+    hasPointerCapture: () => false,
+    getBoundingClientRect: () => ({ left: 0, top: 0, right: canvas.width, bottom: canvas.height, width: canvas.width, height: canvas.height })
+  });
+  return canvas;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.baseUrl  Server the page talks to, e.g. `http://127.0.0.1:3000`.
+ * @param {(id: string, text: string) => void} [options.onText]  Called on every element textContent write.
+ * @returns {{ context: object, evaluate: (code: string) => any, element: (id: string) => object }}
+ */
+function createHeadlessPage({ baseUrl, onText = () => {} }) {
+  registerTextFont();
+  const serverUrl = new URL(baseUrl);
+  const formDefaults = parseFormDefaults(fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8'));
+  const elements = new Map();
+
+  function getElementById(id) {
+    if (elements.has(id)) return elements.get(id);
+    const defaults = formDefaults.get(id);
+    // The page's two canvases are the only elements script.js draws on.
+    const element = id === 'canvas' || id === 'selectionOverlay'
+      ? createCanvasElement(id)
+      : createElement(defaults?.tagName || 'div', id, onText);
+    if (defaults) {
+      element.value = defaults.value;
+      element.checked = Boolean(defaults.checked);
+    }
+    elements.set(id, element);
+    return element;
+  }
+
+  const document = {
+    body: createElement('body', '', onText),
+    getElementById,
+    createElement: (tagName) => (String(tagName).toLowerCase() === 'canvas'
+      ? createCanvasElement('')
+      : createElement(tagName, '', onText)),
+    querySelector: () => null,
+    querySelectorAll: () => [],
+    addEventListener() {},
+    removeEventListener() {},
+    // The text fonts are registered with @napi-rs/canvas up front (registerTextFont throws if one
+    // is missing), so every load finds its face.
+    fonts: { load: async (font) => [{ family: font, status: 'loaded' }] }
+  };
+
+  const window = {
+    location: { protocol: serverUrl.protocol, host: serverUrl.host, origin: serverUrl.origin },
+    devicePixelRatio: 1,
+    addEventListener() {},
+    removeEventListener() {},
+    // No one is there to answer; act like the default button.
+    confirm: () => true,
+    prompt: () => null
+  };
+
+  const context = {
+    console,
+    window,
+    document,
+    navigator: { userAgent: 'ai-painter-headless' },
+    WebSocket,
+    Image,
+    ImageData,
+    Blob,
+    // Object URLs are only used for downloads and file inputs, neither of which exist here.
+    URL: { createObjectURL: () => 'blob:headless', revokeObjectURL() {} },
+    fetch: (url, init) => fetch(new URL(String(url), serverUrl), init),
+    setTimeout,
+    clearTimeout,
+    setInterval,
+    clearInterval,
+    requestAnimationFrame: (callback) => setTimeout(() => callback(performance.now()), 16),
+    cancelAnimationFrame: (handle) => clearTimeout(handle),
+    performance,
+    crypto: globalThis.crypto,
+    TextEncoder,
+    TextDecoder,
+    structuredClone,
+    localStorage: { getItem: () => null, setItem() {}, removeItem() {} }
+  };
+  context.self = context;
+  context.globalThis = context;
+  vm.createContext(context);
+
+  for (const fileName of PAGE_SCRIPTS) {
+    const source = fs.readFileSync(path.join(ROOT_DIR, fileName), 'utf8');
+    vm.runInContext(source, context, { filename: fileName });
+  }
+
+  return {
+    context,
+    evaluate: (code) => vm.runInContext(code, context),
+    element: getElementById
+  };
+}
+
+module.exports = {
+  createHeadlessPage,
+  parseFormDefaults
+};
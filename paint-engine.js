@@ -0,0 +1,2812 @@
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.PaintEngine = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  // Deterministic drawing + replay core shared by the browser (script.js) and Node scripts.
+  // A "surface" is { ctx, width, height } where ctx is any CanvasRenderingContext2D-compatible
+  // context (browser canvas or @napi-rs/canvas).
+
+  const DRAW_TOOLS = ['pencil', 'brush', 'rectangle', 'circle', 'fill', 'spray', 'eraser'];
+  const LINE_TOOLS = ['pencil', 'brush', 'eraser'];
+  const DEFAULT_UNDO_LIMIT = 20;
+  // Logs saved before per-run canvas sizes have no size in their settings; they ran at 800x600.
+  const DEFAULT_CANVAS_WIDTH = 800;
+  const DEFAULT_CANVAS_HEIGHT = 600;
+  const MIN_CANVAS_SIDE = 128;
+  const MAX_CANVAS_SIDE = 1600;
+  const CANVAS_SIZE_PRESETS = {
+    landscape: { width: 800, height: 600 },
+    portrait: { width: 600, height: 800 },
+    square: { width: 700, height: 700 },
+    wide: { width: 1024, height: 576 }
+  };
+  // Logs without `settings.startCanvas` started on white (or, before snapshot starts, on
+  // whatever the canvas held). A snapshot start is the canvas a run found, saved with the run.
+  const START_CANVAS_TYPES = ['white', 'color', 'gradient', 'image', 'snapshot'];
+  const START_IMAGE_SOURCES = ['upload', 'run'];
+  const START_GRADIENT_DIRECTIONS = ['vertical', 'horizontal'];
+  const FLOOD_FILL_TOLERANCE = 18;
+  const MAX_CLOSE_GAPS_PX = 8;
+  // Text renders only in these bundled fonts (see text-font.js and styles.css), never a system
+  // font, so a text action draws the same glyphs in every browser and in Node. The first is the default.
+  const TEXT_FONT_FAMILIES = ['DejaVu Sans', 'DejaVu Serif', 'DejaVu Mono'];
+  // Logs from before the bundled fonts name a generic CSS family; each replays in its closest match.
+  const LEGACY_TEXT_FONT_FAMILIES = {
+    'sans-serif': 'DejaVu Sans',
+    serif: 'DejaVu Serif',
+    monospace: 'DejaVu Mono',
+    cursive: 'DejaVu Sans',
+    fantasy: 'DejaVu Sans'
+  };
+  // Code point ranges every bundled family has a glyph for in both weights. Anything else would
+  // be drawn in whatever fallback font the machine has, so text with it is rejected.
+  const TEXT_CHAR_RANGES = [
+    [0x20, 0x7e], // Basic Latin
+    [0xa0, 0x17f], // Latin-1 Supplement, Latin Extended-A
+    [0x386, 0x386], [0x388, 0x38a], [0x38c, 0x38c], [0x38e, 0x3a1], [0x3a3, 0x3ce], // Greek
+    [0x400, 0x45f], // Cyrillic
+    [0x2010, 0x2023], [0x2026, 0x2026], [0x2030, 0x2030], [0x2039, 0x203a], // Dashes, quotes, bullets
+    [0x20ac, 0x20ac], [0x2116, 0x2116], [0x2122, 0x2122], // Euro, numero, trade mark
+    [0x2190, 0x21ff], // Arrows
+    [0x2212, 0x2212], [0x221e, 0x221e], [0x2260, 0x2260], [0x2264, 0x2265], // Math
+    [0x25a0, 0x25ff] // Geometric shapes
+  ];
+  const TEXT_WEIGHTS = ['normal', 'bold'];
+  const TEXT_ALIGNS = ['left', 'center', 'right'];
+  const MAX_TEXT_LENGTH = 200;
+  const MAX_TEXT_LINES = 8;
+  const TEXT_LINE_HEIGHT = 1.2;
+  const DEFAULT_DRAW_DEFAULTS = {
+    tool: 'pencil',
+    color: '#000000',
+    lineWidth: 5
+  };
+  const UNDO_BOUNDARIES = ['push', 'pop', 'checkpoint', 'restore_checkpoint'];
+  // Version 1 logs carry no undo markers; their boundaries are implied by the action kind.
+  const LEGACY_UNDO_BOUNDARY_BY_KIND = {
+    draw_action: 'push',
+    fill_rectangle: 'push',
+    stroke_polyline: 'push',
+    clear_canvas: 'push',
+    take_screenshot: 'checkpoint',
+    undo: 'pop',
+    undo_to_screenshot: 'restore_checkpoint'
+  };
+  const RENDERED_ACTION_KINDS = [
+    'draw_action',
+    'fill_rectangle',
+    'fill_polygon',
+    'fill_ellipse',
+    'fill_path',
+    'fill_gradient',
+    'draw_text',
+    'stroke_polyline',
+    'stroke_curve',
+    'transform_selection',
+    'clear_canvas'
+  ];
+  const CURVE_MODES = ['catmull_rom', 'quadratic', 'cubic'];
+  const CURVE_SAMPLES_PER_SEGMENT = 24;
+  const MAX_CURVE_WIDTHS = 16;
+  const FILL_RULES = ['nonzero', 'evenodd'];
+  const FILL_PATH_MODES = ['line', ...CURVE_MODES];
+  const MAX_FILL_PATH_SUBPATHS = 8;
+  const GRADIENT_TYPES = ['linear', 'radial', 'conic'];
+  const GRADIENT_SHAPES = ['rectangle', 'ellipse', 'polygon'];
+  const MAX_GRADIENT_STOPS = 8;
+  const GRADIENT_STOP_NUDGE = 0.0001;
+  const BRUSH_TIPS = ['round', 'flat', 'bristle', 'chalk', 'watercolor'];
+  // Dab spacing as a fraction of the line width.
+  const BRUSH_TIP_SPACING = {
+    round: 0.1,
+    flat: 0.08,
+    bristle: 0.05,
+    chalk: 0.3,
+    watercolor: 0.1
+  };
+  // Flat tips keep a fixed calligraphic angle, so strokes go thick or thin with direction.
+  const FLAT_NIB_ANGLE = Math.PI / 4;
+  const WATERCOLOR_FLOW = 0.06;
+  const LAYER_ACTION_KINDS = [
+    'create_layer',
+    'select_layer',
+    'set_layer_properties',
+    'move_layer',
+    'merge_layer_down',
+    'delete_layer'
+  ];
+  const LAYER_MOVE_DIRECTIONS = ['up', 'down', 'top', 'bottom'];
+  // 'normal' maps to source-over; the rest are canvas globalCompositeOperation names.
+  const BLEND_MODES = [
+    'normal',
+    'multiply',
+    'screen',
+    'overlay',
+    'darken',
+    'lighten',
+    'color-dodge',
+    'color-burn',
+    'hard-light',
+    'soft-light',
+    'difference',
+    'exclusion',
+    'hue',
+    'saturation',
+    'color',
+    'luminosity'
+  ];
+  const BASE_LAYER_ID = 'layer_0';
+  const MAX_LAYERS = 12;
+  const SELECTION_ACTION_KINDS = ['select_region', 'transform_selection', 'clear_selection'];
+  const SELECTION_MODES = ['rectangle', 'lasso', 'magic_wand'];
+  const SELECTION_COMBINE_MODES = ['replace', 'add', 'subtract'];
+  const SELECTION_OPERATIONS = ['move', 'duplicate', 'scale', 'rotate', 'flip', 'delete'];
+  const SELECTION_FLIP_AXES = ['horizontal', 'vertical'];
+  const MIN_SELECTION_SCALE = 0.05;
+  const MAX_SELECTION_SCALE = 10;
+  // Copy-task scores compare both images on a grid this many cells along the longer side.
+  const SIMILARITY_GRID_SIDE = 128;
+  const SSIM_WINDOW = 8;
+  // Image metrics: a pixel counts as painted when a channel is more than this below 255,
+  // as an edge when its luma Sobel magnitude exceeds the edge threshold, and a quantized
+  // color counts toward colorCount when it covers at least METRIC_MIN_COLOR_SHARE of the image.
+  const METRIC_WHITE_THRESHOLD = 8;
+  const METRIC_EDGE_THRESHOLD = 64;
+  const METRIC_MIN_COLOR_SHARE = 0.001;
+  const METRIC_PALETTE_SIZE = 8;
+
+  function clamp(value, min, max) {
+    return Math.max(min, Math.min(max, value));
+  }
+
+  function normalizeColor(value) {
+    const raw = String(value || '').trim();
+    if (/^#[0-9a-fA-F]{6}$/.test(raw)) {
+      return raw.toUpperCase();
+    }
+    return '#000000';
+  }
+
+  function normalizeLineWidth(value, fallback) {
+    return clamp(Math.round(Number(value) || fallback), 1, 50);
+  }
+
+  function normalizeOpacity(value, fallback) {
+    const numeric = Number(value);
+    if (value === undefined || value === null || value === '' || !Number.isFinite(numeric)) return fallback;
+    return Math.round(clamp(numeric, 0, 1) * 1000) / 1000;
+  }
+
+  function normalizeBlendMode(value, fallback) {
+    return BLEND_MODES.includes(value) ? value : fallback;
+  }
+
+  function clampX(surface, value) {
+    return clamp(Math.round(Number(value) || 0), 0, surface.width);
+  }
+
+  function clampY(surface, value) {
+    return clamp(Math.round(Number(value) || 0), 0, surface.height);
+  }
+
+  function normalizeCanvasSize(rawSize) {
+    const raw = rawSize && typeof rawSize === 'object' ? rawSize : {};
+    const width = Math.round(Number(raw.width));
+    const height = Math.round(Number(raw.height));
+    return {
+      width: Number.isFinite(width) && width > 0 ? clamp(width, MIN_CANVAS_SIDE, MAX_CANVAS_SIDE) : DEFAULT_CANVAS_WIDTH,
+      height: Number.isFinite(height) && height > 0 ? clamp(height, MIN_CANVAS_SIDE, MAX_CANVAS_SIDE) : DEFAULT_CANVAS_HEIGHT
+    };
+  }
+
+  // Accepts a preset name or "WIDTHxHEIGHT"; returns null for anything else.
+  function parseCanvasSize(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(CANVAS_SIZE_PRESETS, text)) {
+      return { ...CANVAS_SIZE_PRESETS[text] };
+    }
+    const match = /^(\d+)\s*x\s*(\d+)$/.exec(text);
+    return match ? normalizeCanvasSize({ width: match[1], height: match[2] }) : null;
+  }
+
+  function formatCanvasSize(size) {
+    return `${size.width}x${size.height}`;
+  }
+
+  function canvasSizeFromSettings(settings) {
+    return normalizeCanvasSize({ width: settings?.canvasWidth, height: settings?.canvasHeight });
+  }
+
+  // Image starts keep only where the picture came from; the pixels are saved next to the log.
+  function normalizeStartCanvas(rawStart) {
+    const raw = rawStart && typeof rawStart === 'object' ? rawStart : {};
+    switch (raw.type) {
+      case 'color':
+        return { type: 'color', color: normalizeColor(raw.color) };
+      case 'gradient': {
+        const colors = Array.isArray(raw.colors) ? raw.colors : [];
+        return {
+          type: 'gradient',
+          colors: [normalizeColor(colors[0]), normalizeColor(colors[1])],
+          direction: START_GRADIENT_DIRECTIONS.includes(raw.direction) ? raw.direction : 'vertical'
+        };
+      }
+      case 'image': {
+        const start = { type: 'image', source: START_IMAGE_SOURCES.includes(raw.source) ? raw.source : 'upload' };
+        const name = String(raw.name ?? '').trim().slice(0, 120);
+        if (name) start.name = name;
+        return start;
+      }
+      case 'snapshot':
+        return { type: 'snapshot' };
+      default:
+        return { type: 'white' };
+    }
+  }
+
+  function startCanvasFromSettings(settings) {
+    return normalizeStartCanvas(settings?.startCanvas);
+  }
+
+  function resolveDefaults(defaults) {
+    return { ...DEFAULT_DRAW_DEFAULTS, ...(defaults || {}) };
+  }
+
+  // ── Normalization ──
+
+  function normalizeDrawAction(rawAction, defaults, surface) {
+    const fallback = resolveDefaults(defaults);
+    const raw = rawAction && typeof rawAction === 'object' ? rawAction : {};
+    const action = {
+      tool: DRAW_TOOLS.includes(raw.tool) ? raw.tool : fallback.tool,
+      color: normalizeColor(raw.color || fallback.color),
+      lineWidth: normalizeLineWidth(raw.lineWidth, fallback.lineWidth),
+      startX: clampX(surface, raw.startX),
+      startY: clampY(surface, raw.startY),
+      x: clampX(surface, raw.x),
+      y: clampY(surface, raw.y),
+      seed: Number.isFinite(Number(raw.seed)) ? Number(raw.seed) >>> 0 : null,
+      opacity: normalizeOpacity(raw.opacity, 1),
+      blendMode: normalizeBlendMode(raw.blendMode, 'normal')
+    };
+
+    if (action.tool === 'spray' && action.seed === null) {
+      action.seed = deterministicSeedFromAction(action);
+    }
+    if (action.tool === 'brush' && raw.brush) {
+      action.brush = normalizeBrush(raw.brush, [{ x: action.startX, y: action.startY }, { x: action.x, y: action.y }], action.color);
+    }
+    if (action.tool === 'fill' && raw.fill) {
+      action.fill = normalizeFloodFillOptions(raw.fill);
+    }
+
+    return action;
+  }
+
+  function normalizeFillRectangle(rawInput, defaults, surface) {
+    const fallback = resolveDefaults(defaults);
+    const raw = rawInput && typeof rawInput === 'object' ? rawInput : {};
+    const x1 = clampX(surface, raw.x1);
+    const y1 = clampY(surface, raw.y1);
+    const x2 = clampX(surface, raw.x2);
+    const y2 = clampY(surface, raw.y2);
+
+    const left = Math.min(x1, x2);
+    const top = Math.min(y1, y2);
+    const width = Math.max(1, Math.abs(x2 - x1));
+    const height = Math.max(1, Math.abs(y2 - y1));
+
+    return {
+      color: normalizeColor(raw.color || fallback.color),
+      x1: left,
+      y1: top,
+      x2: left + width,
+      y2: top + height,
+      opacity: normalizeOpacity(raw.opacity, 1),
+      blendMode: normalizeBlendMode(raw.blendMode, 'normal')
+    };
+  }
+
+  function normalizePolyline(rawInput, defaults, surface) {
+    const fallback = resolveDefaults(defaults);
+    const raw = rawInput && typeof rawInput === 'object' ? rawInput : {};
+    const points = normalizePointList(surface, raw.points);
+
+    const action = {
+      tool: LINE_TOOLS.includes(raw.tool) ? raw.tool : 'pencil',
+      color: normalizeColor(raw.color || fallback.color),
+      lineWidth: normalizeLineWidth(raw.lineWidth, fallback.lineWidth),
+      points,
+      pointCount: points.length,
+      opacity: normalizeOpacity(raw.opacity, 1),
+      blendMode: normalizeBlendMode(raw.blendMode, 'normal')
+    };
+    if (action.tool === 'brush' && raw.brush) {
+      action.brush = normalizeBrush(raw.brush, points, action.color);
+    }
+    return action;
+  }
+
+  // Curve points stay in canvas pixels like polylines; `widths` (optional) is a width profile
+  // spaced evenly along the path length rather than one width per control point.
+  function normalizeCurve(rawInput, defaults, surface) {
+    const fallback = resolveDefaults(defaults);
+    const raw = rawInput && typeof rawInput === 'object' ? rawInput : {};
+    const points = normalizePointList(surface, raw.points);
+    const lineWidth = normalizeLineWidth(raw.lineWidth, fallback.lineWidth);
+    const widths = Array.isArray(raw.widths) && raw.widths.length >= 2
+      ? raw.widths.slice(0, MAX_CURVE_WIDTHS).map((width) => normalizeLineWidth(width, lineWidth))
+      : null;
+    const tension = Number(raw.tension);
+
+    const action = {
+      tool: LINE_TOOLS.includes(raw.tool) ? raw.tool : 'pencil',
+      color: normalizeColor(raw.color || fallback.color),
+      lineWidth,
+      mode: CURVE_MODES.includes(raw.mode) ? raw.mode : 'catmull_rom',
+      tension: Number.isFinite(tension) ? Math.round(clamp(tension, 0, 1) * 1000) / 1000 : 0,
+      closed: raw.closed === true,
+      points,
+      pointCount: points.length,
+      widths,
+      opacity: normalizeOpacity(raw.opacity, 1),
+      blendMode: normalizeBlendMode(raw.blendMode, 'normal')
+    };
+    if (action.tool === 'brush' && raw.brush) {
+      action.brush = normalizeBrush(raw.brush, points, action.color);
+    }
+    return action;
+  }
+
+  function normalizePointList(surface, rawPoints) {
+    return (Array.isArray(rawPoints) ? rawPoints : []).map((point) => ({
+      x: clampX(surface, point?.x),
+      y: clampY(surface, point?.y)
+    }));
+  }
+
+  function normalizeFillPolygon(rawInput, defaults, surface) {
+    const fallback = resolveDefaults(defaults);
+    const raw = rawInput && typeof rawInput === 'object' ? rawInput : {};
+    const points = normalizePointList(surface, raw.points);
+
+    return {
+      color: normalizeColor(raw.color || fallback.color),
+      points,
+      pointCount: points.length,
+      fillRule: FILL_RULES.includes(raw.fillRule) ? raw.fillRule : 'nonzero',
+      opacity: normalizeOpacity(raw.opacity, 1),
+      blendMode: normalizeBlendMode(raw.blendMode, 'normal')
+    };
+  }
+
+  // Rotation is in degrees, clockwise on screen, rounded to 0.1 degree.
+  function normalizeFillEllipse(rawInput, defaults, surface) {
+    const fallback = resolveDefaults(defaults);
+    const raw = rawInput && typeof rawInput === 'object' ? rawInput : {};
+    const rotation = Number(raw.rotation);
+    const maxRadius = Math.max(surface.width, surface.height);
+
+    return {
+      color: normalizeColor(raw.color || fallback.color),
+      centerX: clampX(surface, raw.centerX),
+      centerY: clampY(surface, raw.centerY),
+      radiusX: clamp(Math.round(Number(raw.radiusX) || 0), 1, maxRadius),
+      radiusY: clamp(Math.round(Number(raw.radiusY) || 0), 1, maxRadius),
+      rotation: Number.isFinite(rotation) ? Math.round((((rotation % 360) + 360) % 360) * 10) / 10 : 0,
+      opacity: normalizeOpacity(raw.opacity, 1),
+      blendMode: normalizeBlendMode(raw.blendMode, 'normal')
+    };
+  }
+
+  // Each subpath is closed; with evenodd (or opposite winding under nonzero) inner subpaths cut holes.
+  function normalizeFillPath(rawInput, defaults, surface) {
+    const fallback = resolveDefaults(defaults);
+    const raw = rawInput && typeof rawInput === 'object' ? rawInput : {};
+    const rawSubpaths = Array.isArray(raw.subpaths) ? raw.subpaths.slice(0, MAX_FILL_PATH_SUBPATHS) : [];
+    const subpaths = rawSubpaths.map((subpath) => {
+      const tension = Number(subpath?.tension);
+      return {
+        mode: FILL_PATH_MODES.includes(subpath?.mode) ? subpath.mode : 'line',
+        tension: Number.isFinite(tension) ? Math.round(clamp(tension, 0, 1) * 1000) / 1000 : 0,
+        points: normalizePointList(surface, subpath?.points)
+      };
+    });
+
+    return {
+      color: normalizeColor(raw.color || fallback.color),
+      subpaths,
+      fillRule: FILL_RULES.includes(raw.fillRule) ? raw.fillRule : 'nonzero',
+      opacity: normalizeOpacity(raw.opacity, 1),
+      blendMode: normalizeBlendMode(raw.blendMode, 'normal')
+    };
+  }
+
+  // Region fields sit at the top level like the solid fill actions; gradient geometry the
+  // caller leaves out is resolved from the region's bounding box, so logs are explicit.
+  function normalizeFillGradient(rawInput, defaults, surface) {
+    const fallback = resolveDefaults(defaults);
+    const raw = rawInput && typeof rawInput === 'object' ? rawInput : {};
+    const shape = GRADIENT_SHAPES.includes(raw.shape) ? raw.shape : 'rectangle';
+    let region;
+    if (shape === 'ellipse') {
+      const { centerX, centerY, radiusX, radiusY, rotation } = normalizeFillEllipse(raw, fallback, surface);
+      region = { centerX, centerY, radiusX, radiusY, rotation };
+    } else if (shape === 'polygon') {
+      const { points, pointCount, fillRule } = normalizeFillPolygon(raw, fallback, surface);
+      region = { points, pointCount, fillRule };
+    } else {
+      const { x1, y1, x2, y2 } = normalizeFillRectangle(raw, fallback, surface);
+      region = { x1, y1, x2, y2 };
+    }
+
+    return {
+      shape,
+      ...region,
+      gradient: normalizeGradient(raw.gradient, fallback.color, gradientRegionBounds(shape, region), surface),
+      opacity: normalizeOpacity(raw.opacity, 1),
+      blendMode: normalizeBlendMode(raw.blendMode, 'normal')
+    };
+  }
+
+  function gradientRegionBounds(shape, region) {
+    if (shape === 'ellipse') {
+      const angle = (region.rotation * Math.PI) / 180;
+      const halfWidth = Math.hypot(region.radiusX * Math.cos(angle), region.radiusY * Math.sin(angle));
+      const halfHeight = Math.hypot(region.radiusX * Math.sin(angle), region.radiusY * Math.cos(angle));
+      return {
+        left: region.centerX - halfWidth,
+        top: region.centerY - halfHeight,
+        right: region.centerX + halfWidth,
+        bottom: region.centerY + halfHeight
+      };
+    }
+    if (shape === 'polygon') {
+      const xs = region.points.map((point) => point.x);
+      const ys = region.points.map((point) => point.y);
+      return xs.length > 0
+        ? { left: Math.min(...xs), top: Math.min(...ys), right: Math.max(...xs), bottom: Math.max(...ys) }
+        : { left: 0, top: 0, right: 0, bottom: 0 };
+    }
+    return { left: region.x1, top: region.y1, right: region.x2, bottom: region.y2 };
+  }
+
+  // Defaults: linear runs top to bottom, radial and conic center on the region, and the
+  // radial gradient reaches the region's longer half-side.
+  function normalizeGradient(rawGradient, fallbackColor, bounds, surface) {
+    const raw = rawGradient && typeof rawGradient === 'object' ? rawGradient : {};
+    const type = GRADIENT_TYPES.includes(raw.type) ? raw.type : 'linear';
+    const midX = Math.round((bounds.left + bounds.right) / 2);
+    const midY = Math.round((bounds.top + bounds.bottom) / 2);
+    const pick = (value, fallbackValue, clampFn) => (
+      Number.isFinite(Number(value)) && value !== null && value !== '' ? clampFn(surface, value) : fallbackValue
+    );
+    const stops = normalizeGradientStops(raw.stops, fallbackColor);
+
+    if (type === 'radial') {
+      const maxRadius = Math.max(surface.width, surface.height) * 2;
+      const defaultRadius = Math.max(bounds.right - bounds.left, bounds.bottom - bounds.top) / 2;
+      const radius = clamp(Math.round(Number(raw.radius) || defaultRadius), 1, maxRadius);
+      return {
+        type,
+        centerX: pick(raw.centerX, midX, clampX),
+        centerY: pick(raw.centerY, midY, clampY),
+        radius,
+        innerRadius: clamp(Math.round(Number(raw.innerRadius) || 0), 0, radius - 1),
+        stops
+      };
+    }
+
+    if (type === 'conic') {
+      const angle = Number(raw.angle);
+      return {
+        type,
+        centerX: pick(raw.centerX, midX, clampX),
+        centerY: pick(raw.centerY, midY, clampY),
+        angle: Number.isFinite(angle) ? Math.round((((angle % 360) + 360) % 360) * 10) / 10 : 0,
+        stops
+      };
+    }
+
+    return {
+      type,
+      startX: pick(raw.startX, midX, clampX),
+      startY: pick(raw.startY, Math.round(bounds.top), clampY),
+      endX: pick(raw.endX, midX, clampX),
+      endY: pick(raw.endY, Math.round(bounds.bottom), clampY),
+      stops
+    };
+  }
+
+  // Stops without an offset are spread evenly; fewer than 2 usable stops becomes a flat fill.
+  function normalizeGradientStops(rawStops, fallbackColor) {
+    const list = Array.isArray(rawStops) ? rawStops.slice(0, MAX_GRADIENT_STOPS) : [];
+    const stops = list
+      .filter((stop) => stop && typeof stop === 'object')
+      .map((stop, i, all) => {
+        const offset = Number(stop.offset);
+        const spread = all.length > 1 ? i / (all.length - 1) : 0;
+        return {
+          offset: Math.round(clamp(Number.isFinite(offset) && stop.offset !== null ? offset : spread, 0, 1) * 1000) / 1000,
+          color: normalizeColor(stop.color || fallbackColor),
+          opacity: normalizeOpacity(stop.opacity, 1)
+        };
+      })
+      .sort((a, b) => a.offset - b.offset);
+
+    if (stops.length >= 2) return stops;
+    const color = stops[0]?.color || normalizeColor(fallbackColor);
+    const opacity = stops[0]?.opacity ?? 1;
+    return [{ offset: 0, color, opacity }, { offset: 1, color, opacity }];
+  }
+
+  // Brush settings ride along on `brush` tool actions. Actions logged before the brush engine
+  // have no `brush` and keep rendering as a plain round line.
+  function normalizeBrush(rawBrush, points, color) {
+    const raw = rawBrush && typeof rawBrush === 'object' ? rawBrush : {};
+    const fraction = (value) => {
+      const numeric = Number(value);
+      return Number.isFinite(numeric) ? Math.round(clamp(numeric, 0, 1) * 1000) / 1000 : 0;
+    };
+    const seed = Number(raw.seed);
+
+    return {
+      tip: BRUSH_TIPS.includes(raw.tip) ? raw.tip : 'round',
+      taperStart: fraction(raw.taperStart),
+      taperEnd: fraction(raw.taperEnd),
+      jitter: fraction(raw.jitter),
+      seed: Number.isFinite(seed) && raw.seed !== null && raw.seed !== '' ? seed >>> 0 : brushSeedFromPoints(points, color)
+    };
+  }
+
+  // Fill actions logged before these options existed have no `fill`; they keep the old
+  // behaviour (tolerance 18, contiguous, no gap closing, antialiased edges left alone).
+  function normalizeFloodFillOptions(rawFill) {
+    const raw = rawFill && typeof rawFill === 'object' ? rawFill : {};
+    const tolerance = Number(raw.tolerance);
+    const closeGapsPx = Number(raw.closeGapsPx);
+
+    return {
+      tolerance: Number.isFinite(tolerance) && raw.tolerance !== null ? clamp(Math.round(tolerance), 0, 255) : FLOOD_FILL_TOLERANCE,
+      contiguous: raw.contiguous !== false,
+      closeGapsPx: Number.isFinite(closeGapsPx) ? clamp(Math.round(closeGapsPx), 0, MAX_CLOSE_GAPS_PX) : 0
+    };
+  }
+
+  function normalizeTextFontFamily(fontFamily) {
+    if (TEXT_FONT_FAMILIES.includes(fontFamily)) return fontFamily;
+    return LEGACY_TEXT_FONT_FAMILIES[fontFamily] || TEXT_FONT_FAMILIES[0];
+  }
+
+  // Returns null when `fontFamily` (optional) is a bundled family, otherwise a message for the agent.
+  function describeTextFontFamilyError(fontFamily) {
+    if (fontFamily === undefined || fontFamily === null || TEXT_FONT_FAMILIES.includes(fontFamily)) return null;
+    return `fontFamily must be one of the bundled fonts: ${TEXT_FONT_FAMILIES.join(', ')}.`;
+  }
+
+  // Returns null when every character of `text` has a bundled glyph, otherwise a message naming the first that does not.
+  function describeTextCharError(text) {
+    for (const char of String(text ?? '')) {
+      const code = char.codePointAt(0);
+      if (char === '\n' || char === '\r' || TEXT_CHAR_RANGES.some(([first, last]) => code >= first && code <= last)) continue;
+      const hex = code.toString(16).toUpperCase().padStart(4, '0');
+      return `"${char}" (U+${hex}) has no glyph in the bundled fonts; text can use Latin, Greek and Cyrillic letters, common punctuation, arrows and geometric shapes.`;
+    }
+    return null;
+  }
+
+  // (x, y) anchors the text block: horizontally per `align`, vertically at its middle.
+  function normalizeText(rawInput, defaults, surface) {
+    const fallback = resolveDefaults(defaults);
+    const raw = rawInput && typeof rawInput === 'object' ? rawInput : {};
+    const lines = String(raw.text ?? '')
+      .replace(/\r\n?/g, '\n')
+      .slice(0, MAX_TEXT_LENGTH)
+      .split('\n')
+      .slice(0, MAX_TEXT_LINES);
+    const rotation = Number(raw.rotation);
+
+    return {
+      text: lines.join('\n'),
+      color: normalizeColor(raw.color || fallback.color),
+      x: clampX(surface, raw.x),
+      y: clampY(surface, raw.y),
+      fontFamily: normalizeTextFontFamily(raw.fontFamily),
+      fontSize: clamp(Math.round(Number(raw.fontSize) || 32), 6, 200),
+      fontWeight: TEXT_WEIGHTS.includes(raw.fontWeight) ? raw.fontWeight : 'normal',
+      align: TEXT_ALIGNS.includes(raw.align) ? raw.align : 'left',
+      rotation: Number.isFinite(rotation) ? Math.round((((rotation % 360) + 360) % 360) * 10) / 10 : 0,
+      opacity: normalizeOpacity(raw.opacity, 1),
+      blendMode: normalizeBlendMode(raw.blendMode, 'normal')
+    };
+  }
+
+  // Returns null when `count` points fit `mode`, otherwise a message for the agent.
+  function describeCurvePointError(mode, count) {
+    if (mode === 'quadratic' && (count < 3 || count % 2 === 0)) {
+      return 'quadratic curves need an odd number of points (>= 3): start, then control/end pairs.';
+    }
+    if (mode === 'cubic' && (count < 4 || (count - 1) % 3 !== 0)) {
+      return 'cubic curves need 3n+1 points (>= 4): start, then control1/control2/end triples.';
+    }
+    if (count < 2) {
+      return 'curves need at least 2 points.';
+    }
+    return null;
+  }
+
+  // ── Rendering ──
+  // Every render call sets the context state it depends on, so a replay never inherits
+  // lineJoin/lineCap/fillStyle from whatever was drawn before it.
+
+  // Call between ctx.save()/restore(). Actions logged before opacity/blendMode existed
+  // render as opaque source-over. The eraser ignores the blend mode.
+  function applyActionCompositing(surface, action) {
+    const ctx = surface.ctx;
+    ctx.globalAlpha = normalizeOpacity(action.opacity, 1);
+    if (action.tool === 'eraser') {
+      ctx.globalCompositeOperation = surface.transparent ? 'destination-out' : 'source-over';
+    } else {
+      ctx.globalCompositeOperation = compositeOperationForBlendMode(action.blendMode);
+    }
+  }
+
+  // Returns the flood fill summary ({ pixelCount, bbox }) for `fill` actions, otherwise undefined.
+  function renderDrawAction(surface, action) {
+    const ctx = surface.ctx;
+    const color = action.tool === 'eraser' ? '#FFFFFF' : action.color;
+
+    switch (action.tool) {
+      case 'pencil':
+      case 'brush':
+      case 'eraser': {
+        if (action.tool === 'brush' && action.brush) {
+          renderBrushStroke(surface, [{ x: action.startX, y: action.startY }, { x: action.x, y: action.y }], action);
+          break;
+        }
+        ctx.save();
+        applyActionCompositing(surface, action);
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = action.lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.moveTo(action.startX, action.startY);
+        ctx.lineTo(action.x, action.y);
+        ctx.stroke();
+        ctx.restore();
+        break;
+      }
+      case 'rectangle': {
+        ctx.save();
+        applyActionCompositing(surface, action);
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = action.lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'miter';
+        ctx.rect(action.startX, action.startY, action.x - action.startX, action.y - action.startY);
+        ctx.stroke();
+        ctx.restore();
+        break;
+      }
+      case 'circle': {
+        const radius = Math.sqrt((action.x - action.startX) ** 2 + (action.y - action.startY) ** 2);
+        ctx.save();
+        applyActionCompositing(surface, action);
+        ctx.beginPath();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = action.lineWidth;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'miter';
+        ctx.arc(action.startX, action.startY, radius, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+        break;
+      }
+      case 'fill': {
+        return floodFill(surface, action.startX, action.startY, action.color, action);
+      }
+      case 'spray': {
+        ctx.save();
+        applyActionCompositing(surface, action);
+        sprayPaint(surface, action.x, action.y, action.lineWidth * 2, action.lineWidth * 5, color, action.seed);
+        ctx.restore();
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  function renderFillRectangle(surface, action) {
+    const ctx = surface.ctx;
+    ctx.save();
+    applyActionCompositing(surface, action);
+    ctx.fillStyle = action.color;
+    ctx.fillRect(action.x1, action.y1, action.x2 - action.x1, action.y2 - action.y1);
+    ctx.restore();
+  }
+
+  function traceClosedPoints(ctx, points) {
+    if (points.length < 2) return;
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i += 1) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.closePath();
+  }
+
+  function renderFillPolygon(surface, action) {
+    if (!Array.isArray(action.points) || action.points.length < 3) return;
+    const ctx = surface.ctx;
+    ctx.save();
+    applyActionCompositing(surface, action);
+    ctx.fillStyle = action.color;
+    ctx.beginPath();
+    traceClosedPoints(ctx, action.points);
+    ctx.fill(action.fillRule);
+    ctx.restore();
+  }
+
+  function renderFillEllipse(surface, action) {
+    const ctx = surface.ctx;
+    ctx.save();
+    applyActionCompositing(surface, action);
+    ctx.fillStyle = action.color;
+    ctx.beginPath();
+    ctx.ellipse(
+      action.centerX,
+      action.centerY,
+      action.radiusX,
+      action.radiusY,
+      (action.rotation * Math.PI) / 180,
+      0,
+      Math.PI * 2
+    );
+    ctx.fill();
+    ctx.restore();
+  }
+
+  function renderFillPath(surface, action) {
+    const ctx = surface.ctx;
+    ctx.save();
+    applyActionCompositing(surface, action);
+    ctx.fillStyle = action.color;
+    ctx.beginPath();
+    for (const subpath of action.subpaths || []) {
+      const points = subpath.mode === 'line'
+        ? subpath.points
+        : flattenCurve({ mode: subpath.mode, tension: subpath.tension, closed: true, points: subpath.points });
+      traceClosedPoints(ctx, points);
+    }
+    ctx.fill(action.fillRule);
+    ctx.restore();
+  }
+
+  // The canvas spec starts conic gradients pointing right and honours startAngle; @napi-rs/canvas
+  // starts them pointing up and ignores startAngle. Conic fills are therefore created at angle 0
+  // and turned with the transform, after probing each context type once for where angle 0
+  // points, so browser and Node replays agree.
+  const conicStartOffsets = new Map();
+
+  function conicStartOffset(ctx) {
+    const key = Object.getPrototypeOf(ctx);
+    if (conicStartOffsets.has(key)) return conicStartOffsets.get(key);
+
+    // Red covers the first half turn. Starting right, that half includes the lower-left
+    // corner of an 8x8 block; starting up, it does not.
+    const saved = ctx.getImageData(0, 0, 8, 8);
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'source-over';
+    const probe = ctx.createConicGradient(0, 4, 4);
+    probe.addColorStop(0, '#FF0000');
+    probe.addColorStop(0.45, '#FF0000');
+    probe.addColorStop(0.55, '#0000FF');
+    probe.addColorStop(1, '#0000FF');
+    ctx.fillStyle = probe;
+    ctx.fillRect(0, 0, 8, 8);
+    const lowerLeft = ctx.getImageData(1, 6, 1, 1).data;
+    ctx.restore();
+    ctx.putImageData(saved, 0, 0);
+
+    const offset = lowerLeft[0] > lowerLeft[2] ? 0 : Math.PI / 2;
+    conicStartOffsets.set(key, offset);
+    return offset;
+  }
+
+  function createActionGradient(ctx, gradient) {
+    let canvasGradient;
+    if (gradient.type === 'radial') {
+      canvasGradient = ctx.createRadialGradient(
+        gradient.centerX,
+        gradient.centerY,
+        gradient.innerRadius,
+        gradient.centerX,
+        gradient.centerY,
+        gradient.radius
+      );
+    } else if (gradient.type === 'conic') {
+      canvasGradient = ctx.createConicGradient(0, gradient.centerX, gradient.centerY);
+    } else {
+      canvasGradient = ctx.createLinearGradient(gradient.startX, gradient.startY, gradient.endX, gradient.endY);
+    }
+
+    // Stops sharing an offset (hard bands) misrender in @napi-rs/canvas, so repeats are nudged
+    // just past the previous stop; a repeat that would pass 1 is dropped.
+    let previousOffset = -1;
+    for (const stop of gradient.stops) {
+      const offset = stop.offset > previousOffset ? stop.offset : previousOffset + GRADIENT_STOP_NUDGE;
+      if (offset > 1) continue;
+      const rgb = hexToRgb(stop.color) || { r: 0, g: 0, b: 0 };
+      canvasGradient.addColorStop(offset, `rgba(${rgb.r}, ${rgb.g}, ${rgb.b}, ${stop.opacity})`);
+      previousOffset = offset;
+    }
+    return canvasGradient;
+  }
+
+  function renderFillGradient(surface, action) {
+    if (action.shape === 'polygon' && (!Array.isArray(action.points) || action.points.length < 3)) return;
+    const ctx = surface.ctx;
+    const gradient = action.gradient;
+    ctx.save();
+    applyActionCompositing(surface, action);
+    ctx.fillStyle = createActionGradient(ctx, gradient);
+
+    // Conic fills turn the gradient with the transform, so the shape is traced through the
+    // inverse rotation and lands where it would unrotated.
+    let turn = 0;
+    let toLocal = (x, y) => ({ x, y });
+    if (gradient.type === 'conic') {
+      turn = (gradient.angle * Math.PI) / 180 + conicStartOffset(ctx);
+      const cos = Math.cos(-turn);
+      const sin = Math.sin(-turn);
+      toLocal = (x, y) => ({
+        x: gradient.centerX + (x - gradient.centerX) * cos - (y - gradient.centerY) * sin,
+        y: gradient.centerY + (x - gradient.centerX) * sin + (y - gradient.centerY) * cos
+      });
+      ctx.translate(gradient.centerX, gradient.centerY);
+      ctx.rotate(turn);
+      ctx.translate(-gradient.centerX, -gradient.centerY);
+    }
+
+    ctx.beginPath();
+    if (action.shape === 'ellipse') {
+      const center = toLocal(action.centerX, action.centerY);
+      ctx.ellipse(
+        center.x,
+        center.y,
+        action.radiusX,
+        action.radiusY,
+        (action.rotation * Math.PI) / 180 - turn,
+        0,
+        Math.PI * 2
+      );
+    } else if (action.shape === 'polygon') {
+      traceClosedPoints(ctx, action.points.map((point) => toLocal(point.x, point.y)));
+    } else {
+      traceClosedPoints(ctx, [
+        toLocal(action.x1, action.y1),
+        toLocal(action.x2, action.y1),
+        toLocal(action.x2, action.y2),
+        toLocal(action.x1, action.y2)
+      ]);
+    }
+    ctx.fill(action.shape === 'polygon' ? action.fillRule : 'nonzero');
+    ctx.restore();
+  }
+
+  function renderPolyline(surface, action) {
+    const points = action.points;
+    if (!Array.isArray(points) || points.length < 2) return;
+    if (action.tool === 'brush' && action.brush) {
+      renderBrushStroke(surface, points, action);
+      return;
+    }
+
+    const ctx = surface.ctx;
+    ctx.save();
+    applyActionCompositing(surface, action);
+    ctx.beginPath();
+    ctx.strokeStyle = action.tool === 'eraser' ? '#FFFFFF' : action.color;
+    ctx.lineWidth = action.lineWidth;
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+    ctx.moveTo(points[0].x, points[0].y);
+    for (let i = 1; i < points.length; i += 1) {
+      ctx.lineTo(points[i].x, points[i].y);
+    }
+    ctx.stroke();
+    ctx.restore();
+  }
+
+  // Flattens a curve into a fixed number of samples per segment so every renderer (and every
+  // replay) strokes exactly the same geometry. Incomplete trailing Bezier segments are ignored.
+  function flattenCurve(action) {
+    const points = action.points;
+    const samples = [];
+    const pushSegment = (evaluate) => {
+      for (let step = samples.length === 0 ? 0 : 1; step <= CURVE_SAMPLES_PER_SEGMENT; step += 1) {
+        samples.push(evaluate(step / CURVE_SAMPLES_PER_SEGMENT));
+      }
+    };
+
+    if (action.mode === 'quadratic') {
+      for (let i = 0; i + 2 < points.length; i += 2) {
+        const [p0, c, p1] = [points[i], points[i + 1], points[i + 2]];
+        pushSegment((t) => {
+          const u = 1 - t;
+          return {
+            x: (u * u * p0.x) + (2 * u * t * c.x) + (t * t * p1.x),
+            y: (u * u * p0.y) + (2 * u * t * c.y) + (t * t * p1.y)
+          };
+        });
+      }
+    } else if (action.mode === 'cubic') {
+      for (let i = 0; i + 3 < points.length; i += 3) {
+        const [p0, c1, c2, p1] = [points[i], points[i + 1], points[i + 2], points[i + 3]];
+        pushSegment((t) => {
+          const u = 1 - t;
+          return {
+            x: (u * u * u * p0.x) + (3 * u * u * t * c1.x) + (3 * u * t * t * c2.x) + (t * t * t * p1.x),
+            y: (u * u * u * p0.y) + (3 * u * u * t * c1.y) + (3 * u * t * t * c2.y) + (t * t * t * p1.y)
+          };
+        });
+      }
+    } else {
+      // Cardinal spline: tension 0 is Catmull-Rom, tension 1 gives straight segments.
+      const count = points.length;
+      const at = (index) => {
+        if (action.closed) return points[((index % count) + count) % count];
+        return points[clamp(index, 0, count - 1)];
+      };
+      const scale = (1 - action.tension) / 2;
+      const segmentCount = action.closed ? count : count - 1;
+      for (let i = 0; i < segmentCount; i += 1) {
+        const p0 = at(i);
+        const p1 = at(i + 1);
+        const m0 = { x: (at(i + 1).x - at(i - 1).x) * scale, y: (at(i + 1).y - at(i - 1).y) * scale };
+        const m1 = { x: (at(i + 2).x - at(i).x) * scale, y: (at(i + 2).y - at(i).y) * scale };
+        pushSegment((t) => {
+          const t2 = t * t;
+          const t3 = t2 * t;
+          const h00 = (2 * t3) - (3 * t2) + 1;
+          const h10 = t3 - (2 * t2) + t;
+          const h01 = (-2 * t3) + (3 * t2);
+          const h11 = t3 - t2;
+          return {
+            x: (h00 * p0.x) + (h10 * m0.x) + (h01 * p1.x) + (h11 * m1.x),
+            y: (h00 * p0.y) + (h10 * m0.y) + (h01 * p1.y) + (h11 * m1.y)
+          };
+        });
+      }
+      // A closed spline ends where it started; the ring closes itself.
+      if (action.closed && samples.length > 1) {
+        samples.pop();
+      }
+    }
+
+    return samples;
+  }
+
+  function assignCurveWidths(samples, widths, closed) {
+    const lengths = [0];
+    for (let i = 1; i < samples.length; i += 1) {
+      lengths.push(lengths[i - 1] + Math.hypot(samples[i].x - samples[i - 1].x, samples[i].y - samples[i - 1].y));
+    }
+    const total = lengths[lengths.length - 1]
+      + (closed ? Math.hypot(samples[0].x - samples[samples.length - 1].x, samples[0].y - samples[samples.length - 1].y) : 0);
+
+    return samples.map((sample, i) => {
+      const position = total > 0 ? (lengths[i] / total) * (widths.length - 1) : 0;
+      const index = Math.min(widths.length - 2, Math.floor(position));
+      const fraction = position - index;
+      return { ...sample, width: widths[index] + ((widths[index + 1] - widths[index]) * fraction) };
+    });
+  }
+
+  function curveSampleNormal(samples, i, closed) {
+    const last = samples.length - 1;
+    const prev = closed ? samples[(i + last) % samples.length] : samples[Math.max(0, i - 1)];
+    const next = closed ? samples[(i + 1) % samples.length] : samples[Math.min(last, i + 1)];
+    const dx = next.x - prev.x;
+    const dy = next.y - prev.y;
+    const length = Math.hypot(dx, dy) || 1;
+    return { x: -dy / length, y: dx / length };
+  }
+
+  // Variable-width curves are filled as one outline so translucent strokes never overlap themselves.
+  function traceVariableWidthOutline(ctx, samples, closed) {
+    const left = [];
+    const right = [];
+    for (let i = 0; i < samples.length; i += 1) {
+      const normal = curveSampleNormal(samples, i, closed);
+      const half = samples[i].width / 2;
+      left.push({ x: samples[i].x + (normal.x * half), y: samples[i].y + (normal.y * half) });
+      right.push({ x: samples[i].x - (normal.x * half), y: samples[i].y - (normal.y * half) });
+    }
+
+    ctx.beginPath();
+    if (closed) {
+      // Two rings wound in opposite directions leave the middle unfilled under nonzero.
+      ctx.moveTo(left[0].x, left[0].y);
+      for (let i = 1; i < left.length; i += 1) ctx.lineTo(left[i].x, left[i].y);
+      ctx.closePath();
+      ctx.moveTo(right[right.length - 1].x, right[right.length - 1].y);
+      for (let i = right.length - 2; i >= 0; i -= 1) ctx.lineTo(right[i].x, right[i].y);
+      ctx.closePath();
+      return;
+    }
+
+    const first = samples[0];
+    const last = samples[samples.length - 1];
+    const endNormal = curveSampleNormal(samples, samples.length - 1, false);
+    const startNormal = curveSampleNormal(samples, 0, false);
+    const endAngle = Math.atan2(endNormal.y, endNormal.x);
+    const startAngle = Math.atan2(startNormal.y, startNormal.x);
+    ctx.moveTo(left[0].x, left[0].y);
+    for (let i = 1; i < left.length; i += 1) ctx.lineTo(left[i].x, left[i].y);
+    ctx.arc(last.x, last.y, last.width / 2, endAngle, endAngle + Math.PI, true);
+    for (let i = right.length - 2; i >= 0; i -= 1) ctx.lineTo(right[i].x, right[i].y);
+    ctx.arc(first.x, first.y, first.width / 2, startAngle + Math.PI, startAngle, true);
+    ctx.closePath();
+  }
+
+  function renderCurve(surface, action) {
+    const samples = flattenCurve(action);
+    if (samples.length < 2) return;
+    if (action.tool === 'brush' && action.brush) {
+      const path = action.closed ? [...samples, samples[0]] : samples;
+      const hasWidths = Array.isArray(action.widths) && action.widths.length >= 2;
+      renderBrushStroke(surface, hasWidths ? assignCurveWidths(path, action.widths, false) : path, action);
+      return;
+    }
+
+    const ctx = surface.ctx;
+    const color = action.tool === 'eraser' ? '#FFFFFF' : action.color;
+    ctx.save();
+    applyActionCompositing(surface, action);
+
+    if (Array.isArray(action.widths) && action.widths.length >= 2) {
+      traceVariableWidthOutline(ctx, assignCurveWidths(samples, action.widths, action.closed), action.closed);
+      ctx.fillStyle = color;
+      ctx.fill('nonzero');
+    } else {
+      ctx.beginPath();
+      ctx.strokeStyle = color;
+      ctx.lineWidth = action.lineWidth;
+      ctx.lineCap = 'round';
+      ctx.lineJoin = 'round';
+      ctx.moveTo(samples[0].x, samples[0].y);
+      for (let i = 1; i < samples.length; i += 1) {
+        ctx.lineTo(samples[i].x, samples[i].y);
+      }
+      if (action.closed) {
+        ctx.closePath();
+      }
+      ctx.stroke();
+    }
+    ctx.restore();
+  }
+
+  function renderText(surface, action) {
+    if (!action.text.trim()) return;
+    const ctx = surface.ctx;
+    const lines = action.text.split('\n');
+    const lineHeight = action.fontSize * TEXT_LINE_HEIGHT;
+    ctx.save();
+    applyActionCompositing(surface, action);
+    ctx.translate(action.x, action.y);
+    ctx.rotate((action.rotation * Math.PI) / 180);
+    ctx.fillStyle = action.color;
+    ctx.font = `${action.fontWeight} ${action.fontSize}px "${action.fontFamily}"`;
+    ctx.textAlign = action.align;
+    ctx.textBaseline = 'middle';
+    const firstLineY = -((lines.length - 1) * lineHeight) / 2;
+    lines.forEach((line, i) => {
+      ctx.fillText(line, 0, firstLineY + i * lineHeight);
+    });
+    ctx.restore();
+  }
+
+  // ── Brush engine ──
+  // Brush strokes are stamped: dabs of the tip are placed every few pixels along the path.
+  // Tapers shrink and fade the dabs near the ends, and all jitter comes from mulberry32 seeded
+  // by `brush.seed`, so a logged stroke always stamps the same dabs.
+
+  function renderBrushStroke(surface, points, action) {
+    const brush = action.brush;
+    const ctx = surface.ctx;
+    const spacingFraction = BRUSH_TIP_SPACING[brush.tip] || BRUSH_TIP_SPACING.round;
+    const spacing = Math.max(1, action.lineWidth * spacingFraction);
+    const random = mulberry32(brush.seed);
+    const bristles = brush.tip === 'bristle' ? createBristles(action.lineWidth, random) : null;
+
+    const lengths = [0];
+    for (let i = 1; i < points.length; i += 1) {
+      lengths.push(lengths[i - 1] + Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y));
+    }
+    const total = lengths[lengths.length - 1];
+
+    ctx.save();
+    applyActionCompositing(surface, action);
+    const strokeAlpha = ctx.globalAlpha;
+    ctx.fillStyle = action.color;
+
+    let segment = 1;
+    for (let distance = 0; distance <= total; distance += spacing) {
+      while (segment < points.length - 1 && lengths[segment] < distance) segment += 1;
+      const from = points[Math.max(0, segment - 1)];
+      const to = points[Math.min(points.length - 1, segment)];
+      const segmentLength = lengths[segment] - lengths[segment - 1] || 0;
+      const along = segmentLength > 0 ? clamp((distance - lengths[segment - 1]) / segmentLength, 0, 1) : 0;
+      const t = total > 0 ? distance / total : 0;
+      const taper = brushTaperFactor(brush, t);
+
+      // Four draws per dab whatever the jitter, so changing jitter never reshuffles the tip's own randomness.
+      const jitterX = (random() - 0.5) * brush.jitter;
+      const jitterY = (random() - 0.5) * brush.jitter;
+      const jitterSize = 1 + (random() - 0.5) * brush.jitter * 0.6;
+      const jitterAngle = (random() - 0.5) * brush.jitter * 0.5;
+
+      const baseWidth = Number.isFinite(from.width) ? from.width + ((to.width - from.width) * along) : action.lineWidth;
+      const radius = Math.max(0.5, (baseWidth / 2) * (0.15 + 0.85 * taper) * jitterSize);
+      stampBrushDab(ctx, brush.tip, {
+        x: from.x + ((to.x - from.x) * along) + jitterX * radius,
+        y: from.y + ((to.y - from.y) * along) + jitterY * radius,
+        radius,
+        angle: Math.atan2(to.y - from.y, to.x - from.x) + jitterAngle,
+        tilt: jitterAngle,
+        alpha: strokeAlpha * (0.3 + 0.7 * taper),
+        spacingFraction,
+        t
+      }, random, bristles);
+    }
+    ctx.restore();
+  }
+
+  // 1 in the body of the stroke, easing to 0 at tapered ends.
+  function brushTaperFactor(brush, t) {
+    let factor = 1;
+    if (brush.taperStart > 0 && t < brush.taperStart) factor = Math.min(factor, t / brush.taperStart);
+    if (brush.taperEnd > 0 && t > 1 - brush.taperEnd) factor = Math.min(factor, (1 - t) / brush.taperEnd);
+    return factor * factor * (3 - 2 * factor);
+  }
+
+  // Each bristle keeps its place across the tip and runs dry at its own rate.
+  function createBristles(lineWidth, random) {
+    const count = clamp(Math.round(lineWidth / 2.5), 3, 16);
+    const bristles = [];
+    for (let i = 0; i < count; i += 1) {
+      bristles.push({
+        offset: (((i + 0.5) / count) * 2 - 1) + (random() - 0.5) * (1 / count),
+        size: 0.12 + random() * 0.14,
+        ink: 0.6 + random() * 0.4,
+        dryRate: random() * 0.9
+      });
+    }
+    return bristles;
+  }
+
+  // Dabs overlap about 1 / spacingFraction times, so each is thinned to build up to `alpha`.
+  function dabAlpha(alpha, spacingFraction) {
+    return 1 - Math.pow(1 - clamp(alpha, 0, 1), spacingFraction);
+  }
+
+  function stampBrushDab(ctx, tip, dab, random, bristles) {
+    switch (tip) {
+      case 'flat': {
+        ctx.globalAlpha = dabAlpha(dab.alpha, dab.spacingFraction);
+        ctx.beginPath();
+        ctx.ellipse(dab.x, dab.y, dab.radius, Math.max(0.5, dab.radius * 0.22), FLAT_NIB_ANGLE + dab.tilt, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      }
+      case 'bristle': {
+        const normalX = -Math.sin(dab.angle);
+        const normalY = Math.cos(dab.angle);
+        for (const bristle of bristles) {
+          const ink = bristle.ink * (1 - dab.t * bristle.dryRate);
+          if (ink <= 0) continue;
+          // Bristle dots are much narrower than the tip, so they overlap far less than full dabs.
+          ctx.globalAlpha = dabAlpha(dab.alpha * ink, dab.spacingFraction * 5);
+          ctx.beginPath();
+          ctx.arc(
+            dab.x + normalX * bristle.offset * dab.radius,
+            dab.y + normalY * bristle.offset * dab.radius,
+            Math.max(0.5, bristle.size * dab.radius),
+            0,
+            Math.PI * 2
+          );
+          ctx.fill();
+        }
+        break;
+      }
+      case 'chalk': {
+        const grains = clamp(Math.round(dab.radius * dab.radius * 0.5), 3, 60);
+        ctx.globalAlpha = clamp(dab.alpha * 0.8, 0, 1);
+        for (let i = 0; i < grains; i += 1) {
+          const angle = random() * Math.PI * 2;
+          const distance = dab.radius * Math.sqrt(random());
+          const size = random() < 0.3 ? 2 : 1;
+          ctx.fillRect(
+            Math.round(dab.x + Math.cos(angle) * distance),
+            Math.round(dab.y + Math.sin(angle) * distance),
+            size,
+            size
+          );
+        }
+        break;
+      }
+      case 'watercolor': {
+        ctx.globalAlpha = clamp(dab.alpha * WATERCOLOR_FLOW, 0, 1);
+        ctx.beginPath();
+        ctx.arc(dab.x, dab.y, dab.radius * (0.85 + random() * 0.3), 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      }
+      default: {
+        ctx.globalAlpha = dabAlpha(dab.alpha, dab.spacingFraction);
+        ctx.beginPath();
+        ctx.arc(dab.x, dab.y, dab.radius, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      }
+    }
+  }
+
+  // Transparent surfaces (layers above the background) clear to transparency instead of white.
+  function clearSurface(surface) {
+    const ctx = surface.ctx;
+    if (surface.transparent) {
+      ctx.clearRect(0, 0, surface.width, surface.height);
+      return;
+    }
+    ctx.save();
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, surface.width, surface.height);
+    ctx.restore();
+  }
+
+  // Paints a starting ground on an opaque surface. `startImage` is ImageData at the surface
+  // size; an image start without it (or at another size) leaves the surface white.
+  function paintStartCanvas(surface, startCanvas, startImage) {
+    const start = normalizeStartCanvas(startCanvas);
+    const ctx = surface.ctx;
+    clearSurface(surface);
+
+    if (start.type === 'image' || start.type === 'snapshot') {
+      if (startImage && startImage.width === surface.width && startImage.height === surface.height) {
+        ctx.putImageData(startImage, 0, 0);
+      }
+      return;
+    }
+    if (start.type === 'white') return;
+
+    ctx.save();
+    if (start.type === 'gradient') {
+      const gradient = start.direction === 'horizontal'
+        ? ctx.createLinearGradient(0, 0, surface.width, 0)
+        : ctx.createLinearGradient(0, 0, 0, surface.height);
+      gradient.addColorStop(0, start.colors[0]);
+      gradient.addColorStop(1, start.colors[1]);
+      ctx.fillStyle = gradient;
+    } else {
+      ctx.fillStyle = start.color;
+    }
+    ctx.fillRect(0, 0, surface.width, surface.height);
+    ctx.restore();
+  }
+
+  function sprayPaint(surface, x, y, radius, density, color, seed) {
+    const ctx = surface.ctx;
+    const random = mulberry32(seed >>> 0);
+    ctx.save();
+    ctx.fillStyle = color;
+
+    for (let i = 0; i < density; i += 1) {
+      const angle = random() * Math.PI * 2;
+      const radial = random() * radius;
+      const dotX = x + radial * Math.cos(angle);
+      const dotY = y + radial * Math.sin(angle);
+
+      ctx.beginPath();
+      ctx.arc(dotX, dotY, 1, 0, Math.PI * 2);
+      ctx.fill();
+    }
+    ctx.restore();
+  }
+
+  // `compositing` ({ opacity, blendMode }) is optional; an opaque normal fill writes pixels
+  // directly, anything else paints the filled region as 1px-high runs through the context.
+  // Scanline flood fill. `options` carries the action's opacity/blendMode and, on newer
+  // actions, `fill` (see normalizeFloodFillOptions). Returns the number of pixels filled and
+  // their bounding box; antialiased edge pixels around the region are blended, not counted.
+  function floodFill(surface, startX, startY, fillColor, options = null) {
+    const width = surface.width;
+    const height = surface.height;
+    const empty = { pixelCount: 0, bbox: null };
+    if (startX < 0 || startX >= width || startY < 0 || startY >= height) return empty;
+
+    const imageData = surface.ctx.getImageData(0, 0, width, height);
+    const data = imageData.data;
+
+    const startIndex = (startY * width + startX) * 4;
+    const start = {
+      r: data[startIndex],
+      g: data[startIndex + 1],
+      b: data[startIndex + 2],
+      a: data[startIndex + 3]
+    };
+
+    const fillRgb = hexToRgb(fillColor);
+    if (!fillRgb) return empty;
+
+    if (colorsMatch(start.r, start.g, start.b, start.a, fillRgb.r, fillRgb.g, fillRgb.b, 255)) {
+      return empty;
+    }
+
+    const fillOptions = options?.fill || null;
+    const filled = matchFillRegion(data, width, height, startX, startY, fillOptions);
+    const edges = fillOptions ? findEdgeCoverage(data, filled, width, height, start) : null;
+    const result = summarizeMask(filled, width, height);
+
+    const opacity = normalizeOpacity(options?.opacity, 1);
+    const blendMode = normalizeBlendMode(options?.blendMode, 'normal');
+    if (opacity === 1 && blendMode === 'normal') {
+      for (let pixel = 0; pixel < filled.length; pixel += 1) {
+        if (!filled[pixel]) continue;
+        const idx = pixel * 4;
+        data[idx] = fillRgb.r;
+        data[idx + 1] = fillRgb.g;
+        data[idx + 2] = fillRgb.b;
+        data[idx + 3] = 255;
+      }
+      if (edges) {
+        blendEdgePixels(data, edges, start, fillRgb);
+      }
+      surface.ctx.putImageData(imageData, 0, 0);
+      return result;
+    }
+
+    const ctx = surface.ctx;
+    ctx.save();
+    applyActionCompositing(surface, { opacity, blendMode });
+    ctx.fillStyle = fillColor;
+    ctx.beginPath();
+    for (let y = 0; y < height; y += 1) {
+      let runStart = -1;
+      for (let x = 0; x <= width; x += 1) {
+        const inside = x < width && filled[y * width + x] === 1;
+        if (inside && runStart < 0) {
+          runStart = x;
+        } else if (!inside && runStart >= 0) {
+          ctx.rect(runStart, y, x - runStart, 1);
+          runStart = -1;
+        }
+      }
+    }
+    ctx.fill();
+    if (edges) {
+      for (const [pixel, coverage] of edges) {
+        ctx.globalAlpha = opacity * coverage;
+        ctx.fillRect(pixel % width, Math.floor(pixel / width), 1, 1);
+      }
+    }
+    ctx.restore();
+    return result;
+  }
+
+  // Mask of the pixels a fill seeded at (startX, startY) would cover, before edge blending.
+  // Shared by floodFill and the magic-wand selection.
+  function matchFillRegion(data, width, height, startX, startY, fillOptions) {
+    const startIndex = (startY * width + startX) * 4;
+    const tolerance = fillOptions ? fillOptions.tolerance : FLOOD_FILL_TOLERANCE;
+    const open = new Uint8Array(width * height);
+    for (let pixel = 0, idx = 0; pixel < open.length; pixel += 1, idx += 4) {
+      open[pixel] = colorsMatchWithTolerance(
+        data[idx], data[idx + 1], data[idx + 2], data[idx + 3],
+        data[startIndex], data[startIndex + 1], data[startIndex + 2], data[startIndex + 3],
+        tolerance
+      ) ? 1 : 0;
+    }
+
+    if (fillOptions && !fillOptions.contiguous) {
+      return open;
+    }
+    if (fillOptions && fillOptions.closeGapsPx > 0) {
+      return fillClosingGaps(open, width, height, startX, startY, fillOptions.closeGapsPx);
+    }
+    return scanlineFill(open, width, height, startX, startY);
+  }
+
+  // Span fill over `open` from the seed; returns the 4-connected region as a mask.
+  function scanlineFill(open, width, height, seedX, seedY) {
+    const filled = new Uint8Array(width * height);
+    if (!open[seedY * width + seedX]) return filled;
+
+    const seeds = [seedX, seedY];
+    while (seeds.length > 0) {
+      const y = seeds.pop();
+      const x = seeds.pop();
+      const row = y * width;
+      if (filled[row + x] || !open[row + x]) continue;
+
+      let left = x;
+      while (left > 0 && open[row + left - 1] && !filled[row + left - 1]) left -= 1;
+      let right = x;
+      while (right < width - 1 && open[row + right + 1] && !filled[row + right + 1]) right += 1;
+      for (let i = left; i <= right; i += 1) filled[row + i] = 1;
+
+      for (const nextY of [y - 1, y + 1]) {
+        if (nextY < 0 || nextY >= height) continue;
+        const nextRow = nextY * width;
+        let inRun = false;
+        for (let i = left; i <= right; i += 1) {
+          const fillable = open[nextRow + i] && !filled[nextRow + i];
+          if (fillable && !inRun) {
+            seeds.push(i, nextY);
+          }
+          inRun = Boolean(fillable);
+        }
+      }
+    }
+    return filled;
+  }
+
+  // Thickens the walls by `gapPx / 2` so gaps up to `gapPx` wide close, fills inside the
+  // thickened walls, then grows the fill back out to the real walls.
+  function fillClosingGaps(open, width, height, seedX, seedY, gapPx) {
+    const radius = Math.ceil(gapPx / 2);
+    const walls = new Uint8Array(open.length);
+    for (let pixel = 0; pixel < open.length; pixel += 1) walls[pixel] = open[pixel] ? 0 : 1;
+    const thickWalls = dilateMask(walls, width, height, radius);
+
+    // A seed inside the thickened walls (a narrow region) falls back to the plain fill.
+    if (thickWalls[seedY * width + seedX]) return scanlineFill(open, width, height, seedX, seedY);
+
+    const narrowed = new Uint8Array(open.length);
+    for (let pixel = 0; pixel < open.length; pixel += 1) narrowed[pixel] = open[pixel] && !thickWalls[pixel] ? 1 : 0;
+    const core = scanlineFill(narrowed, width, height, seedX, seedY);
+    const grown = dilateMask(core, width, height, radius);
+    for (let pixel = 0; pixel < open.length; pixel += 1) grown[pixel] = grown[pixel] && open[pixel] ? 1 : 0;
+    return grown;
+  }
+
+  // Square dilation by `radius`, as a horizontal then a vertical sliding-window pass.
+  function dilateMask(mask, width, height, radius) {
+    const horizontal = new Uint8Array(mask.length);
+    for (let y = 0; y < height; y += 1) {
+      const row = y * width;
+      let count = 0;
+      for (let x = 0; x < Math.min(radius, width); x += 1) count += mask[row + x];
+      for (let x = 0; x < width; x += 1) {
+        if (x + radius < width) count += mask[row + x + radius];
+        if (x - radius - 1 >= 0) count -= mask[row + x - radius - 1];
+        horizontal[row + x] = count > 0 ? 1 : 0;
+      }
+    }
+
+    const result = new Uint8Array(mask.length);
+    for (let x = 0; x < width; x += 1) {
+      let count = 0;
+      for (let y = 0; y < Math.min(radius, height); y += 1) count += horizontal[y * width + x];
+      for (let y = 0; y < height; y += 1) {
+        if (y + radius < height) count += horizontal[(y + radius) * width + x];
+        if (y - radius - 1 >= 0) count -= horizontal[(y - radius - 1) * width + x];
+        result[y * width + x] = count > 0 ? 1 : 0;
+      }
+    }
+    return result;
+  }
+
+  // Unfilled pixels touching the fill are treated as part start color, part outline (the
+  // antialiased rim of a stroke). Coverage is how much of the start color they still hold.
+  function findEdgeCoverage(data, filled, width, height, start) {
+    const edges = [];
+    for (let y = 0; y < height; y += 1) {
+      for (let x = 0; x < width; x += 1) {
+        const pixel = y * width + x;
+        if (filled[pixel]) continue;
+        const touches = (x > 0 && filled[pixel - 1])
+          || (x < width - 1 && filled[pixel + 1])
+          || (y > 0 && filled[pixel - width])
+          || (y < height - 1 && filled[pixel + width]);
+        if (!touches) continue;
+
+        const idx = pixel * 4;
+        const delta = Math.max(
+          Math.abs(data[idx] - start.r),
+          Math.abs(data[idx + 1] - start.g),
+          Math.abs(data[idx + 2] - start.b),
+          Math.abs(data[idx + 3] - start.a)
+        );
+        const coverage = Math.round((1 - delta / 255) * 1000) / 1000;
+        if (coverage > 0) edges.push([pixel, coverage]);
+      }
+    }
+    return edges;
+  }
+
+  // Swaps the start-color share of each edge pixel for the fill color. On a transparent start
+  // the fill goes behind the pixel instead, since its color channels carry no start color.
+  function blendEdgePixels(data, edges, start, fillRgb) {
+    for (const [pixel, coverage] of edges) {
+      const idx = pixel * 4;
+      if (start.a === 0) {
+        const alpha = data[idx + 3] / 255;
+        data[idx] = Math.round(data[idx] * alpha + fillRgb.r * (1 - alpha));
+        data[idx + 1] = Math.round(data[idx + 1] * alpha + fillRgb.g * (1 - alpha));
+        data[idx + 2] = Math.round(data[idx + 2] * alpha + fillRgb.b * (1 - alpha));
+        data[idx + 3] = 255;
+        continue;
+      }
+      data[idx] = clamp(Math.round(data[idx] + (fillRgb.r - start.r) * coverage), 0, 255);
+      data[idx + 1] = clamp(Math.round(data[idx + 1] + (fillRgb.g - start.g) * coverage), 0, 255);
+      data[idx + 2] = clamp(Math.round(data[idx + 2] + (fillRgb.b - start.b) * coverage), 0, 255);
+      data[idx + 3] = clamp(Math.round(data[idx + 3] + (255 - start.a) * coverage), 0, 255);
+    }
+  }
+
+  function summarizeMask(mask, width, height) {
+    let pixelCount = 0;
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+    for (let y = 0; y < height; y += 1) {
+      const row = y * width;
+      for (let x = 0; x < width; x += 1) {
+        if (!mask[row + x]) continue;
+        pixelCount += 1;
+        if (x < minX) minX = x;
+        if (x > maxX) maxX = x;
+        if (y < minY) minY = y;
+        if (y > maxY) maxY = y;
+      }
+    }
+    return {
+      pixelCount,
+      bbox: pixelCount > 0 ? { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 } : null
+    };
+  }
+
+  function hexToRgb(hex) {
+    const clean = String(hex).replace('#', '').trim();
+    if (!/^[0-9a-fA-F]{6}$/.test(clean)) return null;
+    const parsed = Number.parseInt(clean, 16);
+    return {
+      r: (parsed >> 16) & 255,
+      g: (parsed >> 8) & 255,
+      b: parsed & 255
+    };
+  }
+
+  function colorsMatch(r1, g1, b1, a1, r2, g2, b2, a2) {
+    return r1 === r2 && g1 === g2 && b1 === b2 && a1 === a2;
+  }
+
+  function colorsMatchWithTolerance(r1, g1, b1, a1, r2, g2, b2, a2, tolerance) {
+    return Math.abs(r1 - r2) <= tolerance
+      && Math.abs(g1 - g2) <= tolerance
+      && Math.abs(b1 - b2) <= tolerance
+      && Math.abs(a1 - a2) <= tolerance;
+  }
+
+  function deterministicSeedFromAction(action) {
+    const key = `${action.tool}|${action.color}|${action.lineWidth}|${action.startX}|${action.startY}|${action.x}|${action.y}`;
+    let hash = 2166136261;
+    for (let i = 0; i < key.length; i += 1) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  function brushSeedFromPoints(points, color) {
+    const key = `${color}|${points.map((point) => `${point.x},${point.y}`).join(';')}`;
+    let hash = 2166136261;
+    for (let i = 0; i < key.length; i += 1) {
+      hash ^= key.charCodeAt(i);
+      hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+  }
+
+  function mulberry32(seed) {
+    let t = seed >>> 0;
+    return function random() {
+      t += 0x6D2B79F5;
+      let r = Math.imul(t ^ (t >>> 15), 1 | t);
+      r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
+      return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  // ── Layers ──
+  // A layer stack paints into one surface per layer and composites them onto `display`.
+  // layers[0] is the opaque white background: it is never moved, merged down or deleted.
+  // Mutators below do not composite; callers run compositeLayers once they are done.
+
+  function createDefaultSurface(width, height) {
+    if (typeof document === 'undefined') {
+      throw new Error('createSurface is required to build layers outside the browser.');
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return { canvas, ctx: canvas.getContext('2d', { willReadFrequently: true }), width, height };
+  }
+
+  function createLayerStack(display, options = {}) {
+    const stack = {
+      display,
+      createSurface: typeof options.createSurface === 'function' ? options.createSurface : createDefaultSurface,
+      layers: [],
+      activeLayerId: BASE_LAYER_ID,
+      nextLayerNumber: 1,
+      selection: null
+    };
+    resetLayerStack(stack);
+    return stack;
+  }
+
+  function resetLayerStack(stack) {
+    stack.layers = [buildLayer(stack, BASE_LAYER_ID, { name: 'Background' })];
+    stack.activeLayerId = BASE_LAYER_ID;
+    stack.nextLayerNumber = 1;
+    stack.selection = null;
+    compositeLayers(stack);
+  }
+
+  function buildLayer(stack, id, rawProps) {
+    const surface = stack.createSurface(stack.display.width, stack.display.height);
+    surface.transparent = id !== BASE_LAYER_ID;
+    clearSurface(surface);
+    return {
+      id,
+      ...normalizeLayerProps(rawProps, { name: id, visible: true, opacity: 1, blendMode: 'normal' }),
+      surface
+    };
+  }
+
+  function normalizeLayerProps(rawProps, fallback) {
+    const raw = rawProps && typeof rawProps === 'object' ? rawProps : {};
+    const name = String(raw.name ?? '').trim().slice(0, 40);
+    return {
+      name: name || fallback.name,
+      visible: typeof raw.visible === 'boolean' ? raw.visible : fallback.visible,
+      opacity: normalizeOpacity(raw.opacity, fallback.opacity),
+      blendMode: normalizeBlendMode(raw.blendMode, fallback.blendMode)
+    };
+  }
+
+  function pickLayerProps(layer) {
+    return {
+      id: layer.id,
+      name: layer.name,
+      visible: layer.visible,
+      opacity: layer.opacity,
+      blendMode: layer.blendMode
+    };
+  }
+
+  function layerActionPayload(layer) {
+    return {
+      layerId: layer.id,
+      name: layer.name,
+      visible: layer.visible,
+      opacity: layer.opacity,
+      blendMode: layer.blendMode
+    };
+  }
+
+  // Keeps generated ids unique when layers are recreated from a log or snapshot.
+  function reserveLayerNumber(stack, layerId) {
+    const match = /^layer_(\d+)$/.exec(String(layerId));
+    if (match) {
+      stack.nextLayerNumber = Math.max(stack.nextLayerNumber, Number(match[1]) + 1);
+    }
+  }
+
+  function findLayer(stack, layerId) {
+    return stack.layers.find((layer) => layer.id === layerId) || null;
+  }
+
+  function getActiveLayer(stack) {
+    return findLayer(stack, stack.activeLayerId) || stack.layers[0];
+  }
+
+  function getActiveSurface(stack) {
+    return getActiveLayer(stack).surface;
+  }
+
+  function isDefaultLayerStack(stack) {
+    if (stack.layers.length !== 1) return false;
+    const base = stack.layers[0];
+    return base.visible && base.opacity === 1 && base.blendMode === 'normal';
+  }
+
+  function compositeOperationForBlendMode(blendMode) {
+    return blendMode === 'normal' || !BLEND_MODES.includes(blendMode) ? 'source-over' : blendMode;
+  }
+
+  function compositeLayers(stack) {
+    const display = stack.display;
+    const ctx = display.ctx;
+    ctx.save();
+    ctx.globalAlpha = 1;
+    ctx.globalCompositeOperation = 'source-over';
+    ctx.fillStyle = '#FFFFFF';
+    ctx.fillRect(0, 0, display.width, display.height);
+
+    for (const layer of stack.layers) {
+      if (!layer.visible || layer.opacity <= 0) continue;
+      ctx.globalAlpha = layer.opacity;
+      ctx.globalCompositeOperation = compositeOperationForBlendMode(layer.blendMode);
+      ctx.drawImage(layer.surface.canvas, 0, 0);
+    }
+    ctx.restore();
+  }
+
+  // Bottom-to-top summary used in tool results and the layers panel.
+  function summarizeLayers(stack) {
+    return stack.layers.map((layer) => ({
+      ...pickLayerProps(layer),
+      active: layer.id === stack.activeLayerId
+    }));
+  }
+
+  // Applies one layer command and returns { ok, payload } where payload is the normalized
+  // form to log, or { ok: false, error }. Replaying a logged payload yields the same stack.
+  function applyLayerAction(stack, kind, rawPayload) {
+    const raw = rawPayload && typeof rawPayload === 'object' ? rawPayload : {};
+    const layerId = raw.layerId ? String(raw.layerId) : stack.activeLayerId;
+
+    if (kind === 'create_layer') {
+      if (stack.layers.length >= MAX_LAYERS) {
+        return { ok: false, error: `Layer limit reached (${MAX_LAYERS}). Merge or delete a layer first.` };
+      }
+      const id = raw.layerId && !findLayer(stack, String(raw.layerId))
+        ? String(raw.layerId)
+        : `layer_${stack.nextLayerNumber}`;
+      reserveLayerNumber(stack, id);
+      const layer = buildLayer(stack, id, normalizeLayerProps(raw, {
+        name: `Layer ${id.replace(/^layer_/, '')}`,
+        visible: true,
+        opacity: 1,
+        blendMode: 'normal'
+      }));
+      stack.layers.splice(stack.layers.indexOf(getActiveLayer(stack)) + 1, 0, layer);
+      stack.activeLayerId = id;
+      return { ok: true, payload: layerActionPayload(layer) };
+    }
+
+    const layer = findLayer(stack, layerId);
+    if (!layer) {
+      return { ok: false, error: `Unknown layer: ${layerId}` };
+    }
+    const index = stack.layers.indexOf(layer);
+    const isBase = index === 0;
+
+    switch (kind) {
+      case 'select_layer': {
+        stack.activeLayerId = layer.id;
+        return { ok: true, payload: { layerId: layer.id } };
+      }
+      case 'set_layer_properties': {
+        Object.assign(layer, normalizeLayerProps(raw, layer));
+        return { ok: true, payload: layerActionPayload(layer) };
+      }
+      case 'move_layer': {
+        const direction = LAYER_MOVE_DIRECTIONS.includes(raw.direction) ? raw.direction : null;
+        if (!direction) {
+          return { ok: false, error: `Invalid direction. Use ${LAYER_MOVE_DIRECTIONS.join(', ')}.` };
+        }
+        if (isBase) {
+          return { ok: false, error: 'The background layer cannot be moved.' };
+        }
+        const lastIndex = stack.layers.length - 1;
+        const targets = { up: index + 1, down: index - 1, top: lastIndex, bottom: 1 };
+        const target = clamp(targets[direction], 1, lastIndex);
+        stack.layers.splice(index, 1);
+        stack.layers.splice(target, 0, layer);
+        return { ok: true, payload: { layerId: layer.id, direction, index: target } };
+      }
+      case 'merge_layer_down': {
+        if (isBase) {
+          return { ok: false, error: 'The background layer has nothing below it to merge into.' };
+        }
+        if (!layer.visible) {
+          return { ok: false, error: 'Show the layer before merging it down.' };
+        }
+        const below = stack.layers[index - 1];
+        const ctx = below.surface.ctx;
+        ctx.save();
+        ctx.globalAlpha = layer.opacity;
+        ctx.globalCompositeOperation = compositeOperationForBlendMode(layer.blendMode);
+        ctx.drawImage(layer.surface.canvas, 0, 0);
+        ctx.restore();
+        stack.layers.splice(index, 1);
+        stack.activeLayerId = below.id;
+        return { ok: true, payload: { layerId: layer.id, intoLayerId: below.id } };
+      }
+      case 'delete_layer': {
+        if (isBase) {
+          return { ok: false, error: 'The background layer cannot be deleted.' };
+        }
+        stack.layers.splice(index, 1);
+        if (stack.activeLayerId === layer.id) {
+          stack.activeLayerId = stack.layers[index - 1].id;
+        }
+        return { ok: true, payload: { layerId: layer.id } };
+      }
+      default:
+        return { ok: false, error: `Unknown layer action: ${kind}` };
+    }
+  }
+
+  // Layers whose pixels an undo snapshot must hold for `kind`; layer metadata is always kept.
+  function undoLayerIdsForAction(stack, kind, payload) {
+    const layerId = payload?.layerId ? String(payload.layerId) : stack.activeLayerId;
+    switch (kind) {
+      case 'create_layer':
+      case 'select_layer':
+      case 'set_layer_properties':
+      case 'move_layer':
+        return [];
+      case 'merge_layer_down': {
+        const index = stack.layers.findIndex((layer) => layer.id === layerId);
+        return index > 0 ? [layerId, stack.layers[index - 1].id] : [];
+      }
+      case 'delete_layer':
+        return [layerId];
+      default:
+        return [stack.activeLayerId];
+    }
+  }
+
+  function captureLayerState(stack, layerIds = null) {
+    const pixels = {};
+    for (const layer of stack.layers) {
+      if (layerIds && !layerIds.includes(layer.id)) continue;
+      pixels[layer.id] = captureSurface(layer.surface);
+    }
+    return {
+      layers: stack.layers.map(pickLayerProps),
+      activeLayerId: stack.activeLayerId,
+      pixels,
+      selection: cloneSelection(stack.selection)
+    };
+  }
+
+  // Layers missing from `snapshot.pixels` keep their current pixels; layers that no longer
+  // exist are recreated blank before their saved pixels (if any) are written back.
+  function restoreLayerState(stack, snapshot) {
+    const existing = new Map(stack.layers.map((layer) => [layer.id, layer]));
+    const metas = Array.isArray(snapshot?.layers) && snapshot.layers.length > 0
+      ? snapshot.layers
+      : [{ id: BASE_LAYER_ID, name: 'Background' }];
+
+    stack.layers = metas.map((meta) => {
+      const id = String(meta.id);
+      const layer = existing.get(id) || buildLayer(stack, id, meta);
+      Object.assign(layer, normalizeLayerProps(meta, layer));
+      const pixels = snapshot?.pixels?.[id];
+      if (pixels) {
+        layer.surface.ctx.putImageData(pixels, 0, 0);
+      }
+      reserveLayerNumber(stack, id);
+      return layer;
+    });
+
+    stack.activeLayerId = findLayer(stack, snapshot?.activeLayerId)
+      ? snapshot.activeLayerId
+      : stack.layers[0].id;
+
+    if (snapshot && Object.prototype.hasOwnProperty.call(snapshot, 'selection')) {
+      stack.selection = cloneSelection(snapshot.selection);
+    }
+  }
+
+  // ── Selection ──
+  // stack.selection is { mask, pixelCount, bbox } over the display, or null. The mask holds
+  // 1 for selected pixels; it is not tied to a layer, transforms act on the active layer.
+
+  function cloneSelection(selection) {
+    if (!selection) return null;
+    return { mask: selection.mask.slice(), pixelCount: selection.pixelCount, bbox: selection.bbox ? { ...selection.bbox } : null };
+  }
+
+  function summarizeSelection(stack) {
+    return stack.selection
+      ? { pixelCount: stack.selection.pixelCount, bbox: { ...stack.selection.bbox } }
+      : { pixelCount: 0, bbox: null };
+  }
+
+  function setSelectionMask(stack, mask) {
+    const summary = summarizeMask(mask, stack.display.width, stack.display.height);
+    stack.selection = summary.pixelCount > 0 ? { mask, ...summary } : null;
+  }
+
+  function normalizeSelectRegion(rawPayload, surface) {
+    const raw = rawPayload && typeof rawPayload === 'object' ? rawPayload : {};
+    const payload = {
+      mode: SELECTION_MODES.includes(raw.mode) ? raw.mode : 'rectangle',
+      combine: SELECTION_COMBINE_MODES.includes(raw.combine) ? raw.combine : 'replace'
+    };
+
+    if (payload.mode === 'lasso') {
+      payload.points = normalizePointList(surface, raw.points);
+    } else if (payload.mode === 'magic_wand') {
+      payload.x = clamp(clampX(surface, raw.x), 0, surface.width - 1);
+      payload.y = clamp(clampY(surface, raw.y), 0, surface.height - 1);
+      Object.assign(payload, normalizeFloodFillOptions(raw));
+    } else {
+      payload.x1 = clampX(surface, raw.x1);
+      payload.y1 = clampY(surface, raw.y1);
+      payload.x2 = clampX(surface, raw.x2);
+      payload.y2 = clampY(surface, raw.y2);
+    }
+    return payload;
+  }
+
+  // Only the fields the operation uses are kept, so logged payloads stay small.
+  function normalizeTransformSelection(rawPayload, surface) {
+    const raw = rawPayload && typeof rawPayload === 'object' ? rawPayload : {};
+    const operation = SELECTION_OPERATIONS.includes(raw.operation) ? raw.operation : 'move';
+    const payload = { operation };
+
+    if (operation === 'move' || operation === 'duplicate') {
+      payload.dx = clamp(Math.round(Number(raw.dx) || 0), -surface.width, surface.width);
+      payload.dy = clamp(Math.round(Number(raw.dy) || 0), -surface.height, surface.height);
+    } else if (operation === 'scale') {
+      payload.scaleX = normalizeSelectionScale(raw.scaleX);
+      payload.scaleY = normalizeSelectionScale(raw.scaleY ?? raw.scaleX);
+    } else if (operation === 'rotate') {
+      payload.angle = Math.round(clamp(Number(raw.angle) || 0, -360, 360) * 10) / 10;
+    } else if (operation === 'flip') {
+      payload.axis = SELECTION_FLIP_AXES.includes(raw.axis) ? raw.axis : 'horizontal';
+    }
+    return payload;
+  }
+
+  function normalizeSelectionScale(value) {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric) || numeric === 0) return 1;
+    return Math.round(clamp(numeric, MIN_SELECTION_SCALE, MAX_SELECTION_SCALE) * 1000) / 1000;
+  }
+
+  // Applies one selection command and returns { ok, payload, selection } where selection is
+  // { pixelCount, bbox } after the command, or { ok: false, error }. Like applyLayerAction,
+  // it does not composite.
+  function applySelectionAction(stack, kind, rawPayload) {
+    const surface = getActiveSurface(stack);
+
+    if (kind === 'clear_selection') {
+      stack.selection = null;
+      return { ok: true, payload: {}, selection: summarizeSelection(stack) };
+    }
+
+    if (kind === 'select_region') {
+      const payload = normalizeSelectRegion(rawPayload, surface);
+      if (payload.mode === 'lasso' && payload.points.length < 3) {
+        return { ok: false, error: 'A lasso selection needs at least 3 points.' };
+      }
+      const region = buildSelectionMask(surface, payload);
+      const current = stack.selection?.mask || null;
+      if (payload.combine === 'add' && current) {
+        for (let pixel = 0; pixel < region.length; pixel += 1) region[pixel] = region[pixel] || current[pixel];
+      } else if (payload.combine === 'subtract') {
+        for (let pixel = 0; pixel < region.length; pixel += 1) region[pixel] = current && current[pixel] && !region[pixel] ? 1 : 0;
+      }
+      setSelectionMask(stack, region);
+      return { ok: true, payload, selection: summarizeSelection(stack) };
+    }
+
+    if (kind === 'transform_selection') {
+      if (!stack.selection) {
+        return { ok: false, error: 'Nothing is selected. Use select_region first.' };
+      }
+      const payload = normalizeTransformSelection(rawPayload, surface);
+      transformSelection(stack, surface, payload);
+      return { ok: true, payload, selection: summarizeSelection(stack) };
+    }
+
+    return { ok: false, error: `Unknown selection action: ${kind}` };
+  }
+
+  function buildSelectionMask(surface, payload) {
+    const { width, height } = surface;
+    if (payload.mode === 'magic_wand') {
+      const data = surface.ctx.getImageData(0, 0, width, height).data;
+      return matchFillRegion(data, width, height, payload.x, payload.y, payload);
+    }
+    if (payload.mode === 'lasso') {
+      return rasterizePolygonMask(payload.points, width, height);
+    }
+
+    const mask = new Uint8Array(width * height);
+    const left = Math.min(payload.x1, payload.x2);
+    const right = Math.max(payload.x1, payload.x2);
+    const top = Math.min(payload.y1, payload.y2);
+    const bottom = Math.max(payload.y1, payload.y2);
+    for (let y = top; y < bottom; y += 1) {
+      mask.fill(1, y * width + left, y * width + right);
+    }
+    return mask;
+  }
+
+  // Even-odd scanline fill sampled at pixel centres. Done in JS rather than through a canvas
+  // path so the mask has no antialiasing and is identical in every renderer.
+  function rasterizePolygonMask(points, width, height) {
+    const mask = new Uint8Array(width * height);
+    for (let y = 0; y < height; y += 1) {
+      const sampleY = y + 0.5;
+      const crossings = [];
+      for (let i = 0; i < points.length; i += 1) {
+        const a = points[i];
+        const b = points[(i + 1) % points.length];
+        if ((a.y > sampleY) === (b.y > sampleY)) continue;
+        crossings.push(a.x + ((sampleY - a.y) * (b.x - a.x)) / (b.y - a.y));
+      }
+      crossings.sort((left, right) => left - right);
+      for (let i = 0; i + 1 < crossings.length; i += 2) {
+        const start = clamp(Math.ceil(crossings[i] - 0.5), 0, width);
+        const end = clamp(Math.ceil(crossings[i + 1] - 0.5), 0, width);
+        if (end > start) mask.fill(1, y * width + start, y * width + end);
+      }
+    }
+    return mask;
+  }
+
+  // Lifts the selected pixels off the layer, then draws them back through the operation's
+  // matrix (pivoting on the selection's bbox centre). The mask is moved with the same matrix,
+  // so the selection follows the pixels. Duplicate leaves the original pixels in place.
+  function transformSelection(stack, surface, payload) {
+    const { mask, bbox } = stack.selection;
+    const { width, height } = surface;
+
+    const lifted = surface.ctx.getImageData(bbox.x, bbox.y, bbox.width, bbox.height);
+    for (let y = 0; y < bbox.height; y += 1) {
+      for (let x = 0; x < bbox.width; x += 1) {
+        if (mask[(bbox.y + y) * width + bbox.x + x]) continue;
+        lifted.data.fill(0, (y * bbox.width + x) * 4, (y * bbox.width + x) * 4 + 4);
+      }
+    }
+
+    if (payload.operation !== 'duplicate') {
+      eraseMaskedPixels(surface, mask, bbox);
+    }
+    if (payload.operation === 'delete') return;
+
+    const matrix = selectionTransformMatrix(payload, bbox);
+    const scratch = stack.createSurface(bbox.width, bbox.height);
+    scratch.ctx.putImageData(lifted, 0, 0);
+    const ctx = surface.ctx;
+    ctx.save();
+    ctx.setTransform(matrix[0], matrix[1], matrix[2], matrix[3], matrix[4], matrix[5]);
+    ctx.drawImage(scratch.canvas, bbox.x, bbox.y);
+    ctx.restore();
+
+    setSelectionMask(stack, transformMask(mask, bbox, matrix, width, height));
+  }
+
+  function eraseMaskedPixels(surface, mask, bbox) {
+    const imageData = surface.ctx.getImageData(bbox.x, bbox.y, bbox.width, bbox.height);
+    const value = surface.transparent ? 0 : 255;
+    for (let y = 0; y < bbox.height; y += 1) {
+      for (let x = 0; x < bbox.width; x += 1) {
+        if (!mask[(bbox.y + y) * surface.width + bbox.x + x]) continue;
+        imageData.data.fill(value, (y * bbox.width + x) * 4, (y * bbox.width + x) * 4 + 4);
+      }
+    }
+    surface.ctx.putImageData(imageData, bbox.x, bbox.y);
+  }
+
+  // Returns [a, b, c, d, e, f] in setTransform order.
+  function selectionTransformMatrix(payload, bbox) {
+    const cx = bbox.x + bbox.width / 2;
+    const cy = bbox.y + bbox.height / 2;
+    let a = 1;
+    let b = 0;
+    let c = 0;
+    let d = 1;
+
+    switch (payload.operation) {
+      case 'move':
+      case 'duplicate':
+        return [1, 0, 0, 1, payload.dx, payload.dy];
+      case 'scale':
+        a = payload.scaleX;
+        d = payload.scaleY;
+        break;
+      case 'rotate': {
+        const radians = (payload.angle * Math.PI) / 180;
+        a = Math.cos(radians);
+        b = Math.sin(radians);
+        c = -b;
+        d = a;
+        break;
+      }
+      case 'flip':
+        if (payload.axis === 'vertical') d = -1;
+        else a = -1;
+        break;
+      default:
+        break;
+    }
+    // Pivot about (cx, cy): translate(cx, cy) * linear * translate(-cx, -cy).
+    return [a, b, c, d, cx - a * cx - c * cy, cy - b * cx - d * cy];
+  }
+
+  // Nearest-neighbour inverse mapping of each destination pixel centre into the old mask.
+  function transformMask(mask, bbox, matrix, width, height) {
+    const [a, b, c, d, e, f] = matrix;
+    const corners = [
+      [bbox.x, bbox.y],
+      [bbox.x + bbox.width, bbox.y],
+      [bbox.x, bbox.y + bbox.height],
+      [bbox.x + bbox.width, bbox.y + bbox.height]
+    ].map(([x, y]) => [a * x + c * y + e, b * x + d * y + f]);
+    const minX = clamp(Math.floor(Math.min(...corners.map((p) => p[0]))), 0, width);
+    const maxX = clamp(Math.ceil(Math.max(...corners.map((p) => p[0]))), 0, width);
+    const minY = clamp(Math.floor(Math.min(...corners.map((p) => p[1]))), 0, height);
+    const maxY = clamp(Math.ceil(Math.max(...corners.map((p) => p[1]))), 0, height);
+
+    const det = a * d - b * c;
+    const result = new Uint8Array(width * height);
+    for (let y = minY; y < maxY; y += 1) {
+      for (let x = minX; x < maxX; x += 1) {
+        const px = x + 0.5 - e;
+        const py = y + 0.5 - f;
+        const sourceX = Math.floor((d * px - c * py) / det);
+        const sourceY = Math.floor((a * py - b * px) / det);
+        if (sourceX < bbox.x || sourceX >= bbox.x + bbox.width) continue;
+        if (sourceY < bbox.y || sourceY >= bbox.y + bbox.height) continue;
+        if (mask[sourceY * width + sourceX]) result[y * width + x] = 1;
+      }
+    }
+    return result;
+  }
+
+  // ── Replay ──
+
+  // `options.createSurface(width, height)` builds layer surfaces; it is required in Node.
+  // `options.startCanvas` / `options.startImage` repaint the run's starting ground on reset.
+  function createReplaySession(surface, options = {}) {
+    return {
+      surface,
+      layers: createLayerStack(surface, { createSurface: options.createSurface }),
+      startCanvas: options.startCanvas ? normalizeStartCanvas(options.startCanvas) : null,
+      startImage: options.startImage || null,
+      // Pixels of the non-base layers of a snapshot start, by layer id.
+      startLayerImages: options.startLayerImages || null,
+      undoLimit: clamp(Math.round(Number(options.undoLimit) || DEFAULT_UNDO_LIMIT), 1, 500),
+      undoStack: [],
+      lastCheckpoint: null
+    };
+  }
+
+  function resetReplaySession(session) {
+    resetLayerStack(session.layers);
+    if (session.startCanvas) {
+      paintStartCanvas(session.layers.layers[0].surface, session.startCanvas, session.startImage);
+      compositeLayers(session.layers);
+    }
+    session.undoStack = [];
+    session.lastCheckpoint = null;
+  }
+
+  function captureSurface(surface) {
+    return surface.ctx.getImageData(0, 0, surface.width, surface.height);
+  }
+
+  // Mirrors the undo bookkeeping done by executeAgentTool so undo entries restore the same pixels.
+  function pushSessionUndoSnapshot(session, layerIds) {
+    session.undoStack.push(captureLayerState(session.layers, layerIds));
+    if (session.undoStack.length > session.undoLimit) {
+      session.undoStack.shift();
+    }
+  }
+
+  function resolveUndoBoundary(entry) {
+    if (entry && Object.prototype.hasOwnProperty.call(entry, 'undo')) {
+      return UNDO_BOUNDARIES.includes(entry.undo) ? entry.undo : null;
+    }
+    return LEGACY_UNDO_BOUNDARY_BY_KIND[entry?.kind] || null;
+  }
+
+  function actionChangesPixels(entry) {
+    const boundary = resolveUndoBoundary(entry);
+    return RENDERED_ACTION_KINDS.includes(entry?.kind)
+      || LAYER_ACTION_KINDS.includes(entry?.kind)
+      || boundary === 'pop'
+      || boundary === 'restore_checkpoint';
+  }
+
+  function renderLoggedAction(stack, entry, startLayerImages = null) {
+    const payload = entry?.payload && typeof entry.payload === 'object' ? entry.payload : {};
+    const surface = getActiveSurface(stack);
+
+    if (LAYER_ACTION_KINDS.includes(entry?.kind)) {
+      applyLayerAction(stack, entry.kind, payload);
+      return;
+    }
+    if (SELECTION_ACTION_KINDS.includes(entry?.kind)) {
+      applySelectionAction(stack, entry.kind, payload);
+      return;
+    }
+
+    switch (entry?.kind) {
+      case 'draw_action':
+        renderDrawAction(surface, normalizeDrawAction(payload, null, surface));
+        break;
+      case 'fill_rectangle':
+        renderFillRectangle(surface, normalizeFillRectangle(payload, null, surface));
+        break;
+      case 'stroke_polyline':
+        renderPolyline(surface, normalizePolyline(payload, null, surface));
+        break;
+      case 'stroke_curve':
+        renderCurve(surface, normalizeCurve(payload, null, surface));
+        break;
+      case 'fill_polygon':
+        renderFillPolygon(surface, normalizeFillPolygon(payload, null, surface));
+        break;
+      case 'fill_ellipse':
+        renderFillEllipse(surface, normalizeFillEllipse(payload, null, surface));
+        break;
+      case 'fill_path':
+        renderFillPath(surface, normalizeFillPath(payload, null, surface));
+        break;
+      case 'fill_gradient':
+        renderFillGradient(surface, normalizeFillGradient(payload, null, surface));
+        break;
+      case 'draw_text':
+        renderText(surface, normalizeText(payload, null, surface));
+        break;
+      case 'clear_canvas':
+        clearSurface(surface);
+        break;
+      case 'initial_checkpoint':
+        // Runs started on a custom layer stack log its structure; snapshot starts save its pixels.
+        if (Array.isArray(payload.layers)) {
+          restoreLayerState(stack, { layers: payload.layers, activeLayerId: payload.activeLayerId, pixels: startLayerImages || {} });
+        }
+        break;
+      default:
+        break;
+    }
+  }
+
+  function applyLoggedAction(session, entry) {
+    const stack = session.layers;
+    const boundary = resolveUndoBoundary(entry);
+
+    if (boundary === 'push') {
+      pushSessionUndoSnapshot(session, undoLayerIdsForAction(stack, entry.kind, entry.payload));
+    }
+
+    renderLoggedAction(stack, entry, session.startLayerImages);
+
+    if (boundary === 'checkpoint') {
+      session.lastCheckpoint = captureLayerState(stack);
+    } else if (boundary === 'pop') {
+      if (session.undoStack.length > 0) {
+        restoreLayerState(stack, session.undoStack.pop());
+      }
+    } else if (boundary === 'restore_checkpoint') {
+      if (session.lastCheckpoint) {
+        restoreLayerState(stack, session.lastCheckpoint);
+        session.undoStack = [];
+      }
+    }
+
+    compositeLayers(stack);
+  }
+
+  // ── Verification ──
+
+  function diffImageData(actual, expected, options = {}) {
+    const tolerance = clamp(Math.round(Number(options.tolerance) || 0), 0, 255);
+    const width = expected.width;
+    const height = expected.height;
+    const totalPixels = width * height;
+
+    if (actual.width !== width || actual.height !== height) {
+      return {
+        sizeMismatch: true,
+        width,
+        height,
+        actualWidth: actual.width,
+        actualHeight: actual.height,
+        totalPixels,
+        mismatchedPixels: totalPixels,
+        mismatchRatio: 1,
+        maxChannelDelta: 255,
+        bbox: null,
+        mismatchMask: null,
+        heatmap: null
+      };
+    }
+
+    const a = actual.data;
+    const e = expected.data;
+    const mismatchMask = new Uint8Array(totalPixels);
+    const heatmap = new Uint8ClampedArray(totalPixels * 4);
+    let mismatchedPixels = 0;
+    let maxChannelDelta = 0;
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let p = 0; p < totalPixels; p += 1) {
+      const i = p * 4;
+      const delta = Math.max(
+        Math.abs(a[i] - e[i]),
+        Math.abs(a[i + 1] - e[i + 1]),
+        Math.abs(a[i + 2] - e[i + 2]),
+        Math.abs(a[i + 3] - e[i + 3])
+      );
+
+      if (delta > tolerance) {
+        mismatchMask[p] = 1;
+        mismatchedPixels += 1;
+        if (delta > maxChannelDelta) maxChannelDelta = delta;
+        const x = p % width;
+        const y = (p - x) / width;
+        if (x < minX) minX = x;
+        if (y < minY) minY = y;
+        if (x > maxX) maxX = x;
+        if (y > maxY) maxY = y;
+
+        const intensity = clamp(64 + delta, 64, 255);
+        heatmap[i] = 255;
+        heatmap[i + 1] = 255 - intensity;
+        heatmap[i + 2] = 255 - intensity;
+        heatmap[i + 3] = 255;
+      } else {
+        // Faded copy of the expected image so mismatches can be located in context.
+        const luminance = (e[i] * 0.299) + (e[i + 1] * 0.587) + (e[i + 2] * 0.114);
+        const faded = Math.round(190 + (luminance * 0.25));
+        heatmap[i] = faded;
+        heatmap[i + 1] = faded;
+        heatmap[i + 2] = faded;
+        heatmap[i + 3] = 255;
+      }
+    }
+
+    return {
+      sizeMismatch: false,
+      width,
+      height,
+      totalPixels,
+      mismatchedPixels,
+      mismatchRatio: totalPixels > 0 ? mismatchedPixels / totalPixels : 0,
+      maxChannelDelta,
+      bbox: maxX >= 0 ? { x1: minX, y1: minY, x2: maxX + 1, y2: maxY + 1 } : null,
+      mismatchMask,
+      heatmap
+    };
+  }
+
+  // Replays `actions` on `surface` and compares the result to `expectedImageData`.
+  // Only the final image is known, so the first divergence is estimated as the earliest
+  // action that last wrote any mismatched pixel (-1 means the starting canvas).
+  function verifyReplay(surface, actions, expectedImageData, options = {}) {
+    const entries = Array.isArray(actions) ? actions : [];
+    const session = createReplaySession(surface, options);
+    resetReplaySession(session);
+
+    const totalPixels = surface.width * surface.height;
+    const owners = new Int32Array(totalPixels).fill(-1);
+    let previous = captureSurface(surface).data;
+
+    let undoDesync = null;
+
+    for (let index = 0; index < entries.length; index += 1) {
+      const entry = entries[index];
+      applyLoggedAction(session, entry);
+
+      const loggedDepth = Number(entry?.undoDepth);
+      if (!undoDesync && Number.isFinite(loggedDepth) && loggedDepth !== session.undoStack.length) {
+        undoDesync = {
+          actionIndex: index,
+          kind: String(entry.kind || ''),
+          loggedDepth,
+          replayDepth: session.undoStack.length
+        };
+      }
+
+      if (!actionChangesPixels(entry)) continue;
+
+      const next = captureSurface(surface).data;
+      for (let p = 0; p < totalPixels; p += 1) {
+        const i = p * 4;
+        if (next[i] !== previous[i]
+          || next[i + 1] !== previous[i + 1]
+          || next[i + 2] !== previous[i + 2]
+          || next[i + 3] !== previous[i + 3]) {
+          owners[p] = index;
+        }
+      }
+      previous = next;
+    }
+
+    const actual = captureSurface(surface);
+    const diff = diffImageData(actual, expectedImageData, options);
+
+    let firstDivergence = null;
+    if (diff.mismatchMask && diff.mismatchedPixels > 0) {
+      let firstIndex = Infinity;
+      let pixelsAtFirst = 0;
+      for (let p = 0; p < totalPixels; p += 1) {
+        if (!diff.mismatchMask[p]) continue;
+        const owner = owners[p];
+        if (owner < firstIndex) {
+          firstIndex = owner;
+          pixelsAtFirst = 1;
+        } else if (owner === firstIndex) {
+          pixelsAtFirst += 1;
+        }
+      }
+
+      const entry = firstIndex >= 0 ? entries[firstIndex] : null;
+      firstDivergence = {
+        actionIndex: firstIndex,
+        kind: entry ? String(entry.kind || '') : 'initial_canvas',
+        atMs: entry && Number.isFinite(Number(entry.atMs)) ? Number(entry.atMs) : null,
+        mismatchedPixels: pixelsAtFirst
+      };
+    }
+
+    return {
+      match: !diff.sizeMismatch && diff.mismatchedPixels === 0,
+      actionCount: entries.length,
+      width: diff.width,
+      height: diff.height,
+      sizeMismatch: diff.sizeMismatch,
+      totalPixels: diff.totalPixels,
+      mismatchedPixels: diff.mismatchedPixels,
+      mismatchPct: diff.mismatchRatio * 100,
+      maxChannelDelta: diff.maxChannelDelta,
+      bbox: diff.bbox,
+      firstDivergence,
+      undoDesync,
+      heatmap: diff.heatmap
+    };
+  }
+
+  // ── Similarity ──
+
+  // Box-averages RGB (alpha composited over white) onto a gridWidth x gridHeight grid.
+  // Cells that no source pixel lands in (small sources) take the nearest pixel instead.
+  function resampleToGrid(imageData, gridWidth, gridHeight) {
+    const { width, height, data } = imageData;
+    const sums = new Float64Array(gridWidth * gridHeight * 3);
+    const counts = new Uint32Array(gridWidth * gridHeight);
+    const composite = (i, channel) => {
+      const alpha = data[i + 3] / 255;
+      return data[i + channel] * alpha + 255 * (1 - alpha);
+    };
+
+    for (let y = 0; y < height; y += 1) {
+      const gy = Math.min(gridHeight - 1, Math.floor((y * gridHeight) / height));
+      for (let x = 0; x < width; x += 1) {
+        const gx = Math.min(gridWidth - 1, Math.floor((x * gridWidth) / width));
+        const cell = gy * gridWidth + gx;
+        const i = (y * width + x) * 4;
+        sums[cell * 3] += composite(i, 0);
+        sums[cell * 3 + 1] += composite(i, 1);
+        sums[cell * 3 + 2] += composite(i, 2);
+        counts[cell] += 1;
+      }
+    }
+
+    for (let cell = 0; cell < counts.length; cell += 1) {
+      if (counts[cell] > 0) {
+        sums[cell * 3] /= counts[cell];
+        sums[cell * 3 + 1] /= counts[cell];
+        sums[cell * 3 + 2] /= counts[cell];
+        continue;
+      }
+      const gx = cell % gridWidth;
+      const gy = (cell - gx) / gridWidth;
+      const sx = Math.min(width - 1, Math.floor(((gx + 0.5) * width) / gridWidth));
+      const sy = Math.min(height - 1, Math.floor(((gy + 0.5) * height) / gridHeight));
+      const i = (sy * width + sx) * 4;
+      sums[cell * 3] = composite(i, 0);
+      sums[cell * 3 + 1] = composite(i, 1);
+      sums[cell * 3 + 2] = composite(i, 2);
+    }
+    return sums;
+  }
+
+  function roundScore(value) {
+    return Math.round(clamp(value, 0, 1) * 10000) / 10000;
+  }
+
+  // Scores how closely `actual` reproduces `reference` (ImageData-like, any sizes). Both are
+  // stretched onto one grid with the actual image's aspect, so they line up in normalized
+  // canvas coordinates. `pixel` is 1 minus the mean absolute RGB error, `ssim` the mean
+  // structural similarity of luma over half-overlapping SSIM_WINDOW windows (negative
+  // values count as 0), and `score` their average.
+  function scoreImageSimilarity(actual, reference) {
+    const scale = SIMILARITY_GRID_SIDE / Math.max(actual.width, actual.height);
+    const gridWidth = Math.max(SSIM_WINDOW, Math.round(actual.width * scale));
+    const gridHeight = Math.max(SSIM_WINDOW, Math.round(actual.height * scale));
+    const a = resampleToGrid(actual, gridWidth, gridHeight);
+    const b = resampleToGrid(reference, gridWidth, gridHeight);
+    const cells = gridWidth * gridHeight;
+
+    let absError = 0;
+    const lumaA = new Float64Array(cells);
+    const lumaB = new Float64Array(cells);
+    for (let cell = 0; cell < cells; cell += 1) {
+      const i = cell * 3;
+      absError += Math.abs(a[i] - b[i]) + Math.abs(a[i + 1] - b[i + 1]) + Math.abs(a[i + 2] - b[i + 2]);
+      lumaA[cell] = a[i] * 0.299 + a[i + 1] * 0.587 + a[i + 2] * 0.114;
+      lumaB[cell] = b[i] * 0.299 + b[i + 1] * 0.587 + b[i + 2] * 0.114;
+    }
+    const pixel = 1 - absError / (cells * 3 * 255);
+
+    const c1 = (0.01 * 255) ** 2;
+    const c2 = (0.03 * 255) ** 2;
+    const step = SSIM_WINDOW / 2;
+    const windowCells = SSIM_WINDOW * SSIM_WINDOW;
+    let ssimSum = 0;
+    let windows = 0;
+    for (let wy = 0; wy + SSIM_WINDOW <= gridHeight; wy += step) {
+      for (let wx = 0; wx + SSIM_WINDOW <= gridWidth; wx += step) {
+        let sumA = 0;
+        let sumB = 0;
+        let sumAA = 0;
+        let sumBB = 0;
+        let sumAB = 0;
+        for (let y = wy; y < wy + SSIM_WINDOW; y += 1) {
+          for (let x = wx; x < wx + SSIM_WINDOW; x += 1) {
+            const va = lumaA[y * gridWidth + x];
+            const vb = lumaB[y * gridWidth + x];
+            sumA += va;
+            sumB += vb;
+            sumAA += va * va;
+            sumBB += vb * vb;
+            sumAB += va * vb;
+          }
+        }
+        const meanA = sumA / windowCells;
+        const meanB = sumB / windowCells;
+        const varA = sumAA / windowCells - meanA * meanA;
+        const varB = sumBB / windowCells - meanB * meanB;
+        const covariance = sumAB / windowCells - meanA * meanB;
+        ssimSum += ((2 * meanA * meanB + c1) * (2 * covariance + c2))
+          / ((meanA * meanA + meanB * meanB + c1) * (varA + varB + c2));
+        windows += 1;
+      }
+    }
+    const ssim = windows > 0 ? ssimSum / windows : 0;
+
+    return {
+      pixel: roundScore(pixel),
+      ssim: roundScore(ssim),
+      score: roundScore((clamp(pixel, 0, 1) + clamp(ssim, 0, 1)) / 2),
+      gridWidth,
+      gridHeight
+    };
+  }
+
+  // ── Image metrics ──
+
+  function roundMetric(value, decimals = 4) {
+    const factor = 10 ** decimals;
+    return Math.round(value * factor) / factor;
+  }
+
+  function toHexColor(r, g, b) {
+    return `#${[r, g, b].map((value) => Math.round(value).toString(16).padStart(2, '0')).join('')}`.toUpperCase();
+  }
+
+  // Describes a finished painting. Colors are quantized to 4 bits per channel; `palette` lists
+  // the most common buckets by their mean color. `options.previous` (ImageData of the same size,
+  // e.g. the last screenshot) adds the fraction of pixels that changed since then.
+  function computeImageMetrics(imageData, options = {}) {
+    const { width, height, data } = imageData;
+    const total = width * height;
+    const luma = new Float64Array(total);
+    const lumaHistogram = new Uint32Array(256);
+    const bucketCounts = new Uint32Array(4096);
+    const bucketSums = new Float64Array(4096 * 3);
+    let painted = 0;
+    let lumaSum = 0;
+    let lumaSquareSum = 0;
+
+    for (let p = 0; p < total; p += 1) {
+      const i = p * 4;
+      const alpha = data[i + 3] / 255;
+      const r = data[i] * alpha + 255 * (1 - alpha);
+      const g = data[i + 1] * alpha + 255 * (1 - alpha);
+      const b = data[i + 2] * alpha + 255 * (1 - alpha);
+      if (Math.min(r, g, b) < 255 - METRIC_WHITE_THRESHOLD) painted += 1;
+
+      const y = r * 0.299 + g * 0.587 + b * 0.114;
+      luma[p] = y;
+      lumaSum += y;
+      lumaSquareSum += y * y;
+      lumaHistogram[Math.min(255, Math.round(y))] += 1;
+
+      const bucket = ((r >> 4) << 8) | ((g >> 4) << 4) | (b >> 4);
+      bucketCounts[bucket] += 1;
+      bucketSums[bucket * 3] += r;
+      bucketSums[bucket * 3 + 1] += g;
+      bucketSums[bucket * 3 + 2] += b;
+    }
+
+    const lumaMean = lumaSum / total;
+    const contrast = Math.sqrt(Math.max(0, lumaSquareSum / total - lumaMean * lumaMean)) / 255;
+
+    let entropy = 0;
+    for (const count of lumaHistogram) {
+      if (count === 0) continue;
+      const share = count / total;
+      entropy -= share * Math.log2(share);
+    }
+
+    let edges = 0;
+    let interior = 0;
+    for (let y = 1; y < height - 1; y += 1) {
+      for (let x = 1; x < width - 1; x += 1) {
+        const p = y * width + x;
+        const gx = (luma[p - width + 1] + 2 * luma[p + 1] + luma[p + width + 1])
+          - (luma[p - width - 1] + 2 * luma[p - 1] + luma[p + width - 1]);
+        const gy = (luma[p + width - 1] + 2 * luma[p + width] + luma[p + width + 1])
+          - (luma[p - width - 1] + 2 * luma[p - width] + luma[p - width + 1]);
+        if (Math.hypot(gx, gy) > METRIC_EDGE_THRESHOLD) edges += 1;
+        interior += 1;
+      }
+    }
+
+    const minBucketCount = Math.max(1, Math.ceil(total * METRIC_MIN_COLOR_SHARE));
+    const buckets = [];
+    for (let bucket = 0; bucket < bucketCounts.length; bucket += 1) {
+      if (bucketCounts[bucket] >= minBucketCount) buckets.push(bucket);
+    }
+    buckets.sort((a, b) => bucketCounts[b] - bucketCounts[a] || a - b);
+    const palette = buckets.slice(0, METRIC_PALETTE_SIZE).map((bucket) => {
+      const count = bucketCounts[bucket];
+      return {
+        color: toHexColor(bucketSums[bucket * 3] / count, bucketSums[bucket * 3 + 1] / count, bucketSums[bucket * 3 + 2] / count),
+        share: roundMetric(count / total)
+      };
+    });
+
+    let changedAfterLastScreenshot = null;
+    const previous = options.previous;
+    if (previous && previous.width === width && previous.height === height) {
+      let changed = 0;
+      for (let i = 0; i < data.length; i += 4) {
+        if (data[i] !== previous.data[i]
+          || data[i + 1] !== previous.data[i + 1]
+          || data[i + 2] !== previous.data[i + 2]
+          || data[i + 3] !== previous.data[i + 3]) {
+          changed += 1;
+        }
+      }
+      changedAfterLastScreenshot = roundMetric(changed / total);
+    }
+
+    return {
+      coverage: roundMetric(painted / total),
+      colorCount: buckets.length,
+      palette,
+      edgeDensity: interior > 0 ? roundMetric(edges / interior) : 0,
+      contrast: roundMetric(contrast),
+      entropy: roundMetric(entropy, 3),
+      changedAfterLastScreenshot
+    };
+  }
+
+  return {
+    DRAW_TOOLS,
+    LINE_TOOLS,
+    CURVE_MODES,
+    MAX_CURVE_WIDTHS,
+    FILL_RULES,
+    FILL_PATH_MODES,
+    MAX_FILL_PATH_SUBPATHS,
+    GRADIENT_TYPES,
+    GRADIENT_SHAPES,
+    MAX_GRADIENT_STOPS,
+    BRUSH_TIPS,
+    FLOOD_FILL_TOLERANCE,
+    MAX_CLOSE_GAPS_PX,
+    TEXT_FONT_FAMILIES,
+    TEXT_CHAR_RANGES,
+    TEXT_WEIGHTS,
+    TEXT_ALIGNS,
+    MAX_TEXT_LENGTH,
+    MAX_TEXT_LINES,
+    DEFAULT_UNDO_LIMIT,
+    DEFAULT_CANVAS_WIDTH,
+    DEFAULT_CANVAS_HEIGHT,
+    MIN_CANVAS_SIDE,
+    MAX_CANVAS_SIDE,
+    CANVAS_SIZE_PRESETS,
+    START_CANVAS_TYPES,
+    START_IMAGE_SOURCES,
+    START_GRADIENT_DIRECTIONS,
+    BLEND_MODES,
+    LAYER_ACTION_KINDS,
+    LAYER_MOVE_DIRECTIONS,
+    BASE_LAYER_ID,
+    MAX_LAYERS,
+    SELECTION_ACTION_KINDS,
+    SELECTION_MODES,
+    SELECTION_COMBINE_MODES,
+    SELECTION_OPERATIONS,
+    SELECTION_FLIP_AXES,
+    MIN_SELECTION_SCALE,
+    MAX_SELECTION_SCALE,
+    SIMILARITY_GRID_SIDE,
+    normalizeCanvasSize,
+    parseCanvasSize,
+    formatCanvasSize,
+    canvasSizeFromSettings,
+    normalizeStartCanvas,
+    startCanvasFromSettings,
+    normalizeDrawAction,
+    normalizeFillRectangle,
+    normalizePolyline,
+    normalizeCurve,
+    normalizeFillPolygon,
+    normalizeFillEllipse,
+    normalizeFillPath,
+    normalizeFillGradient,
+    normalizeBrush,
+    normalizeText,
+    describeCurvePointError,
+    describeTextFontFamilyError,
+    describeTextCharError,
+    renderDrawAction,
+    renderFillRectangle,
+    renderPolyline,
+    renderCurve,
+    renderFillPolygon,
+    renderFillEllipse,
+    renderFillPath,
+    renderFillGradient,
+    renderBrushStroke,
+    renderText,
+    clearSurface,
+    paintStartCanvas,
+    floodFill,
+    sprayPaint,
+    createLayerStack,
+    resetLayerStack,
+    findLayer,
+    getActiveLayer,
+    getActiveSurface,
+    isDefaultLayerStack,
+    compositeLayers,
+    summarizeLayers,
+    applyLayerAction,
+    undoLayerIdsForAction,
+    captureLayerState,
+    restoreLayerState,
+    applySelectionAction,
+    createReplaySession,
+    resetReplaySession,
+    resolveUndoBoundary,
+    applyLoggedAction,
+    diffImageData,
+    verifyReplay,
+    scoreImageSimilarity,
+    computeImageMetrics
+  };
+}));
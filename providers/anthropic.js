@@ -0,0 +1,82 @@
+// Anthropic Messages API adapter.
+
+const { postProviderJson } = require('./responses-session');
+
+const ANTHROPIC_VERSION = '2023-06-01';
+const DEFAULT_MAX_TOKENS = 8192;
+
+function toAnthropicContent(turn) {
+  if (turn.role === 'tool') {
+    return [{ type: 'tool_result', tool_use_id: turn.callId, content: turn.output }];
+  }
+  if (turn.role === 'assistant') {
+    if (Array.isArray(turn.raw)) return turn.raw;
+    const content = turn.text ? [{ type: 'text', text: turn.text }] : [];
+    for (const call of turn.toolCalls) {
+      content.push({ type: 'tool_use', id: call.id, name: call.name, input: JSON.parse(call.arguments || '{}') });
+    }
+    return content;
+  }
+  return turn.parts.map((part) => (part.type === 'image'
+    ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+    : { type: 'text', text: part.text }));
+}
+
+// Tool results travel in user messages, and consecutive turns of one role must be merged.
+function toAnthropicMessages(history) {
+  const messages = [];
+  for (const turn of history) {
+    const role = turn.role === 'assistant' ? 'assistant' : 'user';
+    const content = toAnthropicContent(turn);
+    const previous = messages[messages.length - 1];
+    if (previous && previous.role === role) {
+      previous.content.push(...content);
+    } else {
+      messages.push({ role, content: [...content] });
+    }
+  }
+  return messages;
+}
+
+function createAnthropicAdapter(env = process.env) {
+  const apiKey = env.ANTHROPIC_API_KEY;
+  const baseUrl = (env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com').replace(/\/+$/, '');
+  const maxTokens = Number.parseInt(String(env.ANTHROPIC_MAX_TOKENS || ''), 10) || DEFAULT_MAX_TOKENS;
+
+  return {
+    id: 'anthropic',
+    label: 'Anthropic Messages',
+    missingConfig: apiKey ? null : 'ANTHROPIC_API_KEY',
+    async createTurn({ model, instructions, tools, history }) {
+      const payload = await postProviderJson(`${baseUrl}/v1/messages`, {
+        headers: {
+          'x-api-key': apiKey,
+          'anthropic-version': ANTHROPIC_VERSION
+        },
+        body: {
+          model,
+          max_tokens: maxTokens,
+          system: instructions || undefined,
+          tools: tools.map((tool) => ({ name: tool.name, description: tool.description, input_schema: tool.parameters })),
+          messages: toAnthropicMessages(history)
+        }
+      });
+
+      const content = Array.isArray(payload.content) ? payload.content : [];
+      return {
+        text: content.filter((block) => block.type === 'text').map((block) => block.text).join('\n'),
+        toolCalls: content
+          .filter((block) => block.type === 'tool_use')
+          .map((block) => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input ?? {}) })),
+        raw: content,
+        usage: payload.usage
+          ? { input_tokens: payload.usage.input_tokens, output_tokens: payload.usage.output_tokens }
+          : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createAnthropicAdapter
+};
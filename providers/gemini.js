@@ -0,0 +1,88 @@
+// Google Gemini generateContent adapter.
+
+const { postProviderJson } = require('./responses-session');
+
+function parseToolOutput(output) {
+  try {
+    const parsed = JSON.parse(output);
+    // functionResponse.response must be an object.
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : { result: parsed };
+  } catch (_error) {
+    return { result: output };
+  }
+}
+
+function toGeminiParts(turn) {
+  if (turn.role === 'tool') {
+    return [{ functionResponse: { name: turn.name || 'unknown', response: parseToolOutput(turn.output) } }];
+  }
+  if (turn.role === 'assistant') {
+    if (Array.isArray(turn.raw)) return turn.raw;
+    const parts = turn.text ? [{ text: turn.text }] : [];
+    for (const call of turn.toolCalls) {
+      parts.push({ functionCall: { name: call.name, args: JSON.parse(call.arguments || '{}') } });
+    }
+    return parts;
+  }
+  return turn.parts.map((part) => (part.type === 'image'
+    ? { inlineData: { mimeType: part.mimeType, data: part.data } }
+    : { text: part.text }));
+}
+
+function toGeminiContents(history) {
+  const contents = [];
+  for (const turn of history) {
+    const role = turn.role === 'assistant' ? 'model' : 'user';
+    const parts = toGeminiParts(turn);
+    const previous = contents[contents.length - 1];
+    if (previous && previous.role === role) {
+      previous.parts.push(...parts);
+    } else {
+      contents.push({ role, parts: [...parts] });
+    }
+  }
+  return contents;
+}
+
+function createGeminiAdapter(env = process.env) {
+  const apiKey = env.GEMINI_API_KEY;
+  const baseUrl = (env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, '');
+
+  return {
+    id: 'gemini',
+    label: 'Google Gemini',
+    missingConfig: apiKey ? null : 'GEMINI_API_KEY',
+    async createTurn({ model, instructions, tools, history }) {
+      const payload = await postProviderJson(`${baseUrl}/models/${encodeURIComponent(model)}:generateContent`, {
+        headers: {
+          'x-goog-api-key': apiKey
+        },
+        body: {
+          systemInstruction: instructions ? { parts: [{ text: instructions }] } : undefined,
+          contents: toGeminiContents(history),
+          // parametersJsonSchema takes full JSON Schema (additionalProperties, defaults) unlike `parameters`.
+          tools: tools.length > 0
+            ? [{ functionDeclarations: tools.map((tool) => ({ name: tool.name, description: tool.description, parametersJsonSchema: tool.parameters })) }]
+            : undefined
+        }
+      });
+
+      const parts = Array.isArray(payload.candidates?.[0]?.content?.parts) ? payload.candidates[0].content.parts : [];
+      return {
+        text: parts.filter((part) => typeof part.text === 'string' && !part.thought).map((part) => part.text).join('\n'),
+        toolCalls: parts
+          .filter((part) => part.functionCall)
+          .map((part) => ({ id: part.functionCall.id || null, name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args ?? {}) })),
+        // Replaying the model's own parts keeps thought signatures attached to its function calls.
+        raw: parts,
+        usage: payload.usageMetadata
+          ? { input_tokens: payload.usageMetadata.promptTokenCount, output_tokens: payload.usageMetadata.candidatesTokenCount }
+          : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createGeminiAdapter
+};
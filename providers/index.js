@@ -0,0 +1,85 @@
+// Model provider registry. Runs name their model as `provider:model` (for example
+// `anthropic:claude-sonnet-4-5` or `ollama:llama3.2-vision`); a bare model id, or one whose
+// prefix is not a provider (such as `ft:gpt-4o:...`), goes to OpenAI. `mock:<script>` picks a
+// scripted offline upstream (see mock.js).
+
+const { createResponsesSession } = require('./responses-session');
+const { createAnthropicAdapter } = require('./anthropic');
+const { createGeminiAdapter } = require('./gemini');
+const { createOpenAiChatAdapter } = require('./openai-chat');
+const { MOCK_PROVIDER, MockScriptError, loadMockScript, createMockUpstream } = require('./mock');
+
+const DEFAULT_PROVIDER = 'openai';
+
+function createAdapters(env = process.env) {
+  const adapters = [
+    createAnthropicAdapter(env),
+    createGeminiAdapter(env),
+    createOpenAiChatAdapter({
+      id: 'openai-compatible',
+      label: 'OpenAI-compatible chat endpoint',
+      baseUrl: env.OPENAI_COMPATIBLE_BASE_URL,
+      apiKey: env.OPENAI_COMPATIBLE_API_KEY,
+      baseUrlVariable: 'OPENAI_COMPATIBLE_BASE_URL'
+    }),
+    createOpenAiChatAdapter({
+      id: 'ollama',
+      label: 'Ollama',
+      baseUrl: env.OLLAMA_BASE_URL || 'http://localhost:11434/v1',
+      baseUrlVariable: 'OLLAMA_BASE_URL'
+    }),
+    createOpenAiChatAdapter({
+      id: 'llamacpp',
+      label: 'llama.cpp server',
+      baseUrl: env.LLAMACPP_BASE_URL || 'http://localhost:8080/v1',
+      baseUrlVariable: 'LLAMACPP_BASE_URL'
+    })
+  ];
+  return new Map(adapters.map((adapter) => [adapter.id, adapter]));
+}
+
+const adapters = createAdapters();
+
+/**
+ * Splits a run's model id into provider and provider-side model. Only the first `:` separates
+ * them, so Ollama tags such as `ollama:llava:13b` keep their own colon.
+ */
+function parseModelId(modelId) {
+  const raw = String(modelId || '').trim();
+  const separator = raw.indexOf(':');
+  if (separator > 0) {
+    const provider = raw.slice(0, separator).toLowerCase();
+    if (provider === DEFAULT_PROVIDER || provider === MOCK_PROVIDER || adapters.has(provider)) {
+      return { provider, model: raw.slice(separator + 1) };
+    }
+  }
+  return { provider: DEFAULT_PROVIDER, model: raw };
+}
+
+function getAdapter(providerId) {
+  return adapters.get(providerId) || null;
+}
+
+function listProviders(openAiConfigured) {
+  return [
+    { id: DEFAULT_PROVIDER, label: 'OpenAI Responses (WebSocket)', configured: Boolean(openAiConfigured) },
+    ...Array.from(adapters.values()).map((adapter) => ({
+      id: adapter.id,
+      label: adapter.label,
+      configured: !adapter.missingConfig
+    })),
+    { id: MOCK_PROVIDER, label: 'Scripted mock (offline)', configured: true }
+  ];
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  MOCK_PROVIDER,
+  MockScriptError,
+  parseModelId,
+  getAdapter,
+  listProviders,
+  createResponsesSession,
+  loadMockScript,
+  createMockUpstream
+};
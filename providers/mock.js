@@ -0,0 +1,264 @@
+// Scripted stand-in for the OpenAI Responses WebSocket, for offline end-to-end runs. Each
+// `response.create` from the browser consumes the next step of a JSON script:
+//
+//   { "text": "...", "calls": [{ "name": "fill_rectangle", "arguments": { ... } }] }  normal response
+//   { "empty": true }                                        response with no output
+//   { "rateLimits": [{ "name": "tokens", "limit": 1000, "remaining": 0, "reset_seconds": 1 }] }
+//   { "error": { "code": "rate_limit_exceeded", "message": "... try again in 1s." } }
+//   { "fail": { "code": "server_error", "message": "..." } }  response.failed
+//   { "close": { "code": 1011, "reason": "..." } }           upstream socket closes
+//
+// `rateLimits` and `delayMs` can be combined with any step, and `repeat: n` repeats a step.
+// `arguments` may be an object or a raw string (to send malformed JSON). Once the steps run
+// out, the mock screenshots, reflects and finishes so the run ends cleanly.
+
+const fs = require('fs');
+const path = require('path');
+
+const MOCK_PROVIDER = 'mock';
+const BUILTIN_SCRIPTS_DIR = path.join(__dirname, 'mock-scripts');
+const MOCK_SCRIPT_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+const FINISH_STEP = {
+  calls: [
+    { name: 'take_screenshot', arguments: {} },
+    {
+      name: 'reflect',
+      arguments: {
+        phase: 'final_review',
+        whatWorks: 'Mock script completed.',
+        issueToFix: 'None.',
+        nextActions: ['finish'],
+        confidence: 1
+      }
+    },
+    { name: 'finish', arguments: { summary: 'Mock script complete.' } }
+  ]
+};
+
+class MockScriptError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MockScriptError';
+  }
+}
+
+function normalizeStep(step, index) {
+  if (!step || typeof step !== 'object' || Array.isArray(step)) {
+    throw new MockScriptError(`Step ${index + 1} must be an object.`);
+  }
+  const calls = Array.isArray(step.calls) ? step.calls : [];
+  for (const call of calls) {
+    if (!call || typeof call.name !== 'string' || !call.name) {
+      throw new MockScriptError(`Step ${index + 1} has a call without a name.`);
+    }
+  }
+  return {
+    text: typeof step.text === 'string' ? step.text : '',
+    calls: calls.map((call) => ({
+      name: call.name,
+      arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {})
+    })),
+    rateLimits: Array.isArray(step.rateLimits) ? step.rateLimits : null,
+    error: step.error && typeof step.error === 'object' ? step.error : null,
+    fail: step.fail && typeof step.fail === 'object' ? step.fail : null,
+    close: step.close && typeof step.close === 'object' ? step.close : null,
+    delayMs: Math.max(0, Number(step.delayMs) || 0)
+  };
+}
+
+/**
+ * Loads `<name>.json` from `scriptsDir` (when given) or the built-in mock-scripts directory.
+ * @returns {{ name: string, description: string, steps: object[] }}
+ */
+function loadMockScript(name, { scriptsDir = null } = {}) {
+  const scriptName = String(name || '').trim();
+  if (!MOCK_SCRIPT_NAME_RE.test(scriptName)) {
+    throw new MockScriptError(`Invalid mock script name: ${scriptName || '(empty)'}.`);
+  }
+
+  const candidates = [scriptsDir, BUILTIN_SCRIPTS_DIR]
+    .filter(Boolean)
+    .map((dir) => path.join(dir, `${scriptName}.json`));
+  const scriptPath = candidates.find((candidate) => fs.existsSync(candidate));
+  if (!scriptPath) {
+    throw new MockScriptError(`Mock script not found: ${scriptName}.`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(scriptPath, 'utf8'));
+  } catch (error) {
+    throw new MockScriptError(`Mock script ${scriptName} is not valid JSON: ${error.message}`);
+  }
+  if (!Array.isArray(parsed?.steps)) {
+    throw new MockScriptError(`Mock script ${scriptName} needs a steps array.`);
+  }
+
+  const steps = [];
+  parsed.steps.forEach((step, index) => {
+    const normalized = normalizeStep(step, index);
+    const repeat = Math.max(1, Math.min(100, Number.parseInt(String(step.repeat ?? 1), 10) || 1));
+    for (let i = 0; i < repeat; i += 1) steps.push(normalized);
+  });
+
+  return {
+    name: scriptName,
+    description: typeof parsed.description === 'string' ? parsed.description : '',
+    steps
+  };
+}
+
+/**
+ * @param {{ name: string, steps: object[] }} script  From loadMockScript.
+ * @param {object} handlers
+ * @param {(event: object) => void} handlers.send  Delivers one protocol event to the browser.
+ * @param {(code: number, reason: string) => void} handlers.closeUpstream  Simulates the upstream socket closing.
+ */
+function createMockUpstream(script, { send, closeUpstream }) {
+  let stepIndex = 0;
+  let responseCount = 0;
+  let lastResponseId = null;
+  // Like the real API, a continuation must return an output for every call of the previous response.
+  let awaitingCallIds = [];
+  let queue = Promise.resolve();
+  let closed = false;
+
+  async function handleResponseCreate(event) {
+    const step = stepIndex < script.steps.length ? script.steps[stepIndex] : normalizeStep(FINISH_STEP, stepIndex);
+    stepIndex += 1;
+
+    if (step.delayMs > 0) {
+      await new Promise((resolve) => setTimeout(resolve, step.delayMs));
+      if (closed) return;
+    }
+
+    if (step.rateLimits) {
+      send({ type: 'rate_limits.updated', rate_limits: step.rateLimits });
+    }
+
+    if (step.close) {
+      closed = true;
+      closeUpstream(Number(step.close.code) || 1011, String(step.close.reason || 'mock upstream closed'));
+      return;
+    }
+
+    if (step.error) {
+      send({ type: 'error', error: { ...step.error } });
+      return;
+    }
+
+    if ((event.previous_response_id || null) !== lastResponseId) {
+      send({
+        type: 'error',
+        error: {
+          type: 'invalid_request_error',
+          code: 'previous_response_not_found',
+          message: `Previous response ${event.previous_response_id || '(none)'} is not the latest response ${lastResponseId || '(none)'}.`
+        }
+      });
+      return;
+    }
+
+    const outputCallIds = new Set((Array.isArray(event.input) ? event.input : [])
+      .filter((item) => item?.type === 'function_call_output')
+      .map((item) => item.call_id));
+    const missingCallId = awaitingCallIds.find((callId) => !outputCallIds.has(callId));
+    if (missingCallId) {
+      send({
+        type: 'error',
+        error: {
+          type: 'invalid_request_error',
+          code: null,
+          param: 'input',
+          message: `No tool output found for function call ${missingCallId}.`
+        }
+      });
+      return;
+    }
+
+    responseCount += 1;
+    const responseId = `resp_mock_${responseCount}`;
+    send({ type: 'response.created', response: { id: responseId, status: 'in_progress' } });
+
+    if (step.fail) {
+      send({
+        type: 'response.failed',
+        response: {
+          id: responseId,
+          status: 'failed',
+          output: [],
+          status_details: { error: { ...step.fail } }
+        }
+      });
+      return;
+    }
+
+    const output = [];
+    if (step.text) {
+      send({ type: 'response.output_text.done', response_id: responseId, text: step.text });
+      output.push({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: step.text }] });
+    }
+    step.calls.forEach((call, index) => {
+      const item = {
+        type: 'function_call',
+        call_id: `call_mock_${responseCount}_${index + 1}`,
+        name: call.name,
+        arguments: call.arguments
+      };
+      send({ type: 'response.output_item.added', response_id: responseId, item: { ...item, arguments: '' } });
+      send({ type: 'response.function_call_arguments.done', response_id: responseId, call_id: item.call_id, name: item.name, arguments: item.arguments });
+      send({ type: 'response.output_item.done', response_id: responseId, item });
+      output.push(item);
+    });
+
+    lastResponseId = responseId;
+    awaitingCallIds = output.filter((item) => item.type === 'function_call').map((item) => item.call_id);
+    send({
+      type: 'response.completed',
+      response: {
+        id: responseId,
+        status: 'completed',
+        model: `${MOCK_PROVIDER}:${script.name}`,
+        output,
+        usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 }
+      }
+    });
+  }
+
+  return {
+    handleMessage(text) {
+      if (closed) return;
+      let event;
+      try {
+        event = JSON.parse(text);
+      } catch (_error) {
+        send({ type: 'error', error: { code: 'invalid_json', message: 'Client message is not valid JSON.' } });
+        return;
+      }
+      if (event?.type !== 'response.create') return;
+      queue = queue.then(() => (closed ? null : handleResponseCreate(event))).catch((error) => {
+        // A throwing step must neither crash the server nor stall later requests: report it and
+        // close, like an upstream that fails mid-run.
+        if (closed) return;
+        closed = true;
+        try {
+          send({ type: 'error', error: { code: 'mock_script_error', message: `Mock script failed: ${error.message || String(error)}` } });
+        } catch (_error) {
+          // The browser is already gone; closing below is all that is left to do.
+        }
+        closeUpstream(1011, 'mock script failed');
+      });
+    },
+    close() {
+      closed = true;
+    }
+  };
+}
+
+module.exports = {
+  MOCK_PROVIDER,
+  MockScriptError,
+  loadMockScript,
+  createMockUpstream
+};
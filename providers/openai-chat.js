@@ -0,0 +1,82 @@
+// OpenAI-compatible Chat Completions adapter, shared by any server that speaks
+// `POST {baseUrl}/chat/completions` with tool calls (vLLM, llama.cpp, Ollama, hosted gateways).
+
+const { postProviderJson } = require('./responses-session');
+
+function toChatMessages(instructions, history) {
+  const messages = instructions ? [{ role: 'system', content: instructions }] : [];
+  for (const turn of history) {
+    if (turn.role === 'tool') {
+      messages.push({ role: 'tool', tool_call_id: turn.callId, content: turn.output });
+    } else if (turn.role === 'assistant') {
+      messages.push({
+        role: 'assistant',
+        content: turn.text || null,
+        tool_calls: turn.toolCalls.length > 0
+          ? turn.toolCalls.map((call) => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.arguments } }))
+          : undefined
+      });
+    } else {
+      messages.push({
+        role: 'user',
+        content: turn.parts.map((part) => (part.type === 'image'
+          ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+          : { type: 'text', text: part.text }))
+      });
+    }
+  }
+  return messages;
+}
+
+/**
+ * @param {object} options
+ * @param {string} options.id  Provider prefix used in `provider:model` identifiers.
+ * @param {string} options.label
+ * @param {string|undefined} options.baseUrl  Base URL ending before `/chat/completions`.
+ * @param {string|undefined} options.apiKey  Sent as a Bearer token when set.
+ * @param {string} options.baseUrlVariable  Env variable named in the error when baseUrl is missing.
+ */
+function createOpenAiChatAdapter({ id, label, baseUrl, apiKey, baseUrlVariable }) {
+  const normalizedBaseUrl = String(baseUrl || '').replace(/\/+$/, '');
+
+  return {
+    id,
+    label,
+    missingConfig: normalizedBaseUrl ? null : baseUrlVariable,
+    async createTurn({ model, instructions, tools, history }) {
+      const payload = await postProviderJson(`${normalizedBaseUrl}/chat/completions`, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        body: {
+          model,
+          messages: toChatMessages(instructions, history),
+          tools: tools.length > 0
+            ? tools.map((tool) => ({ type: 'function', function: { name: tool.name, description: tool.description, parameters: tool.parameters } }))
+            : undefined
+        }
+      });
+
+      const message = payload.choices?.[0]?.message || {};
+      return {
+        text: typeof message.content === 'string' ? message.content : '',
+        toolCalls: (Array.isArray(message.tool_calls) ? message.tool_calls : [])
+          .filter((call) => call?.function?.name)
+          .map((call) => ({
+            id: call.id || null,
+            name: call.function.name,
+            // Some local servers return arguments as an object rather than a JSON string.
+            arguments: typeof call.function.arguments === 'string'
+              ? call.function.arguments
+              : JSON.stringify(call.function.arguments ?? {})
+          })),
+        raw: null,
+        usage: payload.usage
+          ? { input_tokens: payload.usage.prompt_tokens, output_tokens: payload.usage.completion_tokens }
+          : null
+      };
+    }
+  };
+}
+
+module.exports = {
+  createOpenAiChatAdapter
+};
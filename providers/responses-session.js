@@ -0,0 +1,244 @@
+// Speaks the subset of the Responses WebSocket protocol that script.js uses, on top of a
+// request/response provider adapter. The browser keeps sending `response.create` events;
+// the session keeps the conversation itself (those providers are stateless) and answers
+// with `response.created`, `response.output_text.done` and `response.completed`/`response.failed`.
+//
+// Conversation history is provider-neutral:
+//   { role: 'user', parts: [{ type: 'text', text } | { type: 'image', mimeType, data }] }
+//   { role: 'assistant', text, toolCalls: [{ id, name, arguments }], raw }
+//   { role: 'tool', callId, name, output }
+// `raw` is the provider's own content for that turn, replayed verbatim so provider-specific
+// parts (thinking blocks, thought signatures) survive the round trip.
+
+// Painting turns with several screenshots in context can take a while on slower backends.
+const PROVIDER_REQUEST_TIMEOUT_MS = 120_000;
+
+class ProviderRequestError extends Error {
+  constructor(message, { status = null, code = null, retryAfterSeconds = null } = {}) {
+    super(message);
+    this.name = 'ProviderRequestError';
+    this.status = status;
+    this.code = code;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+function parseImageUrl(imageUrl) {
+  const match = /^data:(image\/[a-zA-Z0-9.+-]+);base64,(.+)$/.exec(String(imageUrl || ''));
+  if (!match) {
+    throw new ProviderRequestError('Only base64 data URL images can be sent to this provider.', { code: 'unsupported_image' });
+  }
+  return { type: 'image', mimeType: match[1].toLowerCase(), data: match[2] };
+}
+
+function contentToParts(content) {
+  if (typeof content === 'string') {
+    return [{ type: 'text', text: content }];
+  }
+  const parts = [];
+  for (const part of Array.isArray(content) ? content : []) {
+    if (part?.type === 'input_text' && typeof part.text === 'string') {
+      parts.push({ type: 'text', text: part.text });
+    } else if (part?.type === 'input_image') {
+      parts.push(parseImageUrl(part.image_url));
+    }
+  }
+  return parts;
+}
+
+/**
+ * @param {object} adapter  `{ id, createTurn({ model, instructions, tools, history }) }`; createTurn
+ *   resolves to `{ text, toolCalls, raw, usage }` or throws ProviderRequestError.
+ * @param {string} model  Provider-side model name (without the `provider:` prefix).
+ * @param {(event: object) => void} send  Delivers one protocol event to the browser.
+ */
+function createResponsesSession(adapter, model, send) {
+  const history = [];
+  let instructions = '';
+  let tools = [];
+  let lastResponseId = null;
+  let responseCount = 0;
+  let queue = Promise.resolve();
+  let closed = false;
+
+  function toolNameForCall(callId) {
+    for (let i = history.length - 1; i >= 0; i -= 1) {
+      const call = history[i].toolCalls?.find((toolCall) => toolCall.id === callId);
+      if (call) return call.name;
+    }
+    return null;
+  }
+
+  function hasToolOutput(callId) {
+    return history.some((entry) => entry.role === 'tool' && entry.callId === callId);
+  }
+
+  function appendInputItems(items) {
+    for (const item of Array.isArray(items) ? items : []) {
+      if (item?.type === 'function_call_output') {
+        // Every provider rejects or mangles a second result for the same call.
+        if (hasToolOutput(String(item.call_id || ''))) continue;
+        history.push({
+          role: 'tool',
+          callId: String(item.call_id || ''),
+          name: toolNameForCall(item.call_id),
+          output: typeof item.output === 'string' ? item.output : JSON.stringify(item.output ?? null)
+        });
+      } else if (item?.role === 'user' && (item.type === undefined || item.type === 'message')) {
+        const parts = contentToParts(item.content);
+        if (parts.length > 0) history.push({ role: 'user', parts });
+      }
+    }
+  }
+
+  function sendError(responseId, error) {
+    if (error.status === 429 || error.code === 'rate_limit_exceeded') {
+      // script.js backs off on this code and reads "try again in Ns" from the message.
+      const retryText = Number.isFinite(error.retryAfterSeconds) ? ` Please try again in ${error.retryAfterSeconds}s.` : '';
+      send({
+        type: 'error',
+        error: { code: 'rate_limit_exceeded', message: `${error.message}${retryText}` }
+      });
+      return;
+    }
+    send({
+      type: 'response.failed',
+      response: {
+        id: responseId,
+        status: 'failed',
+        output: [],
+        status_details: {
+          error: { code: error.code || 'provider_error', message: error.message || String(error) }
+        }
+      }
+    });
+  }
+
+  async function handleResponseCreate(event) {
+    responseCount += 1;
+    const responseId = `resp_${adapter.id}_${Date.now().toString(36)}_${responseCount}`;
+
+    if (event.previous_response_id && event.previous_response_id !== lastResponseId) {
+      send({
+        type: 'error',
+        error: {
+          code: 'previous_response_not_found',
+          message: `Previous response ${event.previous_response_id} is not the latest response of this session.`
+        }
+      });
+      return;
+    }
+
+    if (typeof event.instructions === 'string') instructions = event.instructions;
+    if (Array.isArray(event.tools)) {
+      tools = event.tools
+        .filter((tool) => tool?.type === 'function' && tool.name)
+        .map((tool) => ({ name: tool.name, description: tool.description || '', parameters: tool.parameters || { type: 'object', properties: {} } }));
+    }
+
+    send({ type: 'response.created', response: { id: responseId, status: 'in_progress' } });
+
+    let turn;
+    // A failed turn leaves the history as it was: script.js resends the same input when it
+    // retries, as the Responses API expects.
+    const historyLength = history.length;
+    try {
+      appendInputItems(event.input);
+      if (history.length === 0 || history[history.length - 1].role === 'assistant') {
+        // A create with no new input asks for another step; these APIs need a user turn for that.
+        history.push({ role: 'user', parts: [{ type: 'text', text: 'Continue.' }] });
+      }
+      turn = await adapter.createTurn({ model, instructions, tools, history });
+    } catch (error) {
+      history.length = historyLength;
+      if (!closed) sendError(responseId, error);
+      return;
+    }
+    if (closed) return;
+
+    const toolCalls = turn.toolCalls.map((call, index) => ({
+      id: call.id || `call_${responseCount}_${index + 1}`,
+      name: call.name,
+      arguments: call.arguments
+    }));
+    history.push({ role: 'assistant', text: turn.text || '', toolCalls, raw: turn.raw });
+    lastResponseId = responseId;
+
+    const output = [];
+    if (turn.text) {
+      send({ type: 'response.output_text.done', response_id: responseId, text: turn.text });
+      output.push({ type: 'message', role: 'assistant', content: [{ type: 'output_text', text: turn.text }] });
+    }
+    for (const call of toolCalls) {
+      output.push({ type: 'function_call', call_id: call.id, name: call.name, arguments: call.arguments });
+    }
+
+    send({
+      type: 'response.completed',
+      response: {
+        id: responseId,
+        status: 'completed',
+        model: `${adapter.id}:${model}`,
+        output,
+        usage: turn.usage || null
+      }
+    });
+  }
+
+  return {
+    handleMessage(text) {
+      let event;
+      try {
+        event = JSON.parse(text);
+      } catch (_error) {
+        send({ type: 'error', error: { code: 'invalid_json', message: 'Client message is not valid JSON.' } });
+        return;
+      }
+      if (event?.type !== 'response.create') return;
+      // One request at a time, in arrival order, like a single upstream socket.
+      queue = queue.then(() => handleResponseCreate(event)).catch((error) => {
+        if (!closed) sendError(null, error);
+      });
+    },
+    close() {
+      closed = true;
+    }
+  };
+}
+
+function retryAfterFromHeaders(headers) {
+  const value = Number(headers?.get?.('retry-after'));
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+// Shared by the HTTP adapters: POSTs JSON and turns HTTP failures into ProviderRequestError.
+async function postProviderJson(url, { headers = {}, body, timeoutMs = PROVIDER_REQUEST_TIMEOUT_MS }) {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+  } catch (error) {
+    throw new ProviderRequestError(`Provider request failed: ${error.message || String(error)}`, { code: 'provider_unreachable' });
+  }
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const message = payload?.error?.message || payload?.message || `Provider request failed (${response.status}).`;
+    throw new ProviderRequestError(message, {
+      status: response.status,
+      code: response.status === 429 ? 'rate_limit_exceeded' : 'provider_http_error',
+      retryAfterSeconds: retryAfterFromHeaders(response.headers)
+    });
+  }
+  return payload;
+}
+
+module.exports = {
+  ProviderRequestError,
+  createResponsesSession,
+  postProviderJson
+};
@@ -0,0 +1,168 @@
+// Pairwise preference ratings from A/B votes between run results.
+// Shared by server.js (compare view) and scripts/eval-report.js (--ratings).
+
+const VOTE_WINNERS = ['a', 'b', 'tie'];
+
+// Fields copied from each side's run_index.jsonl row into the vote, so ratings can be
+// regrouped later without the index.
+const VOTE_SIDE_FIELDS = [
+  'baseName',
+  'model',
+  'maxRunSeconds',
+  'gridForScreenshots',
+  'allowClearTool',
+  'canvasSize',
+  'startCanvas',
+  'taskMode',
+  'evalTag'
+];
+
+const RATING_GROUP_FIELDS = VOTE_SIDE_FIELDS.filter((field) => field !== 'baseName');
+const DEFAULT_RATING_GROUP_BY = ['model'];
+
+const RATING_BASE = 1500;
+const RATING_SCALE = 400;
+const ELO_K = 32;
+const BRADLEY_TERRY_ITERATIONS = 200;
+// Every contestant also gets one virtual tie against an average opponent, so a contestant that
+// has only won (or only lost) still gets a finite Bradley-Terry rating.
+const BRADLEY_TERRY_PRIOR_GAMES = 1;
+
+function pickVoteSide(row) {
+  const side = {};
+  for (const field of VOTE_SIDE_FIELDS) {
+    side[field] = row?.[field] ?? null;
+  }
+  return side;
+}
+
+function toGroupValue(side, field) {
+  const value = side?.[field];
+  if (value === null || value === undefined || value === '') return '(null)';
+  return String(value);
+}
+
+function voteScoreForA(winner) {
+  if (winner === 'a') return 1;
+  if (winner === 'b') return 0;
+  return 0.5;
+}
+
+function roundRating(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Rates contestants, one per distinct combination of `groupBy` values, from votes in the
+ * order given (Elo depends on order; Bradley-Terry does not). Votes whose two sides fall in
+ * the same group carry no information about the ranking and are skipped.
+ */
+function computeRatings(votes, groupBy = DEFAULT_RATING_GROUP_BY) {
+  const contestants = new Map();
+  const games = [];
+  let skippedVotes = 0;
+
+  function getContestant(side) {
+    const groupValues = {};
+    for (const field of groupBy) {
+      groupValues[field] = toGroupValue(side, field);
+    }
+    const key = groupBy.map((field) => groupValues[field]).join('|');
+    if (!contestants.has(key)) {
+      contestants.set(key, {
+        key,
+        groupValues,
+        votes: 0,
+        wins: 0,
+        losses: 0,
+        ties: 0,
+        elo: RATING_BASE,
+        strength: 1
+      });
+    }
+    return contestants.get(key);
+  }
+
+  for (const vote of Array.isArray(votes) ? votes : []) {
+    if (!vote || !VOTE_WINNERS.includes(vote.winner)) {
+      skippedVotes += 1;
+      continue;
+    }
+    const a = getContestant(vote.a);
+    const b = getContestant(vote.b);
+    if (a === b) {
+      skippedVotes += 1;
+      continue;
+    }
+
+    const scoreA = voteScoreForA(vote.winner);
+    a.votes += 1;
+    b.votes += 1;
+    if (scoreA === 1) {
+      a.wins += 1;
+      b.losses += 1;
+    } else if (scoreA === 0) {
+      a.losses += 1;
+      b.wins += 1;
+    } else {
+      a.ties += 1;
+      b.ties += 1;
+    }
+
+    const expectedA = 1 / (1 + 10 ** ((b.elo - a.elo) / RATING_SCALE));
+    const delta = ELO_K * (scoreA - expectedA);
+    a.elo += delta;
+    b.elo -= delta;
+    games.push({ a, b, scoreA });
+  }
+
+  // Minorization-maximization updates (Hunter 2004); a tie counts as half a win for each side.
+  const list = Array.from(contestants.values());
+  for (let iteration = 0; iteration < BRADLEY_TERRY_ITERATIONS; iteration += 1) {
+    const scoreSums = new Map(list.map((contestant) => [contestant, BRADLEY_TERRY_PRIOR_GAMES * 0.5]));
+    const denominators = new Map(list.map((contestant) => [
+      contestant,
+      BRADLEY_TERRY_PRIOR_GAMES / (contestant.strength + 1)
+    ]));
+    for (const { a, b, scoreA } of games) {
+      const pairTerm = 1 / (a.strength + b.strength);
+      scoreSums.set(a, scoreSums.get(a) + scoreA);
+      scoreSums.set(b, scoreSums.get(b) + (1 - scoreA));
+      denominators.set(a, denominators.get(a) + pairTerm);
+      denominators.set(b, denominators.get(b) + pairTerm);
+    }
+    for (const contestant of list) {
+      contestant.strength = scoreSums.get(contestant) / denominators.get(contestant);
+    }
+  }
+
+  const ratings = list
+    .map((contestant) => ({
+      ...contestant.groupValues,
+      key: contestant.key,
+      votes: contestant.votes,
+      wins: contestant.wins,
+      losses: contestant.losses,
+      ties: contestant.ties,
+      winRate: contestant.votes > 0 ? (contestant.wins + contestant.ties * 0.5) / contestant.votes : 0,
+      elo: roundRating(contestant.elo),
+      bradleyTerry: roundRating(RATING_BASE + RATING_SCALE * Math.log10(contestant.strength))
+    }))
+    .sort((a, b) => b.bradleyTerry - a.bradleyTerry || b.votes - a.votes || a.key.localeCompare(b.key));
+
+  return {
+    groupBy: [...groupBy],
+    voteCount: games.length,
+    skippedVotes,
+    ratings
+  };
+}
+
+module.exports = {
+  VOTE_WINNERS,
+  VOTE_SIDE_FIELDS,
+  RATING_GROUP_FIELDS,
+  DEFAULT_RATING_GROUP_BY,
+  pickVoteSide,
+  computeRatings
+};
@@ -1,6 +1,18 @@
-const CANVAS_WIDTH = 800;
-const CANVAS_HEIGHT = 600;
-const VALID_TOOLS = ['pencil', 'brush', 'rectangle', 'circle', 'fill', 'spray', 'eraser'];
+const VALID_TOOLS = PaintEngine.DRAW_TOOLS;
+// Tools only the human toolbar offers; they do not map to a draw_action tool.
+const SELECTION_TOOLS = ['select', 'lasso', 'wand', 'move'];
+const HUMAN_TOOLS = [...VALID_TOOLS, 'text', ...SELECTION_TOOLS];
+// Toolbar buttons that transform the current selection, keyed by data-selection-op.
+const SELECTION_BUTTON_OPERATIONS = {
+  flipHorizontal: { operation: 'flip', axis: 'horizontal' },
+  flipVertical: { operation: 'flip', axis: 'vertical' },
+  rotateLeft: { operation: 'rotate', angle: -90 },
+  rotateRight: { operation: 'rotate', angle: 90 },
+  grow: { operation: 'scale', scaleX: 1.25, scaleY: 1.25 },
+  shrink: { operation: 'scale', scaleX: 0.8, scaleY: 0.8 },
+  duplicate: { operation: 'duplicate', dx: 12, dy: 12 },
+  delete: { operation: 'delete' }
+};
 const DEFAULT_MODEL = 'gpt-5.2';
 const DEFAULT_MAX_RUN_SECONDS = 120;
 const MIN_MAX_RUN_SECONDS = 15;
@@ -14,20 +26,54 @@ const SCREENSHOT_OUTPUT_TYPE = 'image/jpeg';
 const SCREENSHOT_JPEG_QUALITY = 0.74;
 const MAX_AUTOSAVE_SCREENSHOTS = 80;
 const UNDO_MAX_SNAPSHOTS = 20;
+const REPLAY_MAX_STEP_DELAY_MS = 1200;
+// `copy` runs reproduce the reference image and are scored against it when they end.
+const TASK_MODES = ['paint', 'copy'];
+const COPY_REFERENCE_PROMPT = 'Reproduce the reference image.';
+// Extra time an eval run waits for its judge call after autosave (the server gives up after 60s).
+const JUDGE_WAIT_MS = 75_000;
+// How often an eval worker with nothing to claim checks for rows other workers gave up.
+const EVAL_JOB_POLL_MS = 5000;
+// How often a worker renews the lease on its claimed row (the server's lease is 90s).
+const EVAL_ROW_HEARTBEAT_MS = 30_000;
 
 const AVAILABLE_MODELS = ['gpt-5.2', 'gpt-5-mini', 'gpt-5-nano'];
 
 const canvas = document.getElementById('canvas');
 const ctx = canvas.getContext('2d', { willReadFrequently: true });
+// Canvas dimensions live on paintSurface; setCanvasSize changes them between runs.
+const paintSurface = { ctx, width: PaintEngine.DEFAULT_CANVAS_WIDTH, height: PaintEngine.DEFAULT_CANVAS_HEIGHT };
+// Selection outlines live on their own canvas so they never reach the composite or screenshots.
+const selectionOverlay = document.getElementById('selectionOverlay');
+const selectionOverlayCtx = selectionOverlay ? selectionOverlay.getContext('2d') : null;
 
 const ui = {
   tabRunMode: document.getElementById('tabRunMode'),
   tabEvalMode: document.getElementById('tabEvalMode'),
+  tabBrowseMode: document.getElementById('tabBrowseMode'),
+  tabCompareMode: document.getElementById('tabCompareMode'),
   panelModeTabs: Array.from(document.querySelectorAll('[data-panel-tab]')),
   panelModeSections: Array.from(document.querySelectorAll('[data-panel-mode]')),
   aiPrompt: document.getElementById('aiPrompt'),
+  taskMode: document.getElementById('taskMode'),
+  judgeRunsToggle: document.getElementById('judgeRunsToggle'),
+  judgeModel: document.getElementById('judgeModel'),
   modelSelect: document.getElementById('modelSelect'),
   modelCustom: document.getElementById('modelCustom'),
+  canvasSizeSelect: document.getElementById('canvasSizeSelect'),
+  canvasSizeCustom: document.getElementById('canvasSizeCustom'),
+  startCanvasType: document.getElementById('startCanvasType'),
+  startCanvasColors: document.getElementById('startCanvasColors'),
+  startCanvasColor: document.getElementById('startCanvasColor'),
+  startCanvasColor2: document.getElementById('startCanvasColor2'),
+  startCanvasDirection: document.getElementById('startCanvasDirection'),
+  startCanvasFile: document.getElementById('startCanvasFile'),
+  startCanvasNote: document.getElementById('startCanvasNote'),
+  referenceFile: document.getElementById('referenceFile'),
+  referenceNote: document.getElementById('referenceNote'),
+  referenceUnderlayToggle: document.getElementById('referenceUnderlayToggle'),
+  referenceClear: document.getElementById('referenceClear'),
+  referenceUnderlay: document.getElementById('referenceUnderlay'),
   maxRunSeconds: document.getElementById('maxRunSeconds'),
   allowClearTool: document.getElementById('allowClearTool'),
   gridForScreenshots: document.getElementById('gridForScreenshots'),
@@ -37,27 +83,90 @@ const ui = {
   aiStatus: document.getElementById('aiStatus'),
   assistantText: document.getElementById('assistantText'),
   downloadLog: document.getElementById('downloadLog'),
+  replayLastRun: document.getElementById('replayLastRun'),
+  replayBar: document.getElementById('replayBar'),
+  replayPlayPause: document.getElementById('replayPlayPause'),
+  replayStep: document.getElementById('replayStep'),
+  replaySpeed: document.getElementById('replaySpeed'),
+  replayClose: document.getElementById('replayClose'),
+  replayScrub: document.getElementById('replayScrub'),
+  replayStatus: document.getElementById('replayStatus'),
   autosaveStatus: document.getElementById('autosaveStatus'),
   evalPrompts: document.getElementById('evalPrompts'),
   evalModelCheckboxes: document.getElementById('evalModelCheckboxes'),
   evalModelsCustom: document.getElementById('evalModelsCustom'),
   evalMaxRunSeconds: document.getElementById('evalMaxRunSeconds'),
+  evalCanvasSizes: document.getElementById('evalCanvasSizes'),
+  evalTaskModes: document.getElementById('evalTaskModes'),
   evalGridModes: document.getElementById('evalGridModes'),
   evalAllowClearModes: document.getElementById('evalAllowClearModes'),
   evalRepeats: document.getElementById('evalRepeats'),
   evalPauseMs: document.getElementById('evalPauseMs'),
   evalModelBatchPauseMs: document.getElementById('evalModelBatchPauseMs'),
+  evalMaxConcurrentPerModel: document.getElementById('evalMaxConcurrentPerModel'),
   evalTag: document.getElementById('evalTag'),
   evalClearCanvasEachRun: document.getElementById('evalClearCanvasEachRun'),
   startEvalMatrix: document.getElementById('startEvalMatrix'),
   stopEvalMatrix: document.getElementById('stopEvalMatrix'),
   downloadEvalCsv: document.getElementById('downloadEvalCsv'),
+  evalJobList: document.getElementById('evalJobList'),
+  evalJobsRefresh: document.getElementById('evalJobsRefresh'),
+  evalJobResume: document.getElementById('evalJobResume'),
+  evalJobPause: document.getElementById('evalJobPause'),
+  evalJobCancel: document.getElementById('evalJobCancel'),
+  evalJobsStatus: document.getElementById('evalJobsStatus'),
   evalStatus: document.getElementById('evalStatus'),
   resultsGallery: document.getElementById('resultsGallery'),
   resultCardOverlay: document.getElementById('resultCardOverlay'),
   overlayClose: document.getElementById('overlayClose'),
   overlayImage: document.getElementById('overlayImage'),
-  overlayMeta: document.getElementById('overlayMeta')
+  overlayMeta: document.getElementById('overlayMeta'),
+  runBrowserFilter: document.getElementById('runBrowserFilter'),
+  runBrowserRefresh: document.getElementById('runBrowserRefresh'),
+  runBrowserList: document.getElementById('runBrowserList'),
+  runBrowserDetail: document.getElementById('runBrowserDetail'),
+  runBrowserMeta: document.getElementById('runBrowserMeta'),
+  runBrowserReplay: document.getElementById('runBrowserReplay'),
+  runBrowserShowFinal: document.getElementById('runBrowserShowFinal'),
+  runBrowserVerify: document.getElementById('runBrowserVerify'),
+  runBrowserUseAsStart: document.getElementById('runBrowserUseAsStart'),
+  runBrowserUseAsReference: document.getElementById('runBrowserUseAsReference'),
+  runBrowserJudge: document.getElementById('runBrowserJudge'),
+  runBrowserShots: document.getElementById('runBrowserShots'),
+  runBrowserStatus: document.getElementById('runBrowserStatus'),
+  comparePrompt: document.getElementById('comparePrompt'),
+  compareImageA: document.getElementById('compareImageA'),
+  compareImageB: document.getElementById('compareImageB'),
+  compareVoteA: document.getElementById('compareVoteA'),
+  compareVoteTie: document.getElementById('compareVoteTie'),
+  compareVoteB: document.getElementById('compareVoteB'),
+  compareSkip: document.getElementById('compareSkip'),
+  compareRefresh: document.getElementById('compareRefresh'),
+  compareReveal: document.getElementById('compareReveal'),
+  compareVoter: document.getElementById('compareVoter'),
+  ratingGroupBy: document.getElementById('ratingGroupBy'),
+  ratingsTable: document.getElementById('ratingsTable'),
+  compareStatus: document.getElementById('compareStatus'),
+  drawToolbar: document.getElementById('drawToolbar'),
+  drawToolButtons: Array.from(document.querySelectorAll('[data-draw-tool]')),
+  drawColor: document.getElementById('drawColor'),
+  drawLineWidth: document.getElementById('drawLineWidth'),
+  drawLineWidthValue: document.getElementById('drawLineWidthValue'),
+  drawBrushTip: document.getElementById('drawBrushTip'),
+  drawFontFamily: document.getElementById('drawFontFamily'),
+  drawFontSize: document.getElementById('drawFontSize'),
+  selectionButtons: Array.from(document.querySelectorAll('[data-selection-op]')),
+  selectionClear: document.getElementById('selectionClear'),
+  layersPanel: document.getElementById('layersPanel'),
+  layerList: document.getElementById('layerList'),
+  layerAdd: document.getElementById('layerAdd'),
+  layerUp: document.getElementById('layerUp'),
+  layerDown: document.getElementById('layerDown'),
+  layerMerge: document.getElementById('layerMerge'),
+  layerDelete: document.getElementById('layerDelete'),
+  layerOpacity: document.getElementById('layerOpacity'),
+  layerOpacityValue: document.getElementById('layerOpacityValue'),
+  layerBlend: document.getElementById('layerBlend')
 };
 
 const state = {
@@ -68,11 +177,53 @@ const state = {
     currentTool: 'pencil',
     color: '#000000',
     lineWidth: 5,
+    brushTip: 'round',
+    fontFamily: PaintEngine.TEXT_FONT_FAMILIES[0],
+    fontSize: 32,
     startX: 0,
-    startY: 0
+    startY: 0,
+    lastX: 0,
+    lastY: 0,
+    pointerId: null,
+    previewSnapshot: null,
+    lassoPoints: [],
+    selectionCombine: 'replace'
   },
+  layers: null,
   aiRun: null,
   lastRunLog: null,
+  // Decoded start image ({ image, source, name }); cropped to the canvas when a run starts.
+  startImage: null,
+  // Reference sent to the agent ({ dataUrl, source, name }); never painted on the canvas.
+  reference: null,
+  lastRunStartImage: null,
+  lastRunStartLayerImages: null,
+  replay: {
+    active: false,
+    playing: false,
+    log: null,
+    actions: [],
+    index: 0,
+    speed: 1,
+    timerHandle: null,
+    session: null
+  },
+  runBrowser: {
+    loaded: false,
+    loading: false,
+    rows: [],
+    selectedBaseName: null,
+    selectedLog: null
+  },
+  compare: {
+    loaded: false,
+    loading: false,
+    voting: false,
+    rows: [],
+    votes: [],
+    pair: null,
+    skippedPairs: new Set()
+  },
   pendingRunOverrides: null,
   insideEvalMatrix: false,
   evalRunner: {
@@ -83,19 +234,32 @@ const state = {
     startedAt: null,
     config: null,
     runByRunId: new Map(),
-    current: null
+    current: null,
+    jobId: null,
+    // Identifies this tab when it claims rows of a saved eval job.
+    workerId: `worker-${createRunId()}`
+  },
+  evalJobs: {
+    loaded: false,
+    loading: false,
+    jobs: [],
+    selectedId: null
   }
 };
 
-canvas.width = CANVAS_WIDTH;
-canvas.height = CANVAS_HEIGHT;
-ctx.fillStyle = '#ffffff';
-ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-ctx.strokeStyle = state.drawing.color;
-ctx.lineWidth = state.drawing.lineWidth;
-ctx.lineCap = 'round';
+resizeCanvasElements();
+// The visible canvas only ever shows the composite; tools paint into the active layer.
+state.layers = PaintEngine.createLayerStack(paintSurface);
 
 bindUiEvents();
+bindCanvasPointerEvents();
+populateCanvasSizeOptions();
+setCanvasSizeUi(paintSurface);
+updateStartCanvasUi();
+updateReferenceUi();
+populateBrushTipOptions();
+populateFontFamilyOptions();
+populateLayerBlendOptions();
 updatePanelModeUi();
 updateRunTimer('--');
 setAiStatus('idle');
@@ -113,6 +277,12 @@ function bindUiEvents() {
   if (ui.tabEvalMode) {
     ui.tabEvalMode.addEventListener('click', () => setPanelMode('eval'));
   }
+  if (ui.tabBrowseMode) {
+    ui.tabBrowseMode.addEventListener('click', () => setPanelMode('browse'));
+  }
+  if (ui.tabCompareMode) {
+    ui.tabCompareMode.addEventListener('click', () => setPanelMode('compare'));
+  }
 
   // Model dropdown: show/hide custom input
   if (ui.modelSelect) {
@@ -123,6 +293,38 @@ function bindUiEvents() {
     });
   }
 
+  if (ui.canvasSizeSelect) {
+    ui.canvasSizeSelect.addEventListener('change', () => {
+      const custom = ui.canvasSizeSelect.value === '__custom__';
+      if (ui.canvasSizeCustom) {
+        ui.canvasSizeCustom.style.display = custom ? '' : 'none';
+        if (custom && !ui.canvasSizeCustom.value) {
+          ui.canvasSizeCustom.value = PaintEngine.formatCanvasSize(paintSurface);
+        }
+      }
+      if (!custom) applyCanvasSizeFromUi();
+    });
+  }
+  if (ui.canvasSizeCustom) {
+    ui.canvasSizeCustom.addEventListener('change', applyCanvasSizeFromUi);
+  }
+
+  if (ui.startCanvasType) {
+    ui.startCanvasType.addEventListener('change', updateStartCanvasUi);
+    ui.startCanvasFile.addEventListener('change', () => {
+      const file = ui.startCanvasFile.files?.[0];
+      if (file) void setStartImageFromFile(file);
+    });
+  }
+  if (ui.referenceFile) {
+    ui.referenceFile.addEventListener('change', () => {
+      const file = ui.referenceFile.files?.[0];
+      if (file) void setReferenceFromFile(file);
+    });
+    ui.referenceUnderlayToggle.addEventListener('change', updateReferenceUi);
+    ui.referenceClear.addEventListener('click', clearReference);
+  }
+
   ui.startAiButton.addEventListener('click', startAiRun);
   ui.stopAiButton.addEventListener('click', () => {
     if (state.aiRun?.active) {
@@ -131,9 +333,140 @@ function bindUiEvents() {
   });
 
   ui.downloadLog.addEventListener('click', downloadLastRunLog);
+  ui.replayLastRun.addEventListener('click', replayLastRun);
+  ui.replayPlayPause.addEventListener('click', toggleReplayPlayback);
+  ui.replayStep.addEventListener('click', () => {
+    pauseReplay();
+    stepReplay();
+  });
+  ui.replaySpeed.addEventListener('change', () => {
+    state.replay.speed = clamp(Number(ui.replaySpeed.value) || 1, 0.25, 64);
+    if (state.replay.playing) {
+      scheduleNextReplayStep();
+    }
+  });
+  ui.replayScrub.addEventListener('input', () => {
+    pauseReplay();
+    seekReplay(Number(ui.replayScrub.value));
+  });
+  ui.replayClose.addEventListener('click', closeReplay);
+
+  ui.runBrowserRefresh.addEventListener('click', () => {
+    void refreshRunBrowser();
+  });
+  ui.runBrowserFilter.addEventListener('input', renderRunBrowserList);
+  ui.runBrowserReplay.addEventListener('click', () => {
+    void replaySelectedRun();
+  });
+  ui.runBrowserShowFinal.addEventListener('click', showSelectedRunFinalImage);
+  ui.runBrowserVerify.addEventListener('click', () => {
+    void verifySelectedRun();
+  });
+  ui.runBrowserUseAsStart.addEventListener('click', () => {
+    void useSelectedRunAsStart();
+  });
+  ui.runBrowserUseAsReference.addEventListener('click', () => {
+    void useSelectedRunAsReference();
+  });
+  ui.runBrowserJudge.addEventListener('click', () => {
+    void judgeSelectedRun();
+  });
+  ui.compareVoteA.addEventListener('click', () => {
+    void submitCompareVote('a');
+  });
+  ui.compareVoteTie.addEventListener('click', () => {
+    void submitCompareVote('tie');
+  });
+  ui.compareVoteB.addEventListener('click', () => {
+    void submitCompareVote('b');
+  });
+  ui.compareSkip.addEventListener('click', skipComparePair);
+  ui.compareRefresh.addEventListener('click', () => {
+    void refreshCompare();
+  });
+  ui.compareImageA.addEventListener('click', () => openComparePairImage('a'));
+  ui.compareImageB.addEventListener('click', () => openComparePairImage('b'));
+  ui.ratingGroupBy.addEventListener('change', () => {
+    nextComparePair();
+    void refreshRatings();
+  });
   ui.startEvalMatrix.addEventListener('click', startEvalMatrix);
   ui.stopEvalMatrix.addEventListener('click', stopEvalMatrix);
   ui.downloadEvalCsv.addEventListener('click', downloadEvalCsv);
+  ui.evalJobsRefresh.addEventListener('click', () => {
+    void refreshEvalJobs();
+  });
+  ui.evalJobResume.addEventListener('click', () => {
+    void resumeEvalJob(state.evalJobs.selectedId);
+  });
+  ui.evalJobPause.addEventListener('click', () => {
+    void pauseEvalJob(state.evalJobs.selectedId);
+  });
+  ui.evalJobCancel.addEventListener('click', () => {
+    void cancelEvalJob(state.evalJobs.selectedId);
+  });
+
+  for (const button of ui.drawToolButtons) {
+    button.addEventListener('click', () => {
+      setTool(button.getAttribute('data-draw-tool'));
+      updateDrawToolbarUi();
+    });
+  }
+  if (ui.drawColor) {
+    ui.drawColor.addEventListener('input', () => {
+      setColor(ui.drawColor.value);
+    });
+  }
+  if (ui.drawLineWidth) {
+    ui.drawLineWidth.addEventListener('input', () => {
+      setLineWidth(ui.drawLineWidth.value);
+      updateDrawToolbarUi();
+    });
+  }
+  if (ui.drawBrushTip) {
+    ui.drawBrushTip.addEventListener('change', () => {
+      setBrushTip(ui.drawBrushTip.value);
+      updateDrawToolbarUi();
+    });
+  }
+  if (ui.drawFontFamily) {
+    ui.drawFontFamily.addEventListener('change', () => {
+      if (PaintEngine.TEXT_FONT_FAMILIES.includes(ui.drawFontFamily.value)) {
+        state.drawing.fontFamily = ui.drawFontFamily.value;
+      }
+    });
+  }
+  if (ui.drawFontSize) {
+    ui.drawFontSize.addEventListener('change', () => {
+      state.drawing.fontSize = clamp(Math.round(Number(ui.drawFontSize.value) || state.drawing.fontSize), 6, 200);
+      updateDrawToolbarUi();
+    });
+  }
+
+  for (const button of ui.selectionButtons) {
+    button.addEventListener('click', () => {
+      const payload = SELECTION_BUTTON_OPERATIONS[button.getAttribute('data-selection-op')];
+      if (payload) runHumanSelectionAction('transform_selection', payload);
+    });
+  }
+  if (ui.selectionClear) {
+    ui.selectionClear.addEventListener('click', () => runHumanSelectionAction('clear_selection', {}));
+  }
+
+  if (ui.layersPanel) {
+    ui.layerAdd.addEventListener('click', () => runHumanLayerAction('create_layer', {}));
+    ui.layerUp.addEventListener('click', () => runHumanLayerAction('move_layer', { direction: 'up' }));
+    ui.layerDown.addEventListener('click', () => runHumanLayerAction('move_layer', { direction: 'down' }));
+    ui.layerMerge.addEventListener('click', () => runHumanLayerAction('merge_layer_down', {}));
+    ui.layerDelete.addEventListener('click', () => runHumanLayerAction('delete_layer', {}));
+    ui.layerOpacity.addEventListener('input', () => {
+      runHumanLayerAction('set_layer_properties', { opacity: Number(ui.layerOpacity.value) / 100 });
+    });
+    ui.layerBlend.addEventListener('change', () => {
+      runHumanLayerAction('set_layer_properties', { blendMode: ui.layerBlend.value });
+    });
+    ui.layerList.addEventListener('click', handleLayerListClick);
+  }
 
   // Gallery overlay close
   if (ui.overlayClose) {
@@ -169,11 +502,256 @@ function setModelUi(model) {
   }
 }
 
+function populateCanvasSizeOptions() {
+  if (!ui.canvasSizeSelect) return;
+  ui.canvasSizeSelect.innerHTML = Object.entries(PaintEngine.CANVAS_SIZE_PRESETS)
+    .map(([name, size]) => `<option value="${name}">${name} (${PaintEngine.formatCanvasSize(size)})</option>`)
+    .concat('<option value="__custom__">Custom...</option>')
+    .join('');
+}
+
+function getSelectedCanvasSize() {
+  const current = { width: paintSurface.width, height: paintSurface.height };
+  if (!ui.canvasSizeSelect) return current;
+  const value = ui.canvasSizeSelect.value === '__custom__'
+    ? ui.canvasSizeCustom?.value
+    : ui.canvasSizeSelect.value;
+  return PaintEngine.parseCanvasSize(value) || current;
+}
+
+function setCanvasSizeUi(size) {
+  if (!ui.canvasSizeSelect) return;
+  const preset = Object.entries(PaintEngine.CANVAS_SIZE_PRESETS)
+    .find(([, presetSize]) => presetSize.width === size.width && presetSize.height === size.height);
+  ui.canvasSizeSelect.value = preset ? preset[0] : '__custom__';
+  if (ui.canvasSizeCustom) {
+    ui.canvasSizeCustom.value = PaintEngine.formatCanvasSize(size);
+    ui.canvasSizeCustom.style.display = preset ? 'none' : '';
+  }
+}
+
+// Resizing drops the current picture, so ask first unless the canvas is still blank.
+function applyCanvasSizeFromUi() {
+  const size = getSelectedCanvasSize();
+  if (!canHumanDraw()) {
+    setCanvasSizeUi(paintSurface);
+    return;
+  }
+  if (size.width === paintSurface.width && size.height === paintSurface.height) {
+    setCanvasSizeUi(size);
+    return;
+  }
+  const blank = PaintEngine.isDefaultLayerStack(state.layers) && isCanvasWhite();
+  if (!blank && !window.confirm(`Resize the canvas to ${PaintEngine.formatCanvasSize(size)}? This clears the current picture.`)) {
+    setCanvasSizeUi(paintSurface);
+    return;
+  }
+  setCanvasSize(size);
+}
+
+function resizeCanvasElements() {
+  canvas.width = paintSurface.width;
+  canvas.height = paintSurface.height;
+  if (selectionOverlay) {
+    selectionOverlay.width = paintSurface.width;
+    selectionOverlay.height = paintSurface.height;
+  }
+  // Resizing a canvas resets its context state.
+  ctx.strokeStyle = state.drawing.color;
+  ctx.lineWidth = state.drawing.lineWidth;
+  ctx.lineCap = 'round';
+}
+
+// Starts a fresh layer stack at the new size. Returns false when the size is unchanged.
+function setCanvasSize(rawSize) {
+  const size = PaintEngine.normalizeCanvasSize(rawSize);
+  setCanvasSizeUi(size);
+  if (size.width === paintSurface.width && size.height === paintSurface.height) return false;
+
+  cancelHumanStroke();
+  paintSurface.width = size.width;
+  paintSurface.height = size.height;
+  resizeCanvasElements();
+  state.layers = PaintEngine.createLayerStack(paintSurface);
+  renderLayers();
+  return true;
+}
+
+function getStartCanvasConfig() {
+  if (!ui.startCanvasType) return PaintEngine.normalizeStartCanvas(null);
+  return PaintEngine.normalizeStartCanvas({
+    type: ui.startCanvasType.value,
+    color: ui.startCanvasColor.value,
+    colors: [ui.startCanvasColor.value, ui.startCanvasColor2.value],
+    direction: ui.startCanvasDirection.value,
+    source: state.startImage?.source,
+    name: state.startImage?.name
+  });
+}
+
+function updateStartCanvasUi() {
+  if (!ui.startCanvasType) return;
+  const type = ui.startCanvasType.value;
+  const gradient = type === 'gradient';
+  ui.startCanvasColors.style.display = type === 'color' || gradient ? '' : 'none';
+  ui.startCanvasColor2.style.display = gradient ? '' : 'none';
+  ui.startCanvasDirection.style.display = gradient ? '' : 'none';
+  ui.startCanvasFile.style.display = type === 'image' ? '' : 'none';
+  ui.startCanvasNote.style.display = type === 'image' ? '' : 'none';
+  ui.startCanvasNote.textContent = state.startImage
+    ? `${describeImageSource(state.startImage)} (cropped to fill the canvas).`
+    : 'Choose an image, or use "Start From Final" in the Run Browser.';
+}
+
+function normalizeTaskMode(value) {
+  return TASK_MODES.includes(value) ? value : 'paint';
+}
+
+function formatSimilarity(similarity) {
+  if (!similarity) return '--';
+  return `${similarity.score.toFixed(3)} (pixel ${similarity.pixel.toFixed(3)}, SSIM ${similarity.ssim.toFixed(3)})`;
+}
+
+function describeImageSource(entry) {
+  return entry.source === 'run' ? `Final image of ${entry.name}` : `Image ${entry.name}`;
+}
+
+function describeStartCanvas(start) {
+  if (start.type === 'color') return `solid ${start.color}`;
+  if (start.type === 'gradient') {
+    return `${start.colors[0]} to ${start.colors[1]} gradient (${start.direction === 'horizontal' ? 'left to right' : 'top to bottom'})`;
+  }
+  if (start.type === 'image') {
+    return start.source === 'run' ? `final image of run ${start.name || '?'}` : `image ${start.name || '(upload)'}`;
+  }
+  if (start.type === 'snapshot') return 'canvas as the run found it';
+  return 'white';
+}
+
+async function setStartImageFromFile(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    state.startImage = { image: await loadImageElement(url), source: 'upload', name: file.name };
+    updateStartCanvasUi();
+  } catch (error) {
+    ui.startCanvasNote.textContent = `Could not read ${file.name} (${error.message || String(error)}).`;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+async function setReferenceFromFile(file) {
+  const url = URL.createObjectURL(file);
+  try {
+    await setReference(await loadImageElement(url), 'upload', file.name);
+  } catch (error) {
+    ui.referenceNote.textContent = `Could not read ${file.name} (${error.message || String(error)}).`;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+// The reference is downscaled once, like a screenshot, and the same data URL is sent and saved.
+// Copy runs are scored against the decoded data URL, i.e. exactly the saved reference.
+async function setReference(image, source, name) {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  const scale = Math.min(1, SCREENSHOT_MAX_SIDE / Math.max(width, height));
+  const outCanvas = document.createElement('canvas');
+  outCanvas.width = Math.max(1, Math.round(width * scale));
+  outCanvas.height = Math.max(1, Math.round(height * scale));
+  const outCtx = outCanvas.getContext('2d');
+  outCtx.fillStyle = '#ffffff';
+  outCtx.fillRect(0, 0, outCanvas.width, outCanvas.height);
+  outCtx.drawImage(image, 0, 0, outCanvas.width, outCanvas.height);
+  const dataUrl = outCanvas.toDataURL(SCREENSHOT_OUTPUT_TYPE, SCREENSHOT_JPEG_QUALITY);
+  state.reference = {
+    dataUrl,
+    imageData: await loadImageDataFromUrl(dataUrl),
+    source,
+    name
+  };
+  updateReferenceUi();
+}
+
+function clearReference() {
+  state.reference = null;
+  if (ui.referenceFile) ui.referenceFile.value = '';
+  updateReferenceUi();
+}
+
+function updateReferenceUi() {
+  if (!ui.referenceFile) return;
+  const reference = state.reference;
+  ui.referenceNote.textContent = reference ? `Reference: ${describeImageSource(reference)}.` : 'No reference image.';
+  ui.referenceClear.disabled = !reference || state.mode !== 'human';
+  ui.referenceFile.disabled = state.mode !== 'human';
+  if (!ui.referenceUnderlay) return;
+  const show = Boolean(reference) && ui.referenceUnderlayToggle.checked;
+  ui.referenceUnderlay.classList.toggle('is-hidden', !show);
+  if (show && ui.referenceUnderlay.getAttribute('src') !== reference.dataUrl) {
+    ui.referenceUnderlay.src = reference.dataUrl;
+  }
+}
+
+// Paints `start` on a fresh layer stack. Image starts are cropped to cover the canvas and
+// the resulting pixels are returned so the run can save them for replay.
+function applyStartCanvas(start) {
+  let startImage = null;
+  if (start.type === 'image' && state.startImage) {
+    startImage = rasterizeStartImage(state.startImage.image);
+  }
+  PaintEngine.resetLayerStack(state.layers);
+  PaintEngine.paintStartCanvas(state.layers.layers[0].surface, start, startImage);
+  renderLayers();
+  return startImage;
+}
+
+// The base layer becomes the start image; every other layer is kept by id for the
+// initial_checkpoint that rebuilds the stack on replay.
+function captureStartSnapshot() {
+  const { pixels } = PaintEngine.captureLayerState(state.layers);
+  const baseId = pixels[PaintEngine.BASE_LAYER_ID] ? PaintEngine.BASE_LAYER_ID : state.layers.layers[0].id;
+  const startImageData = pixels[baseId];
+  delete pixels[PaintEngine.BASE_LAYER_ID];
+  return { startImageData, startLayerImages: Object.keys(pixels).length > 0 ? pixels : null };
+}
+
+function rasterizeStartImage(image) {
+  const width = paintSurface.width;
+  const height = paintSurface.height;
+  const sourceWidth = image.naturalWidth || image.width;
+  const sourceHeight = image.naturalHeight || image.height;
+  const scale = Math.max(width / sourceWidth, height / sourceHeight);
+  const drawWidth = sourceWidth * scale;
+  const drawHeight = sourceHeight * scale;
+
+  const tempCanvas = document.createElement('canvas');
+  tempCanvas.width = width;
+  tempCanvas.height = height;
+  const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
+  // Transparent images sit on white, like everything else painted on the background layer.
+  tempCtx.fillStyle = '#ffffff';
+  tempCtx.fillRect(0, 0, width, height);
+  tempCtx.drawImage(image, (width - drawWidth) / 2, (height - drawHeight) / 2, drawWidth, drawHeight);
+  return tempCtx.getImageData(0, 0, width, height);
+}
+
 function setPanelMode(mode) {
-  const normalized = mode === 'eval' ? 'eval' : 'run';
+  const normalized = ['eval', 'browse', 'compare'].includes(mode) ? mode : 'run';
   if (state.panelMode === normalized) return;
   state.panelMode = normalized;
   updatePanelModeUi();
+
+  if (normalized === 'browse' && !state.runBrowser.loaded) {
+    void refreshRunBrowser();
+  }
+  if (normalized === 'compare' && !state.compare.loaded) {
+    void refreshCompare();
+  }
+  if (normalized === 'eval' && !state.evalJobs.loaded) {
+    void refreshEvalJobs();
+  }
 }
 
 function updatePanelModeUi() {
@@ -192,7 +770,7 @@ function updatePanelModeUi() {
 }
 
 function setTool(tool) {
-  if (!VALID_TOOLS.includes(tool)) return;
+  if (!HUMAN_TOOLS.includes(tool)) return;
   state.drawing.currentTool = tool;
 }
 
@@ -208,30 +786,46 @@ function setLineWidth(width) {
   ctx.lineWidth = normalized;
 }
 
-function pushUndoSnapshot(run) {
+function setBrushTip(tip) {
+  if (!PaintEngine.BRUSH_TIPS.includes(tip)) return;
+  state.drawing.brushTip = tip;
+}
+
+// Snapshots hold the layer structure plus the pixels of the layers an operation touches
+// (the active layer unless a prepared snapshot is passed in).
+function pushUndoSnapshot(run, snapshot = null) {
   if (!run) return;
-  run.undoStack.push(ctx.getImageData(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT));
+  run.undoStack.push(snapshot || PaintEngine.captureLayerState(state.layers, [state.layers.activeLayerId]));
   if (run.undoStack.length > UNDO_MAX_SNAPSHOTS) {
     run.undoStack.shift();
   }
+  // The next logged action carries the push marker so replays rebuild the same stack.
+  run.pendingUndoBoundary = 'push';
+}
+
+function flushPendingUndoBoundary(run) {
+  if (!run?.pendingUndoBoundary) return;
+  appendRunAction('undo_snapshot', {});
+  run.pendingUndoBoundary = null;
 }
 
 function popAndRestoreUndo(run) {
   if (!run || run.undoStack.length === 0) return false;
-  const snapshot = run.undoStack.pop();
-  ctx.putImageData(snapshot, 0, 0);
+  PaintEngine.restoreLayerState(state.layers, run.undoStack.pop());
+  renderLayers();
   return true;
 }
 
 function restoreToLastScreenshot(run) {
-  if (!run || !run.lastScreenshotImageData) return false;
-  ctx.putImageData(run.lastScreenshotImageData, 0, 0);
+  if (!run || !run.lastScreenshotState) return false;
+  PaintEngine.restoreLayerState(state.layers, run.lastScreenshotState);
+  renderLayers();
   run.undoStack = [];
   return true;
 }
 
 function isCanvasWhite() {
-  const imageData = ctx.getImageData(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+  const imageData = ctx.getImageData(0, 0, paintSurface.width, paintSurface.height);
   const data = imageData.data;
   for (let i = 0; i < data.length; i += 400) {
     if (data[i] !== 255 || data[i + 1] !== 255 || data[i + 2] !== 255) {
@@ -241,81 +835,36 @@ function isCanvasWhite() {
   return true;
 }
 
+function getActivePaintSurface() {
+  return PaintEngine.getActiveSurface(state.layers);
+}
+
+function renderLayers() {
+  PaintEngine.compositeLayers(state.layers);
+  updateLayersPanelUi();
+  updateSelectionUi();
+}
+
+function getDrawDefaults() {
+  return {
+    tool: state.drawing.currentTool,
+    color: state.drawing.color,
+    lineWidth: state.drawing.lineWidth
+  };
+}
+
 function executeDrawAction(rawAction, options = {}) {
   const source = options.source || 'unknown';
   const skipLog = Boolean(options.skipLog);
 
-  const action = {
-    tool: VALID_TOOLS.includes(rawAction.tool) ? rawAction.tool : state.drawing.currentTool,
-    color: normalizeColor(rawAction.color || state.drawing.color),
-    lineWidth: clamp(Math.round(Number(rawAction.lineWidth) || state.drawing.lineWidth), 1, 50),
-    startX: clamp(Math.round(Number(rawAction.startX) || 0), 0, CANVAS_WIDTH),
-    startY: clamp(Math.round(Number(rawAction.startY) || 0), 0, CANVAS_HEIGHT),
-    x: clamp(Math.round(Number(rawAction.x) || 0), 0, CANVAS_WIDTH),
-    y: clamp(Math.round(Number(rawAction.y) || 0), 0, CANVAS_HEIGHT),
-    seed: Number.isFinite(Number(rawAction.seed)) ? Number(rawAction.seed) >>> 0 : null
-  };
-
-  if (action.tool === 'spray' && action.seed === null) {
-    action.seed = deterministicSeedFromAction(action);
-  }
+  const action = PaintEngine.normalizeDrawAction(rawAction, getDrawDefaults(), paintSurface);
 
   setTool(action.tool);
   setColor(action.color);
   setLineWidth(action.lineWidth);
 
-  const actionColor = action.tool === 'eraser' ? '#FFFFFF' : action.color;
-
-  switch (action.tool) {
-    case 'pencil':
-    case 'brush': {
-      ctx.beginPath();
-      ctx.strokeStyle = actionColor;
-      ctx.lineWidth = action.lineWidth;
-      ctx.lineCap = 'round';
-      ctx.moveTo(action.startX, action.startY);
-      ctx.lineTo(action.x, action.y);
-      ctx.stroke();
-      break;
-    }
-    case 'rectangle': {
-      ctx.beginPath();
-      ctx.strokeStyle = actionColor;
-      ctx.lineWidth = action.lineWidth;
-      ctx.rect(action.startX, action.startY, action.x - action.startX, action.y - action.startY);
-      ctx.stroke();
-      break;
-    }
-    case 'circle': {
-      const radius = Math.sqrt((action.x - action.startX) ** 2 + (action.y - action.startY) ** 2);
-      ctx.beginPath();
-      ctx.strokeStyle = actionColor;
-      ctx.lineWidth = action.lineWidth;
-      ctx.arc(action.startX, action.startY, radius, 0, Math.PI * 2);
-      ctx.stroke();
-      break;
-    }
-    case 'fill': {
-      floodFill(action.startX, action.startY, action.color);
-      break;
-    }
-    case 'spray': {
-      sprayPaint(action.x, action.y, action.lineWidth * 2, action.lineWidth * 5, actionColor, action.seed);
-      break;
-    }
-    case 'eraser': {
-      ctx.beginPath();
-      ctx.strokeStyle = '#FFFFFF';
-      ctx.lineWidth = action.lineWidth;
-      ctx.lineCap = 'round';
-      ctx.moveTo(action.startX, action.startY);
-      ctx.lineTo(action.x, action.y);
-      ctx.stroke();
-      break;
-    }
-    default:
-      break;
-  }
+  PaintEngine.renderDrawAction(getActivePaintSurface(), action);
+  renderLayers();
 
   if (source === 'ai' && state.aiRun?.active && !skipLog) {
     appendRunAction('draw_action', action);
@@ -326,11 +875,29 @@ function executeDrawAction(rawAction, options = {}) {
   return action;
 }
 
+// Flood fills log as `draw_action` like before, but also hand back the fill summary.
+function floodFillAction(rawInput, options = {}) {
+  const source = options.source || 'unknown';
+  const skipLog = Boolean(options.skipLog);
+
+  const action = PaintEngine.normalizeDrawAction({ ...rawInput, tool: 'fill' }, getDrawDefaults(), paintSurface);
+  const result = PaintEngine.renderDrawAction(getActivePaintSurface(), action);
+  renderLayers();
+
+  if (source === 'ai' && state.aiRun?.active && !skipLog) {
+    appendRunAction('draw_action', action);
+    appendRunEvent('tool_effect', { kind: 'draw_action', action, result });
+    state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
+  }
+
+  return { action, result };
+}
+
 function clearCanvas(options = {}) {
   const source = options.source || 'unknown';
   const skipLog = Boolean(options.skipLog);
-  ctx.fillStyle = '#FFFFFF';
-  ctx.fillRect(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+  PaintEngine.clearSurface(getActivePaintSurface());
+  renderLayers();
 
   if (source === 'ai' && state.aiRun?.active && !skipLog) {
     appendRunAction('clear_canvas', {});
@@ -343,27 +910,9 @@ function fillRectangleAction(rawInput, options = {}) {
   const source = options.source || 'unknown';
   const skipLog = Boolean(options.skipLog);
 
-  const color = normalizeColor(rawInput.color || state.drawing.color);
-  const x1 = clamp(Math.round(Number(rawInput.x1) || 0), 0, CANVAS_WIDTH);
-  const y1 = clamp(Math.round(Number(rawInput.y1) || 0), 0, CANVAS_HEIGHT);
-  const x2 = clamp(Math.round(Number(rawInput.x2) || 0), 0, CANVAS_WIDTH);
-  const y2 = clamp(Math.round(Number(rawInput.y2) || 0), 0, CANVAS_HEIGHT);
-
-  const left = Math.min(x1, x2);
-  const top = Math.min(y1, y2);
-  const width = Math.max(1, Math.abs(x2 - x1));
-  const height = Math.max(1, Math.abs(y2 - y1));
-
-  ctx.fillStyle = color;
-  ctx.fillRect(left, top, width, height);
-
-  const action = {
-    color,
-    x1: left,
-    y1: top,
-    x2: left + width,
-    y2: top + height
-  };
+  const action = PaintEngine.normalizeFillRectangle(rawInput, getDrawDefaults(), paintSurface);
+  PaintEngine.renderFillRectangle(getActivePaintSurface(), action);
+  renderLayers();
 
   if (source === 'ai' && state.aiRun?.active && !skipLog) {
     appendRunAction('fill_rectangle', action);
@@ -374,113 +923,638 @@ function fillRectangleAction(rawInput, options = {}) {
   return action;
 }
 
-function sprayPaint(x, y, radius, density, color, seed) {
-  const random = mulberry32(seed >>> 0);
-  ctx.fillStyle = color;
+function strokePolylineAction(rawInput, options = {}) {
+  const source = options.source || 'unknown';
+  const skipLog = Boolean(options.skipLog);
 
-  for (let i = 0; i < density; i += 1) {
-    const angle = random() * Math.PI * 2;
-    const radial = random() * radius;
-    const dotX = x + radial * Math.cos(angle);
-    const dotY = y + radial * Math.sin(angle);
+  const action = PaintEngine.normalizePolyline(rawInput, getDrawDefaults(), paintSurface);
+  PaintEngine.renderPolyline(getActivePaintSurface(), action);
+  renderLayers();
 
-    ctx.beginPath();
-    ctx.arc(dotX, dotY, 1, 0, Math.PI * 2);
-    ctx.fill();
+  if (source === 'ai' && state.aiRun?.active && !skipLog) {
+    appendRunAction('stroke_polyline', action);
+    appendRunEvent('tool_effect', { kind: 'stroke_polyline', action });
+    state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
   }
+
+  return action;
 }
 
-function floodFill(startX, startY, fillColor) {
-  const imageData = ctx.getImageData(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-  const data = imageData.data;
+const FILL_SHAPE_KINDS = {
+  fill_polygon: { normalize: PaintEngine.normalizeFillPolygon, render: PaintEngine.renderFillPolygon },
+  fill_ellipse: { normalize: PaintEngine.normalizeFillEllipse, render: PaintEngine.renderFillEllipse },
+  fill_path: { normalize: PaintEngine.normalizeFillPath, render: PaintEngine.renderFillPath },
+  fill_gradient: { normalize: PaintEngine.normalizeFillGradient, render: PaintEngine.renderFillGradient }
+};
 
-  const startIndex = (startY * CANVAS_WIDTH + startX) * 4;
-  const startR = data[startIndex];
-  const startG = data[startIndex + 1];
-  const startB = data[startIndex + 2];
-  const startA = data[startIndex + 3];
+function fillShapeAction(kind, rawInput, options = {}) {
+  const source = options.source || 'unknown';
+  const skipLog = Boolean(options.skipLog);
+  const shape = FILL_SHAPE_KINDS[kind];
 
-  const fillRgb = hexToRgb(fillColor);
-  if (!fillRgb) return;
+  const action = shape.normalize(rawInput, getDrawDefaults(), paintSurface);
+  shape.render(getActivePaintSurface(), action);
+  renderLayers();
 
-  if (colorsMatch(startR, startG, startB, startA, fillRgb.r, fillRgb.g, fillRgb.b, 255)) {
-    return;
+  if (source === 'ai' && state.aiRun?.active && !skipLog) {
+    appendRunAction(kind, action);
+    appendRunEvent('tool_effect', { kind, action });
+    state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
+  }
+
+  return action;
+}
+
+// Canvas text drawn before the bundled fonts (see styles.css) have loaded, or after one failed to,
+// silently falls back to another font while the log names the bundled one. So text tools wait for
+// this, and refuse to draw text if it rejects.
+const textFontReady = Promise.all(PaintEngine.TEXT_FONT_FAMILIES.flatMap((family) => (
+  PaintEngine.TEXT_WEIGHTS.map(async (weight) => {
+    const font = `${weight} 16px "${family}"`;
+    const faces = await document.fonts.load(font);
+    if (faces.length === 0 || faces.some((face) => face.status !== 'loaded')) throw new Error(`no face for ${font}`);
+  })
+))).catch((error) => {
+  throw new Error(`bundled font failed to load (${error.message || String(error)})`);
+});
+// Every caller reports the failure; this only keeps it from surfacing as an unhandled rejection.
+textFontReady.catch(() => {});
+
+// Waits for the bundled fonts when `actions` draw text; rejects if they failed to load.
+async function textFontReadyFor(actions) {
+  if (Array.isArray(actions) && actions.some((entry) => entry?.kind === 'draw_text')) {
+    await textFontReady;
+  }
+}
+
+function drawTextAction(rawInput, options = {}) {
+  const source = options.source || 'unknown';
+  const skipLog = Boolean(options.skipLog);
+
+  const action = PaintEngine.normalizeText(rawInput, getDrawDefaults(), paintSurface);
+  PaintEngine.renderText(getActivePaintSurface(), action);
+  renderLayers();
+
+  if (source === 'ai' && state.aiRun?.active && !skipLog) {
+    appendRunAction('draw_text', action);
+    appendRunEvent('tool_effect', { kind: 'draw_text', action });
+    state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
+  }
+
+  return action;
+}
+
+function strokeCurveAction(rawInput, options = {}) {
+  const source = options.source || 'unknown';
+  const skipLog = Boolean(options.skipLog);
+
+  const action = PaintEngine.normalizeCurve(rawInput, getDrawDefaults(), paintSurface);
+  PaintEngine.renderCurve(getActivePaintSurface(), action);
+  renderLayers();
+
+  if (source === 'ai' && state.aiRun?.active && !skipLog) {
+    appendRunAction('stroke_curve', action);
+    appendRunEvent('tool_effect', { kind: 'stroke_curve', action });
+    state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
   }
 
-  const tolerance = 18;
-  const stack = [[startX, startY]];
+  return action;
+}
+
+function executeLayerAction(kind, rawPayload, options = {}) {
+  const source = options.source || 'unknown';
+  const skipLog = Boolean(options.skipLog);
 
-  while (stack.length > 0) {
-    const [x, y] = stack.pop();
-    if (x < 0 || x >= CANVAS_WIDTH || y < 0 || y >= CANVAS_HEIGHT) continue;
+  const result = PaintEngine.applyLayerAction(state.layers, kind, rawPayload);
+  if (!result.ok) return result;
+  renderLayers();
+  if (options.undoSnapshot) {
+    pushUndoSnapshot(state.aiRun, options.undoSnapshot);
+  }
 
-    const idx = (y * CANVAS_WIDTH + x) * 4;
-    if (!colorsMatchWithTolerance(
-      data[idx], data[idx + 1], data[idx + 2], data[idx + 3],
-      startR, startG, startB, startA,
-      tolerance
-    )) {
-      continue;
+  if (source === 'ai' && state.aiRun?.active && !skipLog) {
+    appendRunAction(kind, result.payload);
+    appendRunEvent('tool_effect', { kind, action: result.payload });
+    if (kind !== 'select_layer') {
+      state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
     }
+  }
+
+  return result;
+}
 
-    data[idx] = fillRgb.r;
-    data[idx + 1] = fillRgb.g;
-    data[idx + 2] = fillRgb.b;
-    data[idx + 3] = 255;
+function executeSelectionAction(kind, rawPayload, options = {}) {
+  const source = options.source || 'unknown';
+  const skipLog = Boolean(options.skipLog);
+
+  const result = PaintEngine.applySelectionAction(state.layers, kind, rawPayload);
+  if (!result.ok) return result;
+  renderLayers();
+  if (options.undoSnapshot) {
+    pushUndoSnapshot(state.aiRun, options.undoSnapshot);
+  }
 
-    stack.push([x + 1, y]);
-    stack.push([x - 1, y]);
-    stack.push([x, y + 1]);
-    stack.push([x, y - 1]);
+  if (source === 'ai' && state.aiRun?.active && !skipLog) {
+    appendRunAction(kind, result.payload);
+    appendRunEvent('tool_effect', { kind, action: result.payload, selection: result.selection });
+    if (kind === 'transform_selection') {
+      state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
+    }
   }
 
-  ctx.putImageData(imageData, 0, 0);
+  return result;
+}
+
+function resetCanvasLayers() {
+  PaintEngine.resetLayerStack(state.layers);
+  updateLayersPanelUi();
+  updateSelectionUi();
 }
 
-function hexToRgb(hex) {
-  const clean = String(hex).replace('#', '').trim();
-  if (!/^[0-9a-fA-F]{6}$/.test(clean)) return null;
-  const parsed = Number.parseInt(clean, 16);
+function formatLayerListForPrompt(layers) {
+  return layers.map((layer) => {
+    const flags = [
+      layer.active ? 'active' : null,
+      layer.visible ? null : 'hidden',
+      layer.opacity < 1 ? `opacity ${layer.opacity}` : null,
+      layer.blendMode !== 'normal' ? layer.blendMode : null
+    ].filter(Boolean);
+    return `${layer.id} "${layer.name}"${flags.length > 0 ? ` (${flags.join(', ')})` : ''}`;
+  }).join(', ');
+}
+
+// ── Human Drawing ──
+
+function bindCanvasPointerEvents() {
+  canvas.addEventListener('pointerdown', handleCanvasPointerDown);
+  canvas.addEventListener('pointermove', handleCanvasPointerMove);
+  canvas.addEventListener('pointerup', handleCanvasPointerUp);
+  canvas.addEventListener('pointercancel', cancelHumanStroke);
+}
+
+function canHumanDraw() {
+  return state.mode === 'human' && !state.aiRun?.active && !state.evalRunner.active && !state.replay.active;
+}
+
+function getCanvasPointFromEvent(event) {
+  const rect = canvas.getBoundingClientRect();
+  const scaleX = rect.width > 0 ? paintSurface.width / rect.width : 1;
+  const scaleY = rect.height > 0 ? paintSurface.height / rect.height : 1;
   return {
-    r: (parsed >> 16) & 255,
-    g: (parsed >> 8) & 255,
-    b: parsed & 255
+    x: clamp(Math.round((event.clientX - rect.left) * scaleX), 0, paintSurface.width),
+    y: clamp(Math.round((event.clientY - rect.top) * scaleY), 0, paintSurface.height)
   };
 }
 
-function colorsMatch(r1, g1, b1, a1, r2, g2, b2, a2) {
-  return r1 === r2 && g1 === g2 && b1 === b2 && a1 === a2;
-}
+function handleCanvasPointerDown(event) {
+  if (!canHumanDraw() || event.button !== 0) return;
+  event.preventDefault();
 
-function colorsMatchWithTolerance(r1, g1, b1, a1, r2, g2, b2, a2, tolerance) {
-  return Math.abs(r1 - r2) <= tolerance
-    && Math.abs(g1 - g2) <= tolerance
-    && Math.abs(b1 - b2) <= tolerance
-    && Math.abs(a1 - a2) <= tolerance;
+  const point = getCanvasPointFromEvent(event);
+  const drawing = state.drawing;
+  const tool = drawing.currentTool;
+
+  if (tool === 'fill') {
+    floodFillAction({ startX: point.x, startY: point.y, x: point.x, y: point.y, fill: {} }, { source: 'human' });
+    return;
+  }
+  if (tool === 'text') {
+    placeHumanText(point);
+    return;
+  }
+  // Shift adds to the selection and Alt subtracts from it, as in most paint programs.
+  drawing.selectionCombine = event.shiftKey ? 'add' : (event.altKey ? 'subtract' : 'replace');
+  if (tool === 'wand') {
+    runHumanSelectionAction('select_region', {
+      mode: 'magic_wand',
+      combine: drawing.selectionCombine,
+      x: point.x,
+      y: point.y
+    });
+    return;
+  }
+  if (tool === 'move' && !state.layers.selection) return;
+
+  drawing.isDrawing = true;
+  drawing.pointerId = event.pointerId;
+  drawing.startX = point.x;
+  drawing.startY = point.y;
+  drawing.lastX = point.x;
+  drawing.lastY = point.y;
+  canvas.setPointerCapture(event.pointerId);
+
+  if (SELECTION_TOOLS.includes(tool)) {
+    drawing.lassoPoints = tool === 'lasso' ? [point] : [];
+    return;
+  }
+
+  if (tool === 'rectangle' || tool === 'circle') {
+    drawing.previewSnapshot = getActivePaintSurface().ctx.getImageData(0, 0, paintSurface.width, paintSurface.height);
+    return;
+  }
+
+  executeDrawAction({
+    tool,
+    brush: getHumanBrush(tool),
+    startX: point.x,
+    startY: point.y,
+    x: point.x,
+    y: point.y
+  }, { source: 'human' });
 }
 
-async function startAiRun() {
-  if (state.aiRun?.active) return;
-  if (!state.insideEvalMatrix) {
-    setPanelMode('run');
+function handleCanvasPointerMove(event) {
+  const drawing = state.drawing;
+  if (!drawing.isDrawing || event.pointerId !== drawing.pointerId) return;
+  if (!canHumanDraw()) {
+    cancelHumanStroke();
+    return;
   }
 
-  const overrides = state.pendingRunOverrides && typeof state.pendingRunOverrides === 'object'
-    ? state.pendingRunOverrides
-    : null;
-  state.pendingRunOverrides = null;
+  const point = getCanvasPointFromEvent(event);
+  const tool = drawing.currentTool;
 
-  const promptSource = overrides?.prompt ?? ui.aiPrompt.value;
-  const prompt = String(promptSource || '').trim();
-  if (!prompt) {
-    setAiStatus('enter a prompt before starting.');
+  if (tool === 'rectangle' || tool === 'circle') {
+    drawShapePreview(point);
+    return;
+  }
+  if (SELECTION_TOOLS.includes(tool)) {
+    previewHumanSelection(point);
     return;
   }
 
-  const modelSource = overrides?.model ?? getSelectedModel();
-  const model = String(modelSource || DEFAULT_MODEL).trim() || DEFAULT_MODEL;
-  const maxRunSeconds = clamp(
-    Math.round(Number(overrides?.maxRunSeconds ?? ui.maxRunSeconds.value) || DEFAULT_MAX_RUN_SECONDS),
+  if (point.x === drawing.lastX && point.y === drawing.lastY) return;
+
+  const startX = tool === 'spray' ? point.x : drawing.lastX;
+  const startY = tool === 'spray' ? point.y : drawing.lastY;
+  executeDrawAction({ tool, brush: getHumanBrush(tool), startX, startY, x: point.x, y: point.y }, { source: 'human' });
+  drawing.lastX = point.x;
+  drawing.lastY = point.y;
+}
+
+function handleCanvasPointerUp(event) {
+  const drawing = state.drawing;
+  if (!drawing.isDrawing || event.pointerId !== drawing.pointerId) return;
+  if (!canHumanDraw()) {
+    cancelHumanStroke();
+    return;
+  }
+
+  if (drawing.currentTool === 'rectangle' || drawing.currentTool === 'circle') {
+    drawShapePreview(getCanvasPointFromEvent(event));
+  }
+  if (SELECTION_TOOLS.includes(drawing.currentTool)) {
+    commitHumanSelection(getCanvasPointFromEvent(event));
+  }
+  endHumanStroke();
+}
+
+function previewHumanSelection(point) {
+  const drawing = state.drawing;
+  if (drawing.currentTool === 'lasso') {
+    const last = drawing.lassoPoints[drawing.lassoPoints.length - 1];
+    if (Math.abs(point.x - last.x) + Math.abs(point.y - last.y) >= 3) {
+      drawing.lassoPoints.push(point);
+    }
+    renderSelectionOverlay({ points: drawing.lassoPoints, closed: false });
+  } else if (drawing.currentTool === 'select') {
+    renderSelectionOverlay({
+      points: [
+        { x: drawing.startX, y: drawing.startY },
+        { x: point.x, y: drawing.startY },
+        point,
+        { x: drawing.startX, y: point.y }
+      ],
+      closed: true
+    });
+  } else {
+    renderSelectionOverlay({ offsetX: point.x - drawing.startX, offsetY: point.y - drawing.startY });
+  }
+  drawing.lastX = point.x;
+  drawing.lastY = point.y;
+}
+
+// Selection drags only touch the overlay until release, then commit as one action.
+function commitHumanSelection(point) {
+  const drawing = state.drawing;
+  const combine = drawing.selectionCombine;
+  const dx = point.x - drawing.startX;
+  const dy = point.y - drawing.startY;
+
+  if (drawing.currentTool === 'select') {
+    if (dx === 0 || dy === 0) {
+      if (combine === 'replace') runHumanSelectionAction('clear_selection', {});
+      return;
+    }
+    runHumanSelectionAction('select_region', {
+      mode: 'rectangle',
+      combine,
+      x1: drawing.startX,
+      y1: drawing.startY,
+      x2: point.x,
+      y2: point.y
+    });
+  } else if (drawing.currentTool === 'lasso') {
+    if (drawing.lassoPoints.length >= 3) {
+      runHumanSelectionAction('select_region', { mode: 'lasso', combine, points: drawing.lassoPoints });
+    }
+  } else if (dx !== 0 || dy !== 0) {
+    runHumanSelectionAction('transform_selection', { operation: 'move', dx, dy });
+  }
+}
+
+function runHumanSelectionAction(kind, payload) {
+  if (!canHumanDraw()) return;
+  executeSelectionAction(kind, payload, { source: 'human' });
+}
+
+async function placeHumanText(point) {
+  const text = window.prompt('Text to place:', '');
+  if (!text || !text.trim()) return;
+  const charError = PaintEngine.describeTextCharError(text);
+  if (charError) {
+    setAiStatus(`text not placed: ${charError}`);
+    return;
+  }
+  try {
+    await textFontReady;
+  } catch (error) {
+    setAiStatus(`text not placed: ${error.message}.`);
+    return;
+  }
+  if (!canHumanDraw()) return;
+  drawTextAction({
+    text,
+    x: point.x,
+    y: point.y,
+    fontFamily: state.drawing.fontFamily,
+    fontSize: state.drawing.fontSize
+  }, { source: 'human' });
+}
+
+// Human brush strokes arrive one pointer segment at a time, so they take the tip but no tapers.
+function getHumanBrush(tool) {
+  return tool === 'brush' ? { tip: state.drawing.brushTip } : undefined;
+}
+
+function drawShapePreview(point) {
+  const drawing = state.drawing;
+  if (drawing.previewSnapshot) {
+    getActivePaintSurface().ctx.putImageData(drawing.previewSnapshot, 0, 0);
+  }
+  executeDrawAction({
+    tool: drawing.currentTool,
+    startX: drawing.startX,
+    startY: drawing.startY,
+    x: point.x,
+    y: point.y
+  }, { source: 'human' });
+  drawing.lastX = point.x;
+  drawing.lastY = point.y;
+}
+
+function cancelHumanStroke() {
+  const drawing = state.drawing;
+  if (!drawing.isDrawing) return;
+  // Shape previews are uncommitted until pointerup, so roll them back.
+  if (drawing.previewSnapshot) {
+    getActivePaintSurface().ctx.putImageData(drawing.previewSnapshot, 0, 0);
+    renderLayers();
+  }
+  endHumanStroke();
+}
+
+function endHumanStroke() {
+  const drawing = state.drawing;
+  if (drawing.pointerId !== null && canvas.hasPointerCapture(drawing.pointerId)) {
+    canvas.releasePointerCapture(drawing.pointerId);
+  }
+  drawing.isDrawing = false;
+  drawing.pointerId = null;
+  drawing.previewSnapshot = null;
+  if (drawing.lassoPoints.length > 0 || SELECTION_TOOLS.includes(drawing.currentTool)) {
+    drawing.lassoPoints = [];
+    updateSelectionUi();
+  }
+}
+
+function updateDrawToolbarUi() {
+  const locked = !canHumanDraw();
+
+  for (const button of ui.drawToolButtons) {
+    const active = button.getAttribute('data-draw-tool') === state.drawing.currentTool;
+    button.classList.toggle('is-active', active);
+    button.disabled = locked;
+  }
+  if (ui.drawColor) {
+    ui.drawColor.value = state.drawing.color.toLowerCase();
+    ui.drawColor.disabled = locked;
+  }
+  if (ui.drawLineWidth) {
+    ui.drawLineWidth.value = String(state.drawing.lineWidth);
+    ui.drawLineWidth.disabled = locked;
+  }
+  if (ui.drawLineWidthValue) {
+    ui.drawLineWidthValue.textContent = String(state.drawing.lineWidth);
+  }
+  if (ui.drawBrushTip) {
+    ui.drawBrushTip.value = state.drawing.brushTip;
+    ui.drawBrushTip.disabled = locked || state.drawing.currentTool !== 'brush';
+  }
+  if (ui.drawFontFamily) {
+    ui.drawFontFamily.value = state.drawing.fontFamily;
+    ui.drawFontFamily.disabled = locked || state.drawing.currentTool !== 'text';
+  }
+  if (ui.drawFontSize) {
+    ui.drawFontSize.value = String(state.drawing.fontSize);
+    ui.drawFontSize.disabled = locked || state.drawing.currentTool !== 'text';
+  }
+  if (ui.drawToolbar) {
+    ui.drawToolbar.classList.toggle('is-locked', locked);
+  }
+  canvas.classList.toggle('is-locked', locked);
+  updateLayersPanelUi();
+  updateSelectionUi();
+}
+
+function populateBrushTipOptions() {
+  if (!ui.drawBrushTip) return;
+  ui.drawBrushTip.innerHTML = PaintEngine.BRUSH_TIPS
+    .map((tip) => `<option value="${tip}">${tip}</option>`)
+    .join('');
+}
+
+function populateFontFamilyOptions() {
+  if (!ui.drawFontFamily) return;
+  ui.drawFontFamily.innerHTML = PaintEngine.TEXT_FONT_FAMILIES
+    .map((family) => `<option value="${family}">${family}</option>`)
+    .join('');
+}
+
+// ── Layers Panel ──
+
+function populateLayerBlendOptions() {
+  if (!ui.layerBlend) return;
+  ui.layerBlend.innerHTML = PaintEngine.BLEND_MODES
+    .map((mode) => `<option value="${mode}">${mode}</option>`)
+    .join('');
+}
+
+// Replays paint into their own layer stack, so the panel follows whichever stack is on screen.
+function getDisplayedLayerStack() {
+  return state.replay.active && state.replay.session ? state.replay.session.layers : state.layers;
+}
+
+function runHumanLayerAction(kind, payload) {
+  if (!canHumanDraw()) return;
+  cancelHumanStroke();
+  executeLayerAction(kind, payload, { source: 'human' });
+}
+
+function handleLayerListClick(event) {
+  const target = event.target.closest('[data-layer-id]');
+  if (!target || !canHumanDraw()) return;
+  const layerId = target.getAttribute('data-layer-id');
+
+  if (target.matches('[data-layer-visibility]')) {
+    executeLayerAction('set_layer_properties', { layerId, visible: target.checked }, { source: 'human' });
+    return;
+  }
+  executeLayerAction('select_layer', { layerId }, { source: 'human' });
+}
+
+function updateLayersPanelUi() {
+  if (!ui.layersPanel) return;
+  const stack = getDisplayedLayerStack();
+  if (!stack) return;
+  const locked = !canHumanDraw();
+  const layers = PaintEngine.summarizeLayers(stack);
+  const active = layers.find((layer) => layer.active) || layers[0];
+  const activeIndex = layers.indexOf(active);
+
+  // Listed top-most first, like most paint programs.
+  ui.layerList.innerHTML = layers.slice().reverse().map((layer) => {
+    const opacityText = layer.opacity < 1 ? ` ${Math.round(layer.opacity * 100)}%` : '';
+    const blendText = layer.blendMode !== 'normal' ? ` ${layer.blendMode}` : '';
+    return `
+      <div class="layer-chip${layer.active ? ' is-active' : ''}${layer.visible ? '' : ' is-hidden-layer'}">
+        <input type="checkbox" data-layer-visibility data-layer-id="${escapeHtml(layer.id)}"
+          ${layer.visible ? 'checked' : ''} ${locked ? 'disabled' : ''} aria-label="Show ${escapeHtml(layer.name)}">
+        <button type="button" data-layer-id="${escapeHtml(layer.id)}" ${locked ? 'disabled' : ''}>
+          ${escapeHtml(layer.name)}<span class="layer-chip-meta">${escapeHtml(opacityText + blendText)}</span>
+        </button>
+      </div>
+    `;
+  }).join('');
+
+  ui.layerAdd.disabled = locked || layers.length >= PaintEngine.MAX_LAYERS;
+  ui.layerUp.disabled = locked || activeIndex <= 0 || activeIndex >= layers.length - 1;
+  ui.layerDown.disabled = locked || activeIndex <= 1;
+  ui.layerMerge.disabled = locked || activeIndex <= 0 || !active.visible;
+  ui.layerDelete.disabled = locked || activeIndex <= 0;
+  ui.layerOpacity.disabled = locked;
+  ui.layerBlend.disabled = locked;
+  ui.layerOpacity.value = String(Math.round(active.opacity * 100));
+  ui.layerOpacityValue.textContent = String(Math.round(active.opacity * 100));
+  ui.layerBlend.value = active.blendMode;
+  ui.layersPanel.classList.toggle('is-locked', locked);
+}
+
+// ── Selection Overlay ──
+
+function updateSelectionUi() {
+  const stack = getDisplayedLayerStack();
+  const disabled = !canHumanDraw() || !stack?.selection;
+  for (const button of ui.selectionButtons) {
+    button.disabled = disabled;
+  }
+  if (ui.selectionClear) {
+    ui.selectionClear.disabled = disabled;
+  }
+  renderSelectionOverlay();
+}
+
+// `preview` is an in-progress drag: an outline ({ points, closed }) or a move offset.
+function renderSelectionOverlay(preview = null) {
+  if (!selectionOverlayCtx) return;
+  selectionOverlayCtx.clearRect(0, 0, paintSurface.width, paintSurface.height);
+
+  const selection = getDisplayedLayerStack()?.selection;
+  if (selection) {
+    drawSelectionOutline(selection, preview?.offsetX || 0, preview?.offsetY || 0);
+  }
+
+  if (preview?.points?.length > 1) {
+    selectionOverlayCtx.save();
+    selectionOverlayCtx.lineWidth = 1;
+    selectionOverlayCtx.beginPath();
+    selectionOverlayCtx.moveTo(preview.points[0].x + 0.5, preview.points[0].y + 0.5);
+    for (const point of preview.points.slice(1)) {
+      selectionOverlayCtx.lineTo(point.x + 0.5, point.y + 0.5);
+    }
+    if (preview.closed) selectionOverlayCtx.closePath();
+    selectionOverlayCtx.strokeStyle = '#ffffff';
+    selectionOverlayCtx.stroke();
+    selectionOverlayCtx.setLineDash([4, 4]);
+    selectionOverlayCtx.strokeStyle = '#000000';
+    selectionOverlayCtx.stroke();
+    selectionOverlayCtx.restore();
+  }
+}
+
+// Marks selected pixels that border an unselected one, alternating black and white dashes.
+function drawSelectionOutline(selection, offsetX, offsetY) {
+  const { mask, bbox } = selection;
+  const { width, height } = paintSurface;
+  const outline = selectionOverlayCtx.createImageData(bbox.width, bbox.height);
+  for (let y = bbox.y; y < bbox.y + bbox.height; y += 1) {
+    for (let x = bbox.x; x < bbox.x + bbox.width; x += 1) {
+      const pixel = y * width + x;
+      if (!mask[pixel]) continue;
+      const onEdge = x === 0 || x === width - 1 || y === 0 || y === height - 1
+        || !mask[pixel - 1] || !mask[pixel + 1] || !mask[pixel - width] || !mask[pixel + width];
+      if (!onEdge) continue;
+      const idx = ((y - bbox.y) * bbox.width + (x - bbox.x)) * 4;
+      const shade = (x + y) % 8 < 4 ? 0 : 255;
+      outline.data[idx] = shade;
+      outline.data[idx + 1] = shade;
+      outline.data[idx + 2] = shade;
+      outline.data[idx + 3] = 255;
+    }
+  }
+  selectionOverlayCtx.putImageData(outline, bbox.x + offsetX, bbox.y + offsetY);
+}
+
+async function startAiRun() {
+  if (state.aiRun?.active) return;
+  if (!state.insideEvalMatrix) {
+    setPanelMode('run');
+  }
+
+  closeReplay();
+
+  const overrides = state.pendingRunOverrides && typeof state.pendingRunOverrides === 'object'
+    ? state.pendingRunOverrides
+    : null;
+  state.pendingRunOverrides = null;
+
+  const taskMode = normalizeTaskMode(overrides?.taskMode ?? ui.taskMode?.value);
+  if (taskMode === 'copy' && !state.reference) {
+    setAiStatus('choose a reference image to copy before starting.');
+    return;
+  }
+  const promptSource = overrides?.prompt ?? ui.aiPrompt.value;
+  // Copy runs take the reference as their prompt; any text is passed along as extra notes.
+  const prompt = String(promptSource || '').trim() || (taskMode === 'copy' ? COPY_REFERENCE_PROMPT : '');
+  if (!prompt) {
+    setAiStatus('enter a prompt before starting.');
+    return;
+  }
+
+  const modelSource = overrides?.model ?? getSelectedModel();
+  const model = String(modelSource || DEFAULT_MODEL).trim() || DEFAULT_MODEL;
+  const maxRunSeconds = clamp(
+    Math.round(Number(overrides?.maxRunSeconds ?? ui.maxRunSeconds.value) || DEFAULT_MAX_RUN_SECONDS),
     MIN_MAX_RUN_SECONDS,
     MAX_MAX_RUN_SECONDS
   );
@@ -490,9 +1564,33 @@ async function startAiRun() {
   const gridForScreenshots = typeof overrides?.gridForScreenshots === 'boolean'
     ? overrides.gridForScreenshots
     : ui.gridForScreenshots.checked;
+  const canvasSize = overrides?.canvasSize
+    ? PaintEngine.normalizeCanvasSize(overrides.canvasSize)
+    : getSelectedCanvasSize();
   const evalMeta = sanitizeEvalMeta(overrides?.evalMeta);
-
-  ui.aiPrompt.value = prompt;
+  // Non-white starts replace the canvas; eval runs that keep the previous picture skip them.
+  const configuredStart = getStartCanvasConfig();
+  let startCanvas = configuredStart.type !== 'white' && !overrides?.keepCanvas ? configuredStart : null;
+  if (startCanvas?.type === 'image' && !state.startImage) {
+    setAiStatus('choose a start image (or another start canvas) before starting.');
+    return;
+  }
+  const reference = state.reference ? { ...state.reference } : null;
+  // An empty judge model means the server default.
+  const judge = ui.judgeRunsToggle?.checked ? { model: String(ui.judgeModel?.value || '').trim() || null } : null;
+
+  // A run at a new size starts on a blank canvas of that size.
+  setCanvasSize(canvasSize);
+  let startImageData = startCanvas ? applyStartCanvas(startCanvas) : null;
+  let startLayerImages = null;
+  // Anything else already on the canvas (a sketch, the previous eval row, extra layers) is
+  // saved with the run as a snapshot start, so replays begin from it rather than from white.
+  if (!startCanvas && (!isCanvasWhite() || !PaintEngine.isDefaultLayerStack(state.layers))) {
+    startCanvas = { type: 'snapshot' };
+    ({ startImageData, startLayerImages } = captureStartSnapshot());
+  }
+  ui.aiPrompt.value = prompt === COPY_REFERENCE_PROMPT ? '' : prompt;
+  if (ui.taskMode) ui.taskMode.value = taskMode;
   setModelUi(model);
   ui.maxRunSeconds.value = String(maxRunSeconds);
   ui.allowClearTool.checked = allowClearTool;
@@ -507,9 +1605,15 @@ async function startAiRun() {
     stopping: false,
     prompt,
     model,
+    taskMode,
     allowClearTool,
     gridForScreenshots,
     evalMeta,
+    startCanvas,
+    startImageData,
+    startLayerImages,
+    reference,
+    judge,
     startedAt,
     maxRunSeconds,
     deadline: startedAt + (maxRunSeconds * 1000),
@@ -529,6 +1633,7 @@ async function startAiRun() {
     emptyResponseCount: 0,
     latestResponseId: null,
     pendingInputItems: [],
+    lastSentInputItems: [],
     responseCreateCount: 0,
     lastSocketCloseDetail: null,
     screenshotCount: 0,
@@ -541,15 +1646,22 @@ async function startAiRun() {
     pendingReflectAfterScreenshot: false,
     transcript: '',
     log: {
-      version: 1,
+      version: 2,
       runId,
       prompt,
       model,
       startedAt: new Date(startedAt).toISOString(),
       maxRunSeconds,
       settings: {
+        taskMode,
         allowClearTool,
         gridForScreenshots,
+        canvasWidth: canvasSize.width,
+        canvasHeight: canvasSize.height,
+        startCanvas,
+        reference: reference ? { source: reference.source, name: reference.name } : null,
+        judge,
+        undoMaxSnapshots: UNDO_MAX_SNAPSHOTS,
         eval: evalMeta
       },
       events: [],
@@ -557,11 +1669,17 @@ async function startAiRun() {
       finalReason: null,
       finishedByAgent: false,
       finishSummary: null,
+      similarity: null,
+      imageMetrics: null,
+      judge: null,
       endedAt: null
     },
     runTimeoutHandle: null,
     countdownHandle: null,
     undoStack: [],
+    pendingUndoBoundary: null,
+    lastScreenshotState: null,
+    // Composite pixels the agent last saw, for the changedAfterLastScreenshot metric.
     lastScreenshotImageData: null
   };
 
@@ -570,15 +1688,21 @@ async function startAiRun() {
   ui.stopAiButton.disabled = false;
   ui.stopAiButton.textContent = 'Stop';
   ui.downloadLog.disabled = true;
+  ui.replayLastRun.disabled = true;
   ui.assistantText.textContent = '';
   setAutosaveStatus(`Autosave: pending for run ${runId}.`);
 
   appendRunEvent('run_started', {
     prompt,
     model,
+    taskMode,
     maxRunSeconds,
     allowClearTool,
     gridForScreenshots,
+    canvasWidth: canvasSize.width,
+    canvasHeight: canvasSize.height,
+    startCanvas,
+    reference: reference ? { source: reference.source, name: reference.name } : null,
     eval: evalMeta
   });
 
@@ -613,18 +1737,32 @@ function connectResponsesSocket(run) {
     updateRunTimer(msToClock(Math.max(0, run.deadline - Date.now())));
 
     const canvasIsBlank = isCanvasWhite();
-    const canvasStateNote = canvasIsBlank
+    const hasCustomLayers = !PaintEngine.isDefaultLayerStack(state.layers);
+    let canvasStateNote = canvasIsBlank
       ? 'The canvas is currently blank (white).'
       : 'The canvas already has content on it. A screenshot is attached so you can see what exists.';
+    if (run.startCanvas && run.startCanvas.type !== 'snapshot' && !canvasIsBlank) {
+      canvasStateNote = `The canvas starts from a prepared ground: ${describeStartCanvas(run.startCanvas)}. A screenshot is attached; build your painting on top of it.`;
+    }
+    const referenceNote = run.reference && run.taskMode !== 'copy'
+      ? ' A reference image is attached for visual guidance only; it is not on the canvas.'
+      : '';
+    const taskText = run.taskMode === 'copy'
+      ? `Reproduce the attached reference image as closely as you can on the ${paintSurface.width}x${paintSurface.height} canvas.${run.prompt !== COPY_REFERENCE_PROMPT ? ` Notes: "${run.prompt}".` : ''} The final canvas is scored by pixel and structural similarity to the reference.`
+      : `Paint this on the ${paintSurface.width}x${paintSurface.height} canvas: "${run.prompt}".`;
+    const layerStateNote = hasCustomLayers
+      ? ` Existing layers (bottom to top): ${formatLayerListForPrompt(PaintEngine.summarizeLayers(state.layers))}.`
+      : '';
 
     const initialContent = [
       {
         type: 'input_text',
-        text: `Paint this on the ${CANVAS_WIDTH}x${CANVAS_HEIGHT} canvas: "${run.prompt}". ${canvasStateNote} Use tools only and call finish when done.`
+        text: `${taskText} ${canvasStateNote}${layerStateNote}${referenceNote} Use tools only and call finish when done.`
       }
     ];
 
     if (!canvasIsBlank) {
+      run.lastScreenshotImageData = ctx.getImageData(0, 0, paintSurface.width, paintSurface.height);
       const existingImageDataUrl = captureCanvasDataUrl(false, {
         maxSide: SCREENSHOT_MAX_SIDE,
         outputType: SCREENSHOT_OUTPUT_TYPE,
@@ -634,7 +1772,23 @@ function connectResponsesSocket(run) {
         type: 'input_image',
         image_url: existingImageDataUrl
       });
-      run.lastScreenshotImageData = ctx.getImageData(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
+    }
+
+    if (run.reference) {
+      initialContent.push(
+        { type: 'input_text', text: run.taskMode === 'copy' ? 'Reference image to reproduce (not on the canvas):' : 'Reference image (not on the canvas):' },
+        { type: 'input_image', image_url: run.reference.dataUrl }
+      );
+    }
+
+    if (!canvasIsBlank || hasCustomLayers) {
+      run.lastScreenshotState = PaintEngine.captureLayerState(state.layers);
+      const checkpoint = { reason: canvasIsBlank ? 'existing_layers' : 'existing_canvas' };
+      if (hasCustomLayers) {
+        checkpoint.layers = PaintEngine.captureLayerState(state.layers, []).layers;
+        checkpoint.activeLayerId = state.layers.activeLayerId;
+      }
+      appendRunAction('initial_checkpoint', checkpoint, 'checkpoint');
     }
 
     enqueueInputItems(run, [
@@ -699,8 +1853,8 @@ function handleRealtimeEvent(run, event) {
     const code = Number(event.code);
     const reason = typeof event.reason === 'string' ? event.reason : '';
     const detail = Number.isFinite(code)
-      ? `OpenAI upstream closed (code ${code}${reason ? `: ${reason}` : ''}).`
-      : `OpenAI upstream closed${reason ? `: ${reason}` : '.'}`;
+      ? `Upstream closed (code ${code}${reason ? `: ${reason}` : ''}).`
+      : `Upstream closed${reason ? `: ${reason}` : '.'}`;
     run.lastSocketCloseDetail = detail;
     setAiStatus(detail);
     appendRunEvent('proxy_upstream_closed', sanitizeForLog(event));
@@ -714,7 +1868,8 @@ function handleRealtimeEvent(run, event) {
         run.rateLimits[limit.name] = {
           limit: Number(limit.limit),
           remaining: Number(limit.remaining),
-          resetSeconds: Number(limit.reset_seconds)
+          resetSeconds: Number(limit.reset_seconds),
+          updatedAtMs: Date.now()
         };
       }
     }
@@ -1020,6 +2175,7 @@ async function processToolCall(run, call) {
     }
 
     const result = await executeAgentTool(call.name, args);
+    flushPendingUndoBoundary(run);
 
     const inputItems = [
       {
@@ -1086,6 +2242,7 @@ async function processToolCall(run, call) {
       return;
     }
   } catch (error) {
+    flushPendingUndoBoundary(run);
     const message = error instanceof Error ? error.message : String(error);
     appendRunEvent('tool_execution_error', {
       callId: call.callId,
@@ -1157,6 +2314,14 @@ function maybeQueueFollowupFromResponse(run, responseId, reason) {
 function handleRateLimitFailure(run, message) {
   run.inflightResponseId = null;
   run.rateLimitHits += 1;
+  // The rejected request's tool outputs still have to reach the model on the retry, once each.
+  const queuedCallIds = new Set(run.pendingInputItems
+    .filter((item) => item?.type === 'function_call_output')
+    .map((item) => item.call_id));
+  run.pendingInputItems.unshift(...run.lastSentInputItems.filter((item) => (
+    item?.type !== 'function_call_output' || !queuedCallIds.has(item.call_id)
+  )));
+  run.lastSentInputItems = [];
   if (run.rateLimitHits > MAX_RATE_LIMIT_RECOVERIES) {
     stopAiRun('Stopped: repeated rate-limit failures.', { rateLimited: true });
     return;
@@ -1206,8 +2371,12 @@ function maybeSendQueuedResponseCreate(run) {
   }
 
   const tokenLimit = run.rateLimits.tokens;
-  if (tokenLimit && Number.isFinite(tokenLimit.remaining) && tokenLimit.remaining < RESPONSE_CREATE_MIN_TOKENS) {
-    const waitSeconds = Math.max(0.5, Number(tokenLimit.resetSeconds) || 1);
+  // The budget is only reported with responses, so once its reset time has passed it counts as refilled.
+  const tokenResetAtMs = tokenLimit
+    ? tokenLimit.updatedAtMs + Math.max(0.5, Number(tokenLimit.resetSeconds) || 1) * 1000
+    : 0;
+  if (tokenLimit && Number.isFinite(tokenLimit.remaining) && tokenLimit.remaining < RESPONSE_CREATE_MIN_TOKENS && tokenResetAtMs > now) {
+    const waitSeconds = (tokenResetAtMs - now) / 1000;
     const waitMs = Math.ceil(waitSeconds * 1000) + RESPONSE_CREATE_RETRY_BUFFER_MS;
     setAiStatus(`waiting for token budget reset (${waitSeconds.toFixed(1)}s)...`);
     scheduleResponseCreateRetry(run, waitMs, 'token_budget_guard');
@@ -1220,6 +2389,7 @@ function maybeSendQueuedResponseCreate(run) {
   run.inflightResponseId = 'pending';
   const inputItems = [...run.pendingInputItems];
   run.pendingInputItems = [];
+  run.lastSentInputItems = inputItems;
 
   const responsePayload = {
     model: run.model,
@@ -1229,7 +2399,7 @@ function maybeSendQueuedResponseCreate(run) {
   };
 
   if (run.responseCreateCount === 0) {
-    responsePayload.instructions = buildRealtimeInstructions(run.prompt);
+    responsePayload.instructions = buildRealtimeInstructions(run.prompt, run.taskMode);
   }
 
   if (run.latestResponseId) {
@@ -1293,11 +2463,17 @@ function normalizedToCanvasCoordinate(rawValue, maxValue) {
 }
 
 function normalizedToCanvasX(rawValue) {
-  return normalizedToCanvasCoordinate(rawValue, CANVAS_WIDTH);
+  return normalizedToCanvasCoordinate(rawValue, paintSurface.width);
 }
 
 function normalizedToCanvasY(rawValue) {
-  return normalizedToCanvasCoordinate(rawValue, CANVAS_HEIGHT);
+  return normalizedToCanvasCoordinate(rawValue, paintSurface.height);
+}
+
+// Agent brush strokes always go through the brush engine; a missing `brush` means a round tip.
+function getAgentBrush(tool, rawBrush) {
+  if (tool !== 'brush') return undefined;
+  return rawBrush && typeof rawBrush === 'object' ? rawBrush : {};
 }
 
 async function executeAgentTool(name, args) {
@@ -1319,7 +2495,10 @@ async function executeAgentTool(name, args) {
       const action = executeDrawAction({
         tool,
         color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
         lineWidth: safeArgs.lineWidth || state.drawing.lineWidth,
+        brush: getAgentBrush(tool, safeArgs.brush),
         startX: normalizedToCanvasX(safeArgs.startX),
         startY: normalizedToCanvasY(safeArgs.startY),
         x: normalizedToCanvasX(safeArgs.endX),
@@ -1344,36 +2523,58 @@ async function executeAgentTool(name, args) {
         };
       }
 
-      const tool = ['pencil', 'brush', 'eraser'].includes(safeArgs.tool) ? safeArgs.tool : 'pencil';
-      const color = safeArgs.color || state.drawing.color;
-      const lineWidth = clamp(Math.round(Number(safeArgs.lineWidth) || state.drawing.lineWidth), 1, 50);
-      const normalizedColor = normalizeColor(color);
-
       pushUndoSnapshot(state.aiRun);
+      const action = strokePolylineAction({
+        tool: safeArgs.tool,
+        color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
+        lineWidth: safeArgs.lineWidth || state.drawing.lineWidth,
+        brush: getAgentBrush(safeArgs.tool, safeArgs.brush),
+        points: points.map((p) => ({
+          x: normalizedToCanvasX(p?.x),
+          y: normalizedToCanvasY(p?.y)
+        }))
+      }, { source: 'ai' });
 
-      const pixelPoints = points.map(p => ({
-        x: normalizedToCanvasX(p.x),
-        y: normalizedToCanvasY(p.y)
-      }));
+      return {
+        output: {
+          ok: true,
+          action
+        }
+      };
+    }
 
-      ctx.beginPath();
-      ctx.strokeStyle = tool === 'eraser' ? '#FFFFFF' : normalizedColor;
-      ctx.lineWidth = lineWidth;
-      ctx.lineCap = 'round';
-      ctx.lineJoin = 'round';
-      ctx.moveTo(pixelPoints[0].x, pixelPoints[0].y);
-      for (let i = 1; i < pixelPoints.length; i++) {
-        ctx.lineTo(pixelPoints[i].x, pixelPoints[i].y);
+    case 'stroke_curve': {
+      const points = Array.isArray(safeArgs.points) ? safeArgs.points : [];
+      const mode = PaintEngine.CURVE_MODES.includes(safeArgs.mode) ? safeArgs.mode : 'catmull_rom';
+      const pointError = PaintEngine.describeCurvePointError(mode, points.length);
+      if (pointError) {
+        return {
+          output: {
+            ok: false,
+            error: `stroke_curve: ${pointError}`
+          }
+        };
       }
-      ctx.stroke();
 
-      const action = { tool, color: normalizedColor, lineWidth, points: pixelPoints, pointCount: pixelPoints.length };
-
-      if (state.aiRun?.active) {
-        appendRunAction('stroke_polyline', action);
-        appendRunEvent('tool_effect', { kind: 'stroke_polyline', action });
-        state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
-      }
+      pushUndoSnapshot(state.aiRun);
+      const action = strokeCurveAction({
+        tool: safeArgs.tool,
+        color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
+        lineWidth: safeArgs.lineWidth || state.drawing.lineWidth,
+        brush: getAgentBrush(safeArgs.tool, safeArgs.brush),
+        mode,
+        tension: safeArgs.tension,
+        closed: safeArgs.closed,
+        widths: safeArgs.widths,
+        points: points.map((p) => ({
+          x: normalizedToCanvasX(p?.x),
+          y: normalizedToCanvasY(p?.y)
+        }))
+      }, { source: 'ai' });
 
       return {
         output: {
@@ -1388,6 +2589,8 @@ async function executeAgentTool(name, args) {
       const action = executeDrawAction({
         tool: 'rectangle',
         color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
         lineWidth: safeArgs.lineWidth || state.drawing.lineWidth,
         startX: normalizedToCanvasX(safeArgs.x1),
         startY: normalizedToCanvasY(safeArgs.y1),
@@ -1407,6 +2610,8 @@ async function executeAgentTool(name, args) {
       const action = executeDrawAction({
         tool: 'circle',
         color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
         lineWidth: safeArgs.lineWidth || state.drawing.lineWidth,
         startX: normalizedToCanvasX(safeArgs.centerX),
         startY: normalizedToCanvasY(safeArgs.centerY),
@@ -1428,6 +2633,8 @@ async function executeAgentTool(name, args) {
       const action = executeDrawAction({
         tool: 'spray',
         color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
         lineWidth: safeArgs.lineWidth || state.drawing.lineWidth,
         startX: pointX,
         startY: pointY,
@@ -1447,19 +2654,27 @@ async function executeAgentTool(name, args) {
       pushUndoSnapshot(state.aiRun);
       const pointX = normalizedToCanvasX(safeArgs.x);
       const pointY = normalizedToCanvasY(safeArgs.y);
-      const action = executeDrawAction({
-        tool: 'fill',
+      const { action, result } = floodFillAction({
         color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
         lineWidth: 1,
         startX: pointX,
         startY: pointY,
         x: pointX,
-        y: pointY
+        y: pointY,
+        fill: {
+          tolerance: safeArgs.tolerance,
+          contiguous: safeArgs.contiguous,
+          closeGapsPx: safeArgs.closeGapsPx
+        }
       }, { source: 'ai' });
       return {
         output: {
           ok: true,
-          action
+          action,
+          pixelCount: result.pixelCount,
+          bbox: result.bbox
         }
       };
     }
@@ -1485,10 +2700,14 @@ async function executeAgentTool(name, args) {
 
     case 'draw_action': {
       pushUndoSnapshot(state.aiRun);
+      const tool = safeArgs.tool || state.drawing.currentTool;
       const action = executeDrawAction({
-        tool: safeArgs.tool || state.drawing.currentTool,
+        tool,
         color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
         lineWidth: safeArgs.lineWidth || state.drawing.lineWidth,
+        brush: getAgentBrush(tool, safeArgs.brush),
         startX: normalizedToCanvasX(safeArgs.startX),
         startY: normalizedToCanvasY(safeArgs.startY),
         x: normalizedToCanvasX(safeArgs.x),
@@ -1507,6 +2726,8 @@ async function executeAgentTool(name, args) {
       pushUndoSnapshot(state.aiRun);
       const action = fillRectangleAction({
         color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
         x1: normalizedToCanvasX(safeArgs.x1),
         y1: normalizedToCanvasY(safeArgs.y1),
         x2: normalizedToCanvasX(safeArgs.x2),
@@ -1520,123 +2741,345 @@ async function executeAgentTool(name, args) {
       };
     }
 
-    case 'clear_canvas': {
-      const clearAllowed = state.aiRun ? state.aiRun.allowClearTool : ui.allowClearTool.checked;
-      if (!clearAllowed) {
+    case 'fill_polygon': {
+      const points = Array.isArray(safeArgs.points) ? safeArgs.points : [];
+      if (points.length < 3) {
         return {
           output: {
             ok: false,
-            blocked: true,
-            message: 'clear_canvas is disabled by default. continue by editing the existing image.'
+            error: 'fill_polygon requires an array of at least 3 points.'
           }
         };
       }
 
       pushUndoSnapshot(state.aiRun);
-      clearCanvas({ source: 'ai' });
-      return { output: { ok: true } };
-    }
-
-    case 'take_screenshot': {
-      const includeGrid = typeof safeArgs.includeGrid === 'boolean'
-        ? safeArgs.includeGrid
-        : (state.aiRun ? state.aiRun.gridForScreenshots : ui.gridForScreenshots.checked);
-      const imageDataUrl = captureCanvasDataUrl(includeGrid, {
-        maxSide: SCREENSHOT_MAX_SIDE,
-        outputType: SCREENSHOT_OUTPUT_TYPE,
-        quality: SCREENSHOT_JPEG_QUALITY
-      });
-      const dimensions = getScaledCanvasDimensions(SCREENSHOT_MAX_SIDE);
-
-      if (state.aiRun) {
-        state.aiRun.lastScreenshotImageData = ctx.getImageData(0, 0, CANVAS_WIDTH, CANVAS_HEIGHT);
-        appendRunAction('take_screenshot', {});
-      }
-
+      const action = fillShapeAction('fill_polygon', {
+        color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
+        fillRule: safeArgs.fillRule,
+        points: points.map((p) => ({
+          x: normalizedToCanvasX(p?.x),
+          y: normalizedToCanvasY(p?.y)
+        }))
+      }, { source: 'ai' });
       return {
         output: {
           ok: true,
-          width: dimensions.width,
-          height: dimensions.height,
-          includeGrid,
-          imageAttached: true
-        },
-        imageDataUrl,
-        imageNote: includeGrid
-          ? `Screenshot attached with coordinate grid overlay (${dimensions.width}x${dimensions.height}).`
-          : `Screenshot attached (${dimensions.width}x${dimensions.height}).`
+          action
+        }
       };
     }
 
-    case 'reflect': {
-      const allowedPhases = ['explore', 'block_in', 'structure', 'refine', 'final_review'];
-      const phase = allowedPhases.includes(String(safeArgs.phase))
-        ? String(safeArgs.phase)
-        : 'refine';
-      const whatWorks = String(safeArgs.whatWorks || '').trim().slice(0, 280);
-      const issueToFix = String(safeArgs.issueToFix || '').trim().slice(0, 280);
-      const nextActions = Array.isArray(safeArgs.nextActions)
-        ? safeArgs.nextActions
-          .map((entry) => String(entry || '').trim().slice(0, 180))
-          .filter(Boolean)
-          .slice(0, 6)
-        : [];
-      const rawConfidence = Number(safeArgs.confidence);
-      const confidence = Number.isFinite(rawConfidence) ? clamp(rawConfidence, 0, 1) : null;
-
-      const reflection = {
-        phase,
-        whatWorks,
-        issueToFix,
-        nextActions,
-        confidence
+    case 'fill_ellipse': {
+      pushUndoSnapshot(state.aiRun);
+      const action = fillShapeAction('fill_ellipse', {
+        color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
+        centerX: normalizedToCanvasX(safeArgs.centerX),
+        centerY: normalizedToCanvasY(safeArgs.centerY),
+        radiusX: normalizedToCanvasX(safeArgs.radiusX),
+        radiusY: normalizedToCanvasY(safeArgs.radiusY),
+        rotation: safeArgs.rotation
+      }, { source: 'ai' });
+      return {
+        output: {
+          ok: true,
+          action
+        }
       };
+    }
 
-      if (!whatWorks || !issueToFix || nextActions.length === 0) {
+    case 'fill_path': {
+      const subpaths = Array.isArray(safeArgs.subpaths) ? safeArgs.subpaths : [];
+      if (subpaths.length === 0 || subpaths.length > PaintEngine.MAX_FILL_PATH_SUBPATHS) {
         return {
           output: {
             ok: false,
-            error: 'reflect requires non-empty whatWorks, issueToFix, and nextActions.'
+            error: `fill_path requires 1-${PaintEngine.MAX_FILL_PATH_SUBPATHS} subpaths.`
           }
         };
       }
-
-      if (state.aiRun) {
-        state.aiRun.lastReflectAtMs = Date.now() - state.aiRun.startedAt;
-        state.aiRun.pendingReflectAfterScreenshot = false;
-        state.aiRun.reflectionCount += 1;
-        appendRunAction('reflect', reflection);
-        appendRunEvent('tool_effect', { kind: 'reflect', reflection });
-      }
-
-      const lowConfidence = confidence !== null && confidence < 0.9;
-      const hasNextActions = nextActions.length > 0;
-      const shouldContinue = lowConfidence && hasNextActions;
-
-      if (state.aiRun) {
-        state.aiRun.lastReflectWantsMoreWork = shouldContinue;
+      for (let i = 0; i < subpaths.length; i += 1) {
+        const count = Array.isArray(subpaths[i]?.points) ? subpaths[i].points.length : 0;
+        const mode = PaintEngine.FILL_PATH_MODES.includes(subpaths[i]?.mode) ? subpaths[i].mode : 'line';
+        const pointError = count < 3 && (mode === 'line' || mode === 'catmull_rom')
+          ? 'closed subpaths need at least 3 points.'
+          : PaintEngine.describeCurvePointError(mode, count);
+        if (pointError) {
+          return {
+            output: {
+              ok: false,
+              error: `fill_path subpath ${i + 1}: ${pointError}`
+            }
+          };
+        }
       }
 
+      pushUndoSnapshot(state.aiRun);
+      const action = fillShapeAction('fill_path', {
+        color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
+        fillRule: safeArgs.fillRule,
+        subpaths: subpaths.map((subpath) => ({
+          mode: subpath?.mode,
+          tension: subpath?.tension,
+          points: subpath.points.map((p) => ({
+            x: normalizedToCanvasX(p?.x),
+            y: normalizedToCanvasY(p?.y)
+          }))
+        }))
+      }, { source: 'ai' });
       return {
         output: {
           ok: true,
-          reflectionCount: state.aiRun ? state.aiRun.reflectionCount : null,
-          shouldContinue,
-          message: shouldContinue
-            ? `Confidence ${(confidence * 100).toFixed(0)}% is below 90%. Execute your nextActions before finishing.`
-            : 'Reflection recorded. You may finish if satisfied.'
+          action
         }
       };
     }
 
-    case 'undo': {
-      const restored = popAndRestoreUndo(state.aiRun);
-      if (restored) {
-        appendRunAction('undo', {});
-        appendRunEvent('tool_effect', { kind: 'undo' });
-        if (state.aiRun) {
-          state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
-        }
+    case 'fill_gradient': {
+      const gradient = safeArgs.gradient && typeof safeArgs.gradient === 'object' ? safeArgs.gradient : {};
+      const stops = Array.isArray(gradient.stops) ? gradient.stops : [];
+      const points = Array.isArray(safeArgs.points) ? safeArgs.points : [];
+      if (stops.length < 2 || stops.length > PaintEngine.MAX_GRADIENT_STOPS) {
+        return {
+          output: {
+            ok: false,
+            error: `fill_gradient requires 2-${PaintEngine.MAX_GRADIENT_STOPS} gradient stops.`
+          }
+        };
+      }
+      if (safeArgs.shape === 'polygon' && points.length < 3) {
+        return {
+          output: {
+            ok: false,
+            error: 'fill_gradient with shape polygon requires an array of at least 3 points.'
+          }
+        };
+      }
+
+      // Omitted gradient geometry stays undefined so the engine fits it to the shape.
+      const optionalX = (value) => (value === undefined ? undefined : normalizedToCanvasX(value));
+      const optionalY = (value) => (value === undefined ? undefined : normalizedToCanvasY(value));
+
+      pushUndoSnapshot(state.aiRun);
+      const action = fillShapeAction('fill_gradient', {
+        shape: safeArgs.shape,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
+        x1: optionalX(safeArgs.x1),
+        y1: optionalY(safeArgs.y1),
+        x2: optionalX(safeArgs.x2),
+        y2: optionalY(safeArgs.y2),
+        centerX: optionalX(safeArgs.centerX),
+        centerY: optionalY(safeArgs.centerY),
+        radiusX: optionalX(safeArgs.radiusX),
+        radiusY: optionalY(safeArgs.radiusY),
+        rotation: safeArgs.rotation,
+        fillRule: safeArgs.fillRule,
+        points: points.map((p) => ({
+          x: normalizedToCanvasX(p?.x),
+          y: normalizedToCanvasY(p?.y)
+        })),
+        gradient: {
+          type: gradient.type,
+          stops,
+          startX: optionalX(gradient.startX),
+          startY: optionalY(gradient.startY),
+          endX: optionalX(gradient.endX),
+          endY: optionalY(gradient.endY),
+          centerX: optionalX(gradient.centerX),
+          centerY: optionalY(gradient.centerY),
+          radius: optionalX(gradient.radius),
+          innerRadius: optionalX(gradient.innerRadius),
+          angle: gradient.angle
+        }
+      }, { source: 'ai' });
+      return {
+        output: {
+          ok: true,
+          action
+        }
+      };
+    }
+
+    case 'draw_text': {
+      const text = typeof safeArgs.text === 'string' ? safeArgs.text : '';
+      if (!text.trim()) {
+        return {
+          output: {
+            ok: false,
+            error: 'draw_text requires non-empty text.'
+          }
+        };
+      }
+      const textError = PaintEngine.describeTextFontFamilyError(safeArgs.fontFamily)
+        || PaintEngine.describeTextCharError(text);
+      if (textError) {
+        return {
+          output: {
+            ok: false,
+            error: `draw_text: ${textError}`
+          }
+        };
+      }
+
+      try {
+        await textFontReady;
+      } catch (error) {
+        setAiStatus(`draw_text refused: ${error.message}.`);
+        return {
+          output: {
+            ok: false,
+            error: `draw_text: ${error.message}, so text cannot be drawn in this run.`
+          }
+        };
+      }
+      pushUndoSnapshot(state.aiRun);
+      const action = drawTextAction({
+        text,
+        color: safeArgs.color || state.drawing.color,
+        opacity: safeArgs.opacity,
+        blendMode: safeArgs.blendMode,
+        x: normalizedToCanvasX(safeArgs.x),
+        y: normalizedToCanvasY(safeArgs.y),
+        fontFamily: safeArgs.fontFamily,
+        fontSize: safeArgs.fontSize,
+        fontWeight: safeArgs.fontWeight,
+        align: safeArgs.align,
+        rotation: safeArgs.rotation
+      }, { source: 'ai' });
+      return {
+        output: {
+          ok: true,
+          action,
+          truncated: action.text !== text.replace(/\r\n?/g, '\n')
+        }
+      };
+    }
+
+    case 'clear_canvas': {
+      const clearAllowed = state.aiRun ? state.aiRun.allowClearTool : ui.allowClearTool.checked;
+      if (!clearAllowed) {
+        return {
+          output: {
+            ok: false,
+            blocked: true,
+            message: 'clear_canvas is disabled by default. continue by editing the existing image.'
+          }
+        };
+      }
+
+      pushUndoSnapshot(state.aiRun);
+      clearCanvas({ source: 'ai' });
+      return { output: { ok: true } };
+    }
+
+    case 'take_screenshot': {
+      const includeGrid = typeof safeArgs.includeGrid === 'boolean'
+        ? safeArgs.includeGrid
+        : (state.aiRun ? state.aiRun.gridForScreenshots : ui.gridForScreenshots.checked);
+      const imageDataUrl = captureCanvasDataUrl(includeGrid, {
+        maxSide: SCREENSHOT_MAX_SIDE,
+        outputType: SCREENSHOT_OUTPUT_TYPE,
+        quality: SCREENSHOT_JPEG_QUALITY
+      });
+      const dimensions = getScaledCanvasDimensions(SCREENSHOT_MAX_SIDE);
+
+      if (state.aiRun) {
+        state.aiRun.lastScreenshotState = PaintEngine.captureLayerState(state.layers);
+        state.aiRun.lastScreenshotImageData = ctx.getImageData(0, 0, paintSurface.width, paintSurface.height);
+        appendRunAction('take_screenshot', {}, 'checkpoint');
+      }
+
+      return {
+        output: {
+          ok: true,
+          width: dimensions.width,
+          height: dimensions.height,
+          includeGrid,
+          imageAttached: true,
+          layers: PaintEngine.summarizeLayers(state.layers)
+        },
+        imageDataUrl,
+        imageNote: includeGrid
+          ? `Screenshot attached with coordinate grid overlay (${dimensions.width}x${dimensions.height}).`
+          : `Screenshot attached (${dimensions.width}x${dimensions.height}).`
+      };
+    }
+
+    case 'reflect': {
+      const allowedPhases = ['explore', 'block_in', 'structure', 'refine', 'final_review'];
+      const phase = allowedPhases.includes(String(safeArgs.phase))
+        ? String(safeArgs.phase)
+        : 'refine';
+      const whatWorks = String(safeArgs.whatWorks || '').trim().slice(0, 280);
+      const issueToFix = String(safeArgs.issueToFix || '').trim().slice(0, 280);
+      const nextActions = Array.isArray(safeArgs.nextActions)
+        ? safeArgs.nextActions
+          .map((entry) => String(entry || '').trim().slice(0, 180))
+          .filter(Boolean)
+          .slice(0, 6)
+        : [];
+      const rawConfidence = Number(safeArgs.confidence);
+      const confidence = Number.isFinite(rawConfidence) ? clamp(rawConfidence, 0, 1) : null;
+
+      const reflection = {
+        phase,
+        whatWorks,
+        issueToFix,
+        nextActions,
+        confidence
+      };
+
+      if (!whatWorks || !issueToFix || nextActions.length === 0) {
+        return {
+          output: {
+            ok: false,
+            error: 'reflect requires non-empty whatWorks, issueToFix, and nextActions.'
+          }
+        };
+      }
+
+      if (state.aiRun) {
+        state.aiRun.lastReflectAtMs = Date.now() - state.aiRun.startedAt;
+        state.aiRun.pendingReflectAfterScreenshot = false;
+        state.aiRun.reflectionCount += 1;
+        appendRunAction('reflect', reflection);
+        appendRunEvent('tool_effect', { kind: 'reflect', reflection });
+      }
+
+      const lowConfidence = confidence !== null && confidence < 0.9;
+      const hasNextActions = nextActions.length > 0;
+      const shouldContinue = lowConfidence && hasNextActions;
+
+      if (state.aiRun) {
+        state.aiRun.lastReflectWantsMoreWork = shouldContinue;
+      }
+
+      return {
+        output: {
+          ok: true,
+          reflectionCount: state.aiRun ? state.aiRun.reflectionCount : null,
+          shouldContinue,
+          message: shouldContinue
+            ? `Confidence ${(confidence * 100).toFixed(0)}% is below 90%. Execute your nextActions before finishing.`
+            : 'Reflection recorded. You may finish if satisfied.'
+        }
+      };
+    }
+
+    case 'undo': {
+      const restored = popAndRestoreUndo(state.aiRun);
+      if (restored) {
+        appendRunAction('undo', {}, 'pop');
+        appendRunEvent('tool_effect', { kind: 'undo' });
+        if (state.aiRun) {
+          state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
+        }
       }
       return {
         output: {
@@ -1650,7 +3093,7 @@ async function executeAgentTool(name, args) {
     case 'undo_to_screenshot': {
       const restored = restoreToLastScreenshot(state.aiRun);
       if (restored) {
-        appendRunAction('undo_to_screenshot', {});
+        appendRunAction('undo_to_screenshot', {}, 'restore_checkpoint');
         appendRunEvent('tool_effect', { kind: 'undo_to_screenshot' });
         if (state.aiRun) {
           state.aiRun.lastVisualChangeAtMs = Date.now() - state.aiRun.startedAt;
@@ -1664,6 +3107,107 @@ async function executeAgentTool(name, args) {
       };
     }
 
+    case 'create_layer':
+    case 'select_layer':
+    case 'set_layer_properties':
+    case 'move_layer':
+    case 'merge_layer_down':
+    case 'delete_layer': {
+      // Snapshot first but only push it once the command succeeds, so rejected
+      // layer commands leave the undo stack alone.
+      const undoSnapshot = name === 'select_layer'
+        ? null
+        : PaintEngine.captureLayerState(state.layers, PaintEngine.undoLayerIdsForAction(state.layers, name, safeArgs));
+      const result = executeLayerAction(name, safeArgs, { source: 'ai', undoSnapshot });
+      if (!result.ok) {
+        return { output: { ok: false, error: result.error } };
+      }
+      return {
+        output: {
+          ok: true,
+          action: result.payload,
+          activeLayerId: state.layers.activeLayerId,
+          layers: PaintEngine.summarizeLayers(state.layers)
+        }
+      };
+    }
+
+    case 'select_region': {
+      const mode = PaintEngine.SELECTION_MODES.includes(safeArgs.mode) ? safeArgs.mode : null;
+      if (!mode) {
+        return { output: { ok: false, error: `Invalid mode. Use ${PaintEngine.SELECTION_MODES.join(', ')}.` } };
+      }
+      const payload = { mode, combine: safeArgs.combine };
+      if (mode === 'rectangle') {
+        Object.assign(payload, {
+          x1: normalizedToCanvasX(safeArgs.x1),
+          y1: normalizedToCanvasY(safeArgs.y1),
+          x2: normalizedToCanvasX(safeArgs.x2),
+          y2: normalizedToCanvasY(safeArgs.y2)
+        });
+      } else if (mode === 'lasso') {
+        payload.points = (Array.isArray(safeArgs.points) ? safeArgs.points : []).map((p) => ({
+          x: normalizedToCanvasX(p?.x),
+          y: normalizedToCanvasY(p?.y)
+        }));
+      } else {
+        Object.assign(payload, {
+          x: normalizedToCanvasX(safeArgs.x),
+          y: normalizedToCanvasY(safeArgs.y),
+          tolerance: safeArgs.tolerance,
+          contiguous: safeArgs.contiguous,
+          closeGapsPx: safeArgs.closeGapsPx
+        });
+      }
+
+      const result = executeSelectionAction(name, payload, { source: 'ai' });
+      if (!result.ok) {
+        return { output: { ok: false, error: result.error } };
+      }
+      return {
+        output: {
+          ok: true,
+          action: result.payload,
+          pixelCount: result.selection.pixelCount,
+          bbox: result.selection.bbox
+        }
+      };
+    }
+
+    case 'transform_selection': {
+      if (!PaintEngine.SELECTION_OPERATIONS.includes(safeArgs.operation)) {
+        return { output: { ok: false, error: `Invalid operation. Use ${PaintEngine.SELECTION_OPERATIONS.join(', ')}.` } };
+      }
+      // dx/dy are fractions of the canvas size, so they may be negative.
+      const payload = {
+        operation: safeArgs.operation,
+        dx: Math.round(clamp(Number(safeArgs.dx) || 0, -1, 1) * paintSurface.width),
+        dy: Math.round(clamp(Number(safeArgs.dy) || 0, -1, 1) * paintSurface.height),
+        scaleX: safeArgs.scaleX,
+        scaleY: safeArgs.scaleY,
+        angle: safeArgs.angle,
+        axis: safeArgs.axis
+      };
+      const undoSnapshot = PaintEngine.captureLayerState(state.layers, [state.layers.activeLayerId]);
+      const result = executeSelectionAction(name, payload, { source: 'ai', undoSnapshot });
+      if (!result.ok) {
+        return { output: { ok: false, error: result.error } };
+      }
+      return {
+        output: {
+          ok: true,
+          action: result.payload,
+          pixelCount: result.selection.pixelCount,
+          bbox: result.selection.bbox
+        }
+      };
+    }
+
+    case 'clear_selection': {
+      executeSelectionAction(name, {}, { source: 'ai' });
+      return { output: { ok: true } };
+    }
+
     case 'finish': {
       return {
         output: {
@@ -1723,19 +3267,27 @@ function stopAiRun(reason, options = {}) {
     attemptedAt: new Date().toISOString()
   };
 
+  const finalImageData = ctx.getImageData(0, 0, paintSurface.width, paintSurface.height);
+  run.log.imageMetrics = PaintEngine.computeImageMetrics(finalImageData, { previous: run.lastScreenshotImageData });
+  if (run.taskMode === 'copy' && run.reference?.imageData) {
+    run.log.similarity = PaintEngine.scoreImageSimilarity(finalImageData, run.reference.imageData);
+  }
+
   state.lastRunLog = run.log;
+  state.lastRunStartImage = run.startImageData;
+  state.lastRunStartLayerImages = run.startLayerImages;
 
   // Capture result card for gallery (single runs and eval runs)
   const capturedImageDataUrl = captureCanvasDataUrl(false, {
-    maxSide: Math.max(CANVAS_WIDTH, CANVAS_HEIGHT),
+    maxSide: Math.max(paintSurface.width, paintSurface.height),
     outputType: 'image/png',
     quality: 0.92
   });
   const resultForCard = summarizeEvalRun(
-    { prompt: run.prompt, model: run.model, maxRunSeconds: run.maxRunSeconds, gridForScreenshots: run.gridForScreenshots, allowClearTool: run.allowClearTool, comboIndex: 0, repeat: 1 },
+    { prompt: run.prompt, model: run.model, taskMode: run.taskMode, maxRunSeconds: run.maxRunSeconds, gridForScreenshots: run.gridForScreenshots, allowClearTool: run.allowClearTool, comboIndex: 0, repeat: 1 },
     run.log
   );
-  addResultCard(resultForCard, capturedImageDataUrl);
+  const resultCard = addResultCard(resultForCard, capturedImageDataUrl);
 
   state.aiRun = null;
 
@@ -1748,6 +3300,7 @@ function stopAiRun(reason, options = {}) {
 
   const hasActions = Array.isArray(state.lastRunLog.actions) && state.lastRunLog.actions.length > 0;
   ui.downloadLog.disabled = !hasActions;
+  ui.replayLastRun.disabled = !hasActions;
 
   setControlMode('human');
 
@@ -1755,13 +3308,27 @@ function stopAiRun(reason, options = {}) {
   const logRef = state.lastRunLog;
   setAutosaveStatus(`Autosave: saving artifacts for run ${runId}...`);
   void autosaveCompletedRun(run)
-    .then((saveResult) => {
+    .then(async (saveResult) => {
       if (!logRef) return;
+      // Judging happens before storage.pending clears, so eval runs wait for the scores.
+      if (run.judge && saveResult.storage?.baseName && saveResult.storage?.finalImageFile) {
+        setAutosaveStatus(`Autosave: judging run ${runId}...`);
+        try {
+          logRef.judge = await requestRunJudge(saveResult.storage.baseName, run.judge.model);
+          appendDetachedRunEvent(logRef, 'run_judge_completed', { model: logRef.judge.model, overall: logRef.judge.overall });
+          Object.assign(resultForCard, summarizeJudge(logRef.judge));
+          updateResultCardJudge(resultCard, resultForCard);
+        } catch (error) {
+          appendDetachedRunEvent(logRef, 'run_judge_failed', { message: error.message || String(error) });
+        }
+      }
+
       logRef.storage = {
         autosaved: true,
         pending: false,
         attemptedAt: logRef.storage?.attemptedAt || null,
         savedAt: saveResult.storage?.savedAt || new Date().toISOString(),
+        baseName: saveResult.storage?.baseName || null,
         logFile: saveResult.storage?.logFile || null,
         finalImageFile: saveResult.storage?.finalImageFile || null,
         screenshotFiles: saveResult.storage?.screenshotFiles || [],
@@ -1772,7 +3339,11 @@ function stopAiRun(reason, options = {}) {
       appendDetachedRunEvent(logRef, 'run_autosave_completed', sanitizeForLog(logRef.storage));
 
       const shortLogPath = saveResult.storage?.logFile || '(unknown path)';
-      setAutosaveStatus(`Autosave: saved ${shortLogPath}`);
+      const judgeText = logRef.judge ? ` (judge ${logRef.judge.overall.toFixed(2)}/10)` : (run.judge ? ' (judging failed)' : '');
+      setAutosaveStatus(`Autosave: saved ${shortLogPath}${judgeText}`);
+      if (state.runBrowser.loaded) {
+        void refreshRunBrowser();
+      }
 
       if (!state.aiRun || state.aiRun.id === runId) {
         setAiStatus(`${reason} Artifacts saved to ${shortLogPath}.`);
@@ -1802,7 +3373,7 @@ async function autosaveCompletedRun(run) {
   }
 
   const finalImageDataUrl = captureCanvasDataUrl(false, {
-    maxSide: Math.max(CANVAS_WIDTH, CANVAS_HEIGHT),
+    maxSide: Math.max(paintSurface.width, paintSurface.height),
     outputType: 'image/png',
     quality: 0.92
   });
@@ -1827,6 +3398,14 @@ async function autosaveCompletedRun(run) {
     body: JSON.stringify({
       log: run.log,
       finalImageDataUrl,
+      startImageDataUrl: run.startImageData
+        ? imageDataUrlFromPixels(run.startImageData.data, run.startImageData.width, run.startImageData.height)
+        : null,
+      startLayerImages: Object.entries(run.startLayerImages || {}).map(([layerId, imageData]) => ({
+        layerId,
+        imageDataUrl: imageDataUrlFromPixels(imageData.data, imageData.width, imageData.height)
+      })),
+      referenceImageDataUrl: run.reference?.dataUrl || null,
       screenshots: screenshotArtifacts
     })
   });
@@ -1839,45 +3418,108 @@ async function autosaveCompletedRun(run) {
   return payload;
 }
 
+async function requestRunJudge(baseName, model) {
+  const response = await fetch('/api/runs/judge', {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({ baseName, model })
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok || !payload?.ok) {
+    throw new Error(payload?.message || `Judge request failed (${response.status}).`);
+  }
+
+  return payload.judge;
+}
+
 function sendRealtime(run, event) {
   if (!run?.ws || run.ws.readyState !== WebSocket.OPEN) return;
   run.ws.send(JSON.stringify(event));
   appendRunEvent('ws_send', sanitizeForLog(event));
 }
 
-function buildRealtimeInstructions(prompt) {
+function buildRealtimeInstructions(prompt, taskMode = 'paint') {
+  const copyTaskLines = taskMode === 'copy'
+    ? [
+      '',
+      'COPY TASK:',
+      '  Reproduce the reference image from the first message. Match its composition, shapes, proportions and colors,',
+      '  not a reinterpretation of it. The finished canvas is scored by pixel and structural similarity to the reference.'
+    ]
+    : [];
   return [
     `You are a painter. Your commission: "${prompt}".`,
+    ...copyTaskLines,
     '',
     'COORDINATE SYSTEM:',
-    `  Runtime canvas is ${CANVAS_WIDTH}x${CANVAS_HEIGHT} pixels.`,
+    `  Runtime canvas is ${paintSurface.width}x${paintSurface.height} pixels.`,
     '  All tool coordinates MUST be normalized in [0.0, 1.0].',
     '  (0,0) is top-left. (1,1) is bottom-right. (0.5,0.5) is center.',
     '',
     'PAINTING WORKFLOW:',
-    '  1. Start with background blocks using fill_rectangle.',
-    '  2. Build major forms with stroke_line, stroke_polyline, stroke_rectangle, stroke_circle.',
-    '  3. Add atmosphere and texture with spray_cluster and flood_fill.',
+    '  1. Start with background blocks using fill_rectangle or fill_gradient, then solid masses with fill_polygon, fill_ellipse and fill_path.',
+    '  2. Build major forms with stroke_line, stroke_curve, stroke_polyline, stroke_rectangle, stroke_circle.',
+    '  3. Add atmosphere and texture with spray_cluster. Prefer fill_polygon/fill_ellipse/fill_path over flood_fill for shapes; when you flood_fill inside an outline, set closeGapsPx so it cannot leak through small gaps, and check pixelCount.',
     '  4. Take screenshots regularly, then call reflect to critique and plan next edits.',
     '  5. If reflect shows confidence below 90%, you MUST execute your nextActions, then screenshot + reflect again.',
     '  6. Repeat the paint→screenshot→reflect loop until confidence reaches 90%+, then call finish.',
     '',
     'TOOLS:',
     '  fill_rectangle(color,x1,y1,x2,y2) -> solid rectangle fill.',
+    '  fill_polygon(color,points[{x,y}],fillRule?) -> solid polygon through 3-64 points.',
+    '  fill_ellipse(color,centerX,centerY,radiusX,radiusY,rotation?) -> solid ellipse; radiusX is a fraction of canvas width, radiusY of height, rotation in degrees.',
+    '  fill_path(color,subpaths[{points,mode?,tension?}],fillRule?) -> one fill from several closed outlines (line, catmull_rom, quadratic or cubic); evenodd turns inner outlines into holes.',
+    '  fill_gradient(shape,gradient,...region) -> gradient fill of a rectangle (x1,y1,x2,y2), ellipse (centerX,centerY,radiusX,radiusY,rotation?) or polygon (points,fillRule?).',
+    '    gradient.type linear (startX,startY -> endX,endY; default top to bottom of the shape), radial (centerX,centerY,radius,innerRadius?; radii are fractions of canvas width) or conic (centerX,centerY,angle in degrees, 0 = pointing right, sweeping clockwise).',
+    `    gradient.stops: 2-${PaintEngine.MAX_GRADIENT_STOPS} of {offset 0-1, color, opacity?}. One fill_gradient replaces stacks of fill_rectangle bands for skies, sunsets, water and glows.`,
     '  stroke_line(tool,color,lineWidth,startX,startY,endX,endY) -> tool: pencil, brush, eraser.',
     '  stroke_polyline(color,lineWidth,points[{x,y}],tool?) -> connected path through 2-64 normalized points. Use for curves and organic shapes.',
+    '  stroke_curve(color,lineWidth,points[{x,y}],mode?,tension?,closed?,widths?,tool?) -> smooth curve.',
+    '    mode catmull_rom (default): passes through every point; tension 0 = round, 1 = straight segments.',
+    '    mode quadratic: start, then (control, end) pairs. mode cubic: start, then (control1, control2, end) triples.',
+    '    widths: 2-16 line widths spread evenly from start to end of the path (tapers, swelling strokes).',
+    `  With tool brush, stroke_line/stroke_polyline/stroke_curve take brush{tip,taperStart?,taperEnd?,jitter?,seed?}: tip ${PaintEngine.BRUSH_TIPS.join(', ')}.`,
+    '    round: soft solid stroke. flat: calligraphic nib, thick or thin with direction. bristle: streaky strands that run dry. chalk: grainy broken texture. watercolor: translucent wash that builds up where strokes overlap.',
+    '    taperStart/taperEnd: fraction of the stroke that thins and fades in or out. jitter 0-1: wobble in dab position, size and angle.',
     '  stroke_rectangle(color,lineWidth,x1,y1,x2,y2) -> outlined rectangle.',
+    `  draw_text(text,color,x,y,fontFamily?,fontSize?,fontWeight?,align?,rotation?) -> text for signs, posters and labels. (x,y) anchors the block per align (left, center, right) and at its vertical middle; fontFamily ${PaintEngine.TEXT_FONT_FAMILIES.join(', ')}; fontSize in canvas pixels (6-200); up to ${PaintEngine.MAX_TEXT_LINES} lines split by \\n; rotation in degrees clockwise.`,
     '  stroke_circle(color,lineWidth,centerX,centerY,edgeX,edgeY) -> outlined circle.',
     '  spray_cluster(color,lineWidth,x,y,seed?) -> clustered spray texture.',
-    '  flood_fill(color,x,y) -> flood fill from point.',
+    '  flood_fill(color,x,y,tolerance?,contiguous?,closeGapsPx?) -> flood fill from point; returns pixelCount and bbox (canvas pixels).',
+    `    tolerance: per-channel color difference still filled (0-255, default ${PaintEngine.FLOOD_FILL_TOLERANCE}). contiguous false fills every matching pixel on the layer. closeGapsPx: bridge outline gaps up to this many pixels (max ${PaintEngine.MAX_CLOSE_GAPS_PX}).`,
+    `  All drawing tools above also accept opacity (0-1, default 1) and blendMode (${PaintEngine.BLEND_MODES.join(', ')}; default normal).`,
     '  reflect(phase,whatWorks,issueToFix,nextActions,confidence?) -> short planning/critique checkpoint.',
     '  undo -> revert last operation.',
     '  undo_to_screenshot -> revert to last screenshot checkpoint.',
     '',
+    'LAYERS:',
+    `  Drawing tools, flood_fill and clear_canvas only touch the active layer. You start on ${PaintEngine.BASE_LAYER_ID} (opaque white background).`,
+    '  create_layer(name?,opacity?,blendMode?) -> new transparent layer above the active one; it becomes active.',
+    '  select_layer(layerId) -> make a layer active.',
+    '  set_layer_properties(layerId?,name?,visible?,opacity?,blendMode?) -> hide/show, fade or re-blend a layer (defaults to active).',
+    '  move_layer(layerId?,direction) -> up, down, top or bottom (the background stays at the bottom).',
+    '  merge_layer_down(layerId?) -> flatten a layer into the one below using its opacity and blend mode.',
+    '  delete_layer(layerId?) -> remove a layer (not the background).',
+    '  Screenshots show the composite of visible layers. Erasing on a layer makes it transparent again.',
+    '  Use layers to keep flood_fill from leaking into earlier strokes and to undo or adjust one element without touching the rest.',
+    '',
+    'SELECTIONS:',
+    '  select_region(mode,combine?,...) -> select part of the active layer; returns pixelCount and bbox (canvas pixels).',
+    '    mode rectangle (x1,y1,x2,y2), lasso (points, 3-64) or magic_wand (x,y,tolerance?,contiguous?,closeGapsPx?; matches colors like flood_fill).',
+    '    combine replace (default), add or subtract to build a selection from several regions.',
+    '  transform_selection(operation,...) -> acts on the selected pixels of the active layer; the selection follows them.',
+    '    move/duplicate (dx,dy as fractions of canvas size, may be negative), scale (scaleX,scaleY), rotate (angle in degrees clockwise), flip (axis horizontal or vertical), delete.',
+    '    Scale, rotate and flip pivot on the selection centre. Moved pixels leave transparency on a layer and white on the background.',
+    '  clear_selection -> drop the selection. Use duplicate + flip for symmetric shapes, and move to fix placement without repainting.',
+    '',
     'STYLE GUIDANCE:',
     '  Be bold: large confident shapes read better than tiny precise ones.',
     '  Trust your instincts. Imperfection is expressive.',
     '  Layer colors: paint over earlier layers to build depth and richness.',
+    '  Glaze with low opacity (0.2-0.5) to tint, shade or add atmosphere without hiding what is underneath; multiply darkens, screen lightens.',
     '  Use color temperature: warm foregrounds, cool backgrounds for depth.',
     '',
     'TECHNICAL REQUIREMENTS:',
@@ -1897,6 +3539,40 @@ function getRealtimeTools() {
     minimum: 0,
     maximum: 1
   };
+  const layerId = {
+    type: 'string',
+    pattern: '^layer_[0-9]+$'
+  };
+  const opacity = {
+    type: 'number',
+    minimum: 0,
+    maximum: 1
+  };
+  const blendMode = {
+    type: 'string',
+    enum: PaintEngine.BLEND_MODES
+  };
+  const fillRule = {
+    type: 'string',
+    enum: PaintEngine.FILL_RULES,
+    default: 'nonzero'
+  };
+  const brush = {
+    type: 'object',
+    description: 'Brush engine settings, used when tool is brush.',
+    additionalProperties: false,
+    properties: {
+      tip: {
+        type: 'string',
+        enum: PaintEngine.BRUSH_TIPS,
+        default: 'round'
+      },
+      taperStart: { type: 'number', minimum: 0, maximum: 1 },
+      taperEnd: { type: 'number', minimum: 0, maximum: 1 },
+      jitter: { type: 'number', minimum: 0, maximum: 1 },
+      seed: { type: 'integer', minimum: 0 }
+    }
+  };
 
   return [
     {
@@ -1915,6 +3591,8 @@ function getRealtimeTools() {
             type: 'string',
             pattern: '^#[0-9A-Fa-f]{6}$'
           },
+          opacity,
+          blendMode,
           lineWidth: {
             type: 'integer',
             minimum: 1,
@@ -1923,7 +3601,8 @@ function getRealtimeTools() {
           startX: normalizedCoord,
           startY: normalizedCoord,
           endX: normalizedCoord,
-          endY: normalizedCoord
+          endY: normalizedCoord,
+          brush
         },
         required: ['tool', 'color', 'lineWidth', 'startX', 'startY', 'endX', 'endY']
       }
@@ -1940,6 +3619,8 @@ function getRealtimeTools() {
             type: 'string',
             pattern: '^#[0-9A-Fa-f]{6}$'
           },
+          opacity,
+          blendMode,
           lineWidth: {
             type: 'integer',
             minimum: 1,
@@ -1963,15 +3644,16 @@ function getRealtimeTools() {
             type: 'string',
             enum: ['pencil', 'brush', 'eraser'],
             default: 'pencil'
-          }
+          },
+          brush
         },
         required: ['color', 'lineWidth', 'points']
       }
     },
     {
       type: 'function',
-      name: 'stroke_rectangle',
-      description: 'Draw an outlined rectangle between two normalized corner points.',
+      name: 'stroke_curve',
+      description: 'Draw a smooth curve (Catmull-Rom spline or quadratic/cubic Bezier) through normalized control points, optionally closed and with a width profile.',
       parameters: {
         type: 'object',
         additionalProperties: false,
@@ -1980,31 +3662,103 @@ function getRealtimeTools() {
             type: 'string',
             pattern: '^#[0-9A-Fa-f]{6}$'
           },
+          opacity,
+          blendMode,
           lineWidth: {
             type: 'integer',
             minimum: 1,
             maximum: 50
           },
-          x1: normalizedCoord,
-          y1: normalizedCoord,
-          x2: normalizedCoord,
-          y2: normalizedCoord
-        },
-        required: ['color', 'lineWidth', 'x1', 'y1', 'x2', 'y2']
-      }
-    },
-    {
-      type: 'function',
-      name: 'stroke_circle',
-      description: 'Draw an outlined circle from normalized center and edge points.',
-      parameters: {
-        type: 'object',
-        additionalProperties: false,
-        properties: {
-          color: {
-            type: 'string',
+          points: {
+            type: 'array',
+            minItems: 2,
+            maxItems: 64,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                x: { type: 'number', minimum: 0, maximum: 1 },
+                y: { type: 'number', minimum: 0, maximum: 1 }
+              },
+              required: ['x', 'y']
+            }
+          },
+          mode: {
+            type: 'string',
+            enum: PaintEngine.CURVE_MODES,
+            default: 'catmull_rom'
+          },
+          tension: {
+            type: 'number',
+            minimum: 0,
+            maximum: 1,
+            default: 0
+          },
+          closed: {
+            type: 'boolean',
+            default: false
+          },
+          widths: {
+            type: 'array',
+            minItems: 2,
+            maxItems: PaintEngine.MAX_CURVE_WIDTHS,
+            items: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 50
+            }
+          },
+          tool: {
+            type: 'string',
+            enum: ['pencil', 'brush', 'eraser'],
+            default: 'pencil'
+          },
+          brush
+        },
+        required: ['color', 'lineWidth', 'points']
+      }
+    },
+    {
+      type: 'function',
+      name: 'stroke_rectangle',
+      description: 'Draw an outlined rectangle between two normalized corner points.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          color: {
+            type: 'string',
+            pattern: '^#[0-9A-Fa-f]{6}$'
+          },
+          opacity,
+          blendMode,
+          lineWidth: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50
+          },
+          x1: normalizedCoord,
+          y1: normalizedCoord,
+          x2: normalizedCoord,
+          y2: normalizedCoord
+        },
+        required: ['color', 'lineWidth', 'x1', 'y1', 'x2', 'y2']
+      }
+    },
+    {
+      type: 'function',
+      name: 'stroke_circle',
+      description: 'Draw an outlined circle from normalized center and edge points.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          color: {
+            type: 'string',
             pattern: '^#[0-9A-Fa-f]{6}$'
           },
+          opacity,
+          blendMode,
           lineWidth: {
             type: 'integer',
             minimum: 1,
@@ -2030,6 +3784,8 @@ function getRealtimeTools() {
             type: 'string',
             pattern: '^#[0-9A-Fa-f]{6}$'
           },
+          opacity,
+          blendMode,
           lineWidth: {
             type: 'integer',
             minimum: 1,
@@ -2049,7 +3805,7 @@ function getRealtimeTools() {
     {
       type: 'function',
       name: 'flood_fill',
-      description: 'Flood fill a connected region from a normalized point.',
+      description: 'Flood fill a connected region from a normalized point. Returns the filled pixel count and bounding box.',
       parameters: {
         type: 'object',
         additionalProperties: false,
@@ -2058,8 +3814,26 @@ function getRealtimeTools() {
             type: 'string',
             pattern: '^#[0-9A-Fa-f]{6}$'
           },
+          opacity,
+          blendMode,
           x: normalizedCoord,
-          y: normalizedCoord
+          y: normalizedCoord,
+          tolerance: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 255,
+            default: PaintEngine.FLOOD_FILL_TOLERANCE
+          },
+          contiguous: {
+            type: 'boolean',
+            default: true
+          },
+          closeGapsPx: {
+            type: 'integer',
+            minimum: 0,
+            maximum: PaintEngine.MAX_CLOSE_GAPS_PX,
+            default: 0
+          }
         },
         required: ['color', 'x', 'y']
       }
@@ -2076,6 +3850,8 @@ function getRealtimeTools() {
             type: 'string',
             pattern: '^#[0-9A-Fa-f]{6}$'
           },
+          opacity,
+          blendMode,
           x1: normalizedCoord,
           y1: normalizedCoord,
           x2: normalizedCoord,
@@ -2084,10 +3860,267 @@ function getRealtimeTools() {
         required: ['color', 'x1', 'y1', 'x2', 'y2']
       }
     },
+    {
+      type: 'function',
+      name: 'fill_polygon',
+      description: 'Fill a polygon through normalized points with a solid color.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          color: {
+            type: 'string',
+            pattern: '^#[0-9A-Fa-f]{6}$'
+          },
+          opacity,
+          blendMode,
+          points: {
+            type: 'array',
+            minItems: 3,
+            maxItems: 64,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                x: { type: 'number', minimum: 0, maximum: 1 },
+                y: { type: 'number', minimum: 0, maximum: 1 }
+              },
+              required: ['x', 'y']
+            }
+          },
+          fillRule
+        },
+        required: ['color', 'points']
+      }
+    },
+    {
+      type: 'function',
+      name: 'fill_ellipse',
+      description: 'Fill an ellipse. radiusX is a fraction of canvas width, radiusY a fraction of canvas height; rotation is in degrees clockwise.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          color: {
+            type: 'string',
+            pattern: '^#[0-9A-Fa-f]{6}$'
+          },
+          opacity,
+          blendMode,
+          centerX: normalizedCoord,
+          centerY: normalizedCoord,
+          radiusX: normalizedCoord,
+          radiusY: normalizedCoord,
+          rotation: {
+            type: 'number',
+            minimum: -360,
+            maximum: 360,
+            default: 0
+          }
+        },
+        required: ['color', 'centerX', 'centerY', 'radiusX', 'radiusY']
+      }
+    },
+    {
+      type: 'function',
+      name: 'fill_path',
+      description: 'Fill several closed outlines as one shape. Each subpath is straight lines or a smooth curve; with evenodd, outlines inside others become holes.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          color: {
+            type: 'string',
+            pattern: '^#[0-9A-Fa-f]{6}$'
+          },
+          opacity,
+          blendMode,
+          subpaths: {
+            type: 'array',
+            minItems: 1,
+            maxItems: PaintEngine.MAX_FILL_PATH_SUBPATHS,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                points: {
+                  type: 'array',
+                  minItems: 3,
+                  maxItems: 64,
+                items: {
+                  type: 'object',
+                  additionalProperties: false,
+                  properties: {
+                    x: { type: 'number', minimum: 0, maximum: 1 },
+                    y: { type: 'number', minimum: 0, maximum: 1 }
+                  },
+                  required: ['x', 'y']
+                }
+                },
+                mode: {
+                  type: 'string',
+                  enum: PaintEngine.FILL_PATH_MODES,
+                  default: 'line'
+                },
+                tension: {
+                  type: 'number',
+                  minimum: 0,
+                  maximum: 1
+                }
+              },
+              required: ['points']
+            }
+          },
+          fillRule
+        },
+        required: ['color', 'subpaths']
+      }
+    },
+    {
+      type: 'function',
+      name: 'fill_gradient',
+      description: 'Fill a rectangle, ellipse or polygon with a linear, radial or conic gradient. Gradient geometry left out is fitted to the shape.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          shape: {
+            type: 'string',
+            enum: PaintEngine.GRADIENT_SHAPES
+          },
+          opacity,
+          blendMode,
+          x1: normalizedCoord,
+          y1: normalizedCoord,
+          x2: normalizedCoord,
+          y2: normalizedCoord,
+          centerX: normalizedCoord,
+          centerY: normalizedCoord,
+          radiusX: normalizedCoord,
+          radiusY: normalizedCoord,
+          rotation: {
+            type: 'number',
+            minimum: -360,
+            maximum: 360
+          },
+          points: {
+            type: 'array',
+            minItems: 3,
+            maxItems: 64,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                x: { type: 'number', minimum: 0, maximum: 1 },
+                y: { type: 'number', minimum: 0, maximum: 1 }
+              },
+              required: ['x', 'y']
+            }
+          },
+          fillRule,
+          gradient: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+              type: {
+                type: 'string',
+                enum: PaintEngine.GRADIENT_TYPES,
+                default: 'linear'
+              },
+              stops: {
+                type: 'array',
+                minItems: 2,
+                maxItems: PaintEngine.MAX_GRADIENT_STOPS,
+                items: {
+                  type: 'object',
+                  additionalProperties: false,
+                  properties: {
+                    offset: { type: 'number', minimum: 0, maximum: 1 },
+                    color: {
+                      type: 'string',
+                      pattern: '^#[0-9A-Fa-f]{6}$'
+                    },
+                    opacity
+                  },
+                  required: ['offset', 'color']
+                }
+              },
+              startX: normalizedCoord,
+              startY: normalizedCoord,
+              endX: normalizedCoord,
+              endY: normalizedCoord,
+              centerX: normalizedCoord,
+              centerY: normalizedCoord,
+              radius: normalizedCoord,
+              innerRadius: normalizedCoord,
+              angle: {
+                type: 'number',
+                minimum: -360,
+                maximum: 360
+              }
+            },
+            required: ['type', 'stops']
+          }
+        },
+        required: ['shape', 'gradient']
+      }
+    },
+    {
+      type: 'function',
+      name: 'draw_text',
+      description: 'Draw text anchored at a normalized point: horizontally per align, vertically at the middle of the text block.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          text: {
+            type: 'string',
+            minLength: 1,
+            maxLength: PaintEngine.MAX_TEXT_LENGTH
+          },
+          color: {
+            type: 'string',
+            pattern: '^#[0-9A-Fa-f]{6}$'
+          },
+          opacity,
+          blendMode,
+          x: normalizedCoord,
+          y: normalizedCoord,
+          fontFamily: {
+            type: 'string',
+            enum: PaintEngine.TEXT_FONT_FAMILIES,
+            default: PaintEngine.TEXT_FONT_FAMILIES[0]
+          },
+          fontSize: {
+            type: 'integer',
+            minimum: 6,
+            maximum: 200,
+            default: 32
+          },
+          fontWeight: {
+            type: 'string',
+            enum: PaintEngine.TEXT_WEIGHTS,
+            default: 'normal'
+          },
+          align: {
+            type: 'string',
+            enum: PaintEngine.TEXT_ALIGNS,
+            default: 'left'
+          },
+          rotation: {
+            type: 'number',
+            minimum: -360,
+            maximum: 360,
+            default: 0
+          }
+        },
+        required: ['text', 'color', 'x', 'y']
+      }
+    },
     {
       type: 'function',
       name: 'clear_canvas',
-      description: 'Clear canvas to white. Destructive; may be blocked.',
+      description: 'Clear the active layer (the background clears to white, other layers to transparent). Destructive; may be blocked.',
       parameters: {
         type: 'object',
         additionalProperties: false,
@@ -2172,41 +4205,225 @@ function getRealtimeTools() {
     },
     {
       type: 'function',
-      name: 'finish',
-      description: 'Mark the run complete.',
+      name: 'create_layer',
+      description: 'Add a transparent layer above the active layer and make it active.',
       parameters: {
         type: 'object',
         additionalProperties: false,
         properties: {
-          summary: {
-            type: 'string'
+          name: {
+            type: 'string',
+            maxLength: 40
+          },
+          opacity,
+          blendMode
+        }
+      }
+    },
+    {
+      type: 'function',
+      name: 'select_layer',
+      description: 'Make a layer active so later drawing tools paint into it.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          layerId
+        },
+        required: ['layerId']
+      }
+    },
+    {
+      type: 'function',
+      name: 'set_layer_properties',
+      description: 'Rename, hide/show, or change the opacity or blend mode of a layer (defaults to the active layer).',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          layerId,
+          name: {
+            type: 'string',
+            maxLength: 40
+          },
+          visible: {
+            type: 'boolean'
+          },
+          opacity,
+          blendMode
+        }
+      }
+    },
+    {
+      type: 'function',
+      name: 'move_layer',
+      description: 'Reorder a layer (defaults to the active layer). The background always stays at the bottom.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          layerId,
+          direction: {
+            type: 'string',
+            enum: PaintEngine.LAYER_MOVE_DIRECTIONS
           }
         },
-        required: ['summary']
+        required: ['direction']
       }
-    }
-  ];
-}
-
-function captureCanvasDataUrl(includeGrid, options = {}) {
-  const maxSide = clamp(
-    Math.round(Number(options.maxSide) || Math.max(CANVAS_WIDTH, CANVAS_HEIGHT)),
-    128,
-    Math.max(CANVAS_WIDTH, CANVAS_HEIGHT)
-  );
-  const outputType = options.outputType === 'image/jpeg' ? 'image/jpeg' : 'image/png';
-  const quality = clamp(Number(options.quality) || 0.82, 0.3, 1);
-
-  const baseCanvas = document.createElement('canvas');
-  baseCanvas.width = CANVAS_WIDTH;
-  baseCanvas.height = CANVAS_HEIGHT;
-  const baseCtx = baseCanvas.getContext('2d');
-  baseCtx.drawImage(canvas, 0, 0);
+    },
+    {
+      type: 'function',
+      name: 'merge_layer_down',
+      description: 'Flatten a visible layer into the layer below it using its opacity and blend mode.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          layerId
+        }
+      }
+    },
+    {
+      type: 'function',
+      name: 'delete_layer',
+      description: 'Delete a layer (not the background). Undo restores it.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          layerId
+        }
+      }
+    },
+    {
+      type: 'function',
+      name: 'select_region',
+      description: 'Select pixels of the active layer by rectangle, lasso polygon or magic wand. Returns the selected pixel count and bounding box.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          mode: {
+            type: 'string',
+            enum: PaintEngine.SELECTION_MODES
+          },
+          combine: {
+            type: 'string',
+            enum: PaintEngine.SELECTION_COMBINE_MODES,
+            default: 'replace'
+          },
+          x1: normalizedCoord,
+          y1: normalizedCoord,
+          x2: normalizedCoord,
+          y2: normalizedCoord,
+          points: {
+            type: 'array',
+            minItems: 3,
+            maxItems: 64,
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              properties: {
+                x: { type: 'number', minimum: 0, maximum: 1 },
+                y: { type: 'number', minimum: 0, maximum: 1 }
+              },
+              required: ['x', 'y']
+            }
+          },
+          x: normalizedCoord,
+          y: normalizedCoord,
+          tolerance: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 255,
+            default: PaintEngine.FLOOD_FILL_TOLERANCE
+          },
+          contiguous: {
+            type: 'boolean',
+            default: true
+          },
+          closeGapsPx: {
+            type: 'integer',
+            minimum: 0,
+            maximum: PaintEngine.MAX_CLOSE_GAPS_PX,
+            default: 0
+          }
+        },
+        required: ['mode']
+      }
+    },
+    {
+      type: 'function',
+      name: 'transform_selection',
+      description: 'Move, duplicate, scale, rotate, flip or delete the selected pixels of the active layer.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          operation: {
+            type: 'string',
+            enum: PaintEngine.SELECTION_OPERATIONS
+          },
+          dx: { type: 'number', minimum: -1, maximum: 1 },
+          dy: { type: 'number', minimum: -1, maximum: 1 },
+          scaleX: { type: 'number', minimum: PaintEngine.MIN_SELECTION_SCALE, maximum: PaintEngine.MAX_SELECTION_SCALE },
+          scaleY: { type: 'number', minimum: PaintEngine.MIN_SELECTION_SCALE, maximum: PaintEngine.MAX_SELECTION_SCALE },
+          angle: { type: 'number', minimum: -360, maximum: 360 },
+          axis: {
+            type: 'string',
+            enum: PaintEngine.SELECTION_FLIP_AXES
+          }
+        },
+        required: ['operation']
+      }
+    },
+    {
+      type: 'function',
+      name: 'clear_selection',
+      description: 'Drop the current selection.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {}
+      }
+    },
+    {
+      type: 'function',
+      name: 'finish',
+      description: 'Mark the run complete.',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          summary: {
+            type: 'string'
+          }
+        },
+        required: ['summary']
+      }
+    }
+  ];
+}
+
+function captureCanvasDataUrl(includeGrid, options = {}) {
+  const maxSide = clamp(
+    Math.round(Number(options.maxSide) || Math.max(paintSurface.width, paintSurface.height)),
+    128,
+    Math.max(paintSurface.width, paintSurface.height)
+  );
+  const outputType = options.outputType === 'image/jpeg' ? 'image/jpeg' : 'image/png';
+  const quality = clamp(Number(options.quality) || 0.82, 0.3, 1);
+
+  const baseCanvas = document.createElement('canvas');
+  baseCanvas.width = paintSurface.width;
+  baseCanvas.height = paintSurface.height;
+  const baseCtx = baseCanvas.getContext('2d');
+  baseCtx.drawImage(canvas, 0, 0);
   if (includeGrid) {
-    drawGridOverlay(baseCtx, CANVAS_WIDTH, CANVAS_HEIGHT);
+    drawGridOverlay(baseCtx, paintSurface.width, paintSurface.height);
   }
 
-  const sourceMaxSide = Math.max(CANVAS_WIDTH, CANVAS_HEIGHT);
+  const sourceMaxSide = Math.max(paintSurface.width, paintSurface.height);
   const scale = Math.min(1, maxSide / sourceMaxSide);
   if (scale >= 0.999) {
     return outputType === 'image/jpeg'
@@ -2214,8 +4431,8 @@ function captureCanvasDataUrl(includeGrid, options = {}) {
       : baseCanvas.toDataURL(outputType);
   }
 
-  const outWidth = Math.max(1, Math.round(CANVAS_WIDTH * scale));
-  const outHeight = Math.max(1, Math.round(CANVAS_HEIGHT * scale));
+  const outWidth = Math.max(1, Math.round(paintSurface.width * scale));
+  const outHeight = Math.max(1, Math.round(paintSurface.height * scale));
   const outCanvas = document.createElement('canvas');
   outCanvas.width = outWidth;
   outCanvas.height = outHeight;
@@ -2228,11 +4445,11 @@ function captureCanvasDataUrl(includeGrid, options = {}) {
 }
 
 function getScaledCanvasDimensions(maxSide) {
-  const sourceMaxSide = Math.max(CANVAS_WIDTH, CANVAS_HEIGHT);
+  const sourceMaxSide = Math.max(paintSurface.width, paintSurface.height);
   const scale = Math.min(1, Number(maxSide) / sourceMaxSide);
   return {
-    width: Math.max(1, Math.round(CANVAS_WIDTH * scale)),
-    height: Math.max(1, Math.round(CANVAS_HEIGHT * scale))
+    width: Math.max(1, Math.round(paintSurface.width * scale)),
+    height: Math.max(1, Math.round(paintSurface.height * scale))
   };
 }
 
@@ -2287,67 +4504,858 @@ function appendRunEvent(kind, payload) {
   });
 }
 
-function appendRunAction(kind, payload) {
-  if (!state.aiRun?.active || !state.aiRun.log) return;
-  state.aiRun.log.actions.push({
-    atMs: Date.now() - state.aiRun.startedAt,
+// `undoBoundary` is one of push, pop, checkpoint, restore_checkpoint (or null) and, together with
+// `undoDepth`, lets replay rebuild the undo stack and screenshot checkpoint from the log alone.
+function appendRunAction(kind, payload, undoBoundary = null) {
+  const run = state.aiRun;
+  if (!run?.active || !run.log) return;
+  const undo = undoBoundary || run.pendingUndoBoundary || null;
+  run.pendingUndoBoundary = null;
+  run.log.actions.push({
+    index: run.log.actions.length,
+    atMs: Date.now() - run.startedAt,
     kind,
+    undo,
+    undoDepth: run.undoStack.length,
     payload
   });
 }
 
-function appendDetachedRunEvent(log, kind, payload) {
-  if (!log || !Array.isArray(log.events)) return;
-  const startedAtMs = Number(new Date(log.startedAt));
-  const atMs = Number.isFinite(startedAtMs) ? Math.max(0, Date.now() - startedAtMs) : null;
-  log.events.push({
-    atMs,
-    kind,
-    payload
-  });
+function appendDetachedRunEvent(log, kind, payload) {
+  if (!log || !Array.isArray(log.events)) return;
+  const startedAtMs = Number(new Date(log.startedAt));
+  const atMs = Number.isFinite(startedAtMs) ? Math.max(0, Date.now() - startedAtMs) : null;
+  log.events.push({
+    atMs,
+    kind,
+    payload
+  });
+}
+
+function setAutosaveStatus(message) {
+  if (!ui.autosaveStatus) return;
+  ui.autosaveStatus.textContent = message;
+}
+
+function sanitizeForLog(value) {
+  if (typeof value === 'string') {
+    if (value.startsWith('data:image/')) {
+      return `<image-data-uri length=${value.length} hash=${quickHash(value)}>`;
+    }
+    return value;
+  }
+
+  if (Array.isArray(value)) {
+    return value.map((entry) => sanitizeForLog(entry));
+  }
+
+  if (value && typeof value === 'object') {
+    const output = {};
+    for (const [key, nestedValue] of Object.entries(value)) {
+      output[key] = sanitizeForLog(nestedValue);
+    }
+    return output;
+  }
+
+  return value;
+}
+
+function downloadLastRunLog() {
+  if (!state.lastRunLog) return;
+  const data = JSON.stringify(state.lastRunLog, null, 2);
+  const blob = new Blob([data], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const baseName = buildRunArtifactBaseName(state.lastRunLog);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${baseName}.json`;
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+// ── Replay ──
+
+function replayLastRun() {
+  if (!state.lastRunLog) return;
+  loadReplay(state.lastRunLog, { startImage: state.lastRunStartImage, startLayerImages: state.lastRunStartLayerImages });
+  playReplay();
+}
+
+// `options.startImage` is the ImageData an image start was painted from.
+function loadReplay(log, options = {}) {
+  if (state.aiRun?.active || state.evalRunner.active) return false;
+  const actions = Array.isArray(log?.actions) ? log.actions : [];
+  if (actions.length === 0) return false;
+
+  closeReplay();
+  cancelHumanStroke();
+  // Logs without a canvas size ran at the 800x600 default.
+  setCanvasSize(PaintEngine.canvasSizeFromSettings(log.settings));
+
+  const replay = state.replay;
+  replay.active = true;
+  replay.playing = false;
+  replay.log = log;
+  replay.actions = actions;
+  replay.speed = clamp(Number(ui.replaySpeed.value) || 1, 0.25, 64);
+  replay.session = PaintEngine.createReplaySession(paintSurface, {
+    undoLimit: getLogUndoLimit(log),
+    startCanvas: PaintEngine.startCanvasFromSettings(log.settings),
+    startImage: options.startImage || null,
+    startLayerImages: options.startLayerImages || null
+  });
+  resetReplayCanvas();
+  updateEvalUi();
+  return true;
+}
+
+function closeReplay() {
+  const replay = state.replay;
+  if (!replay.active) return;
+  // Keep the replayed picture (and its layers) as the editable canvas.
+  if (replay.session) {
+    state.layers = replay.session.layers;
+  }
+  clearTimeout(replay.timerHandle);
+  replay.timerHandle = null;
+  replay.active = false;
+  replay.playing = false;
+  replay.log = null;
+  replay.actions = [];
+  replay.index = 0;
+  replay.session = null;
+  updateEvalUi();
+}
+
+function resetReplayCanvas() {
+  const replay = state.replay;
+  PaintEngine.resetReplaySession(replay.session);
+  replay.index = 0;
+  updateReplayUi();
+}
+
+function playReplay() {
+  const replay = state.replay;
+  if (!replay.active) return;
+  if (replay.index >= replay.actions.length) {
+    resetReplayCanvas();
+  }
+  replay.playing = true;
+  updateReplayUi();
+  scheduleNextReplayStep();
+}
+
+function pauseReplay() {
+  const replay = state.replay;
+  clearTimeout(replay.timerHandle);
+  replay.timerHandle = null;
+  if (!replay.playing) return;
+  replay.playing = false;
+  updateReplayUi();
+}
+
+function toggleReplayPlayback() {
+  if (state.replay.playing) {
+    pauseReplay();
+  } else {
+    playReplay();
+  }
+}
+
+function scheduleNextReplayStep() {
+  const replay = state.replay;
+  clearTimeout(replay.timerHandle);
+  replay.timerHandle = null;
+  if (!replay.active || !replay.playing) return;
+
+  if (replay.index >= replay.actions.length) {
+    replay.playing = false;
+    updateReplayUi();
+    return;
+  }
+
+  // Recorded gaps include model thinking time, so cap them to keep playback watchable.
+  const previousAtMs = replay.index > 0 ? Number(replay.actions[replay.index - 1]?.atMs) : 0;
+  const nextAtMs = Number(replay.actions[replay.index]?.atMs);
+  const gapMs = Number.isFinite(nextAtMs - previousAtMs) ? Math.max(0, nextAtMs - previousAtMs) : 0;
+  const delayMs = Math.min(REPLAY_MAX_STEP_DELAY_MS, gapMs) / replay.speed;
+
+  replay.timerHandle = setTimeout(() => {
+    replay.timerHandle = null;
+    stepReplay();
+    scheduleNextReplayStep();
+  }, delayMs);
+}
+
+function stepReplay() {
+  const replay = state.replay;
+  if (!replay.active || replay.index >= replay.actions.length) return false;
+  applyReplayAction(replay.actions[replay.index]);
+  replay.index += 1;
+  updateReplayUi();
+  return true;
+}
+
+function seekReplay(targetIndex) {
+  const replay = state.replay;
+  if (!replay.active) return;
+  const target = clamp(Math.round(Number(targetIndex) || 0), 0, replay.actions.length);
+  if (target < replay.index) {
+    resetReplayCanvas();
+  }
+  while (replay.index < target) {
+    applyReplayAction(replay.actions[replay.index]);
+    replay.index += 1;
+  }
+  updateReplayUi();
+}
+
+function applyReplayAction(entry) {
+  PaintEngine.applyLoggedAction(state.replay.session, entry);
+}
+
+function updateReplayUi() {
+  const replay = state.replay;
+  if (!ui.replayBar) return;
+
+  ui.replayBar.classList.toggle('is-hidden', !replay.active);
+  if (!replay.active) return;
+
+  const total = replay.actions.length;
+  ui.replayPlayPause.textContent = replay.playing ? 'Pause' : 'Play';
+  ui.replayStep.disabled = replay.index >= total;
+  ui.replayScrub.max = String(total);
+  ui.replayScrub.value = String(replay.index);
+
+  const current = replay.index > 0 ? replay.actions[replay.index - 1] : null;
+  const currentText = current ? ` | last=${current.kind}` : '';
+  const modelText = replay.log?.model ? ` | ${replay.log.model}` : '';
+  const stateText = replay.playing ? 'playing' : (replay.index >= total ? 'done' : 'paused');
+  ui.replayStatus.textContent = `Replay: ${replay.index}/${total} ${stateText}${currentText}${modelText}`;
+
+  updateRunBrowserShotHighlight();
+  updateLayersPanelUi();
+  updateSelectionUi();
+}
+
+function countReplayedScreenshots() {
+  const replay = state.replay;
+  let count = 0;
+  for (let i = 0; i < replay.index; i += 1) {
+    if (replay.actions[i]?.kind === 'take_screenshot') count += 1;
+  }
+  return count;
+}
+
+// ── Run Browser ──
+
+async function refreshRunBrowser() {
+  const browser = state.runBrowser;
+  if (browser.loading) return;
+  browser.loading = true;
+  setRunBrowserStatus('loading run index...');
+
+  try {
+    const response = await fetch('/api/runs/index');
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || !payload?.ok) {
+      throw new Error(payload?.message || `Run index request failed (${response.status}).`);
+    }
+
+    browser.rows = (Array.isArray(payload.rows) ? payload.rows : [])
+      .map((row) => ({ ...row, baseName: row.baseName || baseNameFromLogFile(row.logFile) }))
+      .filter((row) => row.baseName)
+      .reverse();
+    browser.loaded = true;
+    renderRunBrowserList();
+    setRunBrowserStatus(`${browser.rows.length} saved run(s).`);
+  } catch (error) {
+    setRunBrowserStatus(`failed to load index (${error.message || String(error)}).`);
+  } finally {
+    browser.loading = false;
+  }
+}
+
+function baseNameFromLogFile(logFile) {
+  const match = /([^/\\]+)\.json$/.exec(String(logFile || ''));
+  return match ? match[1] : null;
+}
+
+function renderRunBrowserList() {
+  if (!ui.runBrowserList) return;
+  const browser = state.runBrowser;
+  const filter = String(ui.runBrowserFilter.value || '').trim().toLowerCase();
+
+  ui.runBrowserList.innerHTML = '';
+  for (const row of browser.rows) {
+    const haystack = [row.model, row.prompt, row.evalTag, row.baseName].join(' ').toLowerCase();
+    if (filter && !haystack.includes(filter)) continue;
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'run-browser-row';
+    button.classList.toggle('is-selected', row.baseName === browser.selectedBaseName);
+
+    const title = document.createElement('strong');
+    title.textContent = `${row.model || 'unknown'} · ${row.finishedByAgent ? 'Finished' : 'Stopped'}`;
+    button.appendChild(title);
+
+    const prompt = document.createElement('span');
+    prompt.textContent = truncateTextForStatus(row.prompt || '', 70);
+    button.appendChild(prompt);
+
+    const stats = document.createElement('span');
+    const tagText = row.evalTag ? ` · tag=${row.evalTag}` : '';
+    stats.textContent = `${row.endedAt ? new Date(row.endedAt).toLocaleString() : '--'} · ${row.actionCount || 0} actions${tagText}`;
+    button.appendChild(stats);
+
+    button.addEventListener('click', () => {
+      void selectRunFromBrowser(row.baseName);
+    });
+    ui.runBrowserList.appendChild(button);
+  }
+}
+
+async function selectRunFromBrowser(baseName) {
+  const browser = state.runBrowser;
+  browser.selectedBaseName = baseName;
+  browser.selectedLog = null;
+  renderRunBrowserList();
+  renderRunBrowserDetail();
+  setRunBrowserStatus(`loading ${baseName}...`);
+
+  try {
+    const response = await fetch(`/api/runs/log/${encodeURIComponent(baseName)}`);
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || !payload?.ok) {
+      throw new Error(payload?.message || `Run log request failed (${response.status}).`);
+    }
+    if (browser.selectedBaseName !== baseName) return;
+
+    browser.selectedLog = payload.log;
+    renderRunBrowserDetail();
+    setRunBrowserStatus(`loaded ${baseName}.`);
+  } catch (error) {
+    if (browser.selectedBaseName !== baseName) return;
+    setRunBrowserStatus(`failed to load ${baseName} (${error.message || String(error)}).`);
+  }
+}
+
+function renderRunBrowserDetail() {
+  const log = state.runBrowser.selectedLog;
+  ui.runBrowserDetail.classList.toggle('is-hidden', !log);
+  ui.runBrowserMeta.innerHTML = '';
+  ui.runBrowserShots.innerHTML = '';
+  if (!log) return;
+
+  const actions = Array.isArray(log.actions) ? log.actions : [];
+  const fields = [
+    ['Model', log.model],
+    ['Prompt', log.prompt],
+    ['Final reason', log.finalReason],
+    ['Finished by agent', log.finishedByAgent ? 'Yes' : 'No'],
+    ['Actions', actions.length],
+    ['Canvas', PaintEngine.formatCanvasSize(PaintEngine.canvasSizeFromSettings(log.settings))],
+    ['Start canvas', describeStartCanvas(PaintEngine.startCanvasFromSettings(log.settings))],
+    ['Reference', log.settings?.reference ? describeImageSource(log.settings.reference) : '--'],
+    ['Task', normalizeTaskMode(log.settings?.taskMode)],
+    ['Similarity', formatSimilarity(log.similarity)],
+    ['Image metrics', log.imageMetrics
+      ? `cover ${formatMetricPct(log.imageMetrics.coverage)}, ${log.imageMetrics.colorCount} colors, edges ${formatMetricPct(log.imageMetrics.edgeDensity)}, contrast ${log.imageMetrics.contrast}, entropy ${log.imageMetrics.entropy}`
+      : '--'],
+    ['Judge', formatJudge(log.judge)],
+    ['Judge notes', log.judge?.rationale || '--'],
+    ['Eval tag', log.settings?.eval?.tag || '--']
+  ];
+  for (const [label, value] of fields) {
+    const div = document.createElement('div');
+    div.innerHTML = `<strong>${label}:</strong> ${escapeHtml(String(value ?? ''))}`;
+    ui.runBrowserMeta.appendChild(div);
+  }
+
+  ui.runBrowserReplay.disabled = actions.length === 0 || Boolean(state.aiRun?.active) || state.evalRunner.active;
+  ui.runBrowserShowFinal.disabled = !log.storage?.finalImageFile;
+  ui.runBrowserVerify.disabled = actions.length === 0 || !log.storage?.finalImageFile;
+  ui.runBrowserUseAsStart.disabled = !log.storage?.finalImageFile;
+  ui.runBrowserUseAsReference.disabled = !log.storage?.finalImageFile;
+  ui.runBrowserJudge.disabled = !log.storage?.finalImageFile;
+  ui.runBrowserJudge.textContent = log.judge ? 'Re-judge Run' : 'Judge Run';
+
+  const shots = Array.isArray(log.storage?.screenshotFiles) ? log.storage.screenshotFiles : [];
+  shots.forEach((shot, index) => {
+    if (!shot?.file) return;
+    const img = document.createElement('img');
+    img.src = `/${shot.file}`;
+    img.alt = `Screenshot ${index + 1}`;
+    img.loading = 'lazy';
+    img.setAttribute('data-shot-index', String(index));
+    img.addEventListener('click', () => {
+      openImageOverlay(`/${shot.file}`, [
+        ['Run', state.runBrowser.selectedBaseName],
+        ['Screenshot', `${index + 1}/${shots.length}`],
+        ['At', Number.isFinite(Number(shot.atMs)) ? msToClock(Number(shot.atMs)) : '--'],
+        ['Grid', shot.includeGrid ? 'Yes' : 'No']
+      ]);
+    });
+    ui.runBrowserShots.appendChild(img);
+  });
+
+  updateRunBrowserShotHighlight();
+}
+
+async function replaySelectedRun() {
+  const browser = state.runBrowser;
+  const log = browser.selectedLog;
+  const baseName = browser.selectedBaseName;
+  if (!log) return;
+  let start = null;
+  try {
+    start = await loadRunStart(log);
+  } catch (error) {
+    setRunBrowserStatus(`failed to load the start image of ${baseName} (${error.message || String(error)}).`);
+    return;
+  }
+  try {
+    await textFontReadyFor(log.actions);
+  } catch (error) {
+    setRunBrowserStatus(`cannot replay ${baseName}: ${error.message}.`);
+    return;
+  }
+  if (browser.selectedLog !== log) return;
+  if (loadReplay(log, start)) {
+    playReplay();
+  }
+}
+
+async function judgeSelectedRun() {
+  const browser = state.runBrowser;
+  const baseName = browser.selectedBaseName;
+  if (!browser.selectedLog || !baseName) return;
+
+  ui.runBrowserJudge.disabled = true;
+  const model = String(ui.judgeModel?.value || '').trim() || null;
+  setRunBrowserStatus(`judging ${baseName}...`);
+  try {
+    const judge = await requestRunJudge(baseName, model);
+    setRunBrowserStatus(`judged ${baseName}: ${judge.overall.toFixed(2)}/10.`);
+    await refreshRunBrowser();
+    if (browser.selectedBaseName === baseName) {
+      await selectRunFromBrowser(baseName);
+    }
+  } catch (error) {
+    setRunBrowserStatus(`failed to judge ${baseName} (${error.message || String(error)}).`);
+    if (browser.selectedBaseName === baseName) {
+      ui.runBrowserJudge.disabled = false;
+    }
+  }
+}
+
+// Snapshot starts also saved the pixels of their non-base layers, keyed by layer id.
+async function loadRunStart(log) {
+  const startImageFile = log?.storage?.startImageFile;
+  const startImage = startImageFile ? await loadImageDataFromUrl(`/${startImageFile}`) : null;
+  const layerFiles = Object.entries(log?.storage?.startLayerFiles || {});
+  const startLayerImages = layerFiles.length > 0 ? {} : null;
+  for (const [layerId, file] of layerFiles) {
+    startLayerImages[layerId] = await loadImageDataFromUrl(`/${file}`);
+  }
+  return { startImage, startLayerImages };
+}
+
+async function useSelectedRunAsStart() {
+  const baseName = state.runBrowser.selectedBaseName;
+  const finalImageFile = state.runBrowser.selectedLog?.storage?.finalImageFile;
+  if (!finalImageFile) return;
+  try {
+    state.startImage = { image: await loadImageElement(`/${finalImageFile}`), source: 'run', name: baseName };
+  } catch (error) {
+    setRunBrowserStatus(`failed to load the final image of ${baseName} (${error.message || String(error)}).`);
+    return;
+  }
+  if (ui.startCanvasType) ui.startCanvasType.value = 'image';
+  if (ui.startCanvasFile) ui.startCanvasFile.value = '';
+  updateStartCanvasUi();
+  setRunBrowserStatus(`next run starts from the final image of ${baseName}.`);
+}
+
+async function useSelectedRunAsReference() {
+  const baseName = state.runBrowser.selectedBaseName;
+  const finalImageFile = state.runBrowser.selectedLog?.storage?.finalImageFile;
+  if (!finalImageFile) return;
+  try {
+    await setReference(await loadImageElement(`/${finalImageFile}`), 'run', baseName);
+  } catch (error) {
+    setRunBrowserStatus(`failed to load the final image of ${baseName} (${error.message || String(error)}).`);
+    return;
+  }
+  if (ui.referenceFile) ui.referenceFile.value = '';
+  setRunBrowserStatus(`final image of ${baseName} is now the reference image.`);
+}
+
+function showSelectedRunFinalImage() {
+  const log = state.runBrowser.selectedLog;
+  const finalImageFile = log?.storage?.finalImageFile;
+  if (!finalImageFile) return;
+  openImageOverlay(`/${finalImageFile}`, [
+    ['Run', state.runBrowser.selectedBaseName],
+    ['Model', log.model],
+    ['Prompt', log.prompt],
+    ['Final reason', log.finalReason]
+  ]);
+}
+
+async function verifySelectedRun() {
+  const browser = state.runBrowser;
+  const log = browser.selectedLog;
+  const baseName = browser.selectedBaseName;
+  const finalImageFile = log?.storage?.finalImageFile;
+  if (!log || !finalImageFile) return;
+
+  ui.runBrowserVerify.disabled = true;
+  setRunBrowserStatus(`verifying ${baseName}...`);
+
+  try {
+    const expected = await loadImageDataFromUrl(`/${finalImageFile}`);
+    const { startImage, startLayerImages } = await loadRunStart(log);
+    await textFontReadyFor(log.actions);
+    const { width, height } = PaintEngine.canvasSizeFromSettings(log.settings);
+    const verifyCanvas = document.createElement('canvas');
+    verifyCanvas.width = width;
+    verifyCanvas.height = height;
+    const verifySurface = {
+      ctx: verifyCanvas.getContext('2d', { willReadFrequently: true }),
+      width,
+      height
+    };
+
+    const report = PaintEngine.verifyReplay(verifySurface, log.actions, expected, {
+      undoLimit: getLogUndoLimit(log),
+      startCanvas: PaintEngine.startCanvasFromSettings(log.settings),
+      startImage,
+      startLayerImages
+    });
+    if (browser.selectedBaseName !== baseName) return;
+
+    const summary = formatVerifyReport(report);
+    setRunBrowserStatus(`${baseName}: ${summary}`);
+
+    const imageUrl = report.heatmap
+      ? imageDataUrlFromPixels(report.heatmap, report.width, report.height)
+      : `/${finalImageFile}`;
+    openImageOverlay(imageUrl, [
+      ['Run', baseName],
+      ['Result', report.match ? 'Pixel-exact match' : 'Mismatch'],
+      ['Mismatched pixels', `${report.mismatchedPixels}/${report.totalPixels} (${report.mismatchPct.toFixed(3)}%)`],
+      ['Max channel delta', report.maxChannelDelta],
+      ['Mismatch bounds', report.bbox ? `${report.bbox.x1},${report.bbox.y1} → ${report.bbox.x2},${report.bbox.y2}` : '--'],
+      ['First divergence', formatFirstDivergence(report.firstDivergence)],
+      ['Undo stack', formatUndoDesync(report.undoDesync)],
+      ['Actions replayed', report.actionCount]
+    ]);
+  } catch (error) {
+    setRunBrowserStatus(`verify failed for ${baseName} (${error.message || String(error)}).`);
+  } finally {
+    ui.runBrowserVerify.disabled = false;
+  }
+}
+
+function formatVerifyReport(report) {
+  if (report.sizeMismatch) {
+    return `size mismatch (final image is ${report.width}x${report.height}).`;
+  }
+  if (report.match) {
+    return `replay matches final image (${report.actionCount} actions).`;
+  }
+  return `${report.mismatchPct.toFixed(3)}% pixels differ; first divergence ${formatFirstDivergence(report.firstDivergence)}.`;
+}
+
+function formatFirstDivergence(firstDivergence) {
+  if (!firstDivergence) return '--';
+  if (firstDivergence.actionIndex < 0) return 'starting canvas (before action #1)';
+  return `action #${firstDivergence.actionIndex + 1} (${firstDivergence.kind})`;
+}
+
+function formatUndoDesync(undoDesync) {
+  if (!undoDesync) return 'in sync with log';
+  return `diverges at action #${undoDesync.actionIndex + 1} (${undoDesync.kind}): logged depth ${undoDesync.loggedDepth}, replay depth ${undoDesync.replayDepth}`;
+}
+
+function getLogUndoLimit(log) {
+  const limit = Number(log?.settings?.undoMaxSnapshots);
+  return Number.isFinite(limit) && limit > 0 ? Math.round(limit) : UNDO_MAX_SNAPSHOTS;
+}
+
+function loadImageElement(url) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve(img);
+    img.onerror = () => reject(new Error(`Failed to load image ${url}`));
+    img.src = url;
+  });
+}
+
+async function loadImageDataFromUrl(url) {
+  const img = await loadImageElement(url);
+  const tempCanvas = document.createElement('canvas');
+  tempCanvas.width = img.naturalWidth;
+  tempCanvas.height = img.naturalHeight;
+  const tempCtx = tempCanvas.getContext('2d', { willReadFrequently: true });
+  tempCtx.drawImage(img, 0, 0);
+  return tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
+}
+
+function imageDataUrlFromPixels(pixels, width, height) {
+  const outCanvas = document.createElement('canvas');
+  outCanvas.width = width;
+  outCanvas.height = height;
+  const outCtx = outCanvas.getContext('2d');
+  const imageData = outCtx.createImageData(width, height);
+  imageData.data.set(pixels);
+  outCtx.putImageData(imageData, 0, 0);
+  return outCanvas.toDataURL('image/png');
+}
+
+function updateRunBrowserShotHighlight() {
+  if (!ui.runBrowserShots) return;
+  const replayingSelected = state.replay.active && state.replay.log === state.runBrowser.selectedLog;
+  const currentShot = replayingSelected ? countReplayedScreenshots() - 1 : -1;
+  for (const img of ui.runBrowserShots.querySelectorAll('img')) {
+    img.classList.toggle('is-current', Number(img.getAttribute('data-shot-index')) === currentShot);
+  }
+}
+
+function setRunBrowserStatus(message) {
+  if (!ui.runBrowserStatus) return;
+  ui.runBrowserStatus.textContent = `Runs: ${message}`;
+}
+
+// ── Compare ──
+
+async function refreshCompare() {
+  const compare = state.compare;
+  if (compare.loading) return;
+  compare.loading = true;
+  setCompareStatus('loading runs and votes...');
+
+  try {
+    const [indexResponse, votesResponse] = await Promise.all([fetch('/api/runs/index'), fetch('/api/votes')]);
+    const indexPayload = await indexResponse.json().catch(() => ({}));
+    if (!indexResponse.ok || !indexPayload?.ok) {
+      throw new Error(indexPayload?.message || `Run index request failed (${indexResponse.status}).`);
+    }
+    const votesPayload = await votesResponse.json().catch(() => ({}));
+    if (!votesResponse.ok || !votesPayload?.ok) {
+      throw new Error(votesPayload?.message || `Votes request failed (${votesResponse.status}).`);
+    }
+
+    compare.rows = (Array.isArray(indexPayload.rows) ? indexPayload.rows : [])
+      .filter((row) => row.baseName && row.finalImageFile && typeof row.prompt === 'string');
+    compare.votes = Array.isArray(votesPayload.votes) ? votesPayload.votes : [];
+    compare.loaded = true;
+    nextComparePair();
+    setCompareStatus(`${compare.rows.length} run(s) with a final image, ${compare.votes.length} vote(s).`);
+  } catch (error) {
+    setCompareStatus(`failed to load (${error.message || String(error)}).`);
+  } finally {
+    compare.loading = false;
+  }
+
+  await refreshRatings();
+}
+
+function getRatingGroupBy() {
+  return String(ui.ratingGroupBy?.value || 'model').split(',');
+}
+
+function comparePairKey(baseNameA, baseNameB) {
+  return [baseNameA, baseNameB].sort().join('\n');
+}
+
+// Picks two runs of the same prompt that rate as different contestants, preferring the
+// pairs with the fewest votes so far. Sides are shuffled so position does not hint at the model.
+function pickComparePair(rows, votes, groupBy, skippedPairs) {
+  const voteCounts = new Map();
+  for (const vote of votes) {
+    const key = comparePairKey(vote.a?.baseName, vote.b?.baseName);
+    voteCounts.set(key, (voteCounts.get(key) || 0) + 1);
+  }
+
+  const rowsByPrompt = new Map();
+  for (const row of rows) {
+    if (!rowsByPrompt.has(row.prompt)) rowsByPrompt.set(row.prompt, []);
+    rowsByPrompt.get(row.prompt).push(row);
+  }
+
+  const contestantOf = (row) => groupBy.map((field) => String(row[field] ?? '')).join('|');
+  let candidates = [];
+  let fewestVotes = Infinity;
+  for (const promptRows of rowsByPrompt.values()) {
+    for (let i = 0; i < promptRows.length; i += 1) {
+      for (let j = i + 1; j < promptRows.length; j += 1) {
+        const first = promptRows[i];
+        const second = promptRows[j];
+        if (contestantOf(first) === contestantOf(second)) continue;
+        const key = comparePairKey(first.baseName, second.baseName);
+        if (skippedPairs.has(key)) continue;
+        const count = voteCounts.get(key) || 0;
+        if (count < fewestVotes) {
+          candidates = [];
+          fewestVotes = count;
+        }
+        if (count === fewestVotes) candidates.push([first, second]);
+      }
+    }
+  }
+
+  if (candidates.length === 0) return null;
+  const [first, second] = candidates[Math.floor(Math.random() * candidates.length)];
+  return Math.random() < 0.5 ? { a: first, b: second } : { a: second, b: first };
+}
+
+function nextComparePair() {
+  const compare = state.compare;
+  compare.pair = pickComparePair(compare.rows, compare.votes, getRatingGroupBy(), compare.skippedPairs);
+  renderComparePair();
+}
+
+function skipComparePair() {
+  const pair = state.compare.pair;
+  if (!pair) return;
+  state.compare.skippedPairs.add(comparePairKey(pair.a.baseName, pair.b.baseName));
+  nextComparePair();
+}
+
+function renderComparePair() {
+  const { pair, voting } = state.compare;
+  ui.comparePrompt.textContent = pair
+    ? `Prompt: ${pair.a.prompt}`
+    : 'No pair to compare: it takes two saved runs of the same prompt from different models or settings.';
+  for (const [image, side] of [[ui.compareImageA, 'a'], [ui.compareImageB, 'b']]) {
+    if (pair) {
+      image.src = `/${pair[side].finalImageFile}`;
+    } else {
+      image.removeAttribute('src');
+    }
+  }
+  for (const button of [ui.compareVoteA, ui.compareVoteTie, ui.compareVoteB, ui.compareSkip]) {
+    button.disabled = !pair || voting;
+  }
+}
+
+function openComparePairImage(side) {
+  const pair = state.compare.pair;
+  if (!pair) return;
+  openImageOverlay(`/${pair[side].finalImageFile}`, [
+    ['Run', side.toUpperCase()],
+    ['Prompt', pair[side].prompt]
+  ]);
 }
 
-function setAutosaveStatus(message) {
-  if (!ui.autosaveStatus) return;
-  ui.autosaveStatus.textContent = message;
+function describeCompareSide(row) {
+  const grid = row.gridForScreenshots === null || row.gridForScreenshots === undefined
+    ? ''
+    : `, grid ${row.gridForScreenshots ? 'on' : 'off'}`;
+  return `${row.model || 'unknown'} (${row.maxRunSeconds ?? '--'}s, ${row.canvasSize || '--'}${grid})`;
 }
 
-function sanitizeForLog(value) {
-  if (typeof value === 'string') {
-    if (value.startsWith('data:image/')) {
-      return `<image-data-uri length=${value.length} hash=${quickHash(value)}>`;
+async function submitCompareVote(winner) {
+  const compare = state.compare;
+  const pair = compare.pair;
+  if (!pair || compare.voting) return;
+  compare.voting = true;
+  renderComparePair();
+
+  try {
+    const response = await fetch('/api/votes', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        a: pair.a.baseName,
+        b: pair.b.baseName,
+        winner,
+        voter: String(ui.compareVoter?.value || '').trim() || null
+      })
+    });
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || !payload?.ok) {
+      throw new Error(payload?.message || `Vote request failed (${response.status}).`);
     }
-    return value;
-  }
 
-  if (Array.isArray(value)) {
-    return value.map((entry) => sanitizeForLog(entry));
+    compare.votes.push(payload.vote);
+    const pickText = winner === 'tie' ? 'a tie' : winner.toUpperCase();
+    ui.compareReveal.textContent = `You picked ${pickText}. A: ${describeCompareSide(pair.a)}. B: ${describeCompareSide(pair.b)}.`;
+    setCompareStatus(`${compare.votes.length} vote(s) recorded.`);
+  } catch (error) {
+    setCompareStatus(`vote failed (${error.message || String(error)}).`);
+    return;
+  } finally {
+    compare.voting = false;
+    renderComparePair();
   }
 
-  if (value && typeof value === 'object') {
-    const output = {};
-    for (const [key, nestedValue] of Object.entries(value)) {
-      output[key] = sanitizeForLog(nestedValue);
+  nextComparePair();
+  await refreshRatings();
+}
+
+async function refreshRatings() {
+  const groupBy = getRatingGroupBy();
+  try {
+    const response = await fetch(`/api/votes/ratings?groupBy=${encodeURIComponent(groupBy.join(','))}`);
+    const payload = await response.json().catch(() => ({}));
+    if (!response.ok || !payload?.ok) {
+      throw new Error(payload?.message || `Ratings request failed (${response.status}).`);
     }
-    return output;
+    if (getRatingGroupBy().join(',') !== groupBy.join(',')) return;
+    renderRatingsTable(payload.ratings);
+  } catch (error) {
+    setCompareStatus(`failed to load ratings (${error.message || String(error)}).`);
   }
-
-  return value;
 }
 
-function downloadLastRunLog() {
-  if (!state.lastRunLog) return;
-  const data = JSON.stringify(state.lastRunLog, null, 2);
-  const blob = new Blob([data], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const baseName = buildRunArtifactBaseName(state.lastRunLog);
+function renderRatingsTable(ratings) {
+  if (!ui.ratingsTable) return;
+  ui.ratingsTable.innerHTML = '';
+  if (!Array.isArray(ratings) || ratings.length === 0) {
+    ui.ratingsTable.textContent = 'No votes yet.';
+    return;
+  }
 
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `${baseName}.json`;
-  link.click();
+  const table = document.createElement('table');
+  const headerRow = document.createElement('tr');
+  for (const label of ['Contestant', 'Votes', 'W-L-T', 'Win %', 'Elo', 'B-T']) {
+    const th = document.createElement('th');
+    th.textContent = label;
+    headerRow.appendChild(th);
+  }
+  table.appendChild(headerRow);
+
+  for (const rating of ratings) {
+    const row = document.createElement('tr');
+    const cells = [
+      rating.key.split('|').join(' · '),
+      rating.votes,
+      `${rating.wins}-${rating.losses}-${rating.ties}`,
+      `${(rating.winRate * 100).toFixed(0)}%`,
+      rating.elo.toFixed(0),
+      rating.bradleyTerry.toFixed(0)
+    ];
+    for (const value of cells) {
+      const td = document.createElement('td');
+      td.textContent = String(value);
+      row.appendChild(td);
+    }
+    table.appendChild(row);
+  }
+  ui.ratingsTable.appendChild(table);
+}
 
-  URL.revokeObjectURL(url);
+function setCompareStatus(message) {
+  if (!ui.compareStatus) return;
+  ui.compareStatus.textContent = `Compare: ${message}`;
 }
 
 // ── Results Gallery ──
@@ -2377,9 +5385,32 @@ function addResultCard(result, imageDataUrl) {
 
   const statsDiv = document.createElement('div');
   const durationText = result.durationSec !== null ? `${Math.round(result.durationSec)}s` : '--';
-  statsDiv.textContent = `${durationText} | ${result.actionCount || 0} actions`;
+  const similarityText = result.similarityScore !== null ? ` | sim ${result.similarityScore.toFixed(3)}` : '';
+  statsDiv.textContent = `${durationText} | ${result.actionCount || 0} actions${similarityText}`;
   meta.appendChild(statsDiv);
 
+  if (result.coverage !== null) {
+    const metricsDiv = document.createElement('div');
+    metricsDiv.textContent = `cover ${formatMetricPct(result.coverage)} | ${result.colorCount} colors | edges ${formatMetricPct(result.edgeDensity)}`;
+    meta.appendChild(metricsDiv);
+  }
+
+  if (result.palette) {
+    const paletteDiv = document.createElement('div');
+    paletteDiv.className = 'result-palette';
+    for (const color of result.palette.split('|')) {
+      const swatch = document.createElement('span');
+      swatch.style.background = color;
+      swatch.title = color;
+      paletteDiv.appendChild(swatch);
+    }
+    meta.appendChild(paletteDiv);
+  }
+
+  const judgeDiv = document.createElement('div');
+  judgeDiv.className = 'result-judge';
+  meta.appendChild(judgeDiv);
+
   const statusSpan = document.createElement('span');
   statusSpan.className = 'result-status ' + (result.finishedByAgent ? 'success' : 'failure');
   statusSpan.textContent = result.finishedByAgent ? 'Finished' : 'Stopped';
@@ -2392,6 +5423,15 @@ function addResultCard(result, imageDataUrl) {
   });
 
   ui.resultsGallery.appendChild(card);
+  updateResultCardJudge(card, result);
+  return card;
+}
+
+// Judge scores arrive after the card is drawn, once the run has been saved.
+function updateResultCardJudge(card, result) {
+  const judgeDiv = card?.querySelector('.result-judge');
+  if (!judgeDiv) return;
+  judgeDiv.textContent = result.judgeScore !== null ? `judge ${result.judgeScore.toFixed(2)}/10` : '';
 }
 
 function clearResultsGallery() {
@@ -2400,15 +5440,26 @@ function clearResultsGallery() {
 }
 
 function openResultOverlay(result, imageDataUrl) {
-  if (!ui.resultCardOverlay) return;
-
-  ui.overlayImage.src = imageDataUrl;
-  ui.overlayMeta.innerHTML = '';
-
   const fields = [
     ['Model', result.model],
     ['Prompt', result.prompt],
+    ['Canvas', result.canvasSize || '--'],
+    ['Task', result.taskMode],
+    ['Similarity', result.similarityScore !== null
+      ? formatSimilarity({ score: result.similarityScore, pixel: result.pixelSimilarity, ssim: result.ssimSimilarity })
+      : '--'],
+    ['Judge', result.judgeScore !== null
+      ? `${result.judgeScore.toFixed(2)}/10 (prompt ${result.judgePromptAdherence}, composition ${result.judgeComposition}, craft ${result.judgeCraft})`
+      : '--'],
+    ['Judge notes', result.judgeRationale || '--'],
     ['Duration', result.durationSec !== null ? `${result.durationSec.toFixed(1)}s` : '--'],
+    ['Coverage', formatMetricPct(result.coverage)],
+    ['Colors', result.colorCount ?? '--'],
+    ['Palette', result.palette ? result.palette.split('|').join(' ') : '--'],
+    ['Edge density', formatMetricPct(result.edgeDensity)],
+    ['Contrast', result.contrast ?? '--'],
+    ['Entropy', result.entropy !== null ? `${result.entropy} bits` : '--'],
+    ['Changed after last screenshot', formatMetricPct(result.changedAfterLastScreenshot)],
     ['Actions', result.actionCount],
     ['Screenshots', result.screenshotActions],
     ['Reflections', result.reflectActions],
@@ -2418,6 +5469,15 @@ function openResultOverlay(result, imageDataUrl) {
     ['Log file', result.logFile || '--']
   ];
 
+  openImageOverlay(imageDataUrl, fields);
+}
+
+function openImageOverlay(imageUrl, fields) {
+  if (!ui.resultCardOverlay) return;
+
+  ui.overlayImage.src = imageUrl;
+  ui.overlayMeta.innerHTML = '';
+
   for (const [label, value] of fields) {
     const div = document.createElement('div');
     div.innerHTML = `<strong>${label}:</strong> ${escapeHtml(String(value ?? ''))}`;
@@ -2447,74 +5507,196 @@ async function startEvalMatrix() {
   }
   setPanelMode('eval');
 
+  // Held while the job is created so a second click cannot queue the matrix twice.
+  state.evalRunner.active = true;
+  updateEvalUi();
+
+  const jobId = await createEvalJobFromUi();
+  if (!jobId) {
+    state.evalRunner.active = false;
+    updateEvalUi();
+    return;
+  }
+
+  await runEvalJob(jobId);
+}
+
+// Saves the Eval Matrix fields as a new job and returns its id, or null after reporting why not.
+// Headless runs call this once and then point every worker at the job.
+async function createEvalJobFromUi() {
   let config;
   try {
     config = collectEvalMatrixConfigFromUi();
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
     setEvalStatus(`Eval: invalid configuration - ${message}`);
-    return;
+    return null;
   }
 
   const queue = buildEvalQueue(config);
   if (queue.length === 0) {
     setEvalStatus('Eval: no combinations to run.');
-    return;
+    return null;
+  }
+
+  try {
+    const payload = await requestEvalJobApi('/api/evals', { config, rows: queue });
+    return payload.job.id;
+  } catch (error) {
+    setEvalStatus(`Eval: failed to create the job - ${error.message || String(error)}`);
+    return null;
   }
+}
 
+async function resumeEvalJob(jobId) {
+  if (state.evalRunner.active || !jobId) return;
+  if (state.aiRun?.active) {
+    setEvalStatus('Eval: wait for the current run to finish.');
+    return;
+  }
+  setPanelMode('eval');
   state.evalRunner.active = true;
-  state.evalRunner.stopRequested = false;
-  state.evalRunner.queue = queue;
-  state.evalRunner.results = [];
-  state.evalRunner.startedAt = Date.now();
-  state.evalRunner.config = config;
-  state.evalRunner.runByRunId = new Map();
-  state.evalRunner.current = null;
+  updateEvalUi();
+
+  try {
+    await requestEvalJobApi(`/api/evals/${encodeURIComponent(jobId)}/resume`, {});
+  } catch (error) {
+    state.evalRunner.active = false;
+    updateEvalUi();
+    setEvalStatus(`Eval: failed to resume ${jobId} - ${error.message || String(error)}`);
+    return;
+  }
+
+  await runEvalJob(jobId);
+}
+
+/**
+ * Works through a saved eval job: claims a row, runs it, reports the result and repeats until
+ * nothing is left to claim. Other tabs or headless workers may share the job, so rows are not
+ * necessarily run in order. The caller has already marked the runner active.
+ */
+async function runEvalJob(jobId) {
+  const runner = state.evalRunner;
+  const jobPath = `/api/evals/${encodeURIComponent(jobId)}`;
+  runner.stopRequested = false;
+  runner.jobId = jobId;
+  runner.queue = [];
+  runner.results = [];
+  runner.startedAt = Date.now();
+  runner.config = null;
+  runner.runByRunId = new Map();
+  runner.current = null;
   state.insideEvalMatrix = true;
   updateEvalUi();
 
   clearResultsGallery();
 
-  const tagNote = config.tag ? ` tag=${config.tag}` : '';
-  setEvalStatus(
-    `Eval: queued ${queue.length} run(s) across ${config.models.length} model batch(es).${tagNote}`
-  );
-  setAiStatus(`eval matrix running (${queue.length} runs)...`);
   let failedMessage = null;
+  let jobStatus = null;
+  let ranRows = 0;
+  let lastModel = null;
+  let heartbeatTimer = null;
 
   try {
-    for (let i = 0; i < queue.length; i += 1) {
-      if (state.evalRunner.stopRequested) break;
+    const { job } = await requestEvalJobApi(jobPath);
+    const config = job.config;
+    const totalRows = job.rows.length;
+    runner.config = config;
+    runner.queue = job.rows;
+    for (const row of job.rows) {
+      if (row.status !== 'done' || !row.result) continue;
+      runner.results.push(row.result);
+      runner.runByRunId.set(row.result.runId, row.result);
+    }
+    updateEvalUi();
+
+    const tagNote = config.tag ? ` tag=${config.tag}` : '';
+    const doneNote = runner.results.length > 0 ? `, ${runner.results.length} already done` : '';
+    setEvalStatus(
+      `Eval: job ${job.id} has ${totalRows} run(s) across ${config.models.length} model batch(es)${doneNote}.${tagNote}`
+    );
+    setAiStatus(`eval matrix running (${totalRows} runs)...`);
+
+    while (!runner.stopRequested) {
+      const claim = await requestEvalJobApi(`${jobPath}/claim`, { workerId: runner.workerId });
+      jobStatus = claim.job.status;
+      const item = claim.row;
+      if (!item) {
+        // Pending rows wait for a free slot under the per-model cap or a rate-limit reset, and
+        // rows another worker holds come back here if its lease runs out.
+        const { pending, running } = claim.job.counts;
+        if (jobStatus === 'running' && (pending > 0 || running > 0)) {
+          const heldBack = claim.job.rateLimitedModels?.length > 0
+            ? `rate limits of ${claim.job.rateLimitedModels.join(', ')}`
+            : `${running} row(s) running on other workers`;
+          setEvalStatus(pending > 0
+            ? `Eval: ${pending} row(s) pending, waiting on ${heldBack}...`
+            : `Eval: no rows left to claim; waiting on ${running} row(s) running on other workers...`);
+          await sleepUntilEvalStopRequested(EVAL_JOB_POLL_MS);
+          continue;
+        }
+        break;
+      }
+
+      // Keeps the lease alive while the row waits and runs, and stops the run if the job is cancelled.
+      heartbeatTimer = setInterval(() => {
+        requestEvalJobApi(`${jobPath}/rows/${item.row}/heartbeat`, {
+          workerId: runner.workerId,
+          rateLimits: summarizeRunRateLimits(state.aiRun)
+        })
+          .then((payload) => {
+            if (payload.job.status === 'cancelled') stopEvalMatrix();
+          })
+          .catch(() => {});
+      }, EVAL_ROW_HEARTBEAT_MS);
+
+      if (ranRows > 0) {
+        await sleepUntilEvalStopRequested(config.pauseMs);
+        if (lastModel !== item.model && config.modelBatchPauseMs > 0 && !runner.stopRequested) {
+          setEvalStatus([
+            `Eval: completed a batch of ${lastModel}`,
+            `Pausing ${config.modelBatchPauseMs}ms before next model (${item.model})...`
+          ].join('\n'));
+          await sleepUntilEvalStopRequested(config.modelBatchPauseMs);
+        }
+        if (runner.stopRequested) {
+          clearInterval(heartbeatTimer);
+          await requestEvalJobApi(`${jobPath}/rows/${item.row}/release`, { workerId: runner.workerId }).catch(() => {});
+          break;
+        }
+      }
 
-      const item = queue[i];
-      state.evalRunner.current = {
-        index: i + 1,
-        total: queue.length,
+      runner.current = {
+        index: item.row,
+        total: totalRows,
         item
       };
 
       setEvalStatus([
-        `Eval: running ${i + 1}/${queue.length}`,
+        `Eval: running row ${item.row}/${totalRows}${item.attempts > 1 ? ` (attempt ${item.attempts})` : ''}`,
         `batch=${item.modelBatchIndex || '?'} / ${item.modelBatchCount || config.models.length} model=${item.model} max=${item.maxRunSeconds}s`,
-        `grid=${item.gridForScreenshots} clear=${item.allowClearTool}`,
+        `task=${item.taskMode} size=${item.canvasSize} grid=${item.gridForScreenshots} clear=${item.allowClearTool}`,
         `prompt=${truncateTextForStatus(item.prompt, 100)}`
       ].join('\n'));
 
       if (config.clearCanvasEachRun) {
-        clearCanvas({ source: 'eval', skipLog: true });
+        resetCanvasLayers();
       }
 
       state.pendingRunOverrides = {
         prompt: item.prompt,
         model: item.model,
+        taskMode: item.taskMode,
         maxRunSeconds: item.maxRunSeconds,
+        canvasSize: PaintEngine.parseCanvasSize(item.canvasSize),
         allowClearTool: item.allowClearTool,
         gridForScreenshots: item.gridForScreenshots,
+        keepCanvas: !config.clearCanvasEachRun && ranRows > 0,
         evalMeta: {
           tag: config.tag || null,
           matrixId: config.matrixId,
-          row: i + 1,
-          totalRows: queue.length,
+          row: item.row,
+          totalRows,
           comboIndex: item.comboIndex,
           repeat: item.repeat,
           comboKey: item.comboKey,
@@ -2524,83 +5706,152 @@ async function startEvalMatrix() {
         }
       };
 
-      await startAiRun();
-      const runId = state.aiRun?.id;
-      if (!runId) {
-        throw new Error(`Run ${i + 1} failed to start.`);
-      }
+      let result;
+      let rateLimits = null;
+      try {
+        await startAiRun();
+        // state.aiRun is cleared when the run ends; its rate limits are reported after that.
+        const run = state.aiRun;
+        const runId = run?.id;
+        if (!runId) {
+          throw new Error(`Row ${item.row} failed to start.`);
+        }
 
-      const runLog = await waitForRunLogAndAutosave(
-        runId,
-        Math.max((item.maxRunSeconds + 120) * 1000, 45_000)
-      );
-      const result = summarizeEvalRun(item, runLog);
-      state.evalRunner.results.push(result);
-      state.evalRunner.runByRunId.set(result.runId, result);
+        const runLog = await waitForRunLogAndAutosave(
+          runId,
+          Math.max((item.maxRunSeconds + 120) * 1000, 45_000) + (ui.judgeRunsToggle?.checked ? JUDGE_WAIT_MS : 0)
+        );
+        result = summarizeEvalRun(item, runLog);
+        rateLimits = summarizeRunRateLimits(run);
+      } catch (error) {
+        clearInterval(heartbeatTimer);
+        const message = error instanceof Error ? error.message : String(error);
+        // A run that outlived its wait would block the next row from starting.
+        if (state.aiRun?.active) {
+          stopAiRun(`Stopped: eval row ${item.row} failed.`);
+        }
+        // The job retries the row up to its attempt limit, so this worker moves on to its next claim.
+        try {
+          await requestEvalJobApi(`${jobPath}/rows/${item.row}/fail`, { workerId: runner.workerId, error: message });
+        } catch (failError) {
+          setAiStatus(`eval row ${item.row} failure was not recorded (${failError.message || String(failError)}).`);
+        }
+        setEvalStatus(`Eval: row ${item.row} failed - ${message}`);
+        continue;
+      }
+      clearInterval(heartbeatTimer);
+      ranRows += 1;
+      lastModel = item.model;
+
+      // A row whose lease lapsed may have been claimed by another worker meanwhile (409); keep going.
+      let doneCount = null;
+      try {
+        const completed = await requestEvalJobApi(`${jobPath}/rows/${item.row}/complete`, {
+          workerId: runner.workerId,
+          result,
+          rateLimits
+        });
+        jobStatus = completed.job.status;
+        doneCount = completed.job.counts.done;
+      } catch (error) {
+        setAiStatus(`eval row ${item.row} was not recorded (${error.message || String(error)}).`);
+      }
+      runner.results.push(result);
+      runner.runByRunId.set(result.runId, result);
       updateEvalUi();
 
-      const successes = state.evalRunner.results.filter((entry) => entry.finishedByAgent).length;
+      const successes = runner.results.filter((entry) => entry.finishedByAgent).length;
       setEvalStatus([
-        `Eval: completed ${state.evalRunner.results.length}/${queue.length}`,
+        `Eval: completed ${doneCount ?? '?'}/${totalRows}`,
         `successes=${successes}`,
         `lastReason=${result.finalReason || '(none)'}`
       ].join('\n'));
-
-      if (state.evalRunner.stopRequested) break;
-      if (config.pauseMs > 0 && i < queue.length - 1) {
-        let waitedMs = 0;
-        while (waitedMs < config.pauseMs && !state.evalRunner.stopRequested) {
-          const stepMs = Math.min(250, config.pauseMs - waitedMs);
-          await sleep(stepMs);
-          waitedMs += stepMs;
-        }
-      }
-
-      const nextItem = i < queue.length - 1 ? queue[i + 1] : null;
-      const modelChanged = Boolean(nextItem && nextItem.model !== item.model);
-      if (modelChanged && config.modelBatchPauseMs > 0 && !state.evalRunner.stopRequested) {
-        setEvalStatus([
-          `Eval: completed model batch ${item.modelBatchIndex || '?'} / ${item.modelBatchCount || config.models.length}`,
-          `Pausing ${config.modelBatchPauseMs}ms before next model (${nextItem.model})...`
-        ].join('\n'));
-
-        let waitedMs = 0;
-        while (waitedMs < config.modelBatchPauseMs && !state.evalRunner.stopRequested) {
-          const stepMs = Math.min(250, config.modelBatchPauseMs - waitedMs);
-          await sleep(stepMs);
-          waitedMs += stepMs;
-        }
-      }
     }
   } catch (error) {
     const message = error instanceof Error ? error.message : String(error);
     failedMessage = message;
     setEvalStatus(`Eval: aborted - ${message}`);
   } finally {
-    const total = state.evalRunner.results.length;
-    const successes = state.evalRunner.results.filter((entry) => entry.finishedByAgent).length;
-    const elapsedSeconds = state.evalRunner.startedAt
-      ? Math.round((Date.now() - state.evalRunner.startedAt) / 1000)
+    clearInterval(heartbeatTimer);
+    const wasStopped = runner.stopRequested;
+    // Stopping pauses the job for every worker; Resume picks it up from the next pending row.
+    if (wasStopped) {
+      try {
+        jobStatus = (await requestEvalJobApi(`${jobPath}/pause`, {})).job.status;
+      } catch (_error) {
+        // Already completed or cancelled.
+      }
+    }
+
+    const total = runner.results.length;
+    const successes = runner.results.filter((entry) => entry.finishedByAgent).length;
+    const elapsedSeconds = runner.startedAt
+      ? Math.round((Date.now() - runner.startedAt) / 1000)
       : 0;
-    const wasStopped = state.evalRunner.stopRequested;
 
-    state.evalRunner.active = false;
-    state.evalRunner.stopRequested = false;
-    state.evalRunner.current = null;
+    runner.active = false;
+    runner.stopRequested = false;
+    runner.current = null;
     state.insideEvalMatrix = false;
     updateEvalUi();
+    void refreshEvalJobs();
 
     if (failedMessage) {
-      setEvalStatus(`Eval: failed. runs=${total}, successes=${successes}, error=${failedMessage}`);
+      setEvalStatus(`Eval: failed. job=${jobId}, runs=${total}, successes=${successes}, error=${failedMessage}`);
       setAiStatus(`eval matrix failed (${successes}/${total} successes).`);
       return;
     }
 
-    setEvalStatus(`Eval: ${wasStopped ? 'stopped' : 'complete'}. runs=${total}, successes=${successes}, elapsed=${elapsedSeconds}s.`);
-    setAiStatus(`eval matrix ${wasStopped ? 'stopped' : 'complete'} (${successes}/${total} successes).`);
+    const outcome = jobStatus === 'completed' ? 'complete' : (wasStopped ? 'stopped' : jobStatus || 'stopped');
+    const jobNote = jobStatus && jobStatus !== 'completed' ? ` (job ${jobStatus})` : '';
+    setEvalStatus(`Eval: ${outcome}${jobNote}. job=${jobId}, runs=${total}, successes=${successes}, elapsed=${elapsedSeconds}s.`);
+    setAiStatus(`eval matrix ${outcome} (${successes}/${total} successes).`);
+  }
+}
+
+async function sleepUntilEvalStopRequested(durationMs) {
+  let waitedMs = 0;
+  while (waitedMs < durationMs && !state.evalRunner.stopRequested) {
+    const stepMs = Math.min(250, durationMs - waitedMs);
+    await sleep(stepMs);
+    waitedMs += stepMs;
   }
 }
 
+// The run's last reported rate limits with absolute reset times, for the job store to hold back
+// new rows of a model that other workers are about to exhaust.
+function summarizeRunRateLimits(run) {
+  if (!run?.rateLimits) return null;
+  const limits = {};
+  for (const [name, limit] of Object.entries(run.rateLimits)) {
+    if (!Number.isFinite(limit.limit) || !Number.isFinite(limit.remaining) || !Number.isFinite(limit.updatedAtMs)) continue;
+    limits[name] = {
+      limit: limit.limit,
+      remaining: limit.remaining,
+      resetAt: new Date(limit.updatedAtMs + Math.max(0, Number(limit.resetSeconds) || 0) * 1000).toISOString()
+    };
+  }
+  return Object.keys(limits).length > 0 ? limits : null;
+}
+
+// GET without a body, POST with one; resolves to the payload or throws the server's message.
+async function requestEvalJobApi(url, body) {
+  const response = await fetch(url, body === undefined
+    ? undefined
+    : {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify(body)
+    });
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok || !payload?.ok) {
+    throw new Error(payload?.message || `Eval job request failed (${response.status}).`);
+  }
+  return payload;
+}
+
 function stopEvalMatrix() {
   if (!state.evalRunner.active) return;
   state.evalRunner.stopRequested = true;
@@ -2610,12 +5861,116 @@ function stopEvalMatrix() {
   }
 }
 
+async function pauseEvalJob(jobId) {
+  if (!jobId) return;
+  if (state.evalRunner.active && state.evalRunner.jobId === jobId) {
+    // This tab's worker pauses the job itself once its current run saves.
+    stopEvalMatrix();
+    return;
+  }
+  await updateEvalJobStatus(jobId, 'pause');
+}
+
+async function cancelEvalJob(jobId) {
+  if (!jobId) return;
+  if (!window.confirm(`Cancel eval job ${jobId}? Its pending rows will not run.`)) return;
+  await updateEvalJobStatus(jobId, 'cancel');
+  if (state.evalRunner.active && state.evalRunner.jobId === jobId) {
+    stopEvalMatrix();
+  }
+}
+
+async function updateEvalJobStatus(jobId, action) {
+  try {
+    const payload = await requestEvalJobApi(`/api/evals/${encodeURIComponent(jobId)}/${action}`, {});
+    setEvalJobsStatus(`${jobId} is ${payload.job.status}.`);
+  } catch (error) {
+    setEvalJobsStatus(`${action} failed (${error.message || String(error)}).`);
+  }
+  await refreshEvalJobs();
+}
+
+async function refreshEvalJobs() {
+  const evalJobs = state.evalJobs;
+  if (evalJobs.loading) return;
+  evalJobs.loading = true;
+
+  try {
+    const payload = await requestEvalJobApi('/api/evals');
+    evalJobs.jobs = Array.isArray(payload.jobs) ? payload.jobs : [];
+    evalJobs.loaded = true;
+    if (!evalJobs.jobs.some((job) => job.id === evalJobs.selectedId)) {
+      evalJobs.selectedId = null;
+    }
+    renderEvalJobList();
+    setEvalJobsStatus(`${evalJobs.jobs.length} saved matrix job(s).`);
+  } catch (error) {
+    setEvalJobsStatus(`failed to load jobs (${error.message || String(error)}).`);
+  } finally {
+    evalJobs.loading = false;
+    updateEvalUi();
+  }
+}
+
+function renderEvalJobList() {
+  if (!ui.evalJobList) return;
+  const evalJobs = state.evalJobs;
+
+  ui.evalJobList.innerHTML = '';
+  for (const job of evalJobs.jobs) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'run-browser-row';
+    button.classList.toggle('is-selected', job.id === evalJobs.selectedId);
+
+    const title = document.createElement('strong');
+    title.textContent = `${job.tag || job.id} · ${job.status}`;
+    button.appendChild(title);
+
+    const progress = document.createElement('span');
+    const { done = 0, running = 0, failed = 0 } = job.counts || {};
+    const capText = job.maxConcurrentPerModel ? ` · ${job.maxConcurrentPerModel} per model` : '';
+    progress.textContent = `${done}/${job.totalRows} done · ${running} running${capText} · ${failed} failed`;
+    button.appendChild(progress);
+
+    const meta = document.createElement('span');
+    meta.textContent = `${job.createdAt ? new Date(job.createdAt).toLocaleString() : '--'} · ${(job.models || []).join(', ')}`;
+    button.appendChild(meta);
+
+    button.addEventListener('click', () => {
+      evalJobs.selectedId = job.id;
+      renderEvalJobList();
+      updateEvalUi();
+    });
+    ui.evalJobList.appendChild(button);
+  }
+}
+
+function getSelectedEvalJob() {
+  return state.evalJobs.jobs.find((job) => job.id === state.evalJobs.selectedId) || null;
+}
+
+function setEvalJobsStatus(message) {
+  if (!ui.evalJobsStatus) return;
+  ui.evalJobsStatus.textContent = `Jobs: ${message}`;
+}
+
 function collectEvalMatrixConfigFromUi() {
+  const taskModes = parseCsvTaskModeList(ui.evalTaskModes?.value || normalizeTaskMode(ui.taskMode?.value));
+  if (taskModes.length === 0) {
+    throw new Error('Add at least one task mode.');
+  }
+  if (taskModes.includes('copy') && !state.reference) {
+    throw new Error('The copy task mode needs a reference image (set it in Run Config).');
+  }
+
   const prompts = parseLineList(ui.evalPrompts.value);
   if (prompts.length === 0) {
     const fallbackPrompt = String(ui.aiPrompt.value || '').trim();
     if (fallbackPrompt) {
       prompts.push(fallbackPrompt);
+    } else if (taskModes.every((taskMode) => taskMode === 'copy')) {
+      prompts.push(COPY_REFERENCE_PROMPT);
     }
   }
   if (prompts.length === 0) {
@@ -2649,6 +6004,11 @@ function collectEvalMatrixConfigFromUi() {
     throw new Error('Add at least one max run seconds value.');
   }
 
+  const canvasSizes = parseCsvCanvasSizeList(ui.evalCanvasSizes?.value || PaintEngine.formatCanvasSize(getSelectedCanvasSize()));
+  if (canvasSizes.length === 0) {
+    throw new Error('Add at least one canvas size.');
+  }
+
   const gridModes = parseCsvBooleanList(ui.evalGridModes.value, 'grid modes');
   if (gridModes.length === 0) {
     throw new Error('Add at least one grid mode.');
@@ -2668,6 +6028,9 @@ function collectEvalMatrixConfigFromUi() {
   const modelBatchPauseMs = clamp(Math.round(Number(ui.evalModelBatchPauseMs.value) || 0), 0, 300_000);
   ui.evalModelBatchPauseMs.value = String(modelBatchPauseMs);
 
+  const maxConcurrentPerModel = clamp(Math.round(Number(ui.evalMaxConcurrentPerModel.value) || 1), 1, 32);
+  ui.evalMaxConcurrentPerModel.value = String(maxConcurrentPerModel);
+
   const tagInput = String(ui.evalTag.value || '').trim();
   const tag = tagInput ? sanitizeFilenameSegment(tagInput, '') : '';
   if (tagInput && !tag) {
@@ -2677,12 +6040,15 @@ function collectEvalMatrixConfigFromUi() {
   return {
     prompts,
     models,
+    taskModes,
     maxRunSecondsValues,
+    canvasSizes,
     gridModes,
     allowClearModes,
     repeats,
     pauseMs,
     modelBatchPauseMs,
+    maxConcurrentPerModel,
     clearCanvasEachRun: Boolean(ui.evalClearCanvasEachRun.checked),
     tag,
     matrixId: `eval-${formatTimestampForFilename(new Date())}-${Math.floor(Math.random() * 10_000)}`
@@ -2697,32 +6063,40 @@ function buildEvalQueue(config) {
     const model = config.models[modelIndex];
     for (let promptIndex = 0; promptIndex < config.prompts.length; promptIndex += 1) {
       const prompt = config.prompts[promptIndex];
-      for (const maxRunSeconds of config.maxRunSecondsValues) {
-        for (const gridForScreenshots of config.gridModes) {
-          for (const allowClearTool of config.allowClearModes) {
-            comboIndex += 1;
-            const comboKey = [
-              `model=${model}`,
-              `max=${maxRunSeconds}`,
-              `grid=${gridForScreenshots}`,
-              `clear=${allowClearTool}`,
-              `prompt=${quickHash(prompt)}`
-            ].join('|');
-
-            for (let repeat = 1; repeat <= config.repeats; repeat += 1) {
-              queue.push({
-                comboIndex,
-                repeat,
-                comboKey,
-                modelBatchIndex: modelIndex + 1,
-                modelBatchCount: config.models.length,
-                promptIndex: promptIndex + 1,
-                prompt,
-                model,
-                maxRunSeconds,
-                gridForScreenshots,
-                allowClearTool
-              });
+      for (const taskMode of config.taskModes) {
+        for (const maxRunSeconds of config.maxRunSecondsValues) {
+          for (const canvasSize of config.canvasSizes) {
+            for (const gridForScreenshots of config.gridModes) {
+              for (const allowClearTool of config.allowClearModes) {
+                comboIndex += 1;
+                const comboKey = [
+                  `model=${model}`,
+                  `task=${taskMode}`,
+                  `max=${maxRunSeconds}`,
+                  `size=${canvasSize}`,
+                  `grid=${gridForScreenshots}`,
+                  `clear=${allowClearTool}`,
+                  `prompt=${quickHash(prompt)}`
+                ].join('|');
+
+                for (let repeat = 1; repeat <= config.repeats; repeat += 1) {
+                  queue.push({
+                    comboIndex,
+                    repeat,
+                    comboKey,
+                    modelBatchIndex: modelIndex + 1,
+                    modelBatchCount: config.models.length,
+                    promptIndex: promptIndex + 1,
+                    prompt,
+                    model,
+                    taskMode,
+                    maxRunSeconds,
+                    canvasSize,
+                    gridForScreenshots,
+                    allowClearTool
+                  });
+                }
+              }
             }
           }
         }
@@ -2794,6 +6168,8 @@ function summarizeEvalRun(item, runLog) {
       MIN_MAX_RUN_SECONDS,
       MAX_MAX_RUN_SECONDS
     ),
+    canvasSize: PaintEngine.formatCanvasSize(PaintEngine.canvasSizeFromSettings(settings)),
+    taskMode: normalizeTaskMode(settings.taskMode ?? item.taskMode),
     gridForScreenshots: typeof settings.gridForScreenshots === 'boolean'
       ? settings.gridForScreenshots
       : item.gridForScreenshots,
@@ -2805,6 +6181,11 @@ function summarizeEvalRun(item, runLog) {
     durationSec,
     finishedByAgent: Boolean(runLog?.finishedByAgent),
     finalReason: String(runLog?.finalReason || ''),
+    similarityScore: runLog?.similarity ? runLog.similarity.score : null,
+    pixelSimilarity: runLog?.similarity ? runLog.similarity.pixel : null,
+    ssimSimilarity: runLog?.similarity ? runLog.similarity.ssim : null,
+    ...summarizeImageMetrics(runLog?.imageMetrics),
+    ...summarizeJudge(runLog?.judge),
     actionCount: actions.length,
     eventCount: events.length,
     screenshotActions: actions.filter((entry) => entry?.kind === 'take_screenshot').length,
@@ -2828,6 +6209,40 @@ function summarizeEvalRun(item, runLog) {
   };
 }
 
+// Flattens log.imageMetrics for result cards and the CSV; the palette becomes "#RRGGBB|...".
+function summarizeImageMetrics(metrics) {
+  return {
+    coverage: metrics ? metrics.coverage : null,
+    colorCount: metrics ? metrics.colorCount : null,
+    edgeDensity: metrics ? metrics.edgeDensity : null,
+    contrast: metrics ? metrics.contrast : null,
+    entropy: metrics ? metrics.entropy : null,
+    changedAfterLastScreenshot: metrics ? metrics.changedAfterLastScreenshot : null,
+    palette: metrics && Array.isArray(metrics.palette) ? metrics.palette.map((entry) => entry.color).join('|') : ''
+  };
+}
+
+function summarizeJudge(judge) {
+  return {
+    judgeModel: judge ? judge.model : null,
+    judgeScore: judge ? judge.overall : null,
+    judgePromptAdherence: judge ? judge.scores.promptAdherence : null,
+    judgeComposition: judge ? judge.scores.composition : null,
+    judgeCraft: judge ? judge.scores.craft : null,
+    judgeRationale: judge ? judge.rationale : ''
+  };
+}
+
+function formatJudge(judge) {
+  if (!judge) return '--';
+  const { promptAdherence, composition, craft } = judge.scores;
+  return `${judge.overall.toFixed(2)}/10 (prompt ${promptAdherence}, composition ${composition}, craft ${craft}; ${judge.model})`;
+}
+
+function formatMetricPct(value) {
+  return value === null || value === undefined ? '--' : `${(value * 100).toFixed(1)}%`;
+}
+
 function updateEvalUi() {
   const evalActive = state.evalRunner.active;
   const busy = Boolean(state.aiRun?.active);
@@ -2848,11 +6263,14 @@ function updateEvalUi() {
 
   const evalInputs = [
     ui.evalMaxRunSeconds,
+    ui.evalCanvasSizes,
+    ui.evalTaskModes,
     ui.evalGridModes,
     ui.evalAllowClearModes,
     ui.evalRepeats,
     ui.evalPauseMs,
     ui.evalModelBatchPauseMs,
+    ui.evalMaxConcurrentPerModel,
     ui.evalTag,
     ui.evalClearCanvasEachRun,
     ui.evalModelsCustom
@@ -2873,13 +6291,26 @@ function updateEvalUi() {
   }
 
   ui.startEvalMatrix.disabled = evalActive || busy;
+  if (!evalActive && !busy) {
+    ui.replayLastRun.disabled = !(state.lastRunLog?.actions?.length > 0);
+  }
   ui.stopEvalMatrix.disabled = !evalActive;
   ui.downloadEvalCsv.disabled = evalActive || state.evalRunner.results.length === 0;
 
+  const selectedJob = getSelectedEvalJob();
+  const selectedJobOpen = Boolean(selectedJob) && !['completed', 'cancelled'].includes(selectedJob.status);
+  ui.evalJobResume.disabled = evalActive || busy || !selectedJobOpen;
+  ui.evalJobPause.disabled = !selectedJobOpen || selectedJob.status === 'paused';
+  ui.evalJobCancel.disabled = !selectedJobOpen;
+
   if (evalActive) {
     ui.startAiButton.disabled = true;
     ui.downloadLog.disabled = true;
+    ui.replayLastRun.disabled = true;
   }
+
+  updateReplayUi();
+  updateDrawToolbarUi();
 }
 
 function setEvalStatus(message) {
@@ -2937,6 +6368,38 @@ function parseCsvBooleanList(rawValue, label) {
   return uniquePrimitiveList(values);
 }
 
+// Canvas sizes are kept as "WIDTHxHEIGHT" strings so duplicates collapse and combo keys stay readable.
+function parseCsvCanvasSizeList(rawValue) {
+  const tokens = String(rawValue || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  const values = [];
+  for (const token of tokens) {
+    const size = PaintEngine.parseCanvasSize(token);
+    if (!size) {
+      throw new Error(`Invalid canvas size "${token}" (use ${Object.keys(PaintEngine.CANVAS_SIZE_PRESETS).join('/')} or WIDTHxHEIGHT).`);
+    }
+    values.push(PaintEngine.formatCanvasSize(size));
+  }
+  return uniquePrimitiveList(values);
+}
+
+function parseCsvTaskModeList(rawValue) {
+  const tokens = String(rawValue || '')
+    .split(',')
+    .map((entry) => entry.trim().toLowerCase())
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    if (!TASK_MODES.includes(token)) {
+      throw new Error(`Invalid task mode "${token}" (use ${TASK_MODES.join('/')}).`);
+    }
+  }
+  return uniquePrimitiveList(tokens);
+}
+
 function parseBooleanToken(rawValue) {
   const normalized = String(rawValue || '').trim().toLowerCase();
   if (['true', 't', '1', 'yes', 'y', 'on'].includes(normalized)) return true;
@@ -2970,6 +6433,23 @@ function downloadEvalCsv() {
     return;
   }
 
+  const blob = new Blob([buildEvalCsv(state.evalRunner.results)], { type: 'text/csv;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = buildEvalCsvFileName(state.evalRunner.config);
+  link.click();
+
+  URL.revokeObjectURL(url);
+}
+
+function buildEvalCsvFileName(config) {
+  const tagPart = sanitizeFilenameSegment(config?.tag || 'eval-matrix', 'eval-matrix');
+  const stampPart = formatTimestampForFilename(new Date());
+  return `${tagPart}_${stampPart}.csv`;
+}
+
+function buildEvalCsv(results) {
   const headers = [
     'evalTag',
     'matrixId',
@@ -2981,10 +6461,28 @@ function downloadEvalCsv() {
     'runId',
     'model',
     'maxRunSeconds',
+    'canvasSize',
+    'taskMode',
     'gridForScreenshots',
     'allowClearTool',
     'finishedByAgent',
     'finalReason',
+    'similarityScore',
+    'pixelSimilarity',
+    'ssimSimilarity',
+    'coverage',
+    'colorCount',
+    'edgeDensity',
+    'contrast',
+    'entropy',
+    'changedAfterLastScreenshot',
+    'palette',
+    'judgeModel',
+    'judgeScore',
+    'judgePromptAdherence',
+    'judgeComposition',
+    'judgeCraft',
+    'judgeRationale',
     'durationSec',
     'actionCount',
     'eventCount',
@@ -3010,22 +6508,11 @@ function downloadEvalCsv() {
   ];
 
   const lines = [headers.join(',')];
-  for (const result of state.evalRunner.results) {
+  for (const result of results) {
     const row = headers.map((header) => toCsvCell(result[header]));
     lines.push(row.join(','));
   }
-
-  const blob = new Blob([lines.join('\n')], { type: 'text/csv;charset=utf-8' });
-  const url = URL.createObjectURL(blob);
-  const tagPart = sanitizeFilenameSegment(state.evalRunner.config?.tag || 'eval-matrix', 'eval-matrix');
-  const stampPart = formatTimestampForFilename(new Date());
-
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = `${tagPart}_${stampPart}.csv`;
-  link.click();
-
-  URL.revokeObjectURL(url);
+  return lines.join('\n');
 }
 
 function toCsvCell(value) {
@@ -3068,11 +6555,25 @@ function sanitizeEvalMeta(rawMeta) {
 
 function setControlMode(mode) {
   state.mode = mode;
+  if (mode !== 'human') {
+    cancelHumanStroke();
+  }
 
   // Disable/enable eval inputs during runs
   ui.aiPrompt.disabled = mode !== 'human';
+  if (ui.taskMode) ui.taskMode.disabled = mode !== 'human';
   if (ui.modelSelect) ui.modelSelect.disabled = mode !== 'human';
   if (ui.modelCustom) ui.modelCustom.disabled = mode !== 'human';
+  if (ui.canvasSizeSelect) ui.canvasSizeSelect.disabled = mode !== 'human';
+  if (ui.canvasSizeCustom) ui.canvasSizeCustom.disabled = mode !== 'human';
+  if (ui.startCanvasType) {
+    for (const input of [ui.startCanvasType, ui.startCanvasColor, ui.startCanvasColor2, ui.startCanvasDirection, ui.startCanvasFile]) {
+      input.disabled = mode !== 'human';
+    }
+  }
+  updateReferenceUi();
+  if (ui.judgeRunsToggle) ui.judgeRunsToggle.disabled = mode !== 'human';
+  if (ui.judgeModel) ui.judgeModel.disabled = mode !== 'human';
   ui.maxRunSeconds.disabled = mode !== 'human';
   ui.allowClearTool.disabled = mode !== 'human';
   ui.gridForScreenshots.disabled = mode !== 'human';
@@ -3115,11 +6616,6 @@ function parseJsonSafe(value, fallback) {
   }
 }
 
-function deterministicSeedFromAction(action) {
-  const key = `${action.tool}|${action.color}|${action.lineWidth}|${action.startX}|${action.startY}|${action.x}|${action.y}`;
-  return quickHashToInt(key);
-}
-
 function quickHashToInt(input) {
   let hash = 2166136261;
   for (let i = 0; i < input.length; i += 1) {
@@ -3133,16 +6629,6 @@ function quickHash(input) {
   return quickHashToInt(input).toString(16).padStart(8, '0');
 }
 
-function mulberry32(seed) {
-  let t = seed >>> 0;
-  return function random() {
-    t += 0x6D2B79F5;
-    let r = Math.imul(t ^ (t >>> 15), 1 | t);
-    r ^= r + Math.imul(r ^ (r >>> 7), 61 | r);
-    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
-  };
-}
-
 function createFallbackCallId(name, args) {
   return `${name || 'unknown'}:${quickHash(String(args || ''))}`;
 }
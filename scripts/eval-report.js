@@ -2,9 +2,12 @@
 
 const fs = require('fs/promises');
 const path = require('path');
+const Ratings = require('../ratings');
 
 const ROOT_DIR = path.resolve(__dirname, '..');
-const RUN_INDEX_PATH = path.join(ROOT_DIR, 'logs', 'run_index.jsonl');
+const LOGS_DIR = process.env.LOGS_DIR ? path.resolve(process.env.LOGS_DIR) : path.join(ROOT_DIR, 'logs');
+const RUN_INDEX_PATH = path.join(LOGS_DIR, 'run_index.jsonl');
+const VOTES_PATH = path.join(LOGS_DIR, 'votes.jsonl');
 
 const DEFAULT_GROUP_BY = [
   'model',
@@ -15,7 +18,12 @@ const DEFAULT_GROUP_BY = [
 
 const VALID_GROUP_FIELDS = new Set([
   'model',
+  'provider',
   'maxRunSeconds',
+  'canvasSize',
+  'startCanvas',
+  'taskMode',
+  'judgeModel',
   'gridForScreenshots',
   'allowClearTool',
   'evalTag',
@@ -23,12 +31,21 @@ const VALID_GROUP_FIELDS = new Set([
   'finalReason'
 ]);
 
+// Index field -> report column. Unjudged runs have null scores and are left out of the averages.
+const JUDGE_SCORE_COLUMNS = [
+  ['judgeScore', 'avgJudge'],
+  ['judgePromptAdherence', 'avgPromptAdherence'],
+  ['judgeComposition', 'avgComposition'],
+  ['judgeCraft', 'avgCraft']
+];
+
 function parseArgs(argv) {
   const options = {
     tag: null,
-    groupBy: [...DEFAULT_GROUP_BY],
+    groupBy: null,
     limit: null,
-    csvPath: null
+    csvPath: null,
+    ratings: false
   };
 
   for (let i = 0; i < argv.length; i += 1) {
@@ -49,15 +66,15 @@ function parseArgs(argv) {
       if (fields.length === 0) {
         throw new Error('`--group-by` requires at least one field.');
       }
-      for (const field of fields) {
-        if (!VALID_GROUP_FIELDS.has(field)) {
-          throw new Error(`Unsupported group-by field: ${field}`);
-        }
-      }
       options.groupBy = fields;
       continue;
     }
 
+    if (arg === '--ratings') {
+      options.ratings = true;
+      continue;
+    }
+
     if (arg === '--limit') {
       const parsed = Number.parseInt(String(argv[i + 1] || ''), 10);
       i += 1;
@@ -82,6 +99,17 @@ function parseArgs(argv) {
     throw new Error(`Unknown argument: ${arg}`);
   }
 
+  // Ratings group votes by the run settings copied into each vote, a narrower set of fields.
+  const validFields = options.ratings ? new Set(Ratings.RATING_GROUP_FIELDS) : VALID_GROUP_FIELDS;
+  if (!options.groupBy) {
+    options.groupBy = options.ratings ? [...Ratings.DEFAULT_RATING_GROUP_BY] : [...DEFAULT_GROUP_BY];
+  }
+  for (const field of options.groupBy) {
+    if (!validFields.has(field)) {
+      throw new Error(`Unsupported group-by field${options.ratings ? ' for --ratings' : ''}: ${field}`);
+    }
+  }
+
   return options;
 }
 
@@ -93,13 +121,15 @@ function printHelp() {
   console.log('  --group-by <a,b,c>          Group fields (default: model,maxRunSeconds,gridForScreenshots,allowClearTool)');
   console.log('  --limit <n>                 Only use the most recent n rows from run_index.jsonl');
   console.log('  --csv <path>                Write grouped output CSV');
+  console.log('  --ratings                   Rate contestants from logs/votes.jsonl (Elo and Bradley-Terry) instead;');
+  console.log('                              --group-by defaults to model, --tag needs both runs tagged, --limit counts votes');
   console.log('  --help                      Show this help');
 }
 
-async function readRunIndexRows() {
+async function readJsonlRows(filePath) {
   let raw = '';
   try {
-    raw = await fs.readFile(RUN_INDEX_PATH, 'utf8');
+    raw = await fs.readFile(filePath, 'utf8');
   } catch (error) {
     if (error.code === 'ENOENT') {
       return [];
@@ -155,7 +185,11 @@ function summarizeByGroup(rows, groupBy) {
         actionSum: 0,
         actionCount: 0,
         screenshotSum: 0,
-        screenshotCount: 0
+        screenshotCount: 0,
+        similaritySum: 0,
+        similarityCount: 0,
+        judged: 0,
+        judgeSums: Object.fromEntries(JUDGE_SCORE_COLUMNS.map(([field]) => [field, 0]))
       });
     }
 
@@ -181,6 +215,19 @@ function summarizeByGroup(rows, groupBy) {
       agg.screenshotSum += screenshotCount;
       agg.screenshotCount += 1;
     }
+
+    // Only copy-task runs have a similarity score; null scores must not count as 0.
+    if (row.similarityScore !== null && row.similarityScore !== undefined && Number.isFinite(Number(row.similarityScore))) {
+      agg.similaritySum += Number(row.similarityScore);
+      agg.similarityCount += 1;
+    }
+
+    if (row.judgeScore !== null && row.judgeScore !== undefined && Number.isFinite(Number(row.judgeScore))) {
+      agg.judged += 1;
+      for (const [field] of JUDGE_SCORE_COLUMNS) {
+        agg.judgeSums[field] += Number(row[field]) || 0;
+      }
+    }
   }
 
   return Array.from(map.values())
@@ -191,7 +238,13 @@ function summarizeByGroup(rows, groupBy) {
       upstreamCloseRate: agg.runs > 0 ? agg.upstreamClosed / agg.runs : 0,
       avgDurationSec: agg.durationCount > 0 ? agg.durationSum / agg.durationCount : null,
       avgActions: agg.actionCount > 0 ? agg.actionSum / agg.actionCount : null,
-      avgScreenshots: agg.screenshotCount > 0 ? agg.screenshotSum / agg.screenshotCount : null
+      avgScreenshots: agg.screenshotCount > 0 ? agg.screenshotSum / agg.screenshotCount : null,
+      avgSimilarity: agg.similarityCount > 0 ? agg.similaritySum / agg.similarityCount : null,
+      judged: agg.judged,
+      ...Object.fromEntries(JUDGE_SCORE_COLUMNS.map(([field, column]) => [
+        column,
+        agg.judged > 0 ? agg.judgeSums[field] / agg.judged : null
+      ]))
     }))
     .sort((a, b) => {
       if (b.runs !== a.runs) return b.runs - a.runs;
@@ -217,7 +270,10 @@ function buildTableLines(rows, groupBy) {
     'upstreamCloseRate',
     'avgDurationSec',
     'avgActions',
-    'avgScreenshots'
+    'avgScreenshots',
+    'avgSimilarity',
+    'judged',
+    ...JUDGE_SCORE_COLUMNS.map(([, column]) => column)
   ];
 
   const body = rows.map((row) => [
@@ -227,7 +283,10 @@ function buildTableLines(rows, groupBy) {
     formatPct(row.upstreamCloseRate),
     formatNum(row.avgDurationSec, 1),
     formatNum(row.avgActions, 1),
-    formatNum(row.avgScreenshots, 2)
+    formatNum(row.avgScreenshots, 2),
+    formatNum(row.avgSimilarity, 3),
+    String(row.judged),
+    ...JUDGE_SCORE_COLUMNS.map(([, column]) => formatNum(row[column], 2))
   ]);
 
   const widths = headers.map((header, index) => {
@@ -261,7 +320,10 @@ async function writeCsv(rows, groupBy, csvPath) {
     'upstreamCloseRate',
     'avgDurationSec',
     'avgActions',
-    'avgScreenshots'
+    'avgScreenshots',
+    'avgSimilarity',
+    'judged',
+    ...JUDGE_SCORE_COLUMNS.map(([, column]) => column)
   ];
   const lines = [headers.join(',')];
 
@@ -273,7 +335,10 @@ async function writeCsv(rows, groupBy, csvPath) {
       row.upstreamCloseRate,
       row.avgDurationSec,
       row.avgActions,
-      row.avgScreenshots
+      row.avgScreenshots,
+      row.avgSimilarity,
+      row.judged,
+      ...JUDGE_SCORE_COLUMNS.map(([, column]) => row[column])
     ];
     lines.push(values.map(toCsvCell).join(','));
   }
@@ -287,9 +352,86 @@ async function writeCsv(rows, groupBy, csvPath) {
   return absolutePath;
 }
 
+const RATING_COLUMNS = ['votes', 'wins', 'losses', 'ties', 'winRate', 'elo', 'bradleyTerry'];
+
+function buildRatingTableLines(ratings, groupBy) {
+  const headers = [...groupBy, ...RATING_COLUMNS];
+  const body = ratings.map((rating) => [
+    ...groupBy.map((field) => String(rating[field])),
+    String(rating.votes),
+    String(rating.wins),
+    String(rating.losses),
+    String(rating.ties),
+    formatPct(rating.winRate),
+    formatNum(rating.elo, 1),
+    formatNum(rating.bradleyTerry, 1)
+  ]);
+
+  const widths = headers.map((header, index) => {
+    const maxBody = body.reduce((max, line) => Math.max(max, (line[index] || '').length), 0);
+    return Math.max(header.length, maxBody);
+  });
+
+  const lines = [];
+  lines.push(headers.map((header, i) => header.padEnd(widths[i])).join('  '));
+  lines.push(widths.map((width) => '-'.repeat(width)).join('  '));
+  for (const line of body) {
+    lines.push(line.map((value, i) => value.padEnd(widths[i])).join('  '));
+  }
+  return lines;
+}
+
+async function writeRatingsCsv(ratings, groupBy, csvPath) {
+  const headers = [...groupBy, ...RATING_COLUMNS];
+  const lines = [headers.join(',')];
+  for (const rating of ratings) {
+    lines.push(headers.map((header) => toCsvCell(rating[header])).join(','));
+  }
+
+  const absolutePath = path.isAbsolute(csvPath)
+    ? csvPath
+    : path.join(ROOT_DIR, csvPath);
+
+  await fs.mkdir(path.dirname(absolutePath), { recursive: true });
+  await fs.writeFile(absolutePath, `${lines.join('\n')}\n`, 'utf8');
+  return absolutePath;
+}
+
+async function reportRatings(options) {
+  let votes = await readJsonlRows(VOTES_PATH);
+  if (options.limit) {
+    votes = votes.slice(-options.limit);
+  }
+  if (options.tag) {
+    votes = votes.filter((vote) => String(vote.a?.evalTag || '') === options.tag && String(vote.b?.evalTag || '') === options.tag);
+  }
+
+  if (votes.length === 0) {
+    console.log('No votes matched the filter.');
+    return;
+  }
+
+  const { voteCount, skippedVotes, ratings } = Ratings.computeRatings(votes, options.groupBy);
+  console.log(`Votes analyzed: ${voteCount}${skippedVotes > 0 ? ` (${skippedVotes} skipped: invalid or both sides in one group)` : ''}`);
+  console.log(`Contestants: ${ratings.length}`);
+  if (ratings.length > 0) {
+    console.log(buildRatingTableLines(ratings, options.groupBy).join('\n'));
+  }
+
+  if (options.csvPath) {
+    const outputPath = await writeRatingsCsv(ratings, options.groupBy, options.csvPath);
+    console.log(`\nWrote CSV: ${outputPath}`);
+  }
+}
+
 async function main() {
   const options = parseArgs(process.argv.slice(2));
-  let rows = await readRunIndexRows();
+  if (options.ratings) {
+    await reportRatings(options);
+    return;
+  }
+
+  let rows = await readJsonlRows(RUN_INDEX_PATH);
   if (options.limit) {
     rows = rows.slice(-options.limit);
   }
@@ -0,0 +1,360 @@
+#!/usr/bin/env node
+
+const fs = require('fs/promises');
+const path = require('path');
+const { createHeadlessPage } = require('../headless-env');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const LOGS_DIR = process.env.LOGS_DIR ? path.resolve(process.env.LOGS_DIR) : path.join(ROOT_DIR, 'logs');
+const DEFAULT_CSV_DIR = path.join(LOGS_DIR, 'reports');
+const MAX_WORKERS = 16;
+
+// CLI flags that fill an Eval Matrix field as-is; the page validates them like typed input.
+const EVAL_FIELD_FLAGS = {
+  '--models': 'evalModelsCustom',
+  '--task-modes': 'evalTaskModes',
+  '--max-run-seconds': 'evalMaxRunSeconds',
+  '--canvas-sizes': 'evalCanvasSizes',
+  '--grid-modes': 'evalGridModes',
+  '--allow-clear-modes': 'evalAllowClearModes',
+  '--repeats': 'evalRepeats',
+  '--pause-ms': 'evalPauseMs',
+  '--model-batch-pause-ms': 'evalModelBatchPauseMs',
+  '--concurrency': 'evalMaxConcurrentPerModel',
+  '--tag': 'evalTag'
+};
+
+function parseArgs(argv) {
+  const options = {
+    prompts: [],
+    promptsFile: null,
+    fields: {},
+    keepCanvas: false,
+    judge: false,
+    judgeModel: null,
+    startColor: null,
+    startGradient: null,
+    startImage: null,
+    reference: null,
+    serverUrl: null,
+    resumeJobId: null,
+    workers: 1,
+    csvPath: null,
+    verbose: false
+  };
+
+  function readValue(arg, index) {
+    const value = argv[index + 1];
+    if (value === undefined || value.startsWith('--')) {
+      throw new Error(`\`${arg}\` needs a value.`);
+    }
+    return value;
+  }
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (Object.prototype.hasOwnProperty.call(EVAL_FIELD_FLAGS, arg)) {
+      options.fields[EVAL_FIELD_FLAGS[arg]] = readValue(arg, i);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--prompt') {
+      options.prompts.push(readValue(arg, i));
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--prompts-file') {
+      options.promptsFile = readValue(arg, i);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--keep-canvas') {
+      options.keepCanvas = true;
+      continue;
+    }
+
+    if (arg === '--judge') {
+      options.judge = true;
+      continue;
+    }
+
+    if (arg === '--judge-model') {
+      options.judge = true;
+      options.judgeModel = readValue(arg, i);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--start-color') {
+      options.startColor = readValue(arg, i);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--start-gradient') {
+      const parts = readValue(arg, i).split(',').map((part) => part.trim());
+      i += 1;
+      if (parts.length < 2 || parts.length > 3 || (parts[2] && !['vertical', 'horizontal'].includes(parts[2]))) {
+        throw new Error('`--start-gradient` takes <color>,<color>[,vertical|horizontal].');
+      }
+      options.startGradient = { colors: [parts[0], parts[1]], direction: parts[2] || 'vertical' };
+      continue;
+    }
+
+    if (arg === '--start-image') {
+      options.startImage = readValue(arg, i);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--reference') {
+      options.reference = readValue(arg, i);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--server') {
+      options.serverUrl = readValue(arg, i);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--resume') {
+      options.resumeJobId = readValue(arg, i);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--workers') {
+      const raw = readValue(arg, i);
+      i += 1;
+      options.workers = Number(raw);
+      if (!Number.isInteger(options.workers) || options.workers < 1 || options.workers > MAX_WORKERS) {
+        throw new Error(`\`--workers\` must be an integer from 1 to ${MAX_WORKERS}.`);
+      }
+      continue;
+    }
+
+    if (arg === '--csv') {
+      options.csvPath = readValue(arg, i);
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--verbose') {
+      options.verbose = true;
+      continue;
+    }
+
+    if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+
+    throw new Error(`Unknown argument: ${arg}`);
+  }
+
+  const startOptions = [options.startColor, options.startGradient, options.startImage].filter(Boolean);
+  if (startOptions.length > 1) {
+    throw new Error('Use only one of `--start-color`, `--start-gradient` and `--start-image`.');
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log('Usage: node scripts/headless-run.js --prompt <text> [options]');
+  console.log('       node scripts/headless-run.js --resume <jobId> [options]');
+  console.log('');
+  console.log('Runs an Eval Matrix without a browser: the page script runs in Node against a server-side');
+  console.log('canvas and saves every run through /api/runs/save, like the browser does.');
+  console.log('The matrix is saved as an eval job (logs/evals/), so a stopped or crashed run can be');
+  console.log('resumed, and several runners (or browser tabs) can work through the same job.');
+  console.log('With --workers, one process runs several isolated pages on the job in parallel.');
+  console.log('List flags take the same comma-separated values as the Eval Matrix fields; unset ones');
+  console.log('keep the page defaults.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --prompt <text>             Prompt to run (repeatable)');
+  console.log('  --prompts-file <path>       One prompt per line');
+  console.log('  --models <list>             Model ids, e.g. gpt-5.2,anthropic:claude-sonnet-4-5 (default: gpt-5.2)');
+  console.log('  --task-modes <list>         paint,copy');
+  console.log('  --max-run-seconds <list>    e.g. 60,120');
+  console.log('  --canvas-sizes <list>       Presets or WIDTHxHEIGHT');
+  console.log('  --grid-modes <list>         true,false');
+  console.log('  --allow-clear-modes <list>  true,false');
+  console.log('  --repeats <n>               Runs per combination');
+  console.log('  --pause-ms <n>              Pause between runs');
+  console.log('  --model-batch-pause-ms <n>  Pause when the model changes');
+  console.log('  --concurrency <n>           Max runs of one model at the same time, across all workers (default: 1)');
+  console.log('  --tag <value>               evalTag saved with every run');
+  console.log('  --keep-canvas               Do not clear the canvas between runs');
+  console.log('  --judge                     Judge each run with the server default judge model');
+  console.log('  --judge-model <model>       Judge each run with this model');
+  console.log('  --start-color <hex>         Start every run on a solid color');
+  console.log('  --start-gradient <c1,c2[,vertical|horizontal]>  Start every run on a gradient');
+  console.log('  --start-image <path>        Start every run on an image (cropped to fill)');
+  console.log('  --reference <path>          Reference image (required for the copy task mode)');
+  console.log('  --server <url>              Use a running server instead of starting one in-process');
+  console.log('  --resume <jobId>            Work through the pending rows of a saved eval job; matrix flags');
+  console.log('                              are ignored (the job keeps its own), run options still apply');
+  console.log(`  --workers <n>               Parallel workers in this process, 1-${MAX_WORKERS} (default: 1)`);
+  console.log('  --csv <path>                Where to write the results CSV (default: logs/reports/<tag>_<timestamp>.csv)');
+  console.log('  --verbose                   Print agent status lines as well as eval progress');
+  console.log('  --help                      Show this help');
+}
+
+async function readPromptsFile(filePath) {
+  const raw = await fs.readFile(path.resolve(process.cwd(), filePath), 'utf8');
+  return raw.split('\n').map((line) => line.trim()).filter(Boolean);
+}
+
+async function configurePage(page, options) {
+  const prompts = [...options.prompts];
+  if (options.promptsFile) {
+    prompts.push(...await readPromptsFile(options.promptsFile));
+  }
+  page.element('evalPrompts').value = prompts.join('\n');
+  page.element('evalModelsCustom').value = page.evaluate('DEFAULT_MODEL');
+  for (const [id, value] of Object.entries(options.fields)) {
+    page.element(id).value = value;
+  }
+  page.element('evalClearCanvasEachRun').checked = !options.keepCanvas;
+  page.element('judgeRunsToggle').checked = options.judge;
+  page.element('judgeModel').value = options.judgeModel || '';
+
+  if (options.startColor) {
+    page.element('startCanvasType').value = 'color';
+    page.element('startCanvasColor').value = options.startColor;
+  } else if (options.startGradient) {
+    page.element('startCanvasType').value = 'gradient';
+    page.element('startCanvasColor').value = options.startGradient.colors[0];
+    page.element('startCanvasColor2').value = options.startGradient.colors[1];
+    page.element('startCanvasDirection').value = options.startGradient.direction;
+  } else if (options.startImage) {
+    const imagePath = path.resolve(process.cwd(), options.startImage);
+    page.context.headlessStartImage = {
+      image: await page.context.loadImageElement(imagePath),
+      source: 'upload',
+      name: path.basename(imagePath)
+    };
+    page.evaluate('state.startImage = headlessStartImage');
+    page.element('startCanvasType').value = 'image';
+  }
+
+  if (options.reference) {
+    const imagePath = path.resolve(process.cwd(), options.reference);
+    await page.context.setReference(await page.context.loadImageElement(imagePath), 'upload', path.basename(imagePath));
+  }
+}
+
+async function writeResultsCsv(page, job, results, csvPath) {
+  page.context.headlessJobConfig = job.config;
+  page.context.headlessResults = results;
+  const outputPath = csvPath
+    ? path.resolve(process.cwd(), csvPath)
+    : path.join(DEFAULT_CSV_DIR, page.evaluate('buildEvalCsvFileName(headlessJobConfig)'));
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, `${page.evaluate('buildEvalCsv(headlessResults)')}\n`, 'utf8');
+  return outputPath;
+}
+
+// Every worker only holds the rows it ran, so the summary comes from the job itself.
+async function fetchJob(baseUrl, jobId) {
+  const response = await fetch(new URL(`/api/evals/${encodeURIComponent(jobId)}`, baseUrl));
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok || !payload?.ok) {
+    throw new Error(payload?.message || `Eval job request failed (${response.status}).`);
+  }
+  return payload.job;
+}
+
+function printResults(results) {
+  for (const result of results) {
+    const outcome = result.finishedByAgent ? 'FINISHED' : 'STOPPED ';
+    const judgeText = result.judgeScore !== null && result.judgeScore !== undefined ? ` judge=${result.judgeScore}` : '';
+    const similarityText = result.similarityScore !== null && result.similarityScore !== undefined
+      ? ` similarity=${result.similarityScore}`
+      : '';
+    console.log(`${outcome}  ${result.model}  ${result.durationSec}s${similarityText}${judgeText}  ${result.logFile || '(not saved)'}`);
+    if (!result.finishedByAgent && result.finalReason) {
+      console.log(`          ${result.finalReason}`);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  let server = null;
+  let baseUrl = options.serverUrl;
+  if (!baseUrl) {
+    // Required lazily so `--server` runs do not load the server's env and routes.
+    const { server: appServer, startServer } = require('../server');
+    const port = await startServer(0);
+    server = appServer;
+    baseUrl = `http://127.0.0.1:${port}`;
+  }
+
+  let matrixStarted = false;
+  const workers = [];
+  for (let i = 0; i < options.workers; i += 1) {
+    const worker = {
+      label: options.workers > 1 ? `[w${i + 1}] ` : '',
+      lastEvalStatus: ''
+    };
+    worker.page = createHeadlessPage({
+      baseUrl,
+      onText(id, text) {
+        if (!matrixStarted) return;
+        if (id === 'evalStatus' && text && text !== worker.lastEvalStatus) {
+          worker.lastEvalStatus = text;
+          console.log(text.split('\n').map((line) => `${worker.label}${line}`).join('\n'));
+        } else if (id === 'aiStatus' && options.verbose && text) {
+          console.log(`${worker.label}  ${text}`);
+        }
+      }
+    });
+    await configurePage(worker.page, options);
+    workers.push(worker);
+  }
+
+  let stopRequests = 0;
+  process.on('SIGINT', () => {
+    stopRequests += 1;
+    if (stopRequests > 1) process.exit(130);
+    console.log('Stopping after the current runs save and pausing the job (Ctrl+C again to quit now)...');
+    for (const worker of workers) worker.page.evaluate('stopEvalMatrix()');
+  });
+
+  matrixStarted = true;
+  const jobId = options.resumeJobId || await workers[0].page.evaluate('createEvalJobFromUi()');
+  if (jobId) {
+    await Promise.all(workers.map((worker) => worker.page.evaluate(`resumeEvalJob(${JSON.stringify(jobId)})`)));
+  }
+
+  const job = jobId ? await fetchJob(baseUrl, jobId) : null;
+  const results = job
+    ? job.rows.filter((row) => row.status === 'done' && row.result).map((row) => row.result)
+    : [];
+  if (results.length > 0) {
+    console.log('');
+    printResults(results);
+    const csvFile = await writeResultsCsv(workers[0].page, job, results, options.csvPath);
+    console.log(`\nWrote CSV: ${csvFile}`);
+  }
+
+  // The page reports a bad configuration or an aborted matrix only through its status line.
+  const failed = results.length === 0
+    || workers.some((worker) => /^Eval: (failed|invalid|no combinations)/.test(worker.lastEvalStatus));
+  if (server) server.close();
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(error.message || String(error));
+  process.exit(1);
+});
@@ -0,0 +1,329 @@
+#!/usr/bin/env node
+
+const fs = require('fs/promises');
+const path = require('path');
+const { createCanvas, loadImage } = require('@napi-rs/canvas');
+const PaintEngine = require('../paint-engine');
+const { registerTextFont } = require('../text-font');
+
+const ROOT_DIR = path.resolve(__dirname, '..');
+const LOGS_DIR = process.env.LOGS_DIR ? path.resolve(process.env.LOGS_DIR) : path.join(ROOT_DIR, 'logs');
+const RUN_INDEX_PATH = path.join(LOGS_DIR, 'run_index.jsonl');
+const DEFAULT_HEATMAP_DIR = path.join(LOGS_DIR, 'reports', 'verify');
+
+function parseArgs(argv) {
+  const options = {
+    targets: [],
+    all: false,
+    tag: null,
+    limit: null,
+    tolerance: 0,
+    heatmapDir: DEFAULT_HEATMAP_DIR,
+    writeHeatmaps: true,
+    json: false
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg === '--all') {
+      options.all = true;
+      continue;
+    }
+
+    if (arg === '--tag') {
+      options.tag = argv[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--limit') {
+      const parsed = Number.parseInt(String(argv[i + 1] || ''), 10);
+      i += 1;
+      if (!Number.isFinite(parsed) || parsed <= 0) {
+        throw new Error('`--limit` must be a positive integer.');
+      }
+      options.limit = parsed;
+      continue;
+    }
+
+    if (arg === '--tolerance') {
+      const parsed = Number.parseInt(String(argv[i + 1] || ''), 10);
+      i += 1;
+      if (!Number.isFinite(parsed) || parsed < 0 || parsed > 255) {
+        throw new Error('`--tolerance` must be an integer between 0 and 255.');
+      }
+      options.tolerance = parsed;
+      continue;
+    }
+
+    if (arg === '--heatmap-dir') {
+      options.heatmapDir = argv[i + 1] || DEFAULT_HEATMAP_DIR;
+      i += 1;
+      continue;
+    }
+
+    if (arg === '--no-heatmap') {
+      options.writeHeatmaps = false;
+      continue;
+    }
+
+    if (arg === '--json') {
+      options.json = true;
+      continue;
+    }
+
+    if (arg === '--help' || arg === '-h') {
+      printHelp();
+      process.exit(0);
+    }
+
+    if (arg.startsWith('--')) {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+
+    options.targets.push(arg);
+  }
+
+  if (!options.all && options.targets.length === 0) {
+    throw new Error('Pass one or more run baseNames / log paths, or use `--all`.');
+  }
+
+  return options;
+}
+
+function printHelp() {
+  console.log('Usage: node scripts/verify-replay.js [baseName|log.json ...] [options]');
+  console.log('');
+  console.log('Replays each run log headlessly and diffs the result against its saved final PNG.');
+  console.log('');
+  console.log('Options:');
+  console.log('  --all                       Verify every run in run_index.jsonl that has a final image');
+  console.log('  --tag <value>               With --all, only runs with this evalTag');
+  console.log('  --limit <n>                 With --all, only the most recent n rows');
+  console.log('  --tolerance <0-255>         Per-channel difference allowed before a pixel counts as mismatched (default: 0)');
+  console.log('  --heatmap-dir <path>        Where diff heatmaps are written (default: logs/reports/verify)');
+  console.log('  --no-heatmap                Do not write diff heatmap PNGs');
+  console.log('  --json                      Print reports as JSON');
+  console.log('  --help                      Show this help');
+}
+
+async function readRunIndexRows() {
+  let raw = '';
+  try {
+    raw = await fs.readFile(RUN_INDEX_PATH, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return [];
+    }
+    throw error;
+  }
+
+  return raw
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (_error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function resolveLogPath(target) {
+  if (target.endsWith('.json') || target.includes('/') || target.includes('\\')) {
+    return path.isAbsolute(target) ? target : path.resolve(process.cwd(), target);
+  }
+  return path.join(LOGS_DIR, `${target}.json`);
+}
+
+async function collectLogPaths(options) {
+  const logPaths = options.targets.map(resolveLogPath);
+  if (!options.all) return logPaths;
+
+  let rows = await readRunIndexRows();
+  if (options.limit) {
+    rows = rows.slice(-options.limit);
+  }
+  if (options.tag) {
+    rows = rows.filter((row) => String(row.evalTag || '') === options.tag);
+  }
+
+  for (const row of rows) {
+    if (!row.logFile || !row.hasFinalImage) continue;
+    const logPath = path.join(ROOT_DIR, row.logFile);
+    if (!logPaths.includes(logPath)) logPaths.push(logPath);
+  }
+  return logPaths;
+}
+
+function createLayerSurface(width, height) {
+  const layerCanvas = createCanvas(width, height);
+  return { canvas: layerCanvas, ctx: layerCanvas.getContext('2d'), width, height };
+}
+
+async function loadImageDataFromFile(imagePath) {
+  const image = await loadImage(await fs.readFile(imagePath));
+  const imageCanvas = createCanvas(image.width, image.height);
+  const imageCtx = imageCanvas.getContext('2d');
+  imageCtx.drawImage(image, 0, 0);
+  return imageCtx.getImageData(0, 0, image.width, image.height);
+}
+
+async function writeHeatmap(report, outputPath) {
+  const heatmapCanvas = createCanvas(report.width, report.height);
+  const heatmapCtx = heatmapCanvas.getContext('2d');
+  const imageData = heatmapCtx.createImageData(report.width, report.height);
+  imageData.data.set(report.heatmap);
+  heatmapCtx.putImageData(imageData, 0, 0);
+
+  await fs.mkdir(path.dirname(outputPath), { recursive: true });
+  await fs.writeFile(outputPath, heatmapCanvas.toBuffer('image/png'));
+  return outputPath;
+}
+
+async function verifyLog(logPath, options) {
+  const log = JSON.parse(await fs.readFile(logPath, 'utf8'));
+  const baseName = log.storage?.baseName || path.basename(logPath, '.json');
+  const finalImageFile = log.storage?.finalImageFile;
+  if (!finalImageFile) {
+    throw new Error('log has no storage.finalImageFile');
+  }
+
+  const expected = await loadImageDataFromFile(path.join(ROOT_DIR, finalImageFile));
+  const { width, height } = PaintEngine.canvasSizeFromSettings(log.settings);
+  const surfaceCanvas = createCanvas(width, height);
+  const surface = {
+    ctx: surfaceCanvas.getContext('2d'),
+    width,
+    height
+  };
+  const startImageFile = log.storage?.startImageFile;
+  const startImage = startImageFile ? await loadImageDataFromFile(path.join(ROOT_DIR, startImageFile)) : null;
+  // Snapshot starts on a layer stack saved the other layers' pixels too.
+  let startLayerImages = null;
+  for (const [layerId, file] of Object.entries(log.storage?.startLayerFiles || {})) {
+    startLayerImages = startLayerImages || {};
+    startLayerImages[layerId] = await loadImageDataFromFile(path.join(ROOT_DIR, file));
+  }
+
+  const undoLimit = Number(log.settings?.undoMaxSnapshots);
+  const report = PaintEngine.verifyReplay(surface, log.actions, expected, {
+    tolerance: options.tolerance,
+    undoLimit: Number.isFinite(undoLimit) && undoLimit > 0 ? undoLimit : PaintEngine.DEFAULT_UNDO_LIMIT,
+    createSurface: createLayerSurface,
+    startCanvas: PaintEngine.startCanvasFromSettings(log.settings),
+    startImage,
+    startLayerImages
+  });
+
+  let heatmapFile = null;
+  if (options.writeHeatmaps && report.heatmap && !report.match) {
+    const outputDir = path.isAbsolute(options.heatmapDir)
+      ? options.heatmapDir
+      : path.resolve(process.cwd(), options.heatmapDir);
+    heatmapFile = await writeHeatmap(report, path.join(outputDir, `${baseName}_diff.png`));
+  }
+
+  return {
+    baseName,
+    logFile: path.relative(ROOT_DIR, logPath).replace(/\\/g, '/'),
+    finalImageFile,
+    match: report.match,
+    sizeMismatch: report.sizeMismatch,
+    actionCount: report.actionCount,
+    mismatchedPixels: report.mismatchedPixels,
+    totalPixels: report.totalPixels,
+    mismatchPct: report.mismatchPct,
+    maxChannelDelta: report.maxChannelDelta,
+    bbox: report.bbox,
+    firstDivergence: report.firstDivergence,
+    undoDesync: report.undoDesync,
+    heatmapFile
+  };
+}
+
+function formatFirstDivergence(firstDivergence) {
+  if (!firstDivergence) return 'n/a';
+  if (firstDivergence.actionIndex < 0) return 'starting canvas';
+  const atText = firstDivergence.atMs !== null ? ` @${(firstDivergence.atMs / 1000).toFixed(1)}s` : '';
+  return `#${firstDivergence.actionIndex + 1} ${firstDivergence.kind}${atText}`;
+}
+
+function formatUndoDesync(undoDesync) {
+  return `#${undoDesync.actionIndex + 1} ${undoDesync.kind} (logged depth ${undoDesync.loggedDepth}, replay depth ${undoDesync.replayDepth})`;
+}
+
+function printReport(result) {
+  if (result.error) {
+    console.log(`ERROR     ${result.logFile}: ${result.error}`);
+    return;
+  }
+
+  if (result.undoDesync) {
+    console.log(`WARN      ${result.baseName}: undo stack diverges at ${formatUndoDesync(result.undoDesync)}`);
+  }
+
+  if (result.match) {
+    console.log(`MATCH     ${result.baseName} (${result.actionCount} actions)`);
+    return;
+  }
+
+  if (result.sizeMismatch) {
+    console.log(`MISMATCH  ${result.baseName}: final image size differs from replay canvas`);
+    return;
+  }
+
+  console.log([
+    `MISMATCH  ${result.baseName}:`,
+    `${result.mismatchPct.toFixed(3)}% (${result.mismatchedPixels}/${result.totalPixels} px)`,
+    `maxDelta=${result.maxChannelDelta}`,
+    `firstDivergence=${formatFirstDivergence(result.firstDivergence)}`
+  ].join(' '));
+  if (result.heatmapFile) {
+    console.log(`          heatmap: ${result.heatmapFile}`);
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const logPaths = await collectLogPaths(options);
+  registerTextFont();
+  if (logPaths.length === 0) {
+    console.log('No run logs matched.');
+    return;
+  }
+
+  const results = [];
+  for (const logPath of logPaths) {
+    try {
+      results.push(await verifyLog(logPath, options));
+    } catch (error) {
+      results.push({
+        logFile: path.relative(ROOT_DIR, logPath).replace(/\\/g, '/'),
+        error: error.message || String(error)
+      });
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+  } else {
+    for (const result of results) {
+      printReport(result);
+    }
+    const matches = results.filter((result) => result.match).length;
+    console.log(`\nVerified ${results.length} run(s): ${matches} match, ${results.length - matches} mismatch/error.`);
+  }
+
+  if (results.some((result) => !result.match)) {
+    process.exitCode = 1;
+  }
+}
+
+main().catch((error) => {
+  console.error(error.message || String(error));
+  process.exit(1);
+});
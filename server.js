@@ -4,6 +4,11 @@ const fs = require('fs/promises');
 const cors = require('cors');
 const http = require('http');
 const { WebSocketServer, WebSocket } = require('ws');
+const PaintEngine = require('./paint-engine');
+const Ratings = require('./ratings');
+const EvalJobs = require('./eval-jobs');
+const Providers = require('./providers');
+const TextFont = require('./text-font');
 require('dotenv').config();
 
 const app = express();
@@ -11,14 +16,35 @@ const PORT = process.env.PORT || 3000;
 
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const DEFAULT_RESPONSES_MODEL = process.env.OPENAI_RESPONSES_MODEL || 'gpt-5.2';
-const LOGS_DIR = path.join(__dirname, 'logs');
+const DEFAULT_JUDGE_MODEL = process.env.OPENAI_JUDGE_MODEL || DEFAULT_RESPONSES_MODEL;
+// When set, every run talks to this mock script instead of a real provider (offline/CI runs).
+const MOCK_UPSTREAM_SCRIPT = String(process.env.MOCK_UPSTREAM || '').trim() || null;
+const MOCK_SCRIPTS_DIR = process.env.MOCK_SCRIPTS_DIR ? path.resolve(process.env.MOCK_SCRIPTS_DIR) : null;
+const JUDGE_TIMEOUT_MS = 60_000;
+// Where run logs, images, votes and eval jobs live; tests point this at a temporary directory.
+const LOGS_DIR = process.env.LOGS_DIR ? path.resolve(process.env.LOGS_DIR) : path.join(__dirname, 'logs');
 const IMAGES_DIR = path.join(LOGS_DIR, 'images');
 const RUN_INDEX_PATH = path.join(LOGS_DIR, 'run_index.jsonl');
+const VOTES_PATH = path.join(LOGS_DIR, 'votes.jsonl');
+const EVALS_DIR = path.join(LOGS_DIR, 'evals');
 const MAX_INDEX_ROWS = 200;
 const MAX_SCREENSHOTS_TO_SAVE = 80;
+// Layer ids go into start artifact file names.
+const START_LAYER_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+// Each criterion is scored 1-10; the overall score is their mean, computed here rather than by the judge.
+const JUDGE_RUBRIC_VERSION = 1;
+const JUDGE_CRITERIA = [
+  { key: 'promptAdherence', label: 'Prompt adherence', description: 'How clearly the painting depicts what the prompt asks for.' },
+  { key: 'composition', label: 'Composition', description: 'Layout, balance, framing and use of the whole canvas.' },
+  { key: 'craft', label: 'Craft', description: 'Execution: clean shapes, color harmony, shading, detail and finish.' }
+];
 
 app.use(cors());
 app.use(express.json({ limit: '35mb' }));
+for (const fontDir of TextFont.TEXT_FONT_DIRS) {
+  app.use('/fonts', express.static(fontDir));
+}
 app.use(express.static(path.join(__dirname, '.')));
 
 function toPosixRelative(absolutePath) {
@@ -56,6 +82,10 @@ async function fileExists(absolutePath) {
   }
 }
 
+// Names handed out to saves whose log file is not written yet, so parallel eval workers
+// finishing in the same second do not overwrite each other's artifacts.
+const reservedArtifactBaseNames = new Set();
+
 async function allocateArtifactBaseName(model, timestamp) {
   const modelPart = sanitizeFilenameSegment(model, 'model');
   const stampPart = sanitizeFilenameSegment(timestamp, formatTimestampForFilename(new Date()));
@@ -65,13 +95,21 @@ async function allocateArtifactBaseName(model, timestamp) {
   while (true) {
     const baseName = suffix > 0 ? `${baseCore}_${suffix}` : baseCore;
     const logPath = path.join(LOGS_DIR, `${baseName}.json`);
-    if (!(await fileExists(logPath))) {
+    if (!(await fileExists(logPath)) && !reservedArtifactBaseNames.has(baseName)) {
+      reservedArtifactBaseNames.add(baseName);
       return baseName;
     }
     suffix += 1;
   }
 }
 
+function isSafeArtifactBaseName(value) {
+  const raw = String(value || '');
+  if (!/^[a-zA-Z0-9._-]{1,200}$/.test(raw)) return false;
+  if (sanitizeFilenameSegment(raw, '') !== raw) return false;
+  return path.dirname(path.join(LOGS_DIR, `${raw}.json`)) === LOGS_DIR;
+}
+
 function parseImageDataUrl(dataUrl) {
   const match = /^data:(image\/[a-zA-Z0-9.+-]+);base64,([A-Za-z0-9+/=]+)$/.exec(String(dataUrl || ''));
   if (!match) {
@@ -91,12 +129,284 @@ function imageExtForMimeType(mimeType) {
   return 'bin';
 }
 
+function finiteOrNull(value) {
+  return value !== null && value !== undefined && Number.isFinite(Number(value)) ? Number(value) : null;
+}
+
+async function readJsonlFile(filePath) {
+  let raw = '';
+  try {
+    raw = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return raw
+    .split('\n')
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (_error) {
+        return null;
+      }
+    })
+    .filter(Boolean);
+}
+
+function parseRatingGroupBy(rawValue) {
+  const fields = String(rawValue || '')
+    .split(',')
+    .map((value) => value.trim())
+    .filter(Boolean);
+  if (fields.length === 0) return [...Ratings.DEFAULT_RATING_GROUP_BY];
+  for (const field of fields) {
+    if (!Ratings.RATING_GROUP_FIELDS.includes(field)) {
+      throw new Error(`Unsupported rating group field: ${field}`);
+    }
+  }
+  return fields;
+}
+
+// Serializes writes to run_index.jsonl so a row rewrite never drops a row appended meanwhile.
+let runIndexWriteChain = Promise.resolve();
+
+function withRunIndexLock(task) {
+  const next = runIndexWriteChain.then(task, task);
+  runIndexWriteChain = next.catch(() => {});
+  return next;
+}
+
+// Same idea per eval job: every change is read-modify-write of logs/evals/<id>.json.
+const evalJobWriteChains = new Map();
+
+function withEvalJobLock(jobId, task) {
+  const next = (evalJobWriteChains.get(jobId) || Promise.resolve()).then(task, task);
+  const settled = next.catch(() => {});
+  evalJobWriteChains.set(jobId, settled);
+  settled.then(() => {
+    if (evalJobWriteChains.get(jobId) === settled) evalJobWriteChains.delete(jobId);
+  });
+  return next;
+}
+
+function evalJobPath(jobId) {
+  return path.join(EVALS_DIR, `${jobId}.json`);
+}
+
+async function readEvalJob(jobId) {
+  try {
+    return JSON.parse(await fs.readFile(evalJobPath(jobId), 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new EvalJobs.EvalJobError(`Eval job not found: ${jobId}`, 404);
+    }
+    throw error;
+  }
+}
+
+// Written to a temp file and renamed, so a crash mid-write never leaves a truncated job.
+async function writeEvalJob(job) {
+  await fs.mkdir(EVALS_DIR, { recursive: true });
+  const tempPath = `${evalJobPath(job.id)}.tmp`;
+  await fs.writeFile(tempPath, JSON.stringify(job, null, 2), 'utf8');
+  await fs.rename(tempPath, evalJobPath(job.id));
+}
+
+function updateEvalJob(jobId, mutate) {
+  return withEvalJobLock(jobId, async () => {
+    const job = await readEvalJob(jobId);
+    const result = mutate(job);
+    await writeEvalJob(job);
+    return { job, result };
+  });
+}
+
+function sendEvalJobError(res, error, fallbackMessage) {
+  res.status(error instanceof EvalJobs.EvalJobError ? error.status : 500).json({
+    ok: false,
+    message: error.message || fallbackMessage
+  });
+}
+
+function updateRunIndexRow(baseName, patch) {
+  return withRunIndexLock(async () => {
+    const raw = await fs.readFile(RUN_INDEX_PATH, 'utf8');
+    let updated = false;
+    const lines = raw.split('\n').map((line) => {
+      if (!line.trim()) return line;
+      try {
+        const row = JSON.parse(line);
+        if (row.baseName !== baseName) return line;
+        updated = true;
+        return JSON.stringify({ ...row, ...patch });
+      } catch (_error) {
+        return line;
+      }
+    });
+    if (!updated) return false;
+
+    const tempPath = `${RUN_INDEX_PATH}.tmp`;
+    await fs.writeFile(tempPath, lines.join('\n'), 'utf8');
+    await fs.rename(tempPath, RUN_INDEX_PATH);
+    return true;
+  });
+}
+
+async function readImageFileAsDataUrl(relativeFile) {
+  const absolutePath = path.join(__dirname, relativeFile);
+  if (path.relative(LOGS_DIR, absolutePath).startsWith('..')) {
+    throw new Error(`Image is outside the logs directory: ${relativeFile}`);
+  }
+  const ext = path.extname(absolutePath).slice(1).toLowerCase();
+  const mimeType = ext === 'jpg' ? 'image/jpeg' : `image/${ext}`;
+  return `data:${mimeType};base64,${(await fs.readFile(absolutePath)).toString('base64')}`;
+}
+
+function buildJudgeInstructions() {
+  return [
+    'You are an art critic judging a painting made by an AI agent with simple vector and brush tools.',
+    'Score each criterion from 1 (very poor) to 10 (excellent) as an integer:',
+    ...JUDGE_CRITERIA.map((criterion) => `- ${criterion.key}: ${criterion.description}`),
+    'Judge only what is visible in the final image. Use the full range: a blank or barely started canvas scores 1-2.',
+    'Give a rationale of at most three sentences.'
+  ].join('\n');
+}
+
+function buildJudgeSchema() {
+  const properties = {};
+  for (const criterion of JUDGE_CRITERIA) {
+    properties[criterion.key] = { type: 'integer', minimum: 1, maximum: 10 };
+  }
+  properties.rationale = { type: 'string' };
+  return {
+    type: 'object',
+    properties,
+    required: Object.keys(properties),
+    additionalProperties: false
+  };
+}
+
+function extractResponseOutputText(response) {
+  for (const item of Array.isArray(response?.output) ? response.output : []) {
+    if (item?.type !== 'message') continue;
+    for (const part of Array.isArray(item.content) ? item.content : []) {
+      if (part?.type === 'refusal') {
+        throw new Error(`Judge refused: ${part.refusal || 'no reason given'}`);
+      }
+      if (part?.type === 'output_text' && typeof part.text === 'string') {
+        return part.text;
+      }
+    }
+  }
+  throw new Error('Judge response has no output text.');
+}
+
+async function requestJudgeScores({ model, prompt, taskMode, finalImageDataUrl, referenceImageDataUrl }) {
+  const content = [
+    { type: 'input_text', text: `Prompt given to the painter: "${prompt}"` }
+  ];
+  if (referenceImageDataUrl) {
+    const referenceNote = taskMode === 'copy'
+      ? 'The painter was asked to reproduce this reference image; judge prompt adherence as fidelity to it:'
+      : 'Reference image the painter was shown:';
+    content.push(
+      { type: 'input_text', text: referenceNote },
+      { type: 'input_image', image_url: referenceImageDataUrl }
+    );
+  }
+  content.push(
+    { type: 'input_text', text: 'Final painting:' },
+    { type: 'input_image', image_url: finalImageDataUrl }
+  );
+
+  const response = await fetch('https://api.openai.com/v1/responses', {
+    method: 'POST',
+    headers: {
+      Authorization: `Bearer ${OPENAI_API_KEY}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify({
+      model,
+      store: false,
+      instructions: buildJudgeInstructions(),
+      input: [{ role: 'user', content }],
+      text: {
+        format: {
+          type: 'json_schema',
+          name: 'painting_judgement',
+          strict: true,
+          schema: buildJudgeSchema()
+        }
+      }
+    }),
+    signal: AbortSignal.timeout(JUDGE_TIMEOUT_MS)
+  });
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(payload?.error?.message || `Judge request failed (${response.status}).`);
+  }
+
+  const parsed = JSON.parse(extractResponseOutputText(payload));
+  const scores = {};
+  for (const criterion of JUDGE_CRITERIA) {
+    const value = Number(parsed[criterion.key]);
+    if (!Number.isFinite(value)) {
+      throw new Error(`Judge response is missing ${criterion.key}.`);
+    }
+    scores[criterion.key] = Math.min(10, Math.max(1, Math.round(value)));
+  }
+  const total = JUDGE_CRITERIA.reduce((sum, criterion) => sum + scores[criterion.key], 0);
+
+  return {
+    model,
+    rubricVersion: JUDGE_RUBRIC_VERSION,
+    judgedAt: new Date().toISOString(),
+    scores,
+    overall: Math.round((total / JUDGE_CRITERIA.length) * 100) / 100,
+    rationale: typeof parsed.rationale === 'string' ? parsed.rationale : ''
+  };
+}
+
+function judgeIndexFields(judge) {
+  return {
+    judgeModel: judge?.model || null,
+    judgeScore: finiteOrNull(judge?.overall),
+    judgePromptAdherence: finiteOrNull(judge?.scores?.promptAdherence),
+    judgeComposition: finiteOrNull(judge?.scores?.composition),
+    judgeCraft: finiteOrNull(judge?.scores?.craft)
+  };
+}
+
+async function writeImageArtifact(dataUrl, baseName, suffix) {
+  const parsed = parseImageDataUrl(dataUrl);
+  const ext = imageExtForMimeType(parsed.mimeType);
+  const imagePath = path.join(IMAGES_DIR, `${baseName}_${suffix}.${ext}`);
+  await fs.writeFile(imagePath, parsed.buffer);
+  return toPosixRelative(imagePath);
+}
+
+// With MOCK_UPSTREAM set, every non-mock model is answered by that mock script, so runs are saved
+// under `mock:<script>` and never mix into the real model's stats.
+function answeringModel(model) {
+  if (!MOCK_UPSTREAM_SCRIPT || Providers.parseModelId(model).provider === Providers.MOCK_PROVIDER) {
+    return model;
+  }
+  return `${Providers.MOCK_PROVIDER}:${MOCK_UPSTREAM_SCRIPT}`;
+}
+
 app.get('/api/health', (_req, res) => {
   res.json({
     ok: true,
     mode: 'responses-websocket-proxy',
     defaultModel: DEFAULT_RESPONSES_MODEL,
-    hasApiKey: Boolean(OPENAI_API_KEY)
+    defaultJudgeModel: DEFAULT_JUDGE_MODEL,
+    hasApiKey: Boolean(OPENAI_API_KEY),
+    mockUpstream: MOCK_UPSTREAM_SCRIPT,
+    providers: Providers.listProviders(Boolean(OPENAI_API_KEY))
   });
 });
 
@@ -141,36 +451,112 @@ app.get('/api/runs/index', async (req, res) => {
   }
 });
 
+app.get('/api/runs/log/:baseName', async (req, res) => {
+  const baseName = String(req.params.baseName || '');
+  if (!isSafeArtifactBaseName(baseName)) {
+    res.status(400).json({ ok: false, message: 'Invalid run baseName.' });
+    return;
+  }
+
+  try {
+    let raw = '';
+    try {
+      raw = await fs.readFile(path.join(LOGS_DIR, `${baseName}.json`), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        res.status(404).json({ ok: false, message: `Run log not found: ${baseName}` });
+        return;
+      }
+      throw error;
+    }
+
+    let log;
+    try {
+      log = JSON.parse(raw);
+    } catch (_error) {
+      res.status(422).json({ ok: false, message: `Run log is not valid JSON: ${baseName}` });
+      return;
+    }
+
+    res.json({ ok: true, baseName, log });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: error.message || 'Failed to read run log.'
+    });
+  }
+});
+
 app.post('/api/runs/save', async (req, res) => {
-  const { log, finalImageDataUrl, screenshots } = req.body || {};
+  const {
+    log,
+    finalImageDataUrl,
+    startImageDataUrl,
+    startLayerImages,
+    referenceImageDataUrl,
+    screenshots
+  } = req.body || {};
   if (!log || typeof log !== 'object') {
     res.status(400).json({ ok: false, message: 'Missing `log` object.' });
     return;
   }
 
+  let baseName = null;
   try {
     await fs.mkdir(LOGS_DIR, { recursive: true });
     await fs.mkdir(IMAGES_DIR, { recursive: true });
 
-    const model = String(log.model || DEFAULT_RESPONSES_MODEL || 'model');
+    const requestedModel = String(log.model || DEFAULT_RESPONSES_MODEL || 'model');
+    const model = answeringModel(requestedModel);
     const timestamp = formatTimestampForFilename(log.endedAt || log.startedAt || new Date());
-    const baseName = await allocateArtifactBaseName(model, timestamp);
+    baseName = await allocateArtifactBaseName(model, timestamp);
     const savedAt = new Date().toISOString();
     const warnings = [];
 
     let finalImageFile = null;
     if (typeof finalImageDataUrl === 'string' && finalImageDataUrl.startsWith('data:image/')) {
       try {
-        const parsed = parseImageDataUrl(finalImageDataUrl);
-        const ext = imageExtForMimeType(parsed.mimeType);
-        const finalPath = path.join(IMAGES_DIR, `${baseName}_final.${ext}`);
-        await fs.writeFile(finalPath, parsed.buffer);
-        finalImageFile = toPosixRelative(finalPath);
+        finalImageFile = await writeImageArtifact(finalImageDataUrl, baseName, 'final');
       } catch (error) {
         warnings.push(`Final image save failed: ${error.message}`);
       }
     }
 
+    // Image starts replay from this file, so it is saved at canvas size as PNG.
+    let startImageFile = null;
+    if (typeof startImageDataUrl === 'string' && startImageDataUrl.startsWith('data:image/')) {
+      try {
+        startImageFile = await writeImageArtifact(startImageDataUrl, baseName, 'start');
+      } catch (error) {
+        warnings.push(`Start image save failed: ${error.message}`);
+      }
+    }
+
+    // Snapshot starts on a layer stack also keep each non-base layer's pixels.
+    const startLayerFiles = {};
+    const startLayerItems = Array.isArray(startLayerImages) ? startLayerImages.slice(0, PaintEngine.MAX_LAYERS) : [];
+    for (const item of startLayerItems) {
+      const layerId = String(item?.layerId ?? '');
+      if (!START_LAYER_ID_PATTERN.test(layerId) || typeof item.imageDataUrl !== 'string' || !item.imageDataUrl.startsWith('data:image/')) {
+        warnings.push(`Start layer ${layerId.slice(0, 40) || '?'} skipped: invalid layer id or image.`);
+        continue;
+      }
+      try {
+        startLayerFiles[layerId] = await writeImageArtifact(item.imageDataUrl, baseName, `start_${layerId}`);
+      } catch (error) {
+        warnings.push(`Start layer ${layerId} save failed: ${error.message}`);
+      }
+    }
+
+    let referenceImageFile = null;
+    if (typeof referenceImageDataUrl === 'string' && referenceImageDataUrl.startsWith('data:image/')) {
+      try {
+        referenceImageFile = await writeImageArtifact(referenceImageDataUrl, baseName, 'reference');
+      } catch (error) {
+        warnings.push(`Reference image save failed: ${error.message}`);
+      }
+    }
+
     const screenshotItems = Array.isArray(screenshots) ? screenshots : [];
     const screenshotLimit = screenshotItems.slice(0, MAX_SCREENSHOTS_TO_SAVE);
     if (screenshotItems.length > screenshotLimit.length) {
@@ -207,6 +593,9 @@ app.post('/api/runs/save', async (req, res) => {
       baseName,
       logFile: toPosixRelative(path.join(LOGS_DIR, `${baseName}.json`)),
       finalImageFile,
+      startImageFile,
+      startLayerFiles: Object.keys(startLayerFiles).length > 0 ? startLayerFiles : null,
+      referenceImageFile,
       screenshotFiles,
       indexFile: toPosixRelative(RUN_INDEX_PATH),
       warnings
@@ -214,6 +603,8 @@ app.post('/api/runs/save', async (req, res) => {
 
     const logToPersist = {
       ...log,
+      model,
+      ...(model !== requestedModel ? { requestedModel } : {}),
       storage
     };
 
@@ -226,15 +617,36 @@ app.post('/api/runs/save', async (req, res) => {
     const evalMeta = settings.eval && typeof settings.eval === 'object'
       ? settings.eval
       : {};
+    const imageMetrics = log.imageMetrics && typeof log.imageMetrics === 'object'
+      ? log.imageMetrics
+      : {};
 
     const indexRow = {
       savedAt,
+      baseName,
       runId: log.runId || null,
       model,
+      provider: Providers.parseModelId(model).provider,
       prompt: typeof log.prompt === 'string' ? log.prompt : null,
       maxRunSeconds: Number.isFinite(Number(log.maxRunSeconds)) ? Number(log.maxRunSeconds) : null,
       allowClearTool: typeof settings.allowClearTool === 'boolean' ? settings.allowClearTool : null,
       gridForScreenshots: typeof settings.gridForScreenshots === 'boolean' ? settings.gridForScreenshots : null,
+      // Runs logged before per-run sizes have no size in their settings and were 800x600.
+      canvasSize: PaintEngine.formatCanvasSize(PaintEngine.canvasSizeFromSettings(settings)),
+      startCanvas: PaintEngine.startCanvasFromSettings(settings).type,
+      hasReference: Boolean(settings.reference),
+      taskMode: settings.taskMode === 'copy' ? 'copy' : 'paint',
+      similarityScore: Number.isFinite(Number(log.similarity?.score)) ? Number(log.similarity.score) : null,
+      pixelSimilarity: Number.isFinite(Number(log.similarity?.pixel)) ? Number(log.similarity.pixel) : null,
+      ssimSimilarity: Number.isFinite(Number(log.similarity?.ssim)) ? Number(log.similarity.ssim) : null,
+      coverage: finiteOrNull(imageMetrics.coverage),
+      colorCount: finiteOrNull(imageMetrics.colorCount),
+      palette: Array.isArray(imageMetrics.palette) ? imageMetrics.palette.map((entry) => entry?.color).filter(Boolean) : [],
+      edgeDensity: finiteOrNull(imageMetrics.edgeDensity),
+      contrast: finiteOrNull(imageMetrics.contrast),
+      entropy: finiteOrNull(imageMetrics.entropy),
+      changedAfterLastScreenshot: finiteOrNull(imageMetrics.changedAfterLastScreenshot),
+      ...judgeIndexFields(log.judge),
       evalTag: typeof evalMeta.tag === 'string' ? evalMeta.tag : null,
       evalMatrixId: typeof evalMeta.matrixId === 'string' ? evalMeta.matrixId : null,
       evalRow: Number.isFinite(Number(evalMeta.row)) ? Number(evalMeta.row) : null,
@@ -252,7 +664,7 @@ app.post('/api/runs/save', async (req, res) => {
       finalImageFile
     };
 
-    await fs.appendFile(RUN_INDEX_PATH, `${JSON.stringify(indexRow)}\n`, 'utf8');
+    await withRunIndexLock(() => fs.appendFile(RUN_INDEX_PATH, `${JSON.stringify(indexRow)}\n`, 'utf8'));
 
     res.json({
       ok: true,
@@ -263,6 +675,291 @@ app.post('/api/runs/save', async (req, res) => {
       ok: false,
       message: error.message || 'Failed to save run artifacts.'
     });
+  } finally {
+    // Once the log file exists, fileExists() keeps the name taken.
+    reservedArtifactBaseNames.delete(baseName);
+  }
+});
+
+app.get('/api/votes', async (_req, res) => {
+  try {
+    res.json({ ok: true, votes: await readJsonlFile(VOTES_PATH) });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: error.message || 'Failed to read votes.'
+    });
+  }
+});
+
+// Records one A/B/tie preference between two saved runs. Each side keeps a copy of its
+// index row's settings, so ratings can be grouped by them later.
+app.post('/api/votes', async (req, res) => {
+  const { a, b, winner, voter } = req.body || {};
+  if (!isSafeArtifactBaseName(a) || !isSafeArtifactBaseName(b) || a === b) {
+    res.status(400).json({ ok: false, message: 'Votes need two different run baseNames `a` and `b`.' });
+    return;
+  }
+  if (!Ratings.VOTE_WINNERS.includes(winner)) {
+    res.status(400).json({ ok: false, message: `\`winner\` must be one of: ${Ratings.VOTE_WINNERS.join(', ')}.` });
+    return;
+  }
+
+  try {
+    const rows = await readJsonlFile(RUN_INDEX_PATH);
+    const rowA = rows.find((row) => row.baseName === a);
+    const rowB = rows.find((row) => row.baseName === b);
+    if (!rowA || !rowB) {
+      res.status(404).json({ ok: false, message: `Run not found in index: ${rowA ? b : a}` });
+      return;
+    }
+    if (typeof rowA.prompt !== 'string' || rowA.prompt !== rowB.prompt) {
+      res.status(400).json({ ok: false, message: 'Votes compare two runs of the same prompt.' });
+      return;
+    }
+
+    const vote = {
+      votedAt: new Date().toISOString(),
+      prompt: rowA.prompt,
+      winner,
+      voter: typeof voter === 'string' && voter.trim() ? voter.trim().slice(0, 80) : null,
+      a: Ratings.pickVoteSide(rowA),
+      b: Ratings.pickVoteSide(rowB)
+    };
+
+    await fs.mkdir(LOGS_DIR, { recursive: true });
+    await fs.appendFile(VOTES_PATH, `${JSON.stringify(vote)}\n`, 'utf8');
+    res.json({ ok: true, vote });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: error.message || 'Failed to record vote.'
+    });
+  }
+});
+
+app.get('/api/votes/ratings', async (req, res) => {
+  let groupBy;
+  try {
+    groupBy = parseRatingGroupBy(req.query.groupBy);
+  } catch (error) {
+    res.status(400).json({ ok: false, message: error.message });
+    return;
+  }
+
+  try {
+    const votes = await readJsonlFile(VOTES_PATH);
+    res.json({ ok: true, ...Ratings.computeRatings(votes, groupBy) });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: error.message || 'Failed to compute ratings.'
+    });
+  }
+});
+
+// Scores a saved run's final image with the judge model and writes the result into its log and index row.
+app.post('/api/runs/judge', async (req, res) => {
+  const baseName = String(req.body?.baseName || '');
+  if (!isSafeArtifactBaseName(baseName)) {
+    res.status(400).json({ ok: false, message: 'Invalid run baseName.' });
+    return;
+  }
+  if (!OPENAI_API_KEY) {
+    res.status(503).json({ ok: false, message: 'Server is missing OPENAI_API_KEY.' });
+    return;
+  }
+
+  const logPath = path.join(LOGS_DIR, `${baseName}.json`);
+  let log;
+  try {
+    log = JSON.parse(await fs.readFile(logPath, 'utf8'));
+  } catch (error) {
+    const status = error.code === 'ENOENT' ? 404 : 422;
+    res.status(status).json({ ok: false, message: `Run log could not be read: ${baseName}` });
+    return;
+  }
+
+  const finalImageFile = log.storage?.finalImageFile;
+  if (!finalImageFile) {
+    res.status(422).json({ ok: false, message: `Run has no final image: ${baseName}` });
+    return;
+  }
+
+  const model = String(req.body?.model || '').trim() || DEFAULT_JUDGE_MODEL;
+  let judge;
+  try {
+    const referenceImageFile = log.storage?.referenceImageFile;
+    judge = await requestJudgeScores({
+      model,
+      prompt: typeof log.prompt === 'string' ? log.prompt : '',
+      taskMode: log.settings?.taskMode === 'copy' ? 'copy' : 'paint',
+      finalImageDataUrl: await readImageFileAsDataUrl(finalImageFile),
+      referenceImageDataUrl: referenceImageFile ? await readImageFileAsDataUrl(referenceImageFile) : null
+    });
+  } catch (error) {
+    res.status(502).json({ ok: false, message: error.message || 'Judge request failed.' });
+    return;
+  }
+
+  try {
+    // Re-read so a judge call never overwrites changes made to the log while it was pending.
+    const latestLog = JSON.parse(await fs.readFile(logPath, 'utf8'));
+    await fs.writeFile(logPath, JSON.stringify({ ...latestLog, judge }, null, 2), 'utf8');
+    const indexUpdated = await updateRunIndexRow(baseName, judgeIndexFields(judge));
+    res.json({ ok: true, baseName, judge, indexUpdated });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: error.message || 'Failed to store judge scores.'
+    });
+  }
+});
+
+app.get('/api/evals', async (_req, res) => {
+  try {
+    let fileNames = [];
+    try {
+      fileNames = await fs.readdir(EVALS_DIR);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+
+    const jobs = [];
+    for (const fileName of fileNames) {
+      if (!fileName.endsWith('.json')) continue;
+      try {
+        jobs.push(EvalJobs.summarizeEvalJob(JSON.parse(await fs.readFile(path.join(EVALS_DIR, fileName), 'utf8'))));
+      } catch (_error) {
+        // Skip unreadable job files rather than failing the whole list.
+      }
+    }
+    jobs.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+    res.json({ ok: true, jobs });
+  } catch (error) {
+    res.status(500).json({
+      ok: false,
+      message: error.message || 'Failed to list eval jobs.'
+    });
+  }
+});
+
+app.post('/api/evals', async (req, res) => {
+  let job;
+  try {
+    job = EvalJobs.createEvalJob(req.body || {});
+  } catch (error) {
+    sendEvalJobError(res, error, 'Invalid eval job.');
+    return;
+  }
+
+  try {
+    await withEvalJobLock(job.id, async () => {
+      const exists = await fs.access(evalJobPath(job.id)).then(() => true, () => false);
+      if (exists) {
+        throw new EvalJobs.EvalJobError(`Eval job already exists: ${job.id}`, 409);
+      }
+      await writeEvalJob(job);
+    });
+    res.status(201).json({ ok: true, job: EvalJobs.summarizeEvalJob(job) });
+  } catch (error) {
+    sendEvalJobError(res, error, 'Failed to create eval job.');
+  }
+});
+
+// Every route below takes the job id from the path.
+app.use('/api/evals/:jobId', (req, res, next) => {
+  if (!EvalJobs.isValidEvalJobId(req.params.jobId)) {
+    res.status(400).json({ ok: false, message: 'Invalid eval job id.' });
+    return;
+  }
+  next();
+});
+
+app.get('/api/evals/:jobId', async (req, res) => {
+  try {
+    res.json({ ok: true, job: await readEvalJob(req.params.jobId) });
+  } catch (error) {
+    sendEvalJobError(res, error, 'Failed to read eval job.');
+  }
+});
+
+// Claims name the worker; row updates must come from the worker holding the row or get a 409.
+function readEvalWorkerId(req) {
+  return typeof req.body?.workerId === 'string' ? req.body.workerId.trim().slice(0, 80) : '';
+}
+
+app.post('/api/evals/:jobId/claim', async (req, res) => {
+  const workerId = readEvalWorkerId(req);
+  if (!workerId) {
+    res.status(400).json({ ok: false, message: '`workerId` is required.' });
+    return;
+  }
+
+  try {
+    const { job, result: row } = await updateEvalJob(req.params.jobId, (job) => EvalJobs.claimEvalRow(job, workerId));
+    res.json({ ok: true, row, job: EvalJobs.summarizeEvalJob(job) });
+  } catch (error) {
+    sendEvalJobError(res, error, 'Failed to claim an eval row.');
+  }
+});
+
+// Workers call this while a row runs, with their latest rate limits; the reply carries the job
+// status so they notice a cancel.
+app.post('/api/evals/:jobId/rows/:row/heartbeat', async (req, res) => {
+  try {
+    const { job, result: row } = await updateEvalJob(req.params.jobId, (job) => EvalJobs.renewEvalRowLease(job, req.params.row, {
+      workerId: readEvalWorkerId(req),
+      rateLimits: req.body?.rateLimits
+    }));
+    res.json({ ok: true, leaseExpiresAt: row.leaseExpiresAt, job: EvalJobs.summarizeEvalJob(job) });
+  } catch (error) {
+    sendEvalJobError(res, error, 'Failed to renew the eval row lease.');
+  }
+});
+
+app.post('/api/evals/:jobId/rows/:row/complete', async (req, res) => {
+  try {
+    const { job } = await updateEvalJob(req.params.jobId, (job) => EvalJobs.completeEvalRow(job, req.params.row, {
+      workerId: readEvalWorkerId(req),
+      result: req.body?.result,
+      rateLimits: req.body?.rateLimits
+    }));
+    res.json({ ok: true, job: EvalJobs.summarizeEvalJob(job) });
+  } catch (error) {
+    sendEvalJobError(res, error, 'Failed to complete the eval row.');
+  }
+});
+
+app.post('/api/evals/:jobId/rows/:row/fail', async (req, res) => {
+  try {
+    const { job, result: row } = await updateEvalJob(req.params.jobId, (job) => EvalJobs.failEvalRow(job, req.params.row, {
+      workerId: readEvalWorkerId(req),
+      error: req.body?.error
+    }));
+    res.json({ ok: true, row, job: EvalJobs.summarizeEvalJob(job) });
+  } catch (error) {
+    sendEvalJobError(res, error, 'Failed to record the eval row failure.');
+  }
+});
+
+app.post('/api/evals/:jobId/rows/:row/release', async (req, res) => {
+  try {
+    const { job } = await updateEvalJob(req.params.jobId, (job) => EvalJobs.releaseEvalRow(job, req.params.row, {
+      workerId: readEvalWorkerId(req)
+    }));
+    res.json({ ok: true, job: EvalJobs.summarizeEvalJob(job) });
+  } catch (error) {
+    sendEvalJobError(res, error, 'Failed to release the eval row.');
+  }
+});
+
+app.post('/api/evals/:jobId/:action', async (req, res) => {
+  try {
+    const { job } = await updateEvalJob(req.params.jobId, (job) => EvalJobs.applyEvalJobAction(job, req.params.action));
+    res.json({ ok: true, job: EvalJobs.summarizeEvalJob(job) });
+  } catch (error) {
+    sendEvalJobError(res, error, 'Failed to update the eval job.');
   }
 });
 
@@ -277,21 +974,41 @@ const browserWss = new WebSocketServer({
   path: '/ws/responses'
 });
 
-browserWss.on('connection', (browserSocket) => {
+function sendProxyErrorAndClose(browserSocket, message, code) {
+  if (browserSocket.readyState !== WebSocket.OPEN) return;
+  browserSocket.send(JSON.stringify({
+    type: 'proxy.upstream_error',
+    message,
+    error: {
+      code
+    }
+  }));
+  setTimeout(() => {
+    if (browserSocket.readyState === WebSocket.OPEN) {
+      browserSocket.close(1011, code === 'proxy_missing_api_key' ? 'missing api key' : 'upstream error');
+    }
+  }, 50);
+}
+
+function relayUpstreamClose(browserSocket, code, reason) {
+  if (browserSocket.readyState !== WebSocket.OPEN) return;
+  browserSocket.send(JSON.stringify({
+    type: 'proxy.upstream_closed',
+    code,
+    reason
+  }));
+  setTimeout(() => {
+    if (browserSocket.readyState === WebSocket.OPEN) {
+      browserSocket.close(1000, 'upstream closed');
+    }
+  }, 50);
+}
+
+// Pipes browser messages to the OpenAI Responses WebSocket and upstream events back.
+function connectOpenAiUpstream(browserSocket) {
   if (!OPENAI_API_KEY) {
-    browserSocket.send(JSON.stringify({
-      type: 'proxy.upstream_error',
-      message: 'Server is missing OPENAI_API_KEY.',
-      error: {
-        code: 'proxy_missing_api_key'
-      }
-    }));
-    setTimeout(() => {
-      if (browserSocket.readyState === WebSocket.OPEN) {
-        browserSocket.close(1011, 'missing api key');
-      }
-    }, 50);
-    return;
+    sendProxyErrorAndClose(browserSocket, 'Server is missing OPENAI_API_KEY.', 'proxy_missing_api_key');
+    return null;
   }
 
   const upstreamSocket = new WebSocket('wss://api.openai.com/v1/responses', {
@@ -309,28 +1026,12 @@ browserWss.on('connection', (browserSocket) => {
     }
   }
 
-  function closeBrowserWithProxyError(message) {
-    if (browserSocket.readyState === WebSocket.OPEN) {
-      browserSocket.send(JSON.stringify({
-        type: 'proxy.upstream_error',
-        message,
-        error: {
-          code: 'proxy_upstream_error'
-        }
-      }));
-      setTimeout(() => {
-        if (browserSocket.readyState === WebSocket.OPEN) {
-          browserSocket.close(1011, 'upstream error');
-        }
-      }, 50);
-    }
-  }
-
   upstreamSocket.on('open', () => {
     upstreamOpen = true;
     if (browserSocket.readyState === WebSocket.OPEN) {
       browserSocket.send(JSON.stringify({
-        type: 'proxy.connected'
+        type: 'proxy.connected',
+        provider: Providers.DEFAULT_PROVIDER
       }));
     }
     flushQueuedClientMessages();
@@ -342,53 +1043,180 @@ browserWss.on('connection', (browserSocket) => {
   });
 
   upstreamSocket.on('error', (error) => {
-    closeBrowserWithProxyError(`OpenAI upstream WebSocket error: ${error.message || 'unknown error'}`);
+    sendProxyErrorAndClose(browserSocket, `OpenAI upstream WebSocket error: ${error.message || 'unknown error'}`, 'proxy_upstream_error');
   });
 
   upstreamSocket.on('close', (code, reasonBuffer) => {
     const reason = Buffer.isBuffer(reasonBuffer) ? reasonBuffer.toString('utf8') : String(reasonBuffer || '');
+    relayUpstreamClose(browserSocket, code, reason);
+  });
+
+  return {
+    provider: Providers.DEFAULT_PROVIDER,
+    send(text) {
+      if (!upstreamOpen || upstreamSocket.readyState === WebSocket.CONNECTING) {
+        queuedClientMessages.push(text);
+        return;
+      }
+
+      if (upstreamSocket.readyState === WebSocket.OPEN) {
+        upstreamSocket.send(text);
+      }
+    },
+    close(reason) {
+      if (upstreamSocket.readyState === WebSocket.OPEN || upstreamSocket.readyState === WebSocket.CONNECTING) {
+        upstreamSocket.close(1000, reason);
+      }
+    }
+  };
+}
+
+// Other providers are request/response APIs; a session replays the Responses protocol over them.
+function connectProviderSession(browserSocket, adapter, model) {
+  if (adapter.missingConfig) {
+    sendProxyErrorAndClose(browserSocket, `Server is missing ${adapter.missingConfig} for provider ${adapter.id}.`, 'proxy_missing_api_key');
+    return null;
+  }
+
+  const session = Providers.createResponsesSession(adapter, model, (event) => {
     if (browserSocket.readyState === WebSocket.OPEN) {
-      browserSocket.send(JSON.stringify({
-        type: 'proxy.upstream_closed',
-        code,
-        reason
-      }));
-      setTimeout(() => {
-        if (browserSocket.readyState === WebSocket.OPEN) {
-          browserSocket.close(1000, 'upstream closed');
-        }
-      }, 50);
+      browserSocket.send(JSON.stringify(event));
     }
   });
+  browserSocket.send(JSON.stringify({
+    type: 'proxy.connected',
+    provider: adapter.id
+  }));
+
+  return {
+    provider: adapter.id,
+    send(text) {
+      session.handleMessage(text);
+    },
+    close() {
+      session.close();
+    }
+  };
+}
+
+function connectMockUpstream(browserSocket, scriptName) {
+  let script;
+  try {
+    script = Providers.loadMockScript(scriptName, { scriptsDir: MOCK_SCRIPTS_DIR });
+  } catch (error) {
+    sendProxyErrorAndClose(browserSocket, error.message, 'proxy_mock_script_error');
+    return null;
+  }
+
+  const mock = Providers.createMockUpstream(script, {
+    send(event) {
+      if (browserSocket.readyState === WebSocket.OPEN) {
+        browserSocket.send(JSON.stringify(event));
+      }
+    },
+    closeUpstream(code, reason) {
+      relayUpstreamClose(browserSocket, code, reason);
+    }
+  });
+  browserSocket.send(JSON.stringify({
+    type: 'proxy.connected',
+    provider: Providers.MOCK_PROVIDER,
+    script: script.name
+  }));
+
+  return {
+    provider: Providers.MOCK_PROVIDER,
+    send(text) {
+      mock.handleMessage(text);
+    },
+    close() {
+      mock.close();
+    }
+  };
+}
+
+function connectRoute(browserSocket, parsedModel) {
+  if (MOCK_UPSTREAM_SCRIPT && parsedModel.provider !== Providers.MOCK_PROVIDER) {
+    return connectMockUpstream(browserSocket, MOCK_UPSTREAM_SCRIPT);
+  }
+  if (parsedModel.provider === Providers.MOCK_PROVIDER) {
+    return connectMockUpstream(browserSocket, parsedModel.model);
+  }
+  if (parsedModel.provider === Providers.DEFAULT_PROVIDER) {
+    return connectOpenAiUpstream(browserSocket);
+  }
+  return connectProviderSession(browserSocket, Providers.getAdapter(parsedModel.provider), parsedModel.model);
+}
+
+// The provider is picked from the model of the first `response.create`, so each browser socket
+// talks to one provider for its whole run.
+browserWss.on('connection', (browserSocket) => {
+  let route = null;
+  let routeFailed = false;
 
   browserSocket.on('message', (data) => {
-    const text = data.toString();
+    if (routeFailed) return;
+    let text = data.toString();
+    let event = null;
+    try {
+      event = JSON.parse(text);
+    } catch (_error) {
+      event = null;
+    }
+    const modelId = event?.type === 'response.create' && typeof event.model === 'string' ? event.model : null;
+    const parsedModel = Providers.parseModelId(modelId || DEFAULT_RESPONSES_MODEL);
 
-    if (!upstreamOpen || upstreamSocket.readyState === WebSocket.CONNECTING) {
-      queuedClientMessages.push(text);
-      return;
+    if (!route) {
+      route = connectRoute(browserSocket, parsedModel);
+      if (!route) {
+        routeFailed = true;
+        return;
+      }
     }
 
-    if (upstreamSocket.readyState === WebSocket.OPEN) {
-      upstreamSocket.send(text);
+    // OpenAI only knows bare model ids, so an explicit `openai:` prefix is dropped on the way up.
+    if (route.provider === Providers.DEFAULT_PROVIDER && modelId && parsedModel.model !== modelId) {
+      text = JSON.stringify({ ...event, model: parsedModel.model });
     }
+    route.send(text);
   });
 
   browserSocket.on('close', () => {
-    if (upstreamSocket.readyState === WebSocket.OPEN || upstreamSocket.readyState === WebSocket.CONNECTING) {
-      upstreamSocket.close(1000, 'browser disconnected');
-    }
+    route?.close('browser disconnected');
   });
 
   browserSocket.on('error', () => {
-    if (upstreamSocket.readyState === WebSocket.OPEN || upstreamSocket.readyState === WebSocket.CONNECTING) {
-      upstreamSocket.close(1000, 'browser socket error');
-    }
+    route?.close('browser socket error');
   });
 });
 
-server.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  console.log(`Responses WS proxy path: ws://localhost:${PORT}/ws/responses`);
-  console.log(`Default model: ${DEFAULT_RESPONSES_MODEL}`);
-});
+// Resolves with the bound port; pass 0 for an ephemeral one (the headless runner does).
+function startServer(port = PORT) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, () => {
+      server.off('error', reject);
+      resolve(server.address().port);
+    });
+  });
+}
+
+if (require.main === module) {
+  startServer().then((port) => {
+    console.log(`Server running on http://localhost:${port}`);
+    console.log(`Responses WS proxy path: ws://localhost:${port}/ws/responses`);
+    console.log(`Default model: ${DEFAULT_RESPONSES_MODEL}`);
+    console.log(`Default judge model: ${DEFAULT_JUDGE_MODEL}`);
+    if (MOCK_UPSTREAM_SCRIPT) {
+      console.log(`Mock upstream: every run uses mock script "${MOCK_UPSTREAM_SCRIPT}"`);
+    }
+  }).catch((error) => {
+    console.error(`Failed to start server: ${error.message || String(error)}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  server,
+  startServer
+};
@@ -0,0 +1,186 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EvalJobs = require('../eval-jobs');
+
+const T0 = Date.parse('2026-01-01T00:00:00.000Z');
+
+function makeJob(models = ['m1'], config = {}) {
+  return EvalJobs.createEvalJob({
+    config: { matrixId: 'job_1', ...config },
+    rows: models.map((model) => ({ prompt: 'a cat', model, maxRunSeconds: 60 }))
+  }, T0);
+}
+
+function leaseEnd(row) {
+  return Date.parse(row.leaseExpiresAt);
+}
+
+function assertStatus(error, status) {
+  assert.ok(error instanceof EvalJobs.EvalJobError);
+  assert.equal(error.status, status);
+  return true;
+}
+
+test('createEvalJob validates its config and rows', () => {
+  assert.throws(() => EvalJobs.createEvalJob({ config: { matrixId: 'bad id' }, rows: [{}] }), /matrixId/);
+  assert.throws(() => EvalJobs.createEvalJob({ config: { matrixId: 'j' }, rows: [] }), /non-empty/);
+  assert.throws(() => makeJob(['m1'], { maxConcurrentPerModel: 0 }), /maxConcurrentPerModel/);
+  assert.throws(
+    () => EvalJobs.createEvalJob({ config: { matrixId: 'j' }, rows: [{ prompt: 'a', model: 'm', maxRunSeconds: 0 }] }),
+    /maxRunSeconds/
+  );
+});
+
+test('claims hand out pending rows in order with a lease', () => {
+  const job = makeJob(['m1', 'm2']);
+  const first = EvalJobs.claimEvalRow(job, 'w1', T0);
+  assert.equal(first.row, 1);
+  assert.equal(first.status, 'running');
+  assert.equal(first.workerId, 'w1');
+  assert.equal(first.attempts, 1);
+  assert.ok(leaseEnd(first) > T0);
+
+  assert.equal(EvalJobs.claimEvalRow(job, 'w2', T0).row, 2);
+  assert.equal(EvalJobs.claimEvalRow(job, 'w3', T0), null);
+  assert.deepEqual(EvalJobs.summarizeEvalJob(job, T0).counts, { pending: 0, running: 2, done: 0, failed: 0 });
+});
+
+test('claims respect the per-model concurrency cap', () => {
+  const job = makeJob(['m1', 'm1', 'm2'], { maxConcurrentPerModel: 1 });
+  assert.equal(EvalJobs.claimEvalRow(job, 'w1', T0).row, 1);
+  // Row 2 is the same model, so the next worker skips ahead to row 3.
+  assert.equal(EvalJobs.claimEvalRow(job, 'w2', T0).row, 3);
+  assert.equal(EvalJobs.claimEvalRow(job, 'w3', T0), null);
+
+  EvalJobs.completeEvalRow(job, 1, { workerId: 'w1' }, T0);
+  assert.equal(EvalJobs.claimEvalRow(job, 'w3', T0).row, 2);
+});
+
+test('a paused job hands out nothing until it resumes', () => {
+  const job = makeJob(['m1']);
+  EvalJobs.applyEvalJobAction(job, 'pause', T0);
+  assert.equal(EvalJobs.claimEvalRow(job, 'w1', T0), null);
+  EvalJobs.applyEvalJobAction(job, 'resume', T0);
+  assert.equal(EvalJobs.claimEvalRow(job, 'w1', T0).row, 1);
+
+  EvalJobs.applyEvalJobAction(job, 'cancel', T0);
+  assert.throws(() => EvalJobs.applyEvalJobAction(job, 'resume', T0), (error) => assertStatus(error, 409));
+});
+
+test('heartbeats renew the lease of the holding worker only', () => {
+  const job = makeJob(['m1']);
+  const row = EvalJobs.claimEvalRow(job, 'w1', T0);
+  const firstLease = leaseEnd(row);
+  EvalJobs.renewEvalRowLease(job, 1, { workerId: 'w1' }, T0 + 10_000);
+  assert.equal(leaseEnd(row), firstLease + 10_000);
+
+  assert.throws(() => EvalJobs.renewEvalRowLease(job, 1, { workerId: 'w2' }, T0), (error) => assertStatus(error, 409));
+  assert.throws(() => EvalJobs.renewEvalRowLease(job, 1, {}, T0), (error) => assertStatus(error, 400));
+  assert.throws(() => EvalJobs.renewEvalRowLease(job, 9, { workerId: 'w1' }, T0), (error) => assertStatus(error, 404));
+});
+
+test('an expired lease puts the row back, and the last attempt fails it', () => {
+  const job = makeJob(['m1']);
+  let now = T0;
+  for (let attempt = 1; attempt <= EvalJobs.EVAL_ROW_MAX_ATTEMPTS; attempt += 1) {
+    const row = EvalJobs.claimEvalRow(job, `w${attempt}`, now);
+    assert.equal(row.attempts, attempt);
+    now = leaseEnd(row);
+  }
+  assert.equal(EvalJobs.claimEvalRow(job, 'w9', now), null);
+  const row = job.rows[0];
+  assert.equal(row.status, 'failed');
+  assert.match(row.error, /lease expired/);
+  assert.equal(job.status, 'completed');
+});
+
+test('failures retry the row until the last attempt', () => {
+  const job = makeJob(['m1']);
+  for (let attempt = 1; attempt < EvalJobs.EVAL_ROW_MAX_ATTEMPTS; attempt += 1) {
+    EvalJobs.claimEvalRow(job, 'w1', T0);
+    const row = EvalJobs.failEvalRow(job, 1, { workerId: 'w1', error: 'boom' }, T0);
+    assert.equal(row.status, 'pending');
+    assert.equal(row.error, 'boom');
+  }
+  EvalJobs.claimEvalRow(job, 'w1', T0);
+  assert.equal(EvalJobs.failEvalRow(job, 1, { workerId: 'w1' }, T0).status, 'failed');
+  assert.equal(job.status, 'completed');
+});
+
+test('a released row goes back untouched and does not use up an attempt', () => {
+  const job = makeJob(['m1']);
+  EvalJobs.claimEvalRow(job, 'w1', T0);
+  assert.throws(() => EvalJobs.releaseEvalRow(job, 1, { workerId: 'w2' }, T0), (error) => assertStatus(error, 409));
+  const row = EvalJobs.releaseEvalRow(job, 1, { workerId: 'w1' }, T0);
+  assert.equal(row.status, 'pending');
+  assert.equal(row.attempts, 0);
+  assert.equal(row.workerId, null);
+  assert.equal(EvalJobs.claimEvalRow(job, 'w2', T0).attempts, 1);
+});
+
+test('completing the last row completes the job', () => {
+  const job = makeJob(['m1']);
+  EvalJobs.claimEvalRow(job, 'w1', T0);
+  const row = EvalJobs.completeEvalRow(job, 1, { workerId: 'w1', result: { runId: 'r1' } }, T0);
+  assert.equal(row.status, 'done');
+  assert.deepEqual(row.result, { runId: 'r1' });
+  assert.equal(job.status, 'completed');
+  assert.throws(() => EvalJobs.completeEvalRow(job, 1, { workerId: 'w1' }, T0), (error) => assertStatus(error, 409));
+});
+
+test('a model nearly out of rate limit is held back until its reset', () => {
+  const job = makeJob(['m1', 'm1', 'm2']);
+  const resetAt = new Date(T0 + 60_000).toISOString();
+  EvalJobs.claimEvalRow(job, 'w1', T0);
+  EvalJobs.renewEvalRowLease(job, 1, {
+    workerId: 'w1',
+    rateLimits: { requests: { limit: 100, remaining: 5, resetAt } }
+  }, T0);
+  assert.deepEqual(EvalJobs.summarizeEvalJob(job, T0).rateLimitedModels, ['m1']);
+  assert.equal(EvalJobs.claimEvalRow(job, 'w2', T0).row, 3);
+  assert.equal(EvalJobs.claimEvalRow(job, 'w3', T0 + 1000), null);
+
+  assert.equal(EvalJobs.claimEvalRow(job, 'w3', T0 + 60_000).row, 2);
+  assert.deepEqual(EvalJobs.summarizeEvalJob(job, T0 + 60_000).rateLimitedModels, []);
+});
+
+test('limits with headroom do not hold a model back', () => {
+  const job = makeJob(['m1', 'm1']);
+  EvalJobs.claimEvalRow(job, 'w1', T0);
+  EvalJobs.completeEvalRow(job, 1, {
+    workerId: 'w1',
+    rateLimits: { tokens: { limit: 1000, remaining: 500, resetAt: new Date(T0 + 60_000).toISOString() } }
+  }, T0);
+  assert.equal(EvalJobs.claimEvalRow(job, 'w1', T0).row, 2);
+});
+
+test('a worker with a stale lease cannot touch the row another worker now holds', () => {
+  const job = makeJob(['m1', 'm1'], { maxConcurrentPerModel: 2 });
+  const stale = EvalJobs.claimEvalRow(job, 'w1', T0);
+  EvalJobs.claimEvalRow(job, 'w2', T0);
+  EvalJobs.completeEvalRow(job, 2, { workerId: 'w2' }, T0);
+
+  // w1 goes quiet past its lease, and w2 picks the row up on its next claim.
+  const takeover = leaseEnd(stale) + 1;
+
+  const reclaimed = EvalJobs.claimEvalRow(job, 'w2', takeover);
+  assert.equal(reclaimed.row, 1);
+  assert.equal(reclaimed.workerId, 'w2');
+  assert.equal(reclaimed.attempts, 2);
+
+  for (const call of [
+    () => EvalJobs.renewEvalRowLease(job, 1, { workerId: 'w1' }, takeover),
+    () => EvalJobs.completeEvalRow(job, 1, { workerId: 'w1', result: { runId: 'stale' } }, takeover),
+    () => EvalJobs.failEvalRow(job, 1, { workerId: 'w1', error: 'late' }, takeover),
+    () => EvalJobs.releaseEvalRow(job, 1, { workerId: 'w1' }, takeover)
+  ]) {
+    assert.throws(call, (error) => assertStatus(error, 409));
+  }
+  assert.equal(reclaimed.status, 'running');
+  assert.equal(reclaimed.workerId, 'w2');
+  assert.equal(reclaimed.attempts, 2);
+
+  EvalJobs.completeEvalRow(job, 1, { workerId: 'w2', result: { runId: 'fresh' } }, takeover);
+  assert.deepEqual(reclaimed.result, { runId: 'fresh' });
+  assert.equal(job.status, 'completed');
+});
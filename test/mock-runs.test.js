@@ -0,0 +1,53 @@
+// End to end: every built-in mock script runs through the headless runner (page script, server
+// and autosave), and its saved log must replay to the saved final image.
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFileAsync = promisify(execFile);
+const ROOT_DIR = path.resolve(__dirname, '..');
+const MOCK_SCRIPTS_DIR = path.join(ROOT_DIR, 'providers', 'mock-scripts');
+const RUN_TIMEOUT_MS = 120_000;
+
+// Runs, their index rows and eval jobs go to a scratch LOGS_DIR, never the repo's logs/.
+const logsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'painter-test-'));
+after(() => fs.rmSync(logsDir, { recursive: true, force: true }));
+
+const mockScripts = fs.readdirSync(MOCK_SCRIPTS_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => path.basename(file, '.json'))
+  .sort();
+
+async function runNode(script, args, env = {}) {
+  try {
+    return await execFileAsync(process.execPath, [path.join(ROOT_DIR, script), ...args], {
+      cwd: ROOT_DIR,
+      env: { ...process.env, LOGS_DIR: logsDir, ...env },
+      timeout: RUN_TIMEOUT_MS
+    });
+  } catch (error) {
+    assert.fail(`${script} exited with ${error.code ?? error.signal}\n${error.stdout || ''}${error.stderr || ''}`);
+  }
+}
+
+for (const name of mockScripts) {
+  test(`mock script "${name}" runs headless and its logs replay exactly`, async () => {
+    const run = await runNode('scripts/headless-run.js', [
+      '--prompt', `mock ${name}`,
+      '--grid-modes', 'true',
+      '--pause-ms', '0',
+      '--tag', `test-${name}`
+    ], { MOCK_UPSTREAM: name });
+
+    const logFiles = [...run.stdout.matchAll(/\s(\S+\.json)$/gm)].map((match) => match[1]);
+    assert.equal(logFiles.length, 1, run.stdout);
+
+    const verify = await runNode('scripts/verify-replay.js', logFiles);
+    assert.match(verify.stdout, /^MATCH\s/m, verify.stdout);
+    assert.doesNotMatch(verify.stdout, /^(MISMATCH|ERROR)\s/m, verify.stdout);
+  });
+}
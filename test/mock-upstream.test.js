@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createMockUpstream } = require('../providers/mock');
+
+const RESPONSE_CREATE = JSON.stringify({ type: 'response.create', input: [] });
+
+test('a throwing step reports an error, closes the upstream and ignores later requests', { timeout: 5000 }, async () => {
+  const events = [];
+  const closes = [];
+  let closed;
+  const closedOnce = new Promise((resolve) => { closed = resolve; });
+  const script = { name: 'broken', steps: [{ text: 'Hi.', calls: [], rateLimits: null, delayMs: 0 }] };
+  const mock = createMockUpstream(script, {
+    send(event) {
+      if (event.type === 'response.completed') throw new Error('socket closed');
+      events.push(event);
+    },
+    closeUpstream(code, reason) {
+      closes.push({ code, reason });
+      closed();
+    }
+  });
+
+  mock.handleMessage(RESPONSE_CREATE);
+  mock.handleMessage(RESPONSE_CREATE);
+  await closedOnce;
+  await new Promise((resolve) => setImmediate(resolve));
+
+  const errors = events.filter((event) => event.type === 'error');
+  assert.equal(errors.length, 1);
+  assert.equal(errors[0].error.code, 'mock_script_error');
+  assert.match(errors[0].error.message, /socket closed/);
+  assert.deepEqual(closes, [{ code: 1011, reason: 'mock script failed' }]);
+});
@@ -0,0 +1,178 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createCanvas } = require('@napi-rs/canvas');
+const PaintEngine = require('../paint-engine');
+const { registerTextFont } = require('../text-font');
+
+function createSurface(width = 40, height = 40) {
+  const surface = { ctx: createCanvas(width, height).getContext('2d'), width, height };
+  PaintEngine.clearSurface(surface);
+  return surface;
+}
+
+function pixelAt(surface, x, y) {
+  return Array.from(surface.ctx.getImageData(x, y, 1, 1).data);
+}
+
+// A 2px black square wall around (12..27, 12..27), with an optional gap in its top side.
+function drawBox(surface, gap = 0) {
+  const ctx = surface.ctx;
+  ctx.fillStyle = '#000000';
+  ctx.fillRect(10, 10, 20, 2);
+  ctx.fillRect(10, 28, 20, 2);
+  ctx.fillRect(10, 10, 2, 20);
+  ctx.fillRect(28, 10, 2, 20);
+  if (gap > 0) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(19, 10, gap, 2);
+  }
+}
+
+// Fills through the same normalize/render path as a logged `fill` draw action.
+function fillAt(surface, x, y, color, fill = undefined) {
+  const action = PaintEngine.normalizeDrawAction({ tool: 'fill', startX: x, startY: y, color, fill }, null, surface);
+  return PaintEngine.renderDrawAction(surface, action);
+}
+
+function solidImage(width, height, paint) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y += 1) {
+    for (let x = 0; x < width; x += 1) {
+      const [r, g, b] = paint(x / width, y / height);
+      data.set([r, g, b, 255], (y * width + x) * 4);
+    }
+  }
+  return { width, height, data };
+}
+
+test('fill fills the enclosed region and stops at its walls', () => {
+  const surface = createSurface();
+  drawBox(surface);
+  const result = fillAt(surface, 20, 20, '#ff0000');
+  assert.equal(result.pixelCount, 16 * 16);
+  assert.deepEqual(result.bbox, { x: 12, y: 12, width: 16, height: 16 });
+  assert.deepEqual(pixelAt(surface, 20, 20), [255, 0, 0, 255]);
+  assert.deepEqual(pixelAt(surface, 10, 10), [0, 0, 0, 255]);
+  assert.deepEqual(pixelAt(surface, 5, 5), [255, 255, 255, 255]);
+});
+
+test('fill does nothing on a region that already has the fill color or outside the surface', () => {
+  const surface = createSurface();
+  assert.deepEqual(fillAt(surface, 5, 5, '#ffffff'), { pixelCount: 0, bbox: null });
+  assert.deepEqual(fillAt(surface, 40, 5, '#ff0000'), { pixelCount: 0, bbox: null });
+});
+
+test('fill leaks through a gap unless closeGapsPx bridges it', () => {
+  const leaky = createSurface();
+  drawBox(leaky, 2);
+  fillAt(leaky, 20, 20, '#ff0000', { closeGapsPx: 0 });
+  assert.deepEqual(pixelAt(leaky, 5, 5), [255, 0, 0, 255]);
+
+  const closed = createSurface();
+  drawBox(closed, 2);
+  fillAt(closed, 20, 20, '#ff0000', { closeGapsPx: 4 });
+  assert.deepEqual(pixelAt(closed, 20, 20), [255, 0, 0, 255]);
+  assert.deepEqual(pixelAt(closed, 5, 5), [255, 255, 255, 255]);
+});
+
+test('fill with contiguous false fills every matching pixel', () => {
+  const surface = createSurface();
+  drawBox(surface);
+  const result = fillAt(surface, 20, 20, '#ff0000', { contiguous: false });
+  assert.equal(result.pixelCount, 40 * 40 - (20 * 20 - 16 * 16));
+  assert.deepEqual(pixelAt(surface, 5, 5), [255, 0, 0, 255]);
+});
+
+test('fill tolerance decides whether near colors join the region', () => {
+  const loose = createSurface();
+  loose.ctx.fillStyle = '#fafafa';
+  loose.ctx.fillRect(5, 5, 1, 1);
+  fillAt(loose, 20, 20, '#ff0000');
+  assert.deepEqual(pixelAt(loose, 5, 5), [255, 0, 0, 255]);
+
+  const strict = createSurface();
+  strict.ctx.fillStyle = '#fafafa';
+  strict.ctx.fillRect(5, 5, 1, 1);
+  const result = fillAt(strict, 20, 20, '#ff0000', { tolerance: 0 });
+  assert.equal(result.pixelCount, 40 * 40 - 1);
+  // Left out of the region, the pixel is only blended as an edge of the fill.
+  assert.notDeepEqual(pixelAt(strict, 5, 5), [255, 0, 0, 255]);
+  assert.equal(pixelAt(strict, 5, 5)[0], 250);
+});
+
+test('scoreImageSimilarity gives identical images a perfect score', () => {
+  const image = solidImage(80, 60, (x, y) => [x * 255, y * 255, 128]);
+  const score = PaintEngine.scoreImageSimilarity(image, image);
+  assert.equal(score.pixel, 1);
+  assert.equal(score.ssim, 1);
+  assert.equal(score.score, 1);
+});
+
+test('scoreImageSimilarity gives opposite images the lowest pixel score', () => {
+  const white = solidImage(40, 40, () => [255, 255, 255]);
+  const black = solidImage(40, 40, () => [0, 0, 0]);
+  const score = PaintEngine.scoreImageSimilarity(white, black);
+  assert.equal(score.pixel, 0);
+  assert.ok(score.score < 0.5);
+});
+
+test('scoreImageSimilarity compares images of different sizes in normalized coordinates', () => {
+  const split = (x) => (x < 0.5 ? [200, 40, 40] : [40, 40, 200]);
+  const small = solidImage(80, 60, split);
+  const large = solidImage(160, 120, split);
+  const score = PaintEngine.scoreImageSimilarity(small, large);
+  assert.ok(score.score > 0.99, `score ${score.score}`);
+});
+
+test('scoreImageSimilarity ranks a closer copy above a worse one', () => {
+  const reference = solidImage(64, 64, (x, y) => (x < 0.5 && y < 0.5 ? [0, 0, 0] : [255, 255, 255]));
+  const close = solidImage(64, 64, (x, y) => (x < 0.45 && y < 0.5 ? [0, 0, 0] : [255, 255, 255]));
+  const blank = solidImage(64, 64, () => [255, 255, 255]);
+  const closeScore = PaintEngine.scoreImageSimilarity(close, reference);
+  const blankScore = PaintEngine.scoreImageSimilarity(blank, reference);
+  assert.ok(closeScore.pixel > blankScore.pixel);
+  assert.ok(closeScore.ssim > blankScore.ssim);
+  assert.ok(closeScore.score > blankScore.score);
+});
+
+function renderTextPixels(fontFamily, text = 'Abc 123') {
+  const surface = createSurface(120, 40);
+  const action = PaintEngine.normalizeText({ text, color: '#000000', x: 4, y: 20, fontSize: 20, fontFamily }, null, surface);
+  PaintEngine.renderText(surface, action);
+  return surface.ctx.getImageData(0, 0, 120, 40).data;
+}
+
+test('text records its bundled font family, and older generic families map to the closest one', () => {
+  const surface = createSurface();
+  const familyOf = (fontFamily) => PaintEngine.normalizeText({ text: 'a', fontFamily }, null, surface).fontFamily;
+  assert.equal(familyOf('DejaVu Serif'), 'DejaVu Serif');
+  assert.equal(familyOf(undefined), 'DejaVu Sans');
+  assert.equal(familyOf('serif'), 'DejaVu Serif');
+  assert.equal(familyOf('monospace'), 'DejaVu Mono');
+  assert.equal(PaintEngine.describeTextFontFamilyError('DejaVu Mono'), null);
+  assert.match(PaintEngine.describeTextFontFamilyError('Comic Sans MS'), /DejaVu Sans, DejaVu Serif, DejaVu Mono/);
+});
+
+test('each bundled font family renders its own glyphs', () => {
+  registerTextFont();
+  const [sans, serif, mono] = PaintEngine.TEXT_FONT_FAMILIES.map((family) => renderTextPixels(family));
+  assert.notDeepEqual(sans, serif);
+  assert.notDeepEqual(sans, mono);
+  assert.deepEqual(renderTextPixels('serif'), serif);
+});
+
+test('text in Greek, Cyrillic and accented Latin renders in the bundled fonts', () => {
+  registerTextFont();
+  const text = 'Ωμέγα Жёлтый Łódź';
+  assert.equal(PaintEngine.describeTextCharError(text), null);
+  const sans = renderTextPixels('DejaVu Sans', text);
+  assert.ok(sans.some((value, i) => i % 4 === 0 && value < 128), 'the text drew dark pixels');
+  assert.deepEqual(renderTextPixels('DejaVu Sans', text), sans);
+  assert.notDeepEqual(renderTextPixels('DejaVu Mono', text), sans);
+});
+
+test('text with characters the bundled fonts lack is rejected', () => {
+  assert.match(PaintEngine.describeTextCharError('猫 cafe'), /"猫" \(U\+732B\)/);
+  assert.match(PaintEngine.describeTextCharError('ok 🎨'), /U\+1F3A8/);
+  assert.equal(PaintEngine.describeTextCharError('Two\nlines – “quoted” → ■'), null);
+});
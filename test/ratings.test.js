@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { computeRatings, pickVoteSide } = require('../ratings');
+
+function vote(modelA, modelB, winner) {
+  return { a: { model: modelA }, b: { model: modelB }, winner };
+}
+
+function ratingOf(result, key) {
+  return result.ratings.find((rating) => rating.key === key);
+}
+
+test('elo moves K/2 points after one vote between equal contestants', () => {
+  const result = computeRatings([vote('x', 'y', 'a')]);
+  assert.equal(ratingOf(result, 'x').elo, 1516);
+  assert.equal(ratingOf(result, 'y').elo, 1484);
+  assert.equal(result.voteCount, 1);
+});
+
+test('elo leaves equal contestants level after a tie', () => {
+  const result = computeRatings([vote('x', 'y', 'tie')]);
+  assert.equal(ratingOf(result, 'x').elo, 1500);
+  assert.equal(ratingOf(result, 'y').elo, 1500);
+  assert.equal(ratingOf(result, 'x').ties, 1);
+  assert.equal(ratingOf(result, 'x').winRate, 0.5);
+});
+
+test('elo depends on vote order, bradley-terry does not', () => {
+  const votes = [vote('x', 'y', 'a'), vote('x', 'y', 'a'), vote('x', 'y', 'b'), vote('y', 'z', 'a')];
+  const forward = computeRatings(votes);
+  const reversed = computeRatings([...votes].reverse());
+  assert.notEqual(ratingOf(forward, 'x').elo, ratingOf(reversed, 'x').elo);
+  for (const key of ['x', 'y', 'z']) {
+    assert.equal(ratingOf(forward, key).bradleyTerry, ratingOf(reversed, key).bradleyTerry);
+  }
+});
+
+test('bradley-terry ranks by results and keeps an unbeaten contestant finite', () => {
+  const result = computeRatings([
+    vote('x', 'y', 'a'),
+    vote('x', 'y', 'a'),
+    vote('y', 'z', 'a'),
+    vote('y', 'z', 'a')
+  ]);
+  assert.deepEqual(result.ratings.map((rating) => rating.key), ['x', 'y', 'z']);
+  assert.ok(Number.isFinite(ratingOf(result, 'x').bradleyTerry));
+  assert.ok(Number.isFinite(ratingOf(result, 'z').bradleyTerry));
+  // The prior pulls symmetric records to mirror images around the base rating.
+  assert.equal(ratingOf(result, 'y').bradleyTerry, 1500);
+  assert.equal(ratingOf(result, 'x').bradleyTerry - 1500, 1500 - ratingOf(result, 'z').bradleyTerry);
+});
+
+test('bradley-terry gives evenly matched contestants the base rating', () => {
+  const result = computeRatings([vote('x', 'y', 'a'), vote('x', 'y', 'b'), vote('x', 'y', 'tie')]);
+  assert.equal(ratingOf(result, 'x').bradleyTerry, 1500);
+  assert.equal(ratingOf(result, 'y').bradleyTerry, 1500);
+});
+
+test('votes within one group or without a valid winner are skipped', () => {
+  const result = computeRatings([vote('x', 'x', 'a'), vote('x', 'y', 'maybe'), null, vote('x', 'y', 'b')]);
+  assert.equal(result.voteCount, 1);
+  assert.equal(result.skippedVotes, 3);
+  assert.equal(ratingOf(result, 'y').wins, 1);
+});
+
+test('contestants are grouped by every groupBy field', () => {
+  const side = (model, taskMode) => pickVoteSide({ baseName: 'run', model, taskMode });
+  const result = computeRatings([
+    { a: side('x', 'paint'), b: side('x', 'copy'), winner: 'a' },
+    { a: side('x', 'paint'), b: side('y', null), winner: 'b' }
+  ], ['model', 'taskMode']);
+  assert.deepEqual(result.groupBy, ['model', 'taskMode']);
+  assert.deepEqual(result.ratings.map((rating) => rating.key).sort(), ['x|copy', 'x|paint', 'y|(null)']);
+  assert.equal(ratingOf(result, 'x|paint').votes, 2);
+  assert.equal(ratingOf(result, 'x|paint').taskMode, 'paint');
+});
@@ -0,0 +1,51 @@
+// The fonts text actions render in: DejaVu Sans, Serif and Mono from @fontsource. The browser
+// loads these files through @font-face (styles.css, served under /fonts by server.js) and Node
+// canvases register them here, so a text action draws the same glyphs everywhere.
+
+const fs = require('fs');
+const path = require('path');
+const PaintEngine = require('./paint-engine');
+
+// CSS weights of PaintEngine.TEXT_WEIGHTS.
+const FONT_FILE_WEIGHTS = { normal: 400, bold: 700 };
+
+// Every subset file the package ships for the weights text uses. Each @fontsource/dejavu-*
+// package ships one subset, named `latin` but holding the whole DejaVu character set
+// (PaintEngine.TEXT_CHAR_RANGES lists what text may use).
+function fontsourceFiles(packageName) {
+  const dir = path.join(path.dirname(require.resolve(`${packageName}/package.json`)), 'files');
+  const weights = PaintEngine.TEXT_WEIGHTS.map((weight) => FONT_FILE_WEIGHTS[weight]).join('|');
+  const pattern = new RegExp(`-(${weights})-normal\\.woff2$`);
+  return { dir, files: fs.readdirSync(dir).filter((file) => pattern.test(file)).sort() };
+}
+
+// Keyed by PaintEngine.TEXT_FONT_FAMILIES.
+const TEXT_FONTS = {
+  'DejaVu Sans': fontsourceFiles('@fontsource/dejavu-sans'),
+  'DejaVu Serif': fontsourceFiles('@fontsource/dejavu-serif'),
+  'DejaVu Mono': fontsourceFiles('@fontsource/dejavu-mono')
+};
+const TEXT_FONT_DIRS = Object.values(TEXT_FONTS).map((font) => font.dir);
+
+let registered = false;
+
+// Registers every bundled family with @napi-rs/canvas. Safe to call more than once.
+function registerTextFont() {
+  if (registered) return;
+  // Required here so server.js can read TEXT_FONT_DIRS without loading the canvas bindings.
+  const { GlobalFonts } = require('@napi-rs/canvas');
+  for (const family of PaintEngine.TEXT_FONT_FAMILIES) {
+    for (const file of TEXT_FONTS[family].files) {
+      if (!GlobalFonts.registerFromPath(path.join(TEXT_FONTS[family].dir, file), family)) {
+        throw new Error(`Could not register the text font ${file}.`);
+      }
+    }
+  }
+  registered = true;
+}
+
+module.exports = {
+  TEXT_FONTS,
+  TEXT_FONT_DIRS,
+  registerTextFont
+};